@@ -0,0 +1,226 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title FlashArbitrage
+ * @notice Executes a two-pool arbitrage in one transaction with a flash swap.
+ * The buy pool (Uniswap V3 or Aerodrome CL) sends the base token first; the callback
+ * sells it on the other DEX, repays the buy pool in the quote token and reverts
+ * unless what is left clears minProfit. Either both legs happen or neither does.
+ * Used by src/flashArbitrage.js
+ */
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+/// @dev Shared by Uniswap V3 pools and Aerodrome CL (Slipstream) pools
+interface IConcentratedLiquidityPool {
+    function swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external returns (int256 amount0, int256 amount1);
+}
+
+/// @dev Uniswap SwapRouter02 (no deadline)
+interface IV3SwapRouter {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut);
+}
+
+/// @dev Aerodrome CL (Slipstream) SwapRouter
+interface ICLSwapRouter {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        int24 tickSpacing;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut);
+}
+
+/// @dev Uniswap V2 style router (BaseSwap, SwapBased)
+interface IV2Router {
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+}
+
+contract FlashArbitrage {
+    /// @notice Router used for the sell leg
+    enum SellKind {
+        V3,
+        CL,
+        V2
+    }
+
+    struct Params {
+        // Pool the base token is bought from (flash-swapped)
+        address buyPool;
+        // Quote token paid to the buy pool and received from the sell leg
+        address tokenIn;
+        // Base token received from the buy pool and sold on the sell leg
+        address tokenOut;
+        // Quote token amount swapped into the buy pool (exact input)
+        uint256 amountIn;
+        SellKind sellKind;
+        address sellRouter;
+        // Fee tier of a V3 sell pool
+        uint24 sellFee;
+        // Tick spacing of a CL sell pool
+        int24 sellTickSpacing;
+        // Quote token that must be left after repaying the buy pool
+        uint256 minProfit;
+    }
+
+    // TickMath.MIN_SQRT_RATIO + 1 and TickMath.MAX_SQRT_RATIO - 1: no price limit
+    uint160 private constant MIN_SQRT_PRICE_LIMIT = 4295128740;
+    uint160 private constant MAX_SQRT_PRICE_LIMIT = 1461446703485210103287273052203988822378723970341;
+
+    address public immutable owner;
+
+    // Pool whose swap is in progress; the only caller accepted by the swap callback
+    address private activePool;
+
+    event ArbitrageExecuted(address indexed buyPool, address indexed tokenIn, uint256 amountIn, uint256 profit);
+
+    error Unauthorized();
+    error UnexpectedCallback();
+    error InsufficientProfit(uint256 received, uint256 required);
+    error TokenCallFailed(address token);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert Unauthorized();
+        _;
+    }
+
+    /**
+     * @notice Runs the arbitrage and sends the profit to the owner
+     * @return profit Quote token kept after repaying the buy pool
+     */
+    function execute(Params calldata params) external onlyOwner returns (uint256 profit) {
+        bool zeroForOne = params.tokenIn < params.tokenOut;
+
+        activePool = params.buyPool;
+        IConcentratedLiquidityPool(params.buyPool).swap(
+            address(this),
+            zeroForOne,
+            int256(params.amountIn),
+            zeroForOne ? MIN_SQRT_PRICE_LIMIT : MAX_SQRT_PRICE_LIMIT,
+            abi.encode(params)
+        );
+        activePool = address(0);
+
+        // Anything held before the call was already the owner's, so the whole balance is paid out
+        profit = IERC20(params.tokenIn).balanceOf(address(this));
+        _transfer(params.tokenIn, owner, profit);
+
+        emit ArbitrageExecuted(params.buyPool, params.tokenIn, params.amountIn, profit);
+    }
+
+    /**
+     * @notice Swap callback of the buy pool: the base token has been received, the quote
+     * token is owed. Sells the base token and repays the pool
+     * @dev Uniswap V3 and Aerodrome CL pools both call uniswapV3SwapCallback
+     */
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external {
+        if (msg.sender != activePool) revert UnexpectedCallback();
+
+        Params memory params = abi.decode(data, (Params));
+        bool zeroForOne = params.tokenIn < params.tokenOut;
+        uint256 owed = uint256(zeroForOne ? amount0Delta : amount1Delta);
+        uint256 received = uint256(-(zeroForOne ? amount1Delta : amount0Delta));
+
+        // The router enforces the minimum output; the check below reports it with amounts
+        uint256 required = owed + params.minProfit;
+        uint256 amountOut = _sell(params, received, required);
+        if (amountOut < required) revert InsufficientProfit(amountOut, required);
+
+        _transfer(params.tokenIn, msg.sender, owed);
+    }
+
+    /**
+     * @notice Recovers tokens sent to the contract
+     */
+    function withdraw(address token) external onlyOwner {
+        _transfer(token, owner, IERC20(token).balanceOf(address(this)));
+    }
+
+    function _sell(Params memory params, uint256 amountIn, uint256 amountOutMinimum) private returns (uint256) {
+        _approve(params.tokenOut, params.sellRouter, amountIn);
+
+        if (params.sellKind == SellKind.V3) {
+            return IV3SwapRouter(params.sellRouter).exactInputSingle(
+                IV3SwapRouter.ExactInputSingleParams({
+                    tokenIn: params.tokenOut,
+                    tokenOut: params.tokenIn,
+                    fee: params.sellFee,
+                    recipient: address(this),
+                    amountIn: amountIn,
+                    amountOutMinimum: amountOutMinimum,
+                    sqrtPriceLimitX96: 0
+                })
+            );
+        }
+        if (params.sellKind == SellKind.CL) {
+            return ICLSwapRouter(params.sellRouter).exactInputSingle(
+                ICLSwapRouter.ExactInputSingleParams({
+                    tokenIn: params.tokenOut,
+                    tokenOut: params.tokenIn,
+                    tickSpacing: params.sellTickSpacing,
+                    recipient: address(this),
+                    deadline: block.timestamp,
+                    amountIn: amountIn,
+                    amountOutMinimum: amountOutMinimum,
+                    sqrtPriceLimitX96: 0
+                })
+            );
+        }
+
+        address[] memory path = new address[](2);
+        path[0] = params.tokenOut;
+        path[1] = params.tokenIn;
+        uint256[] memory amounts = IV2Router(params.sellRouter).swapExactTokensForTokens(
+            amountIn, amountOutMinimum, path, address(this), block.timestamp
+        );
+        return amounts[amounts.length - 1];
+    }
+
+    /// @dev Accepts tokens that return nothing from transfer / approve
+    function _transfer(address token, address to, uint256 amount) private {
+        (bool success, bytes memory result) = token.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+        if (!success || (result.length != 0 && !abi.decode(result, (bool)))) revert TokenCallFailed(token);
+    }
+
+    function _approve(address token, address spender, uint256 amount) private {
+        (bool success, bytes memory result) = token.call(abi.encodeCall(IERC20.approve, (spender, amount)));
+        if (!success || (result.length != 0 && !abi.decode(result, (bool)))) revert TokenCallFailed(token);
+    }
+}
@@ -55,6 +55,54 @@ export const UNISWAP_V3_POOL_ABI = [
     outputs: [{ internalType: "uint24", name: "", type: "uint24" }],
     stateMutability: "view",
     type: "function"
+  },
+  // tickSpacing returns the tick spacing
+  {
+    inputs: [],
+    name: "tickSpacing",
+    outputs: [{ internalType: "int24", name: "", type: "int24" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  // tickBitmap returns one 256-bit word of initialized tick flags
+  {
+    inputs: [{ internalType: "int16", name: "wordPosition", type: "int16" }],
+    name: "tickBitmap",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  // ticks returns the state of an initialized tick (liquidityNet is applied when crossing it)
+  {
+    inputs: [{ internalType: "int24", name: "tick", type: "int24" }],
+    name: "ticks",
+    outputs: [
+      { internalType: "uint128", name: "liquidityGross", type: "uint128" },
+      { internalType: "int128", name: "liquidityNet", type: "int128" },
+      { internalType: "uint256", name: "feeGrowthOutside0X128", type: "uint256" },
+      { internalType: "uint256", name: "feeGrowthOutside1X128", type: "uint256" },
+      { internalType: "int56", name: "tickCumulativeOutside", type: "int56" },
+      { internalType: "uint160", name: "secondsPerLiquidityOutsideX128", type: "uint160" },
+      { internalType: "uint32", name: "secondsOutside", type: "uint32" },
+      { internalType: "bool", name: "initialized", type: "bool" }
+    ],
+    stateMutability: "view",
+    type: "function"
+  },
+  // Swap is emitted on every swap with the pool's new price, liquidity and tick
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "sender", type: "address" },
+      { indexed: true, internalType: "address", name: "recipient", type: "address" },
+      { indexed: false, internalType: "int256", name: "amount0", type: "int256" },
+      { indexed: false, internalType: "int256", name: "amount1", type: "int256" },
+      { indexed: false, internalType: "uint160", name: "sqrtPriceX96", type: "uint160" },
+      { indexed: false, internalType: "uint128", name: "liquidity", type: "uint128" },
+      { indexed: false, internalType: "int24", name: "tick", type: "int24" }
+    ],
+    name: "Swap",
+    type: "event"
   }
 ];
 
@@ -109,6 +157,249 @@ export const AERODROME_CL_POOL_ABI = [
     outputs: [{ internalType: "int24", name: "", type: "int24" }],
     stateMutability: "view",
     type: "function"
+  },
+  // fee returns the pool fee
+  {
+    inputs: [],
+    name: "fee",
+    outputs: [{ internalType: "uint24", name: "", type: "uint24" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  // tickBitmap returns one 256-bit word of initialized tick flags
+  {
+    inputs: [{ internalType: "int16", name: "wordPosition", type: "int16" }],
+    name: "tickBitmap",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  // ticks has extra gauge fields compared to Uniswap V3 (stakedLiquidityNet, rewardGrowthOutsideX128)
+  {
+    inputs: [{ internalType: "int24", name: "tick", type: "int24" }],
+    name: "ticks",
+    outputs: [
+      { internalType: "uint128", name: "liquidityGross", type: "uint128" },
+      { internalType: "int128", name: "liquidityNet", type: "int128" },
+      { internalType: "int128", name: "stakedLiquidityNet", type: "int128" },
+      { internalType: "uint256", name: "feeGrowthOutside0X128", type: "uint256" },
+      { internalType: "uint256", name: "feeGrowthOutside1X128", type: "uint256" },
+      { internalType: "uint256", name: "rewardGrowthOutsideX128", type: "uint256" },
+      { internalType: "int56", name: "tickCumulativeOutside", type: "int56" },
+      { internalType: "uint160", name: "secondsPerLiquidityOutsideX128", type: "uint160" },
+      { internalType: "uint32", name: "secondsOutside", type: "uint32" },
+      { internalType: "bool", name: "initialized", type: "bool" }
+    ],
+    stateMutability: "view",
+    type: "function"
+  },
+  // Swap is emitted on every swap with the pool's new price, liquidity and tick
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "sender", type: "address" },
+      { indexed: true, internalType: "address", name: "recipient", type: "address" },
+      { indexed: false, internalType: "int256", name: "amount0", type: "int256" },
+      { indexed: false, internalType: "int256", name: "amount1", type: "int256" },
+      { indexed: false, internalType: "uint160", name: "sqrtPriceX96", type: "uint160" },
+      { indexed: false, internalType: "uint128", name: "liquidity", type: "uint128" },
+      { indexed: false, internalType: "int24", name: "tick", type: "int24" }
+    ],
+    name: "Swap",
+    type: "event"
+  }
+];
+
+/**
+ * Uniswap V3 Factory ABI
+ * getPool resolves a pool by token pair and fee tier
+ */
+export const UNISWAP_V3_FACTORY_ABI = [
+  // getPool returns the pool address (zero address if none)
+  {
+    inputs: [
+      { internalType: "address", name: "tokenA", type: "address" },
+      { internalType: "address", name: "tokenB", type: "address" },
+      { internalType: "uint24", name: "fee", type: "uint24" }
+    ],
+    name: "getPool",
+    outputs: [{ internalType: "address", name: "pool", type: "address" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+/**
+ * Aerodrome CL Factory ABI
+ * Same as Uniswap V3 but pools are keyed by tick spacing instead of fee
+ */
+export const AERODROME_CL_FACTORY_ABI = [
+  // getPool returns the pool address (zero address if none)
+  {
+    inputs: [
+      { internalType: "address", name: "tokenA", type: "address" },
+      { internalType: "address", name: "tokenB", type: "address" },
+      { internalType: "int24", name: "tickSpacing", type: "int24" }
+    ],
+    name: "getPool",
+    outputs: [{ internalType: "address", name: "pool", type: "address" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+/**
+ * Uniswap V3 QuoterV2 ABI
+ * quoteExactInputSingle is not a view function: it simulates the swap and
+ * reverts internally, so it must be called with eth_call (staticCall)
+ */
+export const UNISWAP_V3_QUOTER_V2_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "uint24", name: "fee", type: "uint24" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        internalType: "struct IQuoterV2.QuoteExactInputSingleParams",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "quoteExactInputSingle",
+    outputs: [
+      { internalType: "uint256", name: "amountOut", type: "uint256" },
+      { internalType: "uint160", name: "sqrtPriceX96After", type: "uint160" },
+      { internalType: "uint32", name: "initializedTicksCrossed", type: "uint32" },
+      { internalType: "uint256", name: "gasEstimate", type: "uint256" }
+    ],
+    stateMutability: "nonpayable",
+    type: "function"
+  }
+];
+
+/**
+ * Aerodrome CL QuoterV2 ABI
+ * Same as the Uniswap V3 QuoterV2 but pools are selected by tick spacing instead of fee
+ */
+export const AERODROME_CL_QUOTER_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "int24", name: "tickSpacing", type: "int24" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        internalType: "struct IQuoterV2.QuoteExactInputSingleParams",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "quoteExactInputSingle",
+    outputs: [
+      { internalType: "uint256", name: "amountOut", type: "uint256" },
+      { internalType: "uint160", name: "sqrtPriceX96After", type: "uint160" },
+      { internalType: "uint32", name: "initializedTicksCrossed", type: "uint32" },
+      { internalType: "uint256", name: "gasEstimate", type: "uint256" }
+    ],
+    stateMutability: "nonpayable",
+    type: "function"
+  }
+];
+
+/**
+ * Uniswap SwapRouter02 ABI (exact input swaps on a single Uniswap V3 pool)
+ * SwapRouter02 has no deadline in its params, unlike the original SwapRouter;
+ * multicall(deadline, data) reverts once the deadline has passed
+ */
+export const UNISWAP_V3_SWAP_ROUTER_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint24", name: "fee", type: "uint24" },
+          { internalType: "address", name: "recipient", type: "address" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "uint256", name: "amountOutMinimum", type: "uint256" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        internalType: "struct IV3SwapRouter.ExactInputSingleParams",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "exactInputSingle",
+    outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "deadline", type: "uint256" },
+      { internalType: "bytes[]", name: "data", type: "bytes[]" }
+    ],
+    name: "multicall",
+    outputs: [{ internalType: "bytes[]", name: "", type: "bytes[]" }],
+    stateMutability: "payable",
+    type: "function"
+  }
+];
+
+/**
+ * Aerodrome CL (Slipstream) SwapRouter ABI
+ * Pools are selected by tick spacing instead of fee, and params carry a deadline
+ */
+export const AERODROME_CL_SWAP_ROUTER_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "int24", name: "tickSpacing", type: "int24" },
+          { internalType: "address", name: "recipient", type: "address" },
+          { internalType: "uint256", name: "deadline", type: "uint256" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "uint256", name: "amountOutMinimum", type: "uint256" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        internalType: "struct ISwapRouter.ExactInputSingleParams",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "exactInputSingle",
+    outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function"
+  }
+];
+
+/**
+ * Uniswap V2 Router ABI (used by BaseSwap, SwapBased)
+ */
+export const UNISWAP_V2_ROUTER_ABI = [
+  // swapExactTokensForTokens returns the amount of every hop of the path
+  {
+    inputs: [
+      { internalType: "uint256", name: "amountIn", type: "uint256" },
+      { internalType: "uint256", name: "amountOutMin", type: "uint256" },
+      { internalType: "address[]", name: "path", type: "address[]" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "deadline", type: "uint256" }
+    ],
+    name: "swapExactTokensForTokens",
+    outputs: [{ internalType: "uint256[]", name: "amounts", type: "uint256[]" }],
+    stateMutability: "nonpayable",
+    type: "function"
   }
 ];
 
@@ -143,6 +434,33 @@ export const UNISWAP_V2_PAIR_ABI = [
     outputs: [{ internalType: "address", name: "", type: "address" }],
     stateMutability: "view",
     type: "function"
+  },
+  // Sync is emitted whenever the reserves change, with the new reserves
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: false, internalType: "uint112", name: "reserve0", type: "uint112" },
+      { indexed: false, internalType: "uint112", name: "reserve1", type: "uint112" }
+    ],
+    name: "Sync",
+    type: "event"
+  }
+];
+
+/**
+ * Uniswap V2 Factory ABI (used by BaseSwap, SwapBased)
+ */
+export const UNISWAP_V2_FACTORY_ABI = [
+  // getPair returns the pair address for two tokens (zero address if none)
+  {
+    inputs: [
+      { internalType: "address", name: "tokenA", type: "address" },
+      { internalType: "address", name: "tokenB", type: "address" }
+    ],
+    name: "getPair",
+    outputs: [{ internalType: "address", name: "pair", type: "address" }],
+    stateMutability: "view",
+    type: "function"
   }
 ];
 
@@ -170,5 +488,152 @@ export const ERC20_ABI = [
     outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
     stateMutability: "view",
     type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "address", name: "owner", type: "address" },
+      { internalType: "address", name: "spender", type: "address" }
+    ],
+    name: "allowance",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "address", name: "spender", type: "address" },
+      { internalType: "uint256", name: "amount", type: "uint256" }
+    ],
+    name: "approve",
+    outputs: [{ internalType: "bool", name: "", type: "bool" }],
+    stateMutability: "nonpayable",
+    type: "function"
+  }
+];
+
+/**
+ * Multicall3 ABI (batched reads, deployed at the same address on every chain)
+ */
+export const MULTICALL3_ABI = [
+  // aggregate3 runs every call in one eth_call; allowFailure lets single calls revert
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "target", type: "address" },
+          { internalType: "bool", name: "allowFailure", type: "bool" },
+          { internalType: "bytes", name: "callData", type: "bytes" }
+        ],
+        internalType: "struct Multicall3.Call3[]",
+        name: "calls",
+        type: "tuple[]"
+      }
+    ],
+    name: "aggregate3",
+    outputs: [
+      {
+        components: [
+          { internalType: "bool", name: "success", type: "bool" },
+          { internalType: "bytes", name: "returnData", type: "bytes" }
+        ],
+        internalType: "struct Multicall3.Result[]",
+        name: "returnData",
+        type: "tuple[]"
+      }
+    ],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "getBlockNumber",
+    outputs: [{ internalType: "uint256", name: "blockNumber", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "getBasefee",
+    outputs: [{ internalType: "uint256", name: "basefee", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "address", name: "addr", type: "address" }],
+    name: "getEthBalance",
+    outputs: [{ internalType: "uint256", name: "balance", type: "uint256" }],
+    stateMutability: "view",
+    type: "function"
+  }
+];
+
+/**
+ * FlashArbitrage ABI (contracts/FlashArbitrage.sol)
+ * execute flash-swaps the base token from the buy pool, sells it and repays in one transaction
+ */
+export const FLASH_ARBITRAGE_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: "address", name: "buyPool", type: "address" },
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "enum FlashArbitrage.SellKind", name: "sellKind", type: "uint8" },
+          { internalType: "address", name: "sellRouter", type: "address" },
+          { internalType: "uint24", name: "sellFee", type: "uint24" },
+          { internalType: "int24", name: "sellTickSpacing", type: "int24" },
+          { internalType: "uint256", name: "minProfit", type: "uint256" }
+        ],
+        internalType: "struct FlashArbitrage.Params",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "execute",
+    outputs: [{ internalType: "uint256", name: "profit", type: "uint256" }],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    inputs: [],
+    name: "owner",
+    outputs: [{ internalType: "address", name: "", type: "address" }],
+    stateMutability: "view",
+    type: "function"
+  },
+  {
+    inputs: [{ internalType: "address", name: "token", type: "address" }],
+    name: "withdraw",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function"
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "buyPool", type: "address" },
+      { indexed: true, internalType: "address", name: "tokenIn", type: "address" },
+      { indexed: false, internalType: "uint256", name: "amountIn", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "profit", type: "uint256" }
+    ],
+    name: "ArbitrageExecuted",
+    type: "event"
+  },
+  { inputs: [], name: "Unauthorized", type: "error" },
+  { inputs: [], name: "UnexpectedCallback", type: "error" },
+  {
+    inputs: [
+      { internalType: "uint256", name: "received", type: "uint256" },
+      { internalType: "uint256", name: "required", type: "uint256" }
+    ],
+    name: "InsufficientProfit",
+    type: "error"
+  },
+  {
+    inputs: [{ internalType: "address", name: "token", type: "address" }],
+    name: "TokenCallFailed",
+    type: "error"
   }
 ];
@@ -0,0 +1,159 @@
+/**
+ * AI Agent State Store
+ * Persists the AIAgent's error history, recommendations, authorization requests and
+ * metrics between runs, so --ai-report reflects real history.
+ * A store is any object with load() and save(state); both are synchronous so the agent
+ * can load in its constructor. The JSON file store is the default; the SQLite store needs
+ * Node's built-in node:sqlite module (Node 22.5+)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+/**
+ * Agent store configuration
+ */
+export const AGENT_STORE_CONFIG = {
+  // "json" or "sqlite"
+  backend: process.env.AI_AGENT_STORE || "json",
+
+  // State file (JSON) or database file (SQLite);
+  // default .cache/ai-agent-state.json or .cache/ai-agent-state.db
+  path: process.env.AI_AGENT_STATE_PATH || null
+};
+
+// Layout version of the persisted state
+export const AGENT_STATE_VERSION = 2;
+
+// Upgrades from each older layout version to the next: STATE_MIGRATIONS[n] turns version n into n + 1
+const STATE_MIGRATIONS = {
+  // 2: authorization requests carry their status, decisions go to an audit log
+  1: state => {
+    const authorizedIds = new Set((state.authorizedChanges ?? []).map(change => change.id));
+    return {
+      ...state,
+      pendingChanges: (state.pendingChanges ?? []).map(change => ({
+        ...change,
+        status: authorizedIds.has(change.id) ? "approved" : "pending"
+      })),
+      auditLog: []
+    };
+  }
+};
+
+/**
+ * Brings persisted state up to AGENT_STATE_VERSION
+ * @param {Object} state - Persisted state
+ * @returns {Object} State in the current layout
+ */
+export function migrateAgentState(state) {
+  if (!Number.isInteger(state?.version)) {
+    throw new Error("AI agent state has no version");
+  }
+  if (state.version > AGENT_STATE_VERSION) {
+    throw new Error(`AI agent state version ${state.version} is newer than supported version ${AGENT_STATE_VERSION}`);
+  }
+
+  let migrated = state;
+  for (let version = state.version; version < AGENT_STATE_VERSION; version++) {
+    if (!STATE_MIGRATIONS[version]) {
+      throw new Error(`No migration from AI agent state version ${version}`);
+    }
+    migrated = { ...STATE_MIGRATIONS[version](migrated), version: version + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * JSON file store
+ * Writes to a temporary file first, so an interrupted save never leaves a truncated state
+ */
+export class JsonAgentStore {
+  /**
+   * @param {string} filePath - State file
+   */
+  constructor(filePath) {
+    this.path = filePath;
+  }
+
+  /**
+   * @returns {Object|null} Persisted state, or null if none was saved yet
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid AI agent state in ${this.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Object} state - State to persist
+   */
+  save(state) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2) + "\n");
+    fs.renameSync(tempPath, this.path);
+  }
+}
+
+/**
+ * SQLite store: one row holding the versioned state
+ */
+export class SqliteAgentStore {
+  /**
+   * @param {string} filePath - Database file
+   */
+  constructor(filePath) {
+    let sqlite;
+    try {
+      sqlite = createRequire(import.meta.url)("node:sqlite");
+    } catch {
+      throw new Error(`The SQLite agent store needs node:sqlite (Node 22.5+), running ${process.version}`);
+    }
+
+    this.path = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(filePath);
+    this.db.exec("CREATE TABLE IF NOT EXISTS agent_state (id INTEGER PRIMARY KEY CHECK (id = 1), version INTEGER NOT NULL, state TEXT NOT NULL)");
+  }
+
+  /**
+   * @returns {Object|null} Persisted state, or null if none was saved yet
+   */
+  load() {
+    const row = this.db.prepare("SELECT state FROM agent_state WHERE id = 1").get();
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  /**
+   * @param {Object} state - State to persist
+   */
+  save(state) {
+    this.db.prepare(
+      "INSERT INTO agent_state (id, version, state) VALUES (1, ?, ?) ON CONFLICT(id) DO UPDATE SET version = excluded.version, state = excluded.state"
+    ).run(state.version, JSON.stringify(state));
+  }
+}
+
+/**
+ * Creates the configured store
+ * @param {Object} config - AGENT_STORE_CONFIG overrides (backend, path)
+ * @returns {JsonAgentStore|SqliteAgentStore} Store
+ */
+export function createAgentStore(config = {}) {
+  const { backend, path: statePath } = { ...AGENT_STORE_CONFIG, ...config };
+  switch (backend) {
+    case "json":
+      return new JsonAgentStore(statePath ?? ".cache/ai-agent-state.json");
+    case "sqlite":
+      return new SqliteAgentStore(statePath ?? ".cache/ai-agent-state.db");
+    default:
+      throw new Error(`Unknown AI agent store "${backend}" (expected json or sqlite)`);
+  }
+}
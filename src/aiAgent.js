@@ -11,7 +11,10 @@
  * It does not handle general conversations or non-trading topics.
  */
 
+import fs from "node:fs";
+import path from "node:path";
 import { ARBITRAGE_CONFIG, GAS_CONFIG, TOKENS, DEXES, POOLS } from "./config.js";
+import { AGENT_STATE_VERSION, migrateAgentState } from "./agentStore.js";
 
 /**
  * AI Agent Configuration
@@ -37,11 +40,21 @@ export const AI_AGENT_CONFIG = {
   learningEnabled: true,
   errorHistoryLimit: 100,
   
+  // Persistence store (see agentStore.js); null keeps the state in memory only.
+  // Diagnoses and recommendations are pruned to errorHistoryLimit as well
+  store: null,
+  
   // Authorization requirements
   requireAuthForChanges: true,
   authorizedActions: ["recommend", "analyze", "diagnose"],
   restrictedActions: ["execute_trade", "modify_config", "deploy_contract"],
   
+  // Asked to decide each authorization request; without one, requests stay pending
+  authCallback: null,
+  
+  // NDJSON file every approval and rejection is appended to (null: agent state only)
+  auditLogPath: null,
+  
   // Trading optimization thresholds
   optimizationThresholds: {
     minProfitImprovement: 0.5, // Minimum % improvement to recommend
@@ -97,16 +110,23 @@ export const ERROR_CATEGORIES = {
  * 1. Agent generates code change recommendations
  * 2. Changes are queued in pendingChanges
  * 3. User calls requestAuthorization() with callback
- * 4. Callback approves/rejects the change
- * 5. Approved changes tracked in authorizedChanges
+ * 4. Callback approves/rejects the change, or approveChange() / rejectChange() decide it later
+ * 5. Approved changes tracked in authorizedChanges, every decision in auditLog
+ * 
+ * Persistence:
+ * With a store (config.store), the state is loaded on construction and saved after every change.
+ * Every save first merges the stored state, so decisions made by another process
+ * (e.g. --ai-approve while --monitor runs) are kept instead of overwritten
  */
 export class AIAgent {
   constructor(config = AI_AGENT_CONFIG) {
     this.config = { ...AI_AGENT_CONFIG, ...config };
+    this.store = this.config.store;
     this.errorHistory = [];
     this.recommendations = [];
     this.pendingChanges = [];
     this.authorizedChanges = [];
+    this.auditLog = [];
     this.diagnosticResults = [];
     this.performanceMetrics = {
       totalAnalyses: 0,
@@ -114,6 +134,151 @@ export class AIAgent {
       recommendationsAccepted: 0,
       recommendationsRejected: 0
     };
+    
+    // Metrics as last loaded from or saved to the store; the difference is this process's share
+    this._savedMetrics = { ...this.performanceMetrics };
+    
+    if (this.store) {
+      this._load();
+    }
+  }
+
+  /**
+   * Returns the persistable state of the agent
+   * @returns {Object} Versioned state
+   */
+  getState() {
+    return {
+      version: AGENT_STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      errorHistory: this.errorHistory,
+      recommendations: this.recommendations,
+      pendingChanges: this.pendingChanges,
+      authorizedChanges: this.authorizedChanges,
+      auditLog: this.auditLog,
+      diagnosticResults: this.diagnosticResults,
+      performanceMetrics: this.performanceMetrics
+    };
+  }
+
+  /**
+   * Restores the state saved by an earlier run
+   * State that cannot be read disables persistence for this run, so it is never overwritten
+   * @private
+   */
+  _load() {
+    try {
+      const saved = this.store.load();
+      if (!saved) {
+        return;
+      }
+      const state = migrateAgentState(saved);
+      this.errorHistory = state.errorHistory ?? [];
+      this.recommendations = state.recommendations ?? [];
+      this.pendingChanges = state.pendingChanges ?? [];
+      this.authorizedChanges = state.authorizedChanges ?? [];
+      this.auditLog = state.auditLog ?? [];
+      this.diagnosticResults = state.diagnosticResults ?? [];
+      this.performanceMetrics = { ...this.performanceMetrics, ...state.performanceMetrics };
+      this._savedMetrics = { ...this.performanceMetrics };
+      this._prune();
+    } catch (error) {
+      console.warn(`AI agent state not loaded (${error.message}), persistence disabled for this run`);
+      this.store = null;
+    }
+  }
+
+  /**
+   * Merges the stored state into this agent's state
+   * Requests, decisions and metric counts added by other processes since the last load or
+   * save are folded in; a request decided elsewhere takes that decision
+   * @private
+   */
+  _merge() {
+    let saved;
+    try {
+      saved = this.store.load();
+      if (!saved) {
+        return;
+      }
+      saved = migrateAgentState(saved);
+    } catch (error) {
+      console.warn(`AI agent state not loaded (${error.message}), persistence disabled for this run`);
+      this.store = null;
+      return;
+    }
+    
+    const requests = new Map(this.pendingChanges.map(c => [c.id, c]));
+    for (const savedRequest of saved.pendingChanges ?? []) {
+      const request = requests.get(savedRequest.id);
+      if (!request) {
+        this.pendingChanges.push(savedRequest);
+        requests.set(savedRequest.id, savedRequest);
+      } else if (request.status === "pending" && savedRequest.status !== "pending") {
+        request.status = savedRequest.status;
+      }
+    }
+    const authorizedIds = new Set(this.authorizedChanges.map(c => c.id));
+    for (const change of saved.authorizedChanges ?? []) {
+      if (!authorizedIds.has(change.id)) {
+        this.authorizedChanges.push(requests.get(change.id) ?? change);
+      }
+    }
+    
+    const entryKey = entry => `${entry.id}:${entry.decision}:${entry.timestamp}`;
+    const knownEntries = new Set(this.auditLog.map(entryKey));
+    const newEntries = (saved.auditLog ?? []).filter(entry => !knownEntries.has(entryKey(entry)));
+    if (newEntries.length > 0) {
+      this.auditLog = [...this.auditLog, ...newEntries].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    
+    // Counters: the stored value plus what this process added since it last synced
+    const savedMetrics = saved.performanceMetrics ?? {};
+    for (const [name, value] of Object.entries(this.performanceMetrics)) {
+      const baseline = this._savedMetrics[name] ?? 0;
+      const stored = savedMetrics[name] ?? baseline;
+      this.performanceMetrics[name] = stored + value - baseline;
+      this._savedMetrics[name] = stored;
+    }
+  }
+
+  /**
+   * Saves the state to the store, if any
+   * A failing store must not break the trading loop, so errors are only reported
+   * @param {boolean} merge - Merge the stored state first (false replaces it)
+   * @private
+   */
+  _save(merge = true) {
+    if (merge && this.store) {
+      this._merge();
+    }
+    if (!this.store) {
+      return;
+    }
+    this._prune();
+    try {
+      this.store.save(this.getState());
+      this._savedMetrics = { ...this.performanceMetrics };
+    } catch (error) {
+      console.warn(`AI agent state not saved: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keeps the most recent entries of every history within errorHistoryLimit
+   * Authorization requests are kept while they are pending
+   * @private
+   */
+  _prune() {
+    const limit = this.config.errorHistoryLimit;
+    this.errorHistory = this.errorHistory.slice(-limit);
+    this.diagnosticResults = this.diagnosticResults.slice(-limit);
+    this.recommendations = this.recommendations.slice(-limit);
+    this.authorizedChanges = this.authorizedChanges.slice(-limit);
+    this.auditLog = this.auditLog.slice(-limit);
+    
+    const keptDecided = new Set(this.pendingChanges.filter(c => c.status !== "pending").slice(-limit));
+    this.pendingChanges = this.pendingChanges.filter(c => c.status === "pending" || keptDecided.has(c));
   }
 
   /**
@@ -151,6 +316,7 @@ export class AIAgent {
     
     this.performanceMetrics.successfulDiagnoses++;
     this.diagnosticResults.push(diagnosis);
+    this._save();
 
     return diagnosis;
   }
@@ -451,7 +617,7 @@ export class AIAgent {
           priority: "critical",
           action: "Validate all configuration on startup",
           reasoning: "Invalid config causes runtime failures",
-          implementation: "Add config validation module with address checksums",
+          implementation: "Fix the errors src/configLoader.js reports on startup (checksums, DEX keys, decimals, pool tokens)",
           expectedImprovement: "Eliminates config-related crashes"
         });
         break;
@@ -622,39 +788,46 @@ async function getOptimalGasPrice(provider) {
 
   /**
    * Request authorization for a code change
+   * An identical change that is still pending is not queued again
    * @param {Object} change - The proposed change
-   * @param {Function} authCallback - Callback to request user authorization
+   * @param {Function} authCallback - Callback to request user authorization (default: config.authCallback)
    * @returns {Promise<Object>} Authorization result
    */
-  async requestAuthorization(change, authCallback) {
+  async requestAuthorization(change, authCallback = this.config.authCallback) {
     if (!this.config.requireAuthForChanges) {
       return { authorized: true, reason: "Auto-approved (auth disabled)" };
     }
 
-    const authRequest = {
-      id: `AUTH_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-      timestamp: new Date().toISOString(),
-      changeType: change.changeType,
-      file: change.file,
-      description: change.description,
-      impactAssessment: this._assessChangeImpact(change),
-      requiresReview: true
-    };
-
-    this.pendingChanges.push(authRequest);
+    const params = change.params ?? null;
+    let authRequest = this.pendingChanges.find(c =>
+      c.status === "pending" &&
+      c.file === change.file &&
+      c.description === change.description &&
+      JSON.stringify(c.params ?? null) === JSON.stringify(params)
+    );
+
+    if (!authRequest) {
+      authRequest = {
+        id: `AUTH_${Date.now()}_${Math.random().toString(36).substring(7)}`,
+        timestamp: new Date().toISOString(),
+        changeType: change.changeType,
+        file: change.file,
+        description: change.description,
+        params,
+        impactAssessment: this._assessChangeImpact(change),
+        requiresReview: true,
+        status: "pending"
+      };
+      this.pendingChanges.push(authRequest);
+      this._save();
+    }
 
     // If callback provided, request authorization
     if (typeof authCallback === "function") {
       const result = await authCallback(authRequest);
+      this._recordDecision(authRequest, result.authorized, result.reason, "callback");
       
-      if (result.authorized) {
-        this.authorizedChanges.push(authRequest);
-        this.performanceMetrics.recommendationsAccepted++;
-      } else {
-        this.performanceMetrics.recommendationsRejected++;
-      }
-      
-      return result;
+      return { ...result, authRequestId: authRequest.id };
     }
 
     // Return pending status if no callback
@@ -666,6 +839,92 @@ async function getOptimalGasPrice(provider) {
     };
   }
 
+  /**
+   * Authorization requests still waiting for a decision
+   * @returns {Object[]} Pending requests, oldest first
+   */
+  getPendingChanges() {
+    return this.pendingChanges.filter(c => c.status === "pending");
+  }
+
+  /**
+   * Approves a pending authorization request
+   * @param {string} id - Request id
+   * @param {Object} options - { reason, decidedBy }
+   * @returns {Object} Audit log entry
+   */
+  approveChange(id, options = {}) {
+    return this._recordDecision(this._findPending(id), true, options.reason, options.decidedBy);
+  }
+
+  /**
+   * Rejects a pending authorization request
+   * @param {string} id - Request id
+   * @param {Object} options - { reason, decidedBy }
+   * @returns {Object} Audit log entry
+   */
+  rejectChange(id, options = {}) {
+    return this._recordDecision(this._findPending(id), false, options.reason, options.decidedBy);
+  }
+
+  /**
+   * Finds a pending request by id
+   * @private
+   */
+  _findPending(id) {
+    // Pick up decisions made by other processes since the last save
+    if (this.store) {
+      this._merge();
+    }
+    const request = this.pendingChanges.find(c => c.id === id);
+    if (!request) {
+      throw new Error(`No authorization request ${id}`);
+    }
+    if (request.status !== "pending") {
+      throw new Error(`Authorization request ${id} was already ${request.status}`);
+    }
+    return request;
+  }
+
+  /**
+   * Records a decision on a request: status, metrics and audit log
+   * @private
+   */
+  _recordDecision(authRequest, authorized, reason = null, decidedBy = null) {
+    const entry = {
+      id: authRequest.id,
+      decision: authorized ? "approved" : "rejected",
+      reason: reason ?? null,
+      decidedBy: decidedBy ?? null,
+      timestamp: new Date().toISOString(),
+      file: authRequest.file,
+      description: authRequest.description,
+      params: authRequest.params ?? null
+    };
+
+    authRequest.status = entry.decision;
+    if (authorized) {
+      this.authorizedChanges.push(authRequest);
+      this.performanceMetrics.recommendationsAccepted++;
+    } else {
+      this.performanceMetrics.recommendationsRejected++;
+    }
+    this.auditLog.push(entry);
+
+    // The state's audit log is pruned; the audit file keeps every decision
+    if (this.config.auditLogPath) {
+      try {
+        fs.mkdirSync(path.dirname(this.config.auditLogPath), { recursive: true });
+        fs.appendFileSync(this.config.auditLogPath, JSON.stringify(entry) + "\n");
+      } catch (error) {
+        console.warn(`AI agent audit entry not written: ${error.message}`);
+      }
+    }
+    this._save();
+    
+    return entry;
+  }
+
   /**
    * Assess the impact of a proposed change
    * @private
@@ -743,6 +1002,7 @@ async function getOptimalGasPrice(provider) {
     }
 
     this.recommendations.push(optimizations);
+    this._save();
     return optimizations;
   }
 
@@ -811,7 +1071,8 @@ async function getOptimalGasPrice(provider) {
       performanceMetrics: { ...this.performanceMetrics },
       errorAnalysis: this._analyzeErrorPatterns(),
       diagnosticHistory: this.diagnosticResults.slice(-10), // Last 10 diagnoses
-      pendingAuthorizations: this.pendingChanges.filter(c => !this.authorizedChanges.includes(c)),
+      pendingAuthorizations: this.getPendingChanges(),
+      recentDecisions: this.auditLog.slice(-10),
       recommendations: this.recommendations,
       systemHealth: this._assessSystemHealth()
     };
@@ -819,6 +1080,14 @@ async function getOptimalGasPrice(provider) {
     return report;
   }
 
+  /**
+   * Current system health, as in the optimization report
+   * @returns {Object} { status, score, errorRate, recentErrors, recommendation }
+   */
+  getSystemHealth() {
+    return this._assessSystemHealth();
+  }
+
   /**
    * Assess overall system health
    * @private
@@ -912,6 +1181,7 @@ async function getOptimalGasPrice(provider) {
     this.recommendations = [];
     this.pendingChanges = [];
     this.authorizedChanges = [];
+    this.auditLog = [];
     this.diagnosticResults = [];
     this.performanceMetrics = {
       totalAnalyses: 0,
@@ -919,6 +1189,7 @@ async function getOptimalGasPrice(provider) {
       recommendationsAccepted: 0,
       recommendationsRejected: 0
     };
+    this._save(false);
   }
 }
 
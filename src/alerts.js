@@ -0,0 +1,708 @@
+/**
+ * Alerting
+ * Sends an alert when an analysis is profitable after gas or the AI agent's health drops,
+ * to pluggable sinks: a generic JSON webhook, Slack-compatible and Telegram-compatible chat
+ * webhooks, and email over SMTP. Each rule (ALERTS_CONFIG.RULES) has its own thresholds,
+ * sinks, message template, cooldown and deduplication window. A failing sink is reported
+ * and never stops the analysis
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import { ALERTS_CONFIG } from "./config.js";
+import { jsonReplacer } from "./output.js";
+
+export const ALERT_SINK_TYPES = ["webhook", "slack", "telegram", "smtp"];
+
+export const ALERT_EVENTS = ["opportunity", "health"];
+
+// AIAgent health statuses a health rule may match (see AIAgent.getSystemHealth)
+const HEALTH_STATUSES = ["healthy", "warning", "degraded", "critical"];
+
+// Settings of a sink, besides its type
+const SINK_FIELDS = {
+  webhook: ["url", "headers"],
+  slack: ["url"],
+  telegram: ["botToken", "chatId", "apiUrl"],
+  smtp: ["host", "port", "secure", "username", "password", "from", "to", "subjectPrefix"]
+};
+
+// Settings of a rule, common and per event
+const RULE_FIELDS = ["event", "sinks", "cooldownMs", "dedupWindowMs", "template"];
+const EVENT_RULE_FIELDS = {
+  opportunity: ["minNetProfitUsd", "minSpreadPercent", "pairs"],
+  health: ["statuses"]
+};
+
+// Placeholders a template may use, per event
+export const TEMPLATE_FIELDS = {
+  opportunity: ["rule", "timestamp", "pair", "buyFrom", "sellTo", "buyPrice", "sellPrice", "spreadPercent", "netProfitUsd", "gasCostUsd", "tradeSizeEth", "blockNumber"],
+  health: ["rule", "timestamp", "status", "score", "errorRate", "recommendation"]
+};
+
+// Message of a rule without a template
+export const DEFAULT_TEMPLATES = {
+  opportunity: "{{pair}}: buy on {{buyFrom}} at {{buyPrice}}, sell on {{sellTo}} at {{sellPrice}} ({{spreadPercent}}% spread), net ${{netProfitUsd}} for {{tradeSizeEth}} ETH after ${{gasCostUsd}} gas",
+  health: "AI agent health is {{status}} (score {{score}}, error rate {{errorRate}}): {{recommendation}}"
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fills the {{field}} placeholders of a template
+ * @param {string} template - Message template
+ * @param {Object} context - Field -> value
+ * @returns {string} Message; a field without a value renders as "n/a"
+ */
+export function renderTemplate(template, context) {
+  return template.replace(PLACEHOLDER, (_, field) => String(context[field] ?? "n/a"));
+}
+
+/**
+ * Whether a value is a plain object
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Spells the settings of sinks and rules as documented, so environment overrides
+ * (DEX_TRADER__ALERTS__SINKS__SLACK__URL) set "url" rather than "URL"
+ * @param {Object} alerts - ALERTS_CONFIG layout
+ * @returns {Object} Alerts config with canonical setting names
+ */
+export function normalizeAlertsConfig(alerts) {
+  const canonical = (entry, fields) => Object.fromEntries(Object.entries(entry).map(([key, value]) => [
+    fields.find(field => field.toLowerCase() === key.toLowerCase()) ?? key, value
+  ]));
+  const normalizeEntries = (entries, fieldsOf) => Object.fromEntries(Object.entries(entries ?? {}).map(([name, entry]) => {
+    if (!isObject(entry)) {
+      return [name, entry];
+    }
+    const withType = canonical(entry, ["type", "event"]);
+    return [name, canonical(withType, fieldsOf(withType))];
+  }));
+
+  return {
+    ...alerts,
+    SINKS: normalizeEntries(alerts.SINKS, sink => SINK_FIELDS[sink.type] ?? []),
+    RULES: normalizeEntries(alerts.RULES, rule => [...RULE_FIELDS, ...(EVENT_RULE_FIELDS[rule.event] ?? [])])
+  };
+}
+
+/**
+ * Checks the sinks and rules of an alerts config
+ * @param {Object} alerts - ALERTS_CONFIG layout ({ TIMEOUT_MS, SINKS, RULES })
+ * @returns {string[]} Errors, empty when valid
+ */
+export function validateAlertsConfig(alerts) {
+  const errors = [];
+  for (const key of Object.keys(alerts).filter(key => !["TIMEOUT_MS", "SINKS", "RULES"].includes(key))) {
+    errors.push(`alerts.${key}: unknown setting (expected TIMEOUT_MS, SINKS, RULES)`);
+  }
+  for (const key of ["SINKS", "RULES"].filter(key => !isObject(alerts[key]))) {
+    errors.push(`alerts.${key}: must be a mapping of names to entries`);
+  }
+  if (!Number.isFinite(alerts.TIMEOUT_MS) || alerts.TIMEOUT_MS <= 0) {
+    errors.push(`alerts.TIMEOUT_MS: ${JSON.stringify(alerts.TIMEOUT_MS)} must be a positive number`);
+  }
+
+  for (const [name, sink] of Object.entries(alerts.SINKS ?? {})) {
+    const where = `alerts.SINKS.${name}`;
+    if (!isObject(sink)) {
+      errors.push(`${where}: must be a mapping`);
+      continue;
+    }
+    if (!ALERT_SINK_TYPES.includes(sink.type)) {
+      errors.push(`${where}.type: ${JSON.stringify(sink.type)} is not a sink type (${ALERT_SINK_TYPES.join(", ")})`);
+      continue;
+    }
+
+    for (const field of Object.keys(sink).filter(field => field !== "type" && !SINK_FIELDS[sink.type].includes(field))) {
+      errors.push(`${where}.${field}: unknown setting for ${sink.type} sinks (expected one of ${SINK_FIELDS[sink.type].join(", ")})`);
+    }
+    const required = {
+      webhook: ["url"],
+      slack: ["url"],
+      telegram: ["botToken", "chatId"],
+      smtp: ["host", "from", "to"]
+    }[sink.type];
+    for (const field of required) {
+      if (sink[field] === undefined || sink[field] === "") {
+        errors.push(`${where}.${field}: required for ${sink.type} sinks`);
+      }
+    }
+    for (const field of ["url", "apiUrl"]) {
+      if (sink[field] !== undefined && !/^https?:\/\/[^\s]+$/.test(sink[field])) {
+        errors.push(`${where}.${field}: must be an http(s) URL`);
+      }
+    }
+    if (sink.headers !== undefined && (!isObject(sink.headers) || Object.values(sink.headers).some(value => typeof value !== "string"))) {
+      errors.push(`${where}.headers: must map header names to strings`);
+    }
+    if (sink.port !== undefined && !(Number.isInteger(sink.port) && sink.port > 0 && sink.port < 65536)) {
+      errors.push(`${where}.port: ${JSON.stringify(sink.port)} is not a port number`);
+    }
+    if (sink.to !== undefined && ![sink.to].flat().every(address => typeof address === "string" && address.includes("@"))) {
+      errors.push(`${where}.to: must be an email address or a list of them`);
+    }
+  }
+
+  for (const [name, rule] of Object.entries(alerts.RULES ?? {})) {
+    const where = `alerts.RULES.${name}`;
+    if (!isObject(rule)) {
+      errors.push(`${where}: must be a mapping`);
+      continue;
+    }
+    if (!ALERT_EVENTS.includes(rule.event)) {
+      errors.push(`${where}.event: ${JSON.stringify(rule.event)} is not an alert event (${ALERT_EVENTS.join(", ")})`);
+      continue;
+    }
+
+    const fields = [...RULE_FIELDS, ...EVENT_RULE_FIELDS[rule.event]];
+    for (const field of Object.keys(rule)) {
+      if (!fields.includes(field)) {
+        errors.push(`${where}.${field}: unknown setting for ${rule.event} rules (expected one of ${fields.join(", ")})`);
+      }
+    }
+    for (const field of ["cooldownMs", "dedupWindowMs", "minNetProfitUsd", "minSpreadPercent"]) {
+      if (rule[field] !== undefined && !(Number.isFinite(rule[field]) && rule[field] >= 0)) {
+        errors.push(`${where}.${field}: ${JSON.stringify(rule[field])} must be a finite number, not negative`);
+      }
+    }
+    if (rule.sinks !== undefined) {
+      if (!Array.isArray(rule.sinks)) {
+        errors.push(`${where}.sinks: must be a list of sink names`);
+      } else {
+        for (const sink of rule.sinks.filter(sink => !(sink in (alerts.SINKS ?? {})))) {
+          errors.push(`${where}.sinks: ${JSON.stringify(sink)} is not a configured sink`);
+        }
+      }
+    }
+    if (rule.pairs !== undefined && !(Array.isArray(rule.pairs) && rule.pairs.every(pair => typeof pair === "string"))) {
+      errors.push(`${where}.pairs: must be a list of pairs`);
+    }
+    if (rule.statuses !== undefined && !(Array.isArray(rule.statuses) && rule.statuses.every(status => HEALTH_STATUSES.includes(status)))) {
+      errors.push(`${where}.statuses: must be a list of ${HEALTH_STATUSES.join(", ")}`);
+    }
+    if (rule.template !== undefined) {
+      if (typeof rule.template !== "string") {
+        errors.push(`${where}.template: must be a string`);
+      } else {
+        for (const [, field] of rule.template.matchAll(PLACEHOLDER)) {
+          if (!TEMPLATE_FIELDS[rule.event].includes(field)) {
+            errors.push(`${where}.template: unknown field {{${field}}} (expected ${TEMPLATE_FIELDS[rule.event].join(", ")})`);
+          }
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * POSTs a JSON body and fails on a non-2xx answer
+ * Errors never include the URL, which often carries the sink's secret
+ * @private
+ */
+async function postJson(url, body, options) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...options.headers },
+    body: JSON.stringify(body, jsonReplacer),
+    signal: AbortSignal.timeout(options.timeoutMs)
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+  return text;
+}
+
+/**
+ * Generic webhook: POSTs the whole alert as JSON
+ */
+export class WebhookSink {
+  /**
+   * @param {Object} config - { url, headers }
+   * @param {Object} options - { timeoutMs }
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.timeoutMs = options.timeoutMs ?? ALERTS_CONFIG.TIMEOUT_MS;
+  }
+
+  /**
+   * Delivers one alert
+   * @param {Object} alert - Alert built by AlertManager
+   */
+  async send(alert) {
+    await postJson(this.config.url, alert, { headers: this.config.headers, timeoutMs: this.timeoutMs });
+  }
+}
+
+/**
+ * Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat, Discord's /slack endpoint)
+ */
+export class SlackSink {
+  /**
+   * @param {Object} config - { url }
+   * @param {Object} options - { timeoutMs }
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.timeoutMs = options.timeoutMs ?? ALERTS_CONFIG.TIMEOUT_MS;
+  }
+
+  /**
+   * Delivers one alert
+   * @param {Object} alert - Alert built by AlertManager
+   */
+  async send(alert) {
+    await postJson(this.config.url, { text: `*${alert.title}*\n${alert.message}` }, { timeoutMs: this.timeoutMs });
+  }
+}
+
+/**
+ * Telegram-compatible Bot API (sendMessage)
+ */
+export class TelegramSink {
+  /**
+   * @param {Object} config - { botToken, chatId, apiUrl (default https://api.telegram.org) }
+   * @param {Object} options - { timeoutMs }
+   */
+  constructor(config, options = {}) {
+    this.config = { apiUrl: "https://api.telegram.org", ...config };
+    this.timeoutMs = options.timeoutMs ?? ALERTS_CONFIG.TIMEOUT_MS;
+  }
+
+  /**
+   * Delivers one alert
+   * @param {Object} alert - Alert built by AlertManager
+   */
+  async send(alert) {
+    await postJson(`${this.config.apiUrl}/bot${this.config.botToken}/sendMessage`, {
+      chat_id: this.config.chatId,
+      text: `${alert.title}\n${alert.message}`,
+      disable_web_page_preview: true
+    }, { timeoutMs: this.timeoutMs });
+  }
+}
+
+/**
+ * Encodes a header value that is not plain ASCII (RFC 2047)
+ * @private
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Reads SMTP replies from a socket; a reply may span several "250-" lines
+ * @private
+ */
+class SmtpReplyReader {
+  constructor(socket) {
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.failure = null;
+    this.socket = socket;
+    this.onData = chunk => this._receive(chunk);
+    socket.on("data", this.onData);
+    socket.on("error", error => this._fail(error));
+    socket.on("close", () => this._fail(new Error("SMTP connection closed")));
+  }
+
+  /**
+   * Next reply: { code, text }
+   */
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+      this._settle();
+    });
+  }
+
+  /**
+   * Stops reading, before the socket is handed to TLS
+   */
+  detach() {
+    this.socket.off("data", this.onData);
+  }
+
+  /**
+   * Splits received data into lines and complete replies
+   * @private
+   */
+  _receive(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let end;
+    while ((end = this.buffer.indexOf("\r\n")) >= 0) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+      // "250-..." continues the reply, "250 ..." ends it
+      if (/^\d{3}(?!-)/.test(line)) {
+        this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.map(part => part.slice(4)).join("\n") });
+        this.lines = [];
+      }
+    }
+    this._settle();
+  }
+
+  /**
+   * Fails every pending and later read
+   * @private
+   */
+  _fail(error) {
+    this.failure ??= error;
+    this._settle();
+  }
+
+  /**
+   * Hands replies (or the failure) to waiting reads
+   * @private
+   */
+  _settle() {
+    while (this.replies.length > 0 && this.waiters.length > 0) {
+      this.waiters.shift().resolve(this.replies.shift());
+    }
+    while (this.failure && this.waiters.length > 0) {
+      this.waiters.shift().reject(this.failure);
+    }
+  }
+}
+
+/**
+ * Email over SMTP
+ * Implicit TLS with secure: true (port 465); otherwise STARTTLS whenever the server offers it.
+ * Authenticates with AUTH PLAIN when a username is set
+ */
+export class SmtpSink {
+  /**
+   * @param {Object} config - { host, port, secure, username, password, from, to, subjectPrefix }
+   * @param {Object} options - { timeoutMs }
+   */
+  constructor(config, options = {}) {
+    this.config = { port: config.secure ? 465 : 587, secure: false, subjectPrefix: "[dex-trader]", ...config };
+    this.timeoutMs = options.timeoutMs ?? ALERTS_CONFIG.TIMEOUT_MS;
+  }
+
+  /**
+   * Delivers one alert
+   * @param {Object} alert - Alert built by AlertManager
+   */
+  async send(alert) {
+    const { host, port, secure } = this.config;
+    let socket = await this._connect(secure
+      ? () => tls.connect({ host, port, servername: host })
+      : () => net.connect({ host, port }), secure ? "secureConnect" : "connect");
+    let reader = new SmtpReplyReader(socket);
+
+    try {
+      const command = async (line, expected) => {
+        if (line !== null) {
+          socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+          // Never echo the AUTH line, which holds the password
+          throw new Error(`SMTP ${line?.startsWith("AUTH") ? "AUTH" : line ?? "greeting"} answered ${reply.code} ${reply.text}`);
+        }
+        return reply;
+      };
+
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        const plainSocket = socket;
+        socket = await this._connect(() => tls.connect({ socket: plainSocket, servername: host }), "secureConnect");
+        reader = new SmtpReplyReader(socket);
+        ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      }
+      if (this.config.username) {
+        const credentials = Buffer.from(`\0${this.config.username}\0${this.config.password ?? ""}`).toString("base64");
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      const recipients = [this.config.to].flat();
+      await command(`MAIL FROM:<${this.config.from}>`, [250]);
+      for (const recipient of recipients) {
+        await command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await command("DATA", [354]);
+      await command(`${this._buildMessage(alert, recipients)}\r\n.`, [250]);
+      await command("QUIT", [221]).catch(() => {});
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Opens a socket, failing after the timeout
+   * @private
+   */
+  _connect(open, readyEvent) {
+    return new Promise((resolve, reject) => {
+      const socket = open();
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${this.timeoutMs}ms`)));
+      socket.once(readyEvent, () => {
+        socket.off("error", reject);
+        resolve(socket);
+      });
+      socket.once("error", reject);
+    });
+  }
+
+  /**
+   * Builds the message; lines starting with "." are dot-stuffed
+   * @private
+   */
+  _buildMessage(alert, recipients) {
+    const headers = [
+      `From: ${this.config.from}`,
+      `To: ${recipients.join(", ")}`,
+      `Subject: ${encodeHeader(`${this.config.subjectPrefix} ${alert.title}`.trim())}`,
+      `Date: ${new Date(alert.timestamp).toUTCString()}`,
+      `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit"
+    ];
+    const body = `${alert.message}\n`.split(/\r?\n/).map(line => line.startsWith(".") ? `.${line}` : line);
+    return [...headers, "", ...body].join("\r\n");
+  }
+}
+
+/**
+ * Creates the sink of a SINKS entry
+ * @param {Object} config - Sink settings, with type
+ * @param {Object} options - { timeoutMs }
+ * @returns {WebhookSink|SlackSink|TelegramSink|SmtpSink} Sink
+ */
+export function createSink(config, options = {}) {
+  const Sink = { webhook: WebhookSink, slack: SlackSink, telegram: TelegramSink, smtp: SmtpSink }[config.type];
+  if (!Sink) {
+    throw new Error(`Unknown alert sink type ${JSON.stringify(config.type)} (expected ${ALERT_SINK_TYPES.join(", ")})`);
+  }
+  return new Sink(config, options);
+}
+
+/**
+ * Alert Manager class
+ */
+export class AlertManager {
+  /**
+   * @param {Object} config - ALERTS_CONFIG overrides ({ TIMEOUT_MS, SINKS, RULES })
+   */
+  constructor(config = {}) {
+    this.config = { ...ALERTS_CONFIG, ...config };
+    const errors = validateAlertsConfig(this.config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid alerts config:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+    }
+
+    this.sinks = new Map(Object.entries(this.config.SINKS).map(([name, sink]) => [
+      name, createSink(sink, { timeoutMs: this.config.TIMEOUT_MS })
+    ]));
+    // Rule -> time of its last alert (cooldown), and rule + key -> time (deduplication)
+    this.lastRuleAlert = new Map();
+    this.lastKeyAlert = new Map();
+    this.stats = { sent: 0, suppressed: 0, failed: 0 };
+  }
+
+  /**
+   * Whether any sink is configured
+   */
+  get enabled() {
+    return this.sinks.size > 0;
+  }
+
+  /**
+   * Alerts on an analysis that is profitable after gas
+   * @param {string} pair - Trading pair
+   * @param {Object} analysis - Result of analyzeArbitrage
+   * @param {Object} meta - { blockNumber }
+   * @returns {Promise<Object[]>} Result of every alert sent (see _dispatch)
+   */
+  async checkAnalysis(pair, analysis, meta = {}) {
+    if (!analysis.isProfitableAfterGas) {
+      return [];
+    }
+
+    const { direction, priceDifference, profitAnalysis } = analysis;
+    const context = {
+      pair,
+      buyFrom: direction.buyFrom,
+      sellTo: direction.sellTo,
+      buyPrice: direction.buyPrice.toFixed(6),
+      sellPrice: direction.sellPrice.toFixed(6),
+      spreadPercent: priceDifference.percent.toFixed(4),
+      netProfitUsd: profitAnalysis.netProfitUsd.toFixed(2),
+      gasCostUsd: profitAnalysis.gasCostUsd.toFixed(4),
+      tradeSizeEth: profitAnalysis.tradeAmountEth,
+      blockNumber: meta.blockNumber ?? analysis.blockNumber
+    };
+
+    const results = [];
+    for (const [name, rule] of this._rules("opportunity")) {
+      if (profitAnalysis.netProfitUsd < (rule.minNetProfitUsd ?? 0) ||
+          priceDifference.percent < (rule.minSpreadPercent ?? 0) ||
+          (rule.pairs && !rule.pairs.includes(pair))) {
+        continue;
+      }
+      const result = await this._dispatch(name, rule, {
+        key: `${pair}:${direction.buyFrom}->${direction.sellTo}`,
+        severity: "info",
+        title: `Profitable arbitrage on ${pair}`,
+        context
+      });
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Alerts on the AI agent's health
+   * @param {Object} health - Result of AIAgent.getSystemHealth
+   * @returns {Promise<Object[]>} Result of every alert sent (see _dispatch)
+   */
+  async checkHealth(health) {
+    const results = [];
+    for (const [name, rule] of this._rules("health")) {
+      if (!(rule.statuses ?? ["degraded", "critical"]).includes(health.status)) {
+        continue;
+      }
+      const result = await this._dispatch(name, rule, {
+        key: health.status,
+        severity: health.status === "critical" ? "critical" : "warning",
+        title: `AI agent health ${health.status}`,
+        context: {
+          status: health.status,
+          score: health.score,
+          errorRate: health.errorRate,
+          recommendation: health.recommendation
+        }
+      });
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Sends a test alert to every sink, ignoring cooldowns
+   * @returns {Promise<Object>} { alert, delivered, failed }
+   */
+  sendTest() {
+    const timestamp = new Date().toISOString();
+    return this._deliver({
+      rule: "test",
+      event: "test",
+      key: "test",
+      severity: "info",
+      title: "Test alert",
+      message: `Alert sinks of ${os.hostname()} are working (${timestamp})`,
+      timestamp,
+      data: {}
+    }, [...this.sinks.keys()]);
+  }
+
+  /**
+   * Rules of an event
+   * @private
+   */
+  _rules(event) {
+    return Object.entries(this.config.RULES).filter(([, rule]) => rule.event === event);
+  }
+
+  /**
+   * Applies deduplication and the cooldown, then renders and delivers an alert
+   * @private
+   * @returns {Promise<Object|null>} { alert, delivered, failed }, or null when suppressed
+   */
+  async _dispatch(name, rule, { key, severity, title, context }) {
+    if (!this.enabled) {
+      return null;
+    }
+    const now = Date.now();
+    const dedupKey = `${name}\u0000${key}`;
+    const sentAt = this.lastKeyAlert.get(dedupKey);
+    const ruleSentAt = this.lastRuleAlert.get(name);
+    if ((sentAt !== undefined && now - sentAt < (rule.dedupWindowMs ?? 0)) ||
+        (ruleSentAt !== undefined && now - ruleSentAt < (rule.cooldownMs ?? 0))) {
+      this.stats.suppressed++;
+      return null;
+    }
+
+    const timestamp = new Date(now).toISOString();
+    const data = { rule: name, timestamp, ...context };
+    const alert = {
+      rule: name,
+      event: rule.event,
+      key,
+      severity,
+      title,
+      message: renderTemplate(rule.template ?? DEFAULT_TEMPLATES[rule.event], data),
+      timestamp,
+      data
+    };
+
+    // Claimed before delivering, so checks made while the alert is in flight are suppressed too
+    this.lastKeyAlert.set(dedupKey, now);
+    this.lastRuleAlert.set(name, now);
+    const result = await this._deliver(alert, rule.sinks ?? [...this.sinks.keys()]);
+    // Retried on the next check if no sink took it
+    if (result.delivered.length === 0) {
+      this._unclaim(this.lastKeyAlert, dedupKey, now, sentAt);
+      this._unclaim(this.lastRuleAlert, name, now, ruleSentAt);
+    }
+    return result;
+  }
+
+  /**
+   * Restores the previous send time of a claim no later alert has replaced
+   * @private
+   */
+  _unclaim(times, key, claimedAt, previous) {
+    if (times.get(key) !== claimedAt) {
+      return;
+    }
+    if (previous === undefined) {
+      times.delete(key);
+    } else {
+      times.set(key, previous);
+    }
+  }
+
+  /**
+   * Sends an alert to sinks in parallel
+   * @private
+   */
+  async _deliver(alert, sinkNames) {
+    const settled = await Promise.allSettled(sinkNames.map(sinkName => this.sinks.get(sinkName).send(alert)));
+    const delivered = [];
+    const failed = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === "fulfilled") {
+        delivered.push(sinkNames[index]);
+      } else {
+        failed.push({ sink: sinkNames[index], error: outcome.reason.message });
+        console.warn(`  Warning: Alert sink ${sinkNames[index]} failed (${outcome.reason.message})`);
+      }
+    });
+    this.stats.sent += delivered.length > 0 ? 1 : 0;
+    this.stats.failed += failed.length;
+    return { alert, delivered, failed };
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * HTTP API Server
+ * Serves prices, opportunities, gas and the AI agent report as JSON, so other services can
+ * query the bot instead of running the CLI. Prices and gas are cached for a short TTL, and
+ * concurrent requests for the same data share one RPC round trip
+ *
+ * Routes:
+ *   GET /pairs            Configured and discovered pairs
+ *   GET /prices/:pair     Pool prices of a pair (WETH-USDC, WETH%2FUSDC or WETH/USDC)
+ *   GET /gas              Gas price and the cost of one swap
+ *   GET /opportunities    Arbitrage analysis of every pair, most profitable first (?size=<ETH>)
+ *   GET /agent/report     AI agent optimization report
+ *   GET /metrics          Prometheus metrics (see metrics.js)
+ */
+
+import http from "node:http";
+import { fetchPricesMultipleDEXes, fetchGasPrice, estimateSwapGasCost } from "./priceFetcher.js";
+import { estimateGasForPairs, analyzeScannedPair } from "./scanner.js";
+import { listKnownPairs } from "./poolDiscovery.js";
+import { jsonReplacer } from "./output.js";
+import { POOLS, ARBITRAGE_CONFIG } from "./config.js";
+
+/**
+ * API server configuration
+ */
+export const API_SERVER_CONFIG = {
+  port: Number(process.env.API_PORT) || 8080,
+
+  // Loopback only by default; "0.0.0.0" serves other hosts
+  host: process.env.API_HOST || "127.0.0.1",
+
+  // How long fetched prices and gas stay cached
+  cacheTtlMs: 2000,
+
+  // Pair whose price values ETH for gas costs, and the value used when it cannot be priced
+  ethPricePair: "WETH/USDC",
+  fallbackEthPriceUsd: 2500,
+
+  // Discovered pool registry served alongside POOLS (see loadPoolRegistry)
+  registry: null,
+
+  // AIAgent behind /agent/report (null: the route answers 404)
+  aiAgent: null,
+
+  // MetricsCollector behind /metrics (null: the route answers 404)
+  metrics: null
+};
+
+/**
+ * Cache whose entries expire after a fixed time
+ * A key being loaded is shared by every caller; a failed load is not cached
+ */
+export class TtlCache {
+  /**
+   * @param {number} ttlMs - Time an entry stays fresh after it loaded
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Returns the cached value of a key, loading it when missing or expired
+   * @param {string} key - Cache key
+   * @param {Function} load - Async function producing the value
+   * @returns {Promise<*>} Value
+   */
+  get(key, load) {
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.hits++;
+      return cached.promise;
+    }
+
+    this.misses++;
+    // Pending until loaded, then fresh for ttlMs
+    const entry = { expiresAt: Infinity, promise: null };
+    entry.promise = Promise.resolve().then(load).then(
+      value => {
+        entry.expiresAt = Date.now() + this.ttlMs;
+        return value;
+      },
+      error => {
+        if (this.entries.get(key) === entry) {
+          this.entries.delete(key);
+        }
+        throw error;
+      }
+    );
+    this.entries.set(key, entry);
+    return entry.promise;
+  }
+}
+
+/**
+ * Error answered with an HTTP status
+ * @private
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * API Server class
+ */
+export class ApiServer {
+  /**
+   * @param {ethers.Provider} provider - Provider (or ProviderPool) used for every read
+   * @param {Object} config - API_SERVER_CONFIG overrides
+   */
+  constructor(provider, config = {}) {
+    this.provider = provider;
+    this.config = { ...API_SERVER_CONFIG, ...config };
+    this.cache = new TtlCache(this.config.cacheTtlMs);
+    this.server = http.createServer((request, response) => this._handle(request, response));
+    this.requests = 0;
+  }
+
+  /**
+   * Starts listening
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:8080
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off("error", reject);
+        const { address, port } = this.server.address();
+        resolve(`http://${address}:${port}`);
+      });
+    });
+  }
+
+  /**
+   * Stops listening and closes open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Configured and discovered pairs
+   * @returns {Object} { pairs }
+   */
+  getPairs() {
+    return { pairs: listKnownPairs(POOLS, this.config.registry) };
+  }
+
+  /**
+   * Pool prices of a pair (cached)
+   * @param {string} pair - Trading pair, e.g. "WETH/USDC"
+   * @returns {Promise<Object>} Result of fetchPricesMultipleDEXes
+   */
+  getPrices(pair) {
+    if (!this.getPairs().pairs.includes(pair)) {
+      throw httpError(404, `Unknown trading pair: ${pair}`);
+    }
+    return this.cache.get(`prices:${pair}`, () => fetchPricesMultipleDEXes(this.provider, pair, this.config.registry));
+  }
+
+  /**
+   * Gas price and the cost of one swap, valued with the ETH price pair (cached)
+   * @returns {Promise<Object>} Result of estimateSwapGasCost, with ethPriceUsd
+   */
+  async getGas() {
+    const [gasData, ethPriceUsd] = await Promise.all([
+      this.cache.get("gas", () => fetchGasPrice(this.provider)),
+      this._getEthPriceUsd()
+    ]);
+    return { ...(await estimateSwapGasCost(null, ethPriceUsd, gasData)), ethPriceUsd };
+  }
+
+  /**
+   * Arbitrage analysis of every pair, most profitable first
+   * As in --scan, gas is compared in each pair's quote token and net profits are ranked in USD
+   * Pairs whose prices could not be fetched are listed in errors
+   * @param {number} tradeSizeEth - Trade size (default ARBITRAGE_CONFIG.TRADE_SIZE_ETH)
+   * @returns {Promise<Object>} { tradeSizeEth, gasCost, opportunities, errors }
+   */
+  async getOpportunities(tradeSizeEth = ARBITRAGE_CONFIG.TRADE_SIZE_ETH) {
+    const { pairs } = this.getPairs();
+    const [gasData, ...results] = await Promise.all([
+      this.cache.get("gas", () => fetchGasPrice(this.provider)),
+      ...pairs.map(pair => this.getPrices(pair).then(
+        priceData => ({ pair, priceData }),
+        error => ({ pair, error: error.message })
+      ))
+    ]);
+
+    const errors = results.filter(result => result.error);
+    const fetched = results.filter(result => !result.error).map(result => result.priceData);
+    const { gasCost, ethPriceUsd, usdPrices } = await estimateGasForPairs(this.provider, fetched, gasData);
+    const opportunities = fetched.map(priceData => analyzeScannedPair(priceData, tradeSizeEth, gasCost.gasCostUsd, usdPrices));
+    opportunities.sort((a, b) => (b.netProfitUsd ?? -Infinity) - (a.netProfitUsd ?? -Infinity));
+
+    return { tradeSizeEth, gasCost: { ...gasCost, ethPriceUsd }, opportunities, errors };
+  }
+
+  /**
+   * AI agent optimization report
+   * @returns {Object} Result of AIAgent.generateOptimizationReport
+   */
+  getAgentReport() {
+    if (!this.config.aiAgent) {
+      throw httpError(404, "No AI agent attached to this server");
+    }
+    return this.config.aiAgent.generateOptimizationReport();
+  }
+
+  /**
+   * Prometheus metrics
+   * @returns {string} Exposition text of MetricsCollector.render
+   */
+  getMetrics() {
+    if (!this.config.metrics) {
+      throw httpError(404, "No metrics collector attached to this server");
+    }
+    return this.config.metrics.render();
+  }
+
+  /**
+   * Price of ETH in USD from the ETH price pair, or the fallback
+   * @private
+   */
+  async _getEthPriceUsd() {
+    try {
+      const priceData = await this.getPrices(this.config.ethPricePair);
+      const validPrice = priceData.prices.find(price => !price.error);
+      if (validPrice) {
+        return validPrice.priceToken0InToken1;
+      }
+    } catch {
+      // Falls back below
+    }
+    return this.config.fallbackEthPriceUsd;
+  }
+
+  /**
+   * Routes a request
+   * @private
+   */
+  async _handle(request, response) {
+    this.requests++;
+    const url = new URL(request.url, "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "");
+
+    try {
+      if (request.method !== "GET") {
+        throw httpError(405, `${request.method} is not supported; every route is GET`);
+      }
+
+      let body;
+      if (path === "/pairs") {
+        body = this.getPairs();
+      } else if (path.startsWith("/prices/")) {
+        let pair;
+        try {
+          pair = decodeURIComponent(path.slice("/prices/".length)).replace("-", "/");
+        } catch {
+          throw httpError(400, `Invalid pair in ${url.pathname}`);
+        }
+        body = await this.getPrices(pair);
+      } else if (path === "/gas") {
+        body = await this.getGas();
+      } else if (path === "/opportunities") {
+        const size = url.searchParams.has("size") ? Number(url.searchParams.get("size")) : undefined;
+        if (size !== undefined && !(size > 0)) {
+          throw httpError(400, `Invalid size ${url.searchParams.get("size")}: expected a positive number of ETH`);
+        }
+        body = await this.getOpportunities(size);
+      } else if (path === "/agent/report") {
+        body = this.getAgentReport();
+      } else if (path === "/metrics") {
+        // Rendered before any header is written, so a missing collector still gets its 404
+        const text = this.getMetrics();
+        // Scrapers expect the text format, never a cached copy
+        response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" });
+        response.end(text);
+        return;
+      } else {
+        throw httpError(404, `No route for ${url.pathname} (GET /pairs, /prices/:pair, /gas, /opportunities, /agent/report, /metrics)`);
+      }
+      this._send(response, 200, body);
+    } catch (error) {
+      // Anything without a status failed upstream (RPC)
+      this._send(response, error.status ?? 502, { error: error.message });
+    }
+  }
+
+  /**
+   * Writes a JSON response; BigInt values become decimal strings
+   * @private
+   */
+  _send(response, status, body) {
+    response.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": status === 200 ? `max-age=${Math.floor(this.config.cacheTtlMs / 1000)}` : "no-store"
+    });
+    response.end(JSON.stringify(body, jsonReplacer));
+  }
+}
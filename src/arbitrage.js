@@ -5,6 +5,7 @@
  */
 
 import { ARBITRAGE_CONFIG, GAS_CONFIG } from "./config.js";
+import { PRICE_DECIMALS, Rounding, parseFixed, mulDiv, mulFixed, divFixed, pow10 } from "./fixedPoint.js";
 
 /**
  * Calculates the percentage difference between two prices
@@ -55,24 +56,50 @@ export function determineArbitrageDirection(priceData1, priceData2, baseToken) {
   }
 }
 
+/**
+ * Converts a pool fee in hundredths of a bip (500 = 0.05%) to a fraction
+ * @param {number} fee - Pool fee in hundredths of a bip
+ * @returns {number} Fee as a fraction (0.0005)
+ */
+export function feeToFraction(fee = 0) {
+  return fee / 1_000_000;
+}
+
 /**
  * Calculates potential profit from an arbitrage trade
+ * The buy pool takes its fee from the quote token paid in, so the effective buy price is
+ * price / (1 - fee); the sell pool takes its fee from the base token sold, so the effective
+ * sell price is price x (1 - fee)
  * @param {number} buyPrice - Price to buy at
  * @param {number} sellPrice - Price to sell at
  * @param {number} tradeAmount - Amount of base token to trade
  * @param {number} slippagePercent - Expected slippage percentage
- * @returns {Object} Profit calculation results
+ * @param {Object} fees - Pool fees in hundredths of a bip
+ * @param {number} [fees.buyFee] - Fee of the buy pool (e.g. 500 = 0.05%)
+ * @param {number} [fees.sellFee] - Fee of the sell pool
+ * @returns {Object} Profit calculation results, with fees and slippage broken out
  */
-export function calculatePotentialProfit(buyPrice, sellPrice, tradeAmount, slippagePercent = ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT) {
-  // Calculate effective prices after slippage
-  const effectiveBuyPrice = buyPrice * (1 + slippagePercent / 100);
-  const effectiveSellPrice = sellPrice * (1 - slippagePercent / 100);
+export function calculatePotentialProfit(buyPrice, sellPrice, tradeAmount, slippagePercent = ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT, fees = {}) {
+  const buyFee = feeToFraction(fees.buyFee);
+  const sellFee = feeToFraction(fees.sellFee);
+  
+  // Calculate prices after slippage, then after pool fees
+  const slippedBuyPrice = buyPrice * (1 + slippagePercent / 100);
+  const slippedSellPrice = sellPrice * (1 - slippagePercent / 100);
+  const effectiveBuyPrice = slippedBuyPrice / (1 - buyFee);
+  const effectiveSellPrice = slippedSellPrice * (1 - sellFee);
   
   // Calculate profit in quote token (e.g., USDC)
   const costToBuy = tradeAmount * effectiveBuyPrice;
   const revenueFromSell = tradeAmount * effectiveSellPrice;
   const grossProfitQuote = revenueFromSell - costToBuy;
   
+  // Break the spread down: spread - slippage - fees = gross profit
+  const grossSpreadQuote = tradeAmount * (sellPrice - buyPrice);
+  const slippageCostQuote = tradeAmount * (slippedBuyPrice - buyPrice + sellPrice - slippedSellPrice);
+  const buyFeeQuote = tradeAmount * (effectiveBuyPrice - slippedBuyPrice);
+  const sellFeeQuote = tradeAmount * (slippedSellPrice - effectiveSellPrice);
+  
   // Calculate profit percentage
   const profitPercent = (grossProfitQuote / costToBuy) * 100;
   
@@ -83,6 +110,58 @@ export function calculatePotentialProfit(buyPrice, sellPrice, tradeAmount, slipp
     grossProfitQuote,
     profitPercent,
     effectiveBuyPrice,
+    effectiveSellPrice,
+    grossSpreadQuote,
+    slippageCostQuote,
+    buyFeeQuote,
+    sellFeeQuote,
+    totalFeesQuote: buyFeeQuote + sellFeeQuote
+  };
+}
+
+/**
+ * Calculates potential profit with exact fixed-point math (see fixedPoint.js)
+ * Same calculation as calculatePotentialProfit, rounded against the trader at every step:
+ * buy price and cost round up, sell price and revenue round down
+ * @param {bigint|string|number} buyPrice - Price to buy at (fixed-point bigint or decimal)
+ * @param {bigint|string|number} sellPrice - Price to sell at (fixed-point bigint or decimal)
+ * @param {bigint|string|number} tradeAmount - Amount of base token to trade (fixed-point bigint or decimal)
+ * @param {bigint|string|number} slippagePercent - Expected slippage percentage (fixed-point bigint or decimal)
+ * @param {number} precision - Decimals of the fixed-point values
+ * @param {Object} fees - Pool fees in hundredths of a bip ({ buyFee, sellFee }), as for calculatePotentialProfit
+ * @returns {Object} Profit calculation results as fixed-point bigints
+ */
+export function calculatePotentialProfitFixed(buyPrice, sellPrice, tradeAmount, slippagePercent = ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT, precision = PRICE_DECIMALS, fees = {}) {
+  const toFixed = value => typeof value === "bigint" ? value : parseFixed(value, precision);
+  const one = pow10(precision);
+  const hundred = 100n * one;
+  const slippage = toFixed(slippagePercent);
+  const amount = toFixed(tradeAmount);
+  const buyFee = mulDiv(BigInt(fees.buyFee ?? 0), one, 1_000_000n, Rounding.UP);
+  const sellFee = mulDiv(BigInt(fees.sellFee ?? 0), one, 1_000_000n, Rounding.UP);
+  
+  // Calculate effective prices after slippage, then after pool fees
+  const slippedBuyPrice = mulFixed(toFixed(buyPrice), one + divFixed(slippage, hundred, precision, Rounding.UP), precision, Rounding.UP);
+  const slippedSellPrice = mulFixed(toFixed(sellPrice), one - divFixed(slippage, hundred, precision, Rounding.UP), precision, Rounding.DOWN);
+  const effectiveBuyPrice = divFixed(slippedBuyPrice, one - buyFee, precision, Rounding.UP);
+  const effectiveSellPrice = mulFixed(slippedSellPrice, one - sellFee, precision, Rounding.DOWN);
+  
+  // Calculate profit in quote token (e.g., USDC)
+  const costToBuy = mulFixed(amount, effectiveBuyPrice, precision, Rounding.UP);
+  const revenueFromSell = mulFixed(amount, effectiveSellPrice, precision, Rounding.DOWN);
+  const grossProfitQuote = revenueFromSell - costToBuy;
+  
+  // Calculate profit percentage
+  const profitPercent = costToBuy === 0n ? 0n : divFixed(grossProfitQuote * 100n, costToBuy, precision, Rounding.DOWN);
+  
+  return {
+    precision,
+    tradeAmount: amount,
+    costToBuy,
+    revenueFromSell,
+    grossProfitQuote,
+    profitPercent,
+    effectiveBuyPrice,
     effectiveSellPrice
   };
 }
@@ -91,13 +170,14 @@ export function calculatePotentialProfit(buyPrice, sellPrice, tradeAmount, slipp
  * Calculates net profit after gas fees
  * @param {number} grossProfitUsd - Gross profit in USD
  * @param {number} gasCostUsd - Total gas cost for both swaps in USD
+ * @param {number} minProfit - Net profit required, in the same unit (default GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD)
  * @returns {Object} Net profit calculation
  */
-export function calculateNetProfit(grossProfitUsd, gasCostUsd) {
+export function calculateNetProfit(grossProfitUsd, gasCostUsd, minProfit = GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD) {
   // Need two swaps: buy on DEX A, sell on DEX B
   const totalGasCost = gasCostUsd * 2;
   const netProfitUsd = grossProfitUsd - totalGasCost;
-  const isProfitable = netProfitUsd > GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD;
+  const isProfitable = netProfitUsd > minProfit;
   
   return {
     grossProfitUsd,
@@ -108,14 +188,98 @@ export function calculateNetProfit(grossProfitUsd, gasCostUsd) {
   };
 }
 
+/**
+ * Calculates profit from quoted swap amounts instead of mid prices
+ * The quote already includes pool fees and price impact, so no flat slippage is applied.
+ * Fees are backed out of the quoted amounts; with the mid prices, the rest of the
+ * spread lost is reported as price impact in slippageCostQuote
+ * @param {Object} quote - Arbitrage quote from quoter.js quoteArbitrage()
+ * @param {Object} [midPrices] - { buyPrice, sellPrice } mid prices of the two pools
+ * @param {Object} fees - Pool fees in hundredths of a bip ({ buyFee, sellFee })
+ * @returns {Object} Profit calculation results (same shape as calculatePotentialProfit) with
+ *   feasible; a quote that spends or buys nothing is { feasible: false, reason } with null amounts
+ */
+export function calculateQuotedProfit(quote, midPrices = null, fees = {}) {
+  const costToBuy = quote.amountInFormatted;
+  const revenueFromSell = quote.amountOutFormatted;
+  if (!(costToBuy > 0) || !(quote.baseAmountFormatted > 0)) {
+    return {
+      feasible: false,
+      reason: `Quote ${costToBuy > 0 ? "buys no base token" : "spends no quote token"}`,
+      tradeAmount: quote.baseAmountFormatted,
+      costToBuy,
+      revenueFromSell,
+      grossProfitQuote: null,
+      profitPercent: null,
+      effectiveBuyPrice: null,
+      effectiveSellPrice: null
+    };
+  }
+  const grossProfitQuote = revenueFromSell - costToBuy;
+  
+  // The buy pool keeps its fee out of the quote token paid in, the sell pool out of the base
+  // token sold (worth revenue / (1 - fee) before the fee)
+  const buyFeeQuote = costToBuy * feeToFraction(fees.buyFee);
+  const sellFeeQuote = revenueFromSell * feeToFraction(fees.sellFee) / (1 - feeToFraction(fees.sellFee));
+  const totalFeesQuote = buyFeeQuote + sellFeeQuote;
+  
+  // Spread at mid prices for the base amount the quote token buys at the buy pool mid price
+  const grossSpreadQuote = midPrices
+    ? (costToBuy / midPrices.buyPrice) * (midPrices.sellPrice - midPrices.buyPrice)
+    : null;
+  
+  return {
+    feasible: true,
+    tradeAmount: quote.baseAmountFormatted,
+    costToBuy,
+    revenueFromSell,
+    grossProfitQuote,
+    profitPercent: (grossProfitQuote / costToBuy) * 100,
+    effectiveBuyPrice: costToBuy / quote.baseAmountFormatted,
+    effectiveSellPrice: revenueFromSell / quote.baseAmountFormatted,
+    grossSpreadQuote,
+    slippageCostQuote: grossSpreadQuote === null ? null : grossSpreadQuote - totalFeesQuote - grossProfitQuote,
+    buyFeeQuote,
+    sellFeeQuote,
+    totalFeesQuote
+  };
+}
+
+/**
+ * Finds the best buy (lowest price) and best sell (highest price) among valid prices
+ * @param {Object[]} validPrices - Price data without errors
+ * @returns {Object} { bestBuy, bestSell }
+ */
+export function findBestPrices(validPrices) {
+  let bestBuy = validPrices[0];
+  let bestSell = validPrices[0];
+  
+  for (const price of validPrices) {
+    if (price.priceToken0InToken1 < bestBuy.priceToken0InToken1) {
+      bestBuy = price;
+    }
+    if (price.priceToken0InToken1 > bestSell.priceToken0InToken1) {
+      bestSell = price;
+    }
+  }
+  
+  return { bestBuy, bestSell };
+}
+
 /**
  * Performs complete arbitrage analysis
  * @param {Object[]} prices - Array of price data from multiple DEXes
  * @param {number} tradeAmountEth - Amount of ETH to trade
- * @param {number} gasCostUsd - Gas cost per swap in USD
+ * @param {number} gasCostUsd - Gas cost per swap in the quote token (USD for USD-quoted pairs)
+ * @param {Object} options - Analysis options
+ * @param {Object} [options.quote] - Quoter result for the best buy/sell pools; when given,
+ *                                   profit uses the quoted amounts instead of mid prices
+ * @param {number} [options.quoteUsd] - USD value of one quote token (default 1), so that
+ *                                      MIN_PROFIT_THRESHOLD_USD applies in USD
+ * @param {number} [options.minPriceDiffPercent] - Threshold overriding ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT
  * @returns {Object} Complete arbitrage analysis
  */
-export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd) {
+export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd, options = {}) {
   // Filter out prices with errors
   const validPrices = prices.filter(p => !p.error && p.priceToken0InToken1);
   
@@ -128,17 +292,7 @@ export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd) {
   }
   
   // Find best buy (lowest price) and best sell (highest price)
-  let bestBuy = validPrices[0];
-  let bestSell = validPrices[0];
-  
-  for (const price of validPrices) {
-    if (price.priceToken0InToken1 < bestBuy.priceToken0InToken1) {
-      bestBuy = price;
-    }
-    if (price.priceToken0InToken1 > bestSell.priceToken0InToken1) {
-      bestSell = price;
-    }
-  }
+  const { bestBuy, bestSell } = findBestPrices(validPrices);
   
   // If best buy and sell are the same DEX, no arbitrage possible
   if (bestBuy.dex === bestSell.dex) {
@@ -151,17 +305,28 @@ export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd) {
   
   // Calculate arbitrage details
   const direction = determineArbitrageDirection(bestBuy, bestSell, "WETH");
-  const profitCalc = calculatePotentialProfit(
-    direction.buyPrice,
-    direction.sellPrice,
-    tradeAmountEth
-  );
+  const [buyPool, sellPool] = direction.buyFrom === bestBuy.dex ? [bestBuy, bestSell] : [bestSell, bestBuy];
+  const fees = { buyFee: buyPool.fee ?? 0, sellFee: sellPool.fee ?? 0 };
+  const quote = options.quote ?? null;
+  const profitCalc = quote
+    ? calculateQuotedProfit(quote, direction, fees)
+    : calculatePotentialProfit(direction.buyPrice, direction.sellPrice, tradeAmountEth, ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT, fees);
+  
+  if (profitCalc.feasible === false) {
+    return {
+      hasOpportunity: false,
+      isProfitableAfterGas: false,
+      reason: `${profitCalc.reason} at ${tradeAmountEth} ETH`,
+      prices: validPrices.map(p => ({ dex: p.dex, price: p.priceToken0InToken1 }))
+    };
+  }
   
   // Calculate net profit after gas
-  const netProfitCalc = calculateNetProfit(profitCalc.grossProfitQuote, gasCostUsd);
+  const netProfitCalc = calculateNetProfit(profitCalc.grossProfitQuote, gasCostUsd, GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD / (options.quoteUsd ?? 1));
   
   // Determine if opportunity exists
-  const hasOpportunity = direction.priceDiffPercent >= ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT;
+  const minPriceDiffPercent = options.minPriceDiffPercent ?? ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT;
+  const hasOpportunity = direction.priceDiffPercent >= minPriceDiffPercent;
   
   return {
     hasOpportunity,
@@ -174,16 +339,26 @@ export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd) {
     },
     priceDifference: {
       percent: direction.priceDiffPercent,
-      meetsThreshold: direction.priceDiffPercent >= ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT
+      meetsThreshold: hasOpportunity
     },
     profitAnalysis: {
+      pricingMode: quote ? "quoted" : "mid",
       tradeAmountEth: tradeAmountEth,
+      effectiveBuyPrice: profitCalc.effectiveBuyPrice,
+      effectiveSellPrice: profitCalc.effectiveSellPrice,
+      grossSpreadUsd: profitCalc.grossSpreadQuote,
+      buyFeePercent: fees.buyFee / 10_000,
+      sellFeePercent: fees.sellFee / 10_000,
+      buyFeeUsd: profitCalc.buyFeeQuote,
+      sellFeeUsd: profitCalc.sellFeeQuote,
+      totalFeesUsd: profitCalc.totalFeesQuote,
+      slippageCostUsd: profitCalc.slippageCostQuote,
       grossProfitUsd: profitCalc.grossProfitQuote,
       gasCostUsd: netProfitCalc.totalGasCostUsd,
       netProfitUsd: netProfitCalc.netProfitUsd,
       profitAfterSlippage: profitCalc.profitPercent
     },
-    recommendation: getRecommendation(netProfitCalc, direction.priceDiffPercent),
+    recommendation: getRecommendation(netProfitCalc, direction.priceDiffPercent, minPriceDiffPercent),
     allPrices: validPrices.map(p => ({
       dex: p.dex,
       price: p.priceToken0InToken1,
@@ -197,10 +372,11 @@ export function analyzeArbitrage(prices, tradeAmountEth, gasCostUsd) {
  * Generates a human-readable recommendation
  * @param {Object} netProfitCalc - Net profit calculation
  * @param {number} priceDiffPercent - Price difference percentage
+ * @param {number} minPriceDiffPercent - Minimum price difference percentage
  * @returns {string} Recommendation
  */
-function getRecommendation(netProfitCalc, priceDiffPercent) {
-  if (priceDiffPercent < ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT) {
+function getRecommendation(netProfitCalc, priceDiffPercent, minPriceDiffPercent) {
+  if (priceDiffPercent < minPriceDiffPercent) {
     return "NO TRADE - Price difference below minimum threshold";
   }
   
@@ -250,7 +426,13 @@ export function formatArbitrageAnalysis(analysis) {
   lines.push(`  Price Diff: ${analysis.priceDifference.percent.toFixed(4)}%`);
   lines.push("");
   lines.push("PROFIT ANALYSIS:");
+  lines.push(`  Pricing:         ${analysis.profitAnalysis.pricingMode === "quoted" ? "On-chain quotes (exact trade size)" : "Mid price + slippage"}`);
   lines.push(`  Trade Size:      ${analysis.profitAnalysis.tradeAmountEth} ETH`);
+  lines.push(`  Effective Buy:   $${analysis.profitAnalysis.effectiveBuyPrice.toFixed(6)}`);
+  lines.push(`  Effective Sell:  $${analysis.profitAnalysis.effectiveSellPrice.toFixed(6)}`);
+  lines.push(`  Gross Spread:    $${analysis.profitAnalysis.grossSpreadUsd.toFixed(4)}`);
+  lines.push(`  Pool Fees:       -$${analysis.profitAnalysis.totalFeesUsd.toFixed(4)} (buy ${analysis.profitAnalysis.buyFeePercent}%, sell ${analysis.profitAnalysis.sellFeePercent}%)`);
+  lines.push(`  ${analysis.profitAnalysis.pricingMode === "quoted" ? "Price Impact:    " : "Slippage:        "}-$${analysis.profitAnalysis.slippageCostUsd.toFixed(4)}`);
   lines.push(`  Gross Profit:    $${analysis.profitAnalysis.grossProfitUsd.toFixed(4)}`);
   lines.push(`  Gas Cost (2 swaps): $${analysis.profitAnalysis.gasCostUsd.toFixed(4)}`);
   lines.push(`  Net Profit:      $${analysis.profitAnalysis.netProfitUsd.toFixed(4)}`);
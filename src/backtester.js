@@ -0,0 +1,373 @@
+/**
+ * Backtester
+ * Replays recorded per-block pool snapshots through analyzeArbitrage to judge
+ * MIN_PRICE_DIFF_PERCENT and TRADE_SIZE_ETH against history.
+ * Every block is decided on mid prices, as the bot does live, then filled a few blocks
+ * later against the recorded pool state (constant-product for V2 pairs, the concentrated
+ * liquidity simulator for V3 / CL pools), so the P&L includes price impact and latency
+ *
+ * Snapshot files are NDJSON, one snapshot per line (the recorder writes the same format):
+ *   { "blockNumber": 123, "timestamp": 1700000000, "pair": "WETH/USDC",
+ *     "gasPrice": "5000000", "ethPriceUsd": 2000,
+ *     "pools": { "<poolKey>": { ...pool entry as in POOLS, "address": "0x...",
+ *       "sqrtPriceX96": "...", "tick": -200311, "liquidity": "...", "ticks": { "<tick>": "<liquidityNet>" } }
+ *       | { ...pool entry, "reserve0": "...", "reserve1": "..." } } }
+ * ethPriceUsd is only needed when the pair's base token is not WETH. ticks are optional; fills through
+ * V3 / CL pools recorded without them are counted as approximate
+ */
+
+import fs from "node:fs";
+import { TOKENS, ARBITRAGE_CONFIG } from "./config.js";
+import {
+  buildSlot0PriceData,
+  buildReservesPriceData,
+  orientPoolPrice,
+  getPoolType,
+  getPoolLabel,
+  estimateSwapGasCost
+} from "./priceFetcher.js";
+import { analyzeArbitrage } from "./arbitrage.js";
+import { createSwapLeg, evaluateTradeSize } from "./tradeSizer.js";
+import { createPoolState } from "./clSimulator.js";
+import { listRecordFiles } from "./recorder.js";
+
+/**
+ * Backtest configuration
+ */
+export const BACKTEST_CONFIG = {
+  // Strategy parameters replayed; null reads the live ARBITRAGE_CONFIG when the backtest
+  // runs, so --config and the overlay apply
+  tradeSizeEth: null,
+  minPriceDiffPercent: null,
+
+  // Blocks between the decision and the fill
+  executionDelayBlocks: 1,
+
+  // Grid searched by sweepParameters
+  sweep: {
+    minPriceDiffPercent: [0.05, 0.1, 0.25, 0.5, 1],
+    tradeSizeEth: [0.1, 0.5, 1, 2, 5]
+  }
+};
+
+/**
+ * Loads the snapshots of an NDJSON file, or of every file of a recording directory, oldest first
+ * Lines with a type other than "snapshot" (e.g. other recorder records) are skipped, and a
+ * block recorded more than once for a pair keeps its first snapshot
+ * @param {string} filePath - Path of the snapshot file or recording directory (see recorder.js)
+ * @returns {Object[]} Snapshots sorted by block number
+ */
+export function loadSnapshots(filePath) {
+  const files = fs.statSync(filePath).isDirectory() ? listRecordFiles(filePath) : [filePath];
+  const snapshots = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    fs.readFileSync(file, "utf8").split("\n").forEach((line, index) => {
+      if (line.trim() === "") {
+        return;
+      }
+      let snapshot;
+      try {
+        snapshot = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+      }
+      // Fetches recorded without a Multicall3 batch have no single block to replay at
+      if ((snapshot.type !== undefined && snapshot.type !== "snapshot") || snapshot.blockNumber === null) {
+        return;
+      }
+      if (!Number.isInteger(snapshot.blockNumber) || !snapshot.pair || !snapshot.pools) {
+        throw new Error(`${file}:${index + 1}: snapshot needs blockNumber, pair and pools`);
+      }
+
+      const key = `${snapshot.pair}@${snapshot.blockNumber}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        snapshots.push(snapshot);
+      }
+    });
+  }
+
+  return snapshots.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Rebuilds the price data of a snapshot, as fetchPricesMultipleDEXes returns it
+ * Pools whose state cannot be priced become { dex, error } entries
+ * @param {Object} snapshot - Snapshot
+ * @returns {Object} Price data with blockNumber
+ */
+export function snapshotToPriceData(snapshot) {
+  const [token0Symbol, token1Symbol] = snapshot.pair.split("/");
+  const baseDecimals = TOKENS[token0Symbol]?.decimals ?? 18;
+  const quoteDecimals = TOKENS[token1Symbol]?.decimals ?? 6;
+
+  const prices = Object.entries(snapshot.pools).map(([poolKey, pool]) => {
+    const [token0Decimals, token1Decimals] = pool.isToken0Base !== false
+      ? [baseDecimals, quoteDecimals]
+      : [quoteDecimals, baseDecimals];
+    const label = getPoolLabel(poolKey, pool);
+
+    try {
+      const priceData = getPoolType(poolKey, pool) === "V2"
+        ? buildReservesPriceData(label, pool.address, BigInt(pool.reserve0), BigInt(pool.reserve1), token0Decimals, token1Decimals)
+        : buildSlot0PriceData(label, pool.address, BigInt(pool.sqrtPriceX96), pool.tick, BigInt(pool.liquidity), token0Decimals, token1Decimals);
+      return {
+        ...orientPoolPrice(priceData, poolKey, pool),
+        ticks: pool.ticks ?? null,
+        blockNumber: snapshot.blockNumber
+      };
+    } catch (error) {
+      return { dex: label, error: error.message };
+    }
+  });
+
+  return {
+    pair: snapshot.pair,
+    token0: token0Symbol,
+    token1: token1Symbol,
+    prices,
+    blockNumber: snapshot.blockNumber
+  };
+}
+
+/**
+ * Gas cost of one swap at a snapshot, in the quote token
+ * @param {Object} snapshot - Snapshot
+ * @param {Object} priceData - Result of snapshotToPriceData
+ * @returns {Promise<Object>} Result of estimateSwapGasCost
+ */
+export async function snapshotGasCost(snapshot, priceData) {
+  const firstPrice = priceData.prices.find(p => !p.error)?.priceToken0InToken1;
+  const ethPriceUsd = snapshot.ethPriceUsd ?? (priceData.token0 === "WETH" ? firstPrice : undefined);
+  if (ethPriceUsd === undefined) {
+    throw new Error(`Snapshot of ${snapshot.pair} at block ${snapshot.blockNumber} needs ethPriceUsd to price gas`);
+  }
+  return estimateSwapGasCost(null, ethPriceUsd, { gasPrice: snapshot.gasPrice ?? "0", gasPriceGwei: null });
+}
+
+/**
+ * Fills a trade against the recorded state of its two pools
+ * A fill through a concentrated liquidity pool recorded without its ticks is approximate:
+ * the swap never crosses a tick, so the pool's liquidity is taken as constant
+ * @private
+ */
+function fillTrade(priceData, direction, tradeSizeEth, gasCostUsd) {
+  const buyPool = priceData.prices.find(p => p.dex === direction.buyFrom && !p.error);
+  const sellPool = priceData.prices.find(p => p.dex === direction.sellTo && !p.error);
+  if (!buyPool || !sellPool) {
+    return null;
+  }
+
+  const createLeg = pool => createSwapLeg(pool, pool.poolType === "V2" ? null : createPoolState({
+    sqrtPriceX96: pool.sqrtPriceX96,
+    tick: pool.tick,
+    liquidity: pool.liquidity,
+    fee: pool.fee,
+    // Without recorded ticks the spacing only bounds how far a swap may move the price
+    tickSpacing: pool.tickSpacing ?? 1,
+    ticks: pool.ticks ?? {}
+  }));
+
+  const fill = evaluateTradeSize(createLeg(buyPool), createLeg(sellPool), tradeSizeEth, {
+    buyPrice: buyPool.priceToken0InToken1,
+    baseDecimals: TOKENS[priceData.token0]?.decimals ?? 18,
+    quoteDecimals: TOKENS[priceData.token1]?.decimals ?? 6,
+    gasCostUsd
+  });
+  return { ...fill, approximate: [buyPool, sellPool].some(pool => pool.poolType !== "V2" && !pool.ticks) };
+}
+
+/**
+ * Replays snapshots through analyzeArbitrage
+ * A block is traded when the analysis finds an opportunity that is profitable after gas.
+ * Every block with a direction is also filled executionDelayBlocks later: traded blocks
+ * make the P&L, untraded blocks whose fill would have been profitable are missed opportunities
+ * @param {Object[]} snapshots - Snapshots from loadSnapshots, oldest first
+ * @param {Object} options - BACKTEST_CONFIG overrides (tradeSizeEth, minPriceDiffPercent, executionDelayBlocks)
+ * @returns {Promise<Object>} { params, blocks, trades, hits, hitRate, totalPnlUsd, maxDrawdownUsd,
+ *   unfilled, missed, missedProfitUsd, approximateFills, curve, tradeLog, missedLog }
+ */
+export async function runBacktest(snapshots, options = {}) {
+  const config = { ...BACKTEST_CONFIG, ...options };
+  config.tradeSizeEth ??= ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  config.minPriceDiffPercent ??= ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT;
+  const byPair = new Map();
+  for (const snapshot of snapshots) {
+    byPair.set(snapshot.pair, [...(byPair.get(snapshot.pair) ?? []), snapshot]);
+  }
+
+  // Price every snapshot once; fills reuse the state of later snapshots
+  const states = new Map();
+  for (const snapshot of snapshots) {
+    const priceData = snapshotToPriceData(snapshot);
+    states.set(snapshot, { priceData, gasCost: await snapshotGasCost(snapshot, priceData) });
+  }
+
+  const tradeLog = [];
+  const missedLog = [];
+  let unfilled = 0;
+
+  for (const [pair, pairSnapshots] of byPair) {
+    pairSnapshots.forEach((snapshot, index) => {
+      const { priceData, gasCost } = states.get(snapshot);
+      const analysis = analyzeArbitrage(priceData.prices, config.tradeSizeEth, gasCost.gasCostUsd, {
+        minPriceDiffPercent: config.minPriceDiffPercent
+      });
+      if (!analysis.direction) {
+        return;
+      }
+
+      const traded = analysis.hasOpportunity && analysis.isProfitableAfterGas;
+      const fillSnapshot = pairSnapshots.slice(index)
+        .find(later => later.blockNumber >= snapshot.blockNumber + config.executionDelayBlocks);
+      if (!fillSnapshot) {
+        unfilled += traded ? 1 : 0;
+        return;
+      }
+
+      const fillState = states.get(fillSnapshot);
+      const fill = fillTrade(fillState.priceData, analysis.direction, config.tradeSizeEth, fillState.gasCost.gasCostUsd);
+      const entry = {
+        pair,
+        blockNumber: snapshot.blockNumber,
+        fillBlockNumber: fillSnapshot.blockNumber,
+        buyFrom: analysis.direction.buyFrom,
+        sellTo: analysis.direction.sellTo,
+        priceDiffPercent: analysis.priceDifference.percent,
+        expectedNetProfitUsd: analysis.profitAnalysis.netProfitUsd,
+        realizedNetProfitUsd: fill?.feasible ? fill.netProfitUsd : null,
+        approximateFill: fill?.approximate ?? false
+      };
+
+      if (traded) {
+        tradeLog.push(entry);
+      } else if (entry.realizedNetProfitUsd > 0) {
+        missedLog.push(entry);
+      }
+    });
+  }
+
+  // P&L curve over all pairs, in block order
+  tradeLog.sort((a, b) => a.fillBlockNumber - b.fillBlockNumber);
+  const curve = [];
+  let pnl = 0;
+  let peak = 0;
+  let maxDrawdownUsd = 0;
+  for (const trade of tradeLog) {
+    pnl += trade.realizedNetProfitUsd ?? 0;
+    peak = Math.max(peak, pnl);
+    maxDrawdownUsd = Math.max(maxDrawdownUsd, peak - pnl);
+    curve.push({ blockNumber: trade.fillBlockNumber, pnlUsd: pnl });
+  }
+
+  const hits = tradeLog.filter(trade => trade.realizedNetProfitUsd > 0).length;
+  return {
+    params: {
+      tradeSizeEth: config.tradeSizeEth,
+      minPriceDiffPercent: config.minPriceDiffPercent,
+      executionDelayBlocks: config.executionDelayBlocks
+    },
+    blocks: snapshots.length,
+    trades: tradeLog.length,
+    hits,
+    hitRate: tradeLog.length > 0 ? hits / tradeLog.length : null,
+    totalPnlUsd: pnl,
+    maxDrawdownUsd,
+    unfilled,
+    missed: missedLog.length,
+    missedProfitUsd: missedLog.reduce((sum, entry) => sum + entry.realizedNetProfitUsd, 0),
+    approximateFills: [...tradeLog, ...missedLog].filter(entry => entry.approximateFill).length,
+    curve,
+    tradeLog,
+    missedLog
+  };
+}
+
+/**
+ * Runs the backtest for every combination of the sweep grid
+ * @param {Object[]} snapshots - Snapshots from loadSnapshots
+ * @param {Object} grid - { minPriceDiffPercent: number[], tradeSizeEth: number[] } (default BACKTEST_CONFIG.sweep)
+ * @param {Object} options - Other BACKTEST_CONFIG overrides
+ * @returns {Promise<Object[]>} Backtest results, highest P&L first
+ */
+export async function sweepParameters(snapshots, grid = BACKTEST_CONFIG.sweep, options = {}) {
+  const results = [];
+  for (const minPriceDiffPercent of grid.minPriceDiffPercent) {
+    for (const tradeSizeEth of grid.tradeSizeEth) {
+      results.push(await runBacktest(snapshots, { ...options, minPriceDiffPercent, tradeSizeEth }));
+    }
+  }
+  return results.sort((a, b) => b.totalPnlUsd - a.totalPnlUsd);
+}
+
+/**
+ * Formats a backtest result for display
+ * @param {Object} result - Result of runBacktest
+ * @returns {string} Formatted output
+ */
+export function formatBacktestReport(result) {
+  const { params } = result;
+  const lines = [
+    "═══════════════════════════════════════════════════════════════",
+    "                        BACKTEST RESULTS                        ",
+    "═══════════════════════════════════════════════════════════════",
+    "",
+    `Trade size: ${params.tradeSizeEth} ETH, min price diff: ${params.minPriceDiffPercent}%, ` +
+      `fill delay: ${params.executionDelayBlocks} block(s)`,
+    `Snapshots replayed: ${result.blocks}`,
+    "",
+    `Trades: ${result.trades} (${result.hits} profitable, hit rate ${formatRate(result.hitRate)})`,
+    `P&L: $${result.totalPnlUsd.toFixed(4)} (max drawdown $${result.maxDrawdownUsd.toFixed(4)})`,
+    `Missed: ${result.missed} untraded blocks would have made $${result.missedProfitUsd.toFixed(4)}`
+  ];
+  if (result.unfilled > 0) {
+    lines.push(`Unfilled: ${result.unfilled} trades decided too close to the end of the data`);
+  }
+  if (result.approximateFills > 0) {
+    lines.push(`Approximate: ${result.approximateFills} fills went through concentrated liquidity pools recorded ` +
+      "without ticks, so their liquidity was taken as constant");
+  }
+
+  if (result.curve.length > 0) {
+    lines.push("");
+    lines.push("P&L curve:");
+    for (const point of result.curve) {
+      lines.push(`  block ${point.blockNumber}: $${point.pnlUsd.toFixed(4)}`);
+    }
+  }
+  lines.push("═══════════════════════════════════════════════════════════════");
+  return lines.join("\n");
+}
+
+/**
+ * Formats sweep results as a table, best first
+ * @param {Object[]} results - Result of sweepParameters
+ * @returns {string} Formatted output
+ */
+export function formatSweepTable(results) {
+  const lines = [
+    "Min diff %  Size ETH  Trades  Hit rate        P&L $  Missed",
+    "──────────  ────────  ──────  ────────  ───────────  ──────"
+  ];
+  for (const result of results) {
+    lines.push([
+      String(result.params.minPriceDiffPercent).padStart(10),
+      String(result.params.tradeSizeEth).padStart(8),
+      String(result.trades).padStart(6),
+      formatRate(result.hitRate).padStart(8),
+      result.totalPnlUsd.toFixed(4).padStart(11),
+      String(result.missed).padStart(6)
+    ].join("  "));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Formats a hit rate as a percentage
+ * @private
+ */
+function formatRate(rate) {
+  return rate === null ? "n/a" : `${(rate * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,548 @@
+/**
+ * Concentrated Liquidity Swap Simulator
+ * Off-chain port of the Uniswap V3 swap loop (TickMath, SqrtPriceMath, SwapMath, TickBitmap)
+ * using exact BigInt math, so quotes match the on-chain Quoter without an RPC call per size.
+ * Works for Uniswap V3 and Aerodrome CL pools, which share the same swap math.
+ */
+
+import { ethers } from "ethers";
+import { SIMULATOR_CONFIG } from "./config.js";
+import { UNISWAP_V3_POOL_ABI, AERODROME_CL_POOL_ABI } from "./abis.js";
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const Q96 = 2n ** 96n;
+const MAX_UINT160 = 2n ** 160n - 1n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+const FEE_DENOMINATOR = 1_000_000n;
+
+// TickMath.getSqrtRatioAtTick multipliers: 2^128 / sqrt(1.0001)^(2^i) for each bit of |tick|
+const TICK_RATIO_MULTIPLIERS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n]
+];
+
+/**
+ * FullMath.mulDiv: floor(a * b / denominator)
+ * @private
+ */
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+/**
+ * FullMath.mulDivRoundingUp: ceil(a * b / denominator)
+ * @private
+ */
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator > 0n ? result + 1n : result;
+}
+
+/**
+ * UnsafeMath.divRoundingUp: ceil(x / y)
+ * @private
+ */
+function divRoundingUp(x, y) {
+  return x / y + (x % y > 0n ? 1n : 0n);
+}
+
+/**
+ * Floor division for (possibly negative) ticks, as Solidity's compressed tick
+ * @private
+ */
+function floorDiv(a, b) {
+  return Math.floor(a / b);
+}
+
+/**
+ * TickMath.getSqrtRatioAtTick: sqrt(1.0001^tick) * 2^96, rounded up
+ * @param {number} tick - Tick index
+ * @returns {bigint} sqrtPriceX96 at the tick
+ */
+export function getSqrtRatioAtTick(tick) {
+  const absTick = Math.abs(tick);
+  if (absTick > MAX_TICK) {
+    throw new Error(`Tick ${tick} out of range`);
+  }
+
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  for (const [bit, multiplier] of TICK_RATIO_MULTIPLIERS) {
+    if ((absTick & bit) !== 0) {
+      ratio = (ratio * multiplier) >> 128n;
+    }
+  }
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Q128.128 -> Q64.96, rounding up so getTickAtSqrtRatio stays consistent
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * TickMath.getTickAtSqrtRatio: greatest tick whose ratio is <= sqrtPriceX96
+ * @param {bigint} sqrtPriceX96 - Square root price
+ * @returns {number} Tick index
+ */
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error("sqrtPriceX96 out of range");
+  }
+
+  // Binary search over the exact getSqrtRatioAtTick, which defines the result
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromAmount0RoundingUp
+ * @private
+ */
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount, add) {
+  if (amount === 0n) {
+    return sqrtPX96;
+  }
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPX96;
+
+  if (add) {
+    // Solidity takes the precise path unless the product overflows 256 bits
+    if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+      return mulDivRoundingUp(numerator1, sqrtPX96, numerator1 + product);
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPX96 + amount);
+  }
+
+  if (product > MAX_UINT256 || numerator1 <= product) {
+    throw new Error("Insufficient liquidity for requested output");
+  }
+  const result = mulDivRoundingUp(numerator1, sqrtPX96, numerator1 - product);
+  if (result > MAX_UINT160) {
+    throw new Error("sqrtPriceX96 overflow");
+  }
+  return result;
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromAmount1RoundingDown
+ * @private
+ */
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount, add) {
+  if (add) {
+    return sqrtPX96 + (amount << 96n) / liquidity;
+  }
+  const quotient = divRoundingUp(amount << 96n, liquidity);
+  if (sqrtPX96 <= quotient) {
+    throw new Error("Insufficient liquidity for requested output");
+  }
+  return sqrtPX96 - quotient;
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromInput
+ * @private
+ */
+function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+}
+
+/**
+ * SqrtPriceMath.getNextSqrtPriceFromOutput
+ * @private
+ */
+function getNextSqrtPriceFromOutput(sqrtPX96, liquidity, amountOut, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+    : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+}
+
+/**
+ * SqrtPriceMath.getAmount0Delta: token0 needed to move between two prices
+ * @param {bigint} sqrtRatioAX96 - One price bound
+ * @param {bigint} sqrtRatioBX96 - Other price bound
+ * @param {bigint} liquidity - Active liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down
+ * @returns {bigint} Amount of token0
+ */
+export function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), sqrtRatioAX96)
+    : mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+}
+
+/**
+ * SqrtPriceMath.getAmount1Delta: token1 needed to move between two prices
+ * @param {bigint} sqrtRatioAX96 - One price bound
+ * @param {bigint} sqrtRatioBX96 - Other price bound
+ * @param {bigint} liquidity - Active liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down
+ * @returns {bigint} Amount of token1
+ */
+export function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96)
+    : mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+}
+
+/**
+ * SwapMath.computeSwapStep: swap within a single tick range
+ * @param {bigint} sqrtRatioCurrentX96 - Current price
+ * @param {bigint} sqrtRatioTargetX96 - Price the step cannot go past
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} amountRemaining - Positive for exact input, negative for exact output
+ * @param {number} feePips - Pool fee in hundredths of a bip
+ * @returns {Object} { sqrtRatioNextX96, amountIn, amountOut, feeAmount }
+ */
+export function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const fee = BigInt(feePips);
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const exactIn = amountRemaining >= 0n;
+  let sqrtRatioNextX96;
+  let amountIn = 0n;
+  let amountOut = 0n;
+
+  if (exactIn) {
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    amountOut = zeroForOne
+      ? getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    sqrtRatioNextX96 = -amountRemaining >= amountOut
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+  }
+
+  const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+
+  // Recompute the amounts unless the step ended exactly on the target
+  if (zeroForOne) {
+    amountIn = max && exactIn ? amountIn : getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = max && !exactIn ? amountOut : getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    amountIn = max && exactIn ? amountIn : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = max && !exactIn ? amountOut : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  // Cap the output amount to not exceed the remaining output amount
+  if (!exactIn && amountOut > -amountRemaining) {
+    amountOut = -amountRemaining;
+  }
+
+  const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96
+    // Didn't reach the target, so the remainder of the input is taken as fee
+    ? amountRemaining - amountIn
+    : mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee);
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * TickBitmap.nextInitializedTickWithinOneWord over the loaded bitmap words
+ * @param {Object} state - Pool state from loadPoolState() or createPoolState()
+ * @param {number} tick - Current tick
+ * @param {boolean} lte - Search to the left (zeroForOne) or to the right
+ * @returns {Object} { tickNext, initialized }
+ */
+export function nextInitializedTickWithinOneWord(state, tick, lte) {
+  const { tickSpacing, bitmap, minWord, maxWord } = state;
+  const compressed = floorDiv(tick, tickSpacing);
+  const searchFrom = lte ? compressed : compressed + 1;
+  const wordPos = searchFrom >> 8;
+  const bitPos = BigInt(searchFrom & 255);
+
+  if (wordPos < minWord || wordPos > maxWord) {
+    throw new Error(`Tick bitmap word ${wordPos} not loaded, swap exceeds loaded tick range`);
+  }
+  const word = bitmap.get(wordPos) ?? 0n;
+
+  if (lte) {
+    // All the 1s at or to the right of the current bitPos
+    const mask = (1n << bitPos) - 1n + (1n << bitPos);
+    const masked = word & mask;
+    if (masked === 0n) {
+      return { tickNext: (compressed - Number(bitPos)) * tickSpacing, initialized: false };
+    }
+    const msb = masked.toString(2).length - 1;
+    return { tickNext: (compressed - (Number(bitPos) - msb)) * tickSpacing, initialized: true };
+  }
+
+  // All the 1s at or to the left of the bitPos
+  const mask = MAX_UINT256 ^ ((1n << bitPos) - 1n);
+  const masked = word & mask;
+  if (masked === 0n) {
+    return { tickNext: (compressed + 1 + (255 - Number(bitPos))) * tickSpacing, initialized: false };
+  }
+  const lsb = (masked & -masked).toString(2).length - 1;
+  return { tickNext: (compressed + 1 + (lsb - Number(bitPos))) * tickSpacing, initialized: true };
+}
+
+/**
+ * Simulates a swap exactly like UniswapV3Pool.swap, without changing the state
+ * @param {Object} state - Pool state from loadPoolState() or createPoolState()
+ * @param {boolean} zeroForOne - True to swap token0 for token1
+ * @param {bigint} amountSpecified - Positive for exact input, negative for exact output
+ * @param {bigint|null} sqrtPriceLimitX96 - Price limit (defaults to the min/max ratio)
+ * @returns {Object} Swap result with amountIn, amountOut and the post-swap price
+ */
+export function simulateSwap(state, zeroForOne, amountSpecified, sqrtPriceLimitX96 = null) {
+  if (amountSpecified === 0n) {
+    throw new Error("Swap amount must not be zero");
+  }
+  const priceLimit = sqrtPriceLimitX96 ?? (zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n);
+  const exactInput = amountSpecified > 0n;
+
+  let amountSpecifiedRemaining = amountSpecified;
+  let amountCalculated = 0n;
+  let sqrtPriceX96 = state.sqrtPriceX96;
+  let tick = state.tick;
+  let liquidity = state.liquidity;
+  let feeAmount = 0n;
+  let initializedTicksCrossed = 0;
+
+  while (amountSpecifiedRemaining !== 0n && sqrtPriceX96 !== priceLimit) {
+    const sqrtPriceStartX96 = sqrtPriceX96;
+    let { tickNext, initialized } = nextInitializedTickWithinOneWord(state, tick, zeroForOne);
+    tickNext = Math.min(Math.max(tickNext, MIN_TICK), MAX_TICK);
+
+    const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+    const targetPastLimit = zeroForOne ? sqrtPriceNextX96 < priceLimit : sqrtPriceNextX96 > priceLimit;
+
+    const step = computeSwapStep(
+      sqrtPriceX96,
+      targetPastLimit ? priceLimit : sqrtPriceNextX96,
+      liquidity,
+      amountSpecifiedRemaining,
+      state.fee
+    );
+    sqrtPriceX96 = step.sqrtRatioNextX96;
+    feeAmount += step.feeAmount;
+
+    if (exactInput) {
+      amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+      amountCalculated -= step.amountOut;
+    } else {
+      amountSpecifiedRemaining += step.amountOut;
+      amountCalculated += step.amountIn + step.feeAmount;
+    }
+
+    if (sqrtPriceX96 === sqrtPriceNextX96) {
+      // Crossed into the next range: apply the tick's net liquidity
+      if (initialized) {
+        const liquidityNet = state.ticks.get(tickNext) ?? 0n;
+        liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+        initializedTicksCrossed++;
+      }
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+      tick = getTickAtSqrtRatio(sqrtPriceX96);
+    }
+  }
+
+  const [amount0, amount1] = zeroForOne === exactInput
+    ? [amountSpecified - amountSpecifiedRemaining, amountCalculated]
+    : [amountCalculated, amountSpecified - amountSpecifiedRemaining];
+
+  // Positive pool deltas are paid in, negative deltas are paid out
+  const amountIn = zeroForOne ? amount0 : amount1;
+  const amountOut = zeroForOne ? -amount1 : -amount0;
+
+  return {
+    amount0,
+    amount1,
+    amountIn,
+    amountOut,
+    feeAmount,
+    sqrtPriceX96After: sqrtPriceX96,
+    tickAfter: tick,
+    liquidityAfter: liquidity,
+    initializedTicksCrossed
+  };
+}
+
+/**
+ * Simulates an exact-input swap (equivalent to QuoterV2.quoteExactInputSingle)
+ * @param {Object} state - Pool state
+ * @param {boolean} zeroForOne - True to swap token0 for token1
+ * @param {bigint} amountIn - Input amount in raw token units
+ * @returns {Object} Swap result
+ */
+export function simulateExactInput(state, zeroForOne, amountIn) {
+  return simulateSwap(state, zeroForOne, amountIn);
+}
+
+/**
+ * Simulates an exact-output swap (equivalent to QuoterV2.quoteExactOutputSingle)
+ * @param {Object} state - Pool state
+ * @param {boolean} zeroForOne - True to swap token0 for token1
+ * @param {bigint} amountOut - Desired output amount in raw token units
+ * @returns {Object} Swap result
+ */
+export function simulateExactOutput(state, zeroForOne, amountOut) {
+  const result = simulateSwap(state, zeroForOne, -amountOut);
+  if (result.amountOut !== amountOut) {
+    throw new Error("Insufficient liquidity for requested output");
+  }
+  return result;
+}
+
+/**
+ * Builds a pool state from known values instead of RPC reads (tests, recorded snapshots)
+ * Every bitmap word between the lowest and highest initialized tick and the current tick is
+ * considered loaded
+ * @param {Object} params - Pool parameters
+ * @param {bigint} params.sqrtPriceX96 - Current price
+ * @param {number} [params.tick] - Current tick (derived from the price if omitted)
+ * @param {bigint} params.liquidity - Active liquidity
+ * @param {number} params.fee - Fee in hundredths of a bip
+ * @param {number} params.tickSpacing - Tick spacing
+ * @param {Map<number, bigint>|Object} params.ticks - Initialized tick -> liquidityNet
+ * @returns {Object} Pool state
+ */
+export function createPoolState({ sqrtPriceX96, tick, liquidity, fee, tickSpacing, ticks = new Map() }) {
+  const tickMap = ticks instanceof Map
+    ? new Map([...ticks].map(([t, net]) => [Number(t), BigInt(net)]))
+    : new Map(Object.entries(ticks).map(([t, net]) => [Number(t), BigInt(net)]));
+  const currentTick = tick ?? getTickAtSqrtRatio(sqrtPriceX96);
+
+  const bitmap = new Map();
+  for (const initializedTick of tickMap.keys()) {
+    const compressed = floorDiv(initializedTick, tickSpacing);
+    const wordPos = compressed >> 8;
+    bitmap.set(wordPos, (bitmap.get(wordPos) ?? 0n) | (1n << BigInt(compressed & 255)));
+  }
+
+  const wordPositions = [...bitmap.keys(), floorDiv(currentTick, tickSpacing) >> 8];
+
+  return {
+    sqrtPriceX96: BigInt(sqrtPriceX96),
+    tick: currentTick,
+    liquidity: BigInt(liquidity),
+    fee: Number(fee),
+    tickSpacing: Number(tickSpacing),
+    bitmap,
+    ticks: tickMap,
+    minWord: Math.min(...wordPositions),
+    maxWord: Math.max(...wordPositions)
+  };
+}
+
+/**
+ * Loads a pool's current price, liquidity and initialized ticks around the current tick
+ * All reads are pinned to one block so the state is consistent
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} poolAddress - Pool contract address
+ * @param {string} poolType - "V3" (Uniswap V3) or "CL" (Aerodrome CL)
+ * @param {Object} options - Load options
+ * @param {number} [options.wordRadius] - Bitmap words to load on each side of the current tick
+ * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest block)
+ * @returns {Promise<Object>} Pool state for simulateSwap()
+ */
+export async function loadPoolState(provider, poolAddress, poolType, options = {}) {
+  const abi = poolType === "CL" ? AERODROME_CL_POOL_ABI : UNISWAP_V3_POOL_ABI;
+  const pool = new ethers.Contract(poolAddress, abi, provider);
+  const wordRadius = options.wordRadius ?? SIMULATOR_CONFIG.TICK_WORD_RADIUS;
+  const blockTag = options.blockTag ?? await provider.getBlockNumber();
+  const overrides = { blockTag };
+
+  const [slot0, liquidity, fee, tickSpacingRaw] = await Promise.all([
+    pool.slot0(overrides),
+    pool.liquidity(overrides),
+    pool.fee(overrides),
+    pool.tickSpacing(overrides)
+  ]);
+  const tick = Number(slot0[1]);
+  const tickSpacing = Number(tickSpacingRaw);
+
+  // Load bitmap words around the current tick, clamped to the valid tick range
+  const currentWord = floorDiv(tick, tickSpacing) >> 8;
+  const minWord = Math.max(currentWord - wordRadius, floorDiv(MIN_TICK, tickSpacing) >> 8);
+  const maxWord = Math.min(currentWord + wordRadius, floorDiv(MAX_TICK, tickSpacing) >> 8);
+  const wordPositions = [];
+  for (let wordPos = minWord; wordPos <= maxWord; wordPos++) {
+    wordPositions.push(wordPos);
+  }
+  const words = await Promise.all(wordPositions.map(wordPos => pool.tickBitmap(wordPos, overrides)));
+
+  const bitmap = new Map();
+  const initializedTicks = [];
+  wordPositions.forEach((wordPos, index) => {
+    const word = words[index];
+    bitmap.set(wordPos, word);
+    for (let bit = 0; bit < 256; bit++) {
+      if ((word >> BigInt(bit)) & 1n) {
+        initializedTicks.push((wordPos * 256 + bit) * tickSpacing);
+      }
+    }
+  });
+
+  // liquidityNet sits at index 1 in both the Uniswap V3 and Aerodrome CL tick structs
+  const tickInfos = await Promise.all(initializedTicks.map(t => pool.ticks(t, overrides)));
+  const ticks = new Map(initializedTicks.map((t, index) => [t, tickInfos[index][1]]));
+
+  return {
+    poolAddress,
+    poolType,
+    blockNumber: blockTag,
+    sqrtPriceX96: slot0[0],
+    tick,
+    liquidity,
+    fee: Number(fee),
+    tickSpacing,
+    bitmap,
+    ticks,
+    minWord,
+    maxWord
+  };
+}
@@ -1,10 +1,12 @@
 /**
  * Configuration for Base network DEXes and tokens
  * Contains pool addresses for direct smart contract queries
+ * These are the defaults; src/configLoader.js validates them on startup and applies
+ * a --config file and environment overrides over them in place
  */
 
 // Base network RPC endpoint (free public endpoint)
-export const BASE_RPC_URL = "https://mainnet.base.org";
+export let BASE_RPC_URL = "https://mainnet.base.org";
 
 // Alternative RPC endpoints for redundancy
 export const ALTERNATIVE_RPC_URLS = [
@@ -13,6 +15,19 @@ export const ALTERNATIVE_RPC_URLS = [
   "https://1rpc.io/base"
 ];
 
+// WebSocket endpoint for live block and event subscriptions (--live)
+export let BASE_WS_URL = process.env.BASE_WS_URL || "wss://base-rpc.publicnode.com";
+
+/**
+ * Replaces the RPC endpoints (used by the config loader)
+ * @param {Object} rpc - { url, alternatives, wsUrl }
+ */
+export function setRpcEndpoints(rpc) {
+  BASE_RPC_URL = rpc.url;
+  ALTERNATIVE_RPC_URLS.splice(0, ALTERNATIVE_RPC_URLS.length, ...rpc.alternatives);
+  BASE_WS_URL = rpc.wsUrl;
+}
+
 /**
  * Base Network Tokens
  * 4 popular tokens on Base network
@@ -62,19 +77,25 @@ export const DEXES = {
     factory: "0x420DD381b31aEf6683db6B902084cB0FFECe40Da",
     router: "0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43",
     // Aerodrome uses CL (Concentrated Liquidity) pools similar to Uniswap V3
-    clFactory: "0x5e7BB104d84c7CB9B682AaC2F3d509f5F406809A"
+    clFactory: "0x5e7BB104d84c7CB9B682AaC2F3d509f5F406809A",
+    clQuoter: "0x254cF9E1E6e233aa1AC962CB9B05b2cfeAaE15b0",
+    clSwapRouter: "0xBE6D8f0d05cC4be24d5167a3eF062215bE6D18a5"
   },
   BASESWAP: {
     name: "BaseSwap",
     type: "V2",
     factory: "0xFDa619b6d20975be80A10332cD39b9a4b0FAa8BB",
-    router: "0x327Df1E6de05895d2ab08513aaDD9313Fe505d86"
+    router: "0x327Df1E6de05895d2ab08513aaDD9313Fe505d86",
+    // Pair swap fee in hundredths of a bip (0.25%)
+    fee: 2500
   },
   SWAPBASED: {
     name: "SwapBased",
     type: "V2",
     factory: "0x04C9f118d21e8B767D2e50C946f0cC9F6C367300",
-    router: "0xaaa3b1F1bd7BCc97fD1917c18ADE665C5D31F066"
+    router: "0xaaa3b1F1bd7BCc97fD1917c18ADE665C5D31F066",
+    // Pair swap fee in hundredths of a bip (0.3%)
+    fee: 3000
   }
 };
 
@@ -99,6 +120,19 @@ export const POOLS = {
       token0: TOKENS.WETH.address,
       token1: TOKENS.USDC.address,
       isToken0Base: true
+    },
+    // V2 pairs have no hard-coded address: it is resolved from the DEX factory via getPair
+    BASESWAP: {
+      fee: DEXES.BASESWAP.fee,
+      token0: TOKENS.WETH.address,
+      token1: TOKENS.USDC.address,
+      isToken0Base: true
+    },
+    SWAPBASED: {
+      fee: DEXES.SWAPBASED.fee,
+      token0: TOKENS.WETH.address,
+      token1: TOKENS.USDC.address,
+      isToken0Base: true
     }
   },
   // WETH/USDbC pools
@@ -111,15 +145,49 @@ export const POOLS = {
       isToken0Base: true
     },
     AERODROME_CL: {
-      address: "0xBb5DFE1380333CEE4C2EeBd7202c80dE2256AdF4", // Aerodrome CL pool WETH/USDbC
+      address: "0xbB5DFE1380333CEE4c2EeBd7202c80dE2256AdF4", // Aerodrome CL pool WETH/USDbC
       fee: 100,
       token0: TOKENS.WETH.address,
       token1: TOKENS.USDbC.address,
       isToken0Base: true
+    },
+    BASESWAP: {
+      fee: DEXES.BASESWAP.fee,
+      token0: TOKENS.WETH.address,
+      token1: TOKENS.USDbC.address,
+      isToken0Base: true
+    },
+    SWAPBASED: {
+      fee: DEXES.SWAPBASED.fee,
+      token0: TOKENS.WETH.address,
+      token1: TOKENS.USDbC.address,
+      isToken0Base: true
     }
   }
 };
 
+/**
+ * Pool discovery configuration
+ * Factories are queried across these fee tiers / tick spacings for every token pair
+ */
+export const DISCOVERY_CONFIG = {
+  // Uniswap V3 fee tiers (in hundredths of a bip)
+  UNISWAP_V3_FEE_TIERS: [100, 500, 3000, 10000],
+  // Aerodrome CL tick spacings
+  AERODROME_CL_TICK_SPACINGS: [1, 50, 100, 200, 2000],
+  // Where the discovered pool registry is cached
+  REGISTRY_PATH: ".cache/pool-registry.json"
+};
+
+/**
+ * Concentrated liquidity swap simulator configuration
+ */
+export const SIMULATOR_CONFIG = {
+  // Tick bitmap words loaded on each side of the current tick
+  // (one word covers 256 x tickSpacing ticks)
+  TICK_WORD_RADIUS: 2
+};
+
 /**
  * Gas configuration for Base network
  */
@@ -144,3 +212,71 @@ export const ARBITRAGE_CONFIG = {
   // Slippage tolerance percentage
   SLIPPAGE_TOLERANCE_PERCENT: 0.5
 };
+
+/**
+ * Trade size solver configuration
+ */
+export const TRADE_SIZER_CONFIG = {
+  // Search bounds for the trade size (in base token, e.g. ETH)
+  MIN_TRADE_SIZE_ETH: 0.01,
+  MAX_TRADE_SIZE_ETH: 100,
+  // Never trade more than this share of the shallower pool's base token depth
+  MAX_LIQUIDITY_SHARE_PERCENT: 10,
+  // Evenly spaced sizes evaluated for the profit curve
+  CURVE_SAMPLES: 16,
+  // Golden-section search stops once the bracket is narrower than this
+  TOLERANCE_ETH: 0.001,
+  MAX_ITERATIONS: 60
+};
+
+/**
+ * Multi-hop cycle detection configuration
+ */
+export const CYCLE_CONFIG = {
+  // Longest cycle searched (2 = cross-DEX round trip, 3 = triangle)
+  MAX_HOPS: 3,
+  // Notional size used to value each cycle, in USD
+  TRADE_SIZE_USD: 1000,
+  // Token treated as $1 when valuing the other tokens of a cycle
+  USD_ANCHOR: "USDC",
+  // Cycles reported, best first
+  MAX_RESULTS: 10
+};
+
+/**
+ * Multicall3 batching configuration
+ */
+export const MULTICALL_CONFIG = {
+  // Multicall3 is deployed at the same address on Base and most EVM chains
+  ADDRESS: "0xcA11bde05977b3631167028862bE2a173976CA11",
+  // Batch all pool reads of a cycle into one aggregate3 call (falls back to per-pool calls)
+  ENABLED: true
+};
+
+/**
+ * Alerting configuration (see alerts.js)
+ * Nothing is sent until a sink is configured, usually in the --config file
+ */
+export const ALERTS_CONFIG = {
+  // Time a sink may take to deliver one alert
+  TIMEOUT_MS: 10000,
+  // Named destinations: { type: "webhook" | "slack" | "telegram" | "smtp", ...settings }
+  SINKS: {},
+  // Named rules: { event: "opportunity" | "health", thresholds, cooldownMs, dedupWindowMs, sinks, template }
+  RULES: {
+    profitable: {
+      event: "opportunity",
+      minNetProfitUsd: 0,
+      // At most one alert every 10 seconds, and the same route on a pair once per 5 minutes
+      cooldownMs: 10000,
+      dedupWindowMs: 300000
+    },
+    health: {
+      event: "health",
+      statuses: ["degraded", "critical"],
+      // A status that persists is repeated hourly; a change of status is sent at once
+      cooldownMs: 0,
+      dedupWindowMs: 3600000
+    }
+  }
+};
@@ -0,0 +1,531 @@
+/**
+ * Config Loader
+ * Reads a YAML or JSON file given with --config, applies environment variable overrides
+ * and validates the result on startup: checksummed addresses, known DEX keys, token
+ * decimals, and pools that reference configured tokens. The validated values replace the
+ * defaults of src/config.js in place, so every module importing them sees the loaded config
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import YAML from "yaml";
+import {
+  BASE_RPC_URL,
+  ALTERNATIVE_RPC_URLS,
+  BASE_WS_URL,
+  TOKENS,
+  DEXES,
+  POOLS,
+  ARBITRAGE_CONFIG,
+  GAS_CONFIG,
+  TRADE_SIZER_CONFIG,
+  CYCLE_CONFIG,
+  DISCOVERY_CONFIG,
+  SIMULATOR_CONFIG,
+  MULTICALL_CONFIG,
+  ALERTS_CONFIG,
+  setRpcEndpoints
+} from "./config.js";
+import { normalizeAlertsConfig, validateAlertsConfig } from "./alerts.js";
+
+// Environment variables DEX_TRADER__<SECTION>__<KEY> override single settings,
+// e.g. DEX_TRADER__ARBITRAGE__MIN_PRICE_DIFF_PERCENT=0.2
+export const ENV_PREFIX = "DEX_TRADER__";
+
+// Sections of flat settings, and the config object each one sets
+const SETTINGS_SECTIONS = {
+  arbitrage: ARBITRAGE_CONFIG,
+  gas: GAS_CONFIG,
+  tradeSizer: TRADE_SIZER_CONFIG,
+  cycles: CYCLE_CONFIG,
+  discovery: DISCOVERY_CONFIG,
+  simulator: SIMULATOR_CONFIG,
+  multicall: MULTICALL_CONFIG
+};
+
+// Sections of named entries, where an entry set to null is removed
+const ENTRY_SECTIONS = ["tokens", "dexes", "pools"];
+
+const DEX_TYPES = ["V2", "V3", "V2/V3"];
+const DEX_ADDRESS_FIELDS = ["factory", "router", "quoter", "swapRouter", "clFactory", "clQuoter", "clSwapRouter"];
+
+// ERC-20 decimals above this are almost certainly a typo
+const MAX_TOKEN_DECIMALS = 36;
+
+// Fees are in hundredths of a bip
+const MAX_FEE = 1000000;
+
+/**
+ * Whether a value is a plain object
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Returns the config currently in effect, in the layout of a config file
+ * @returns {Object} { rpc, tokens, dexes, pools, arbitrage, gas, ... }
+ */
+export function getCurrentConfig() {
+  return structuredClone({
+    rpc: { url: BASE_RPC_URL, alternatives: ALTERNATIVE_RPC_URLS, wsUrl: BASE_WS_URL },
+    tokens: TOKENS,
+    dexes: DEXES,
+    pools: POOLS,
+    ...SETTINGS_SECTIONS,
+    alerts: ALERTS_CONFIG
+  });
+}
+
+/**
+ * Reads a config file (.yaml, .yml or .json)
+ * @param {string} filePath - Config file
+ * @returns {Object} Parsed file
+ */
+export function readConfigFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const isYaml = extension === ".yaml" || extension === ".yml";
+  if (!isYaml && extension !== ".json") {
+    throw new Error(`Config file ${filePath} must end in .yaml, .yml or .json`);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = isYaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${isYaml ? "YAML" : "JSON"} in ${filePath}: ${error.message}`);
+  }
+  if (!isObject(data)) {
+    throw new Error(`Config file ${filePath} must contain a mapping of sections`);
+  }
+  return data;
+}
+
+/**
+ * Parses an environment value: JSON when it is valid JSON (numbers, booleans, arrays), else the string
+ * @private
+ */
+function parseEnvValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Collects the overrides set in the environment
+ * BASE_RPC_URL, ALTERNATIVE_RPC_URLS (comma-separated) and BASE_WS_URL set the endpoints;
+ * DEX_TRADER__<SECTION>__<KEY>[__<KEY>...] sets any other value. Names match case-insensitively
+ * @param {Object} env - Environment (default process.env)
+ * @param {Object} base - Config the names are matched against (default getCurrentConfig())
+ * @returns {Object} Overrides, in the layout of a config file
+ */
+export function getEnvOverrides(env = process.env, base = getCurrentConfig()) {
+  const overrides = {};
+  const rpc = {};
+  if (env.BASE_RPC_URL) {
+    rpc.url = env.BASE_RPC_URL;
+  }
+  if (env.ALTERNATIVE_RPC_URLS) {
+    rpc.alternatives = env.ALTERNATIVE_RPC_URLS.split(",").map(url => url.trim()).filter(Boolean);
+  }
+  if (env.BASE_WS_URL) {
+    rpc.wsUrl = env.BASE_WS_URL;
+  }
+  if (Object.keys(rpc).length > 0) {
+    overrides.rpc = rpc;
+  }
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || raw === undefined) {
+      continue;
+    }
+    const segments = name.slice(ENV_PREFIX.length).split("__");
+    let target = overrides;
+    let existing = base;
+    for (const [index, segment] of segments.entries()) {
+      // DEX_TRADER__TRADESIZER__MAX_ITERATIONS finds tradeSizer.MAX_ITERATIONS
+      const key = Object.keys(existing ?? {}).find(candidate => candidate.toLowerCase() === segment.toLowerCase()) ?? segment;
+      existing = existing?.[key];
+      if (index === segments.length - 1) {
+        target[key] = parseEnvValue(raw);
+      } else {
+        target = target[key] ??= {};
+      }
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Merges entries by name; an entry set to null is removed, an object is merged over the existing one
+ * @private
+ */
+function mergeEntries(entries, overrides) {
+  const merged = { ...entries };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = isObject(value) && isObject(merged[key]) ? { ...merged[key], ...value } : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merges overrides (a config file or environment overrides) over a config
+ * Settings replace single values; tokens, DEXes, pools, alert sinks and alert rules are merged by name
+ * @param {Object} base - Config, as returned by getCurrentConfig()
+ * @param {Object} overrides - Overrides, in the same layout
+ * @returns {Object} Merged config
+ */
+export function mergeConfig(base, overrides) {
+  const merged = structuredClone(base);
+
+  for (const [section, values] of Object.entries(overrides)) {
+    if (!(section in merged)) {
+      throw new Error(`Unknown config section "${section}" (expected ${Object.keys(merged).join(", ")})`);
+    }
+    if (!isObject(values)) {
+      throw new Error(`Config section "${section}" must be a mapping`);
+    }
+
+    if (section === "pools") {
+      for (const [pair, pools] of Object.entries(values)) {
+        if (pools === null) {
+          delete merged.pools[pair];
+        } else {
+          merged.pools[pair] = isObject(pools) ? mergeEntries(merged.pools[pair], pools) : pools;
+        }
+      }
+    } else if (ENTRY_SECTIONS.includes(section)) {
+      merged[section] = mergeEntries(merged[section], values);
+    } else if (section === "alerts") {
+      for (const [key, value] of Object.entries(values)) {
+        merged.alerts[key] = isObject(value) && isObject(merged.alerts[key]) ? mergeEntries(merged.alerts[key], value) : value;
+      }
+    } else {
+      Object.assign(merged[section], values);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Fills in what a config file may leave out: pool tokens given by symbol become addresses,
+ * isToken0Base follows the pair name, V2 pools take their DEX's fee, BigInt settings are converted
+ * and alert settings set from the environment get their documented spelling
+ * @param {Object} config - Merged config
+ * @returns {Object} Normalized config
+ */
+export function normalizeConfig(config) {
+  const normalized = structuredClone(config);
+
+  for (const [pair, pools] of Object.entries(normalized.pools)) {
+    if (!isObject(pools)) {
+      continue;
+    }
+    const base = normalized.tokens[pair.split("/")[0]];
+    for (const [poolKey, pool] of Object.entries(pools)) {
+      if (!isObject(pool)) {
+        continue;
+      }
+      for (const side of ["token0", "token1"]) {
+        if (isObject(normalized.tokens[pool[side]])) {
+          pool[side] = normalized.tokens[pool[side]].address;
+        }
+      }
+      if (pool.isToken0Base === undefined && base?.address && pool.token0) {
+        pool.isToken0Base = pool.token0 === base.address;
+      }
+      if (pool.fee === undefined && normalized.dexes[poolKey]?.fee !== undefined) {
+        pool.fee = normalized.dexes[poolKey].fee;
+      }
+    }
+  }
+
+  for (const [section, defaults] of Object.entries(SETTINGS_SECTIONS)) {
+    for (const [key, value] of Object.entries(normalized[section])) {
+      if (typeof defaults[key] === "bigint" && (typeof value === "number" || typeof value === "string")) {
+        try {
+          normalized[section][key] = BigInt(value);
+        } catch {
+          // Left as is and reported by validateConfig
+        }
+      }
+    }
+  }
+  normalized.alerts = normalizeAlertsConfig(normalized.alerts);
+
+  return normalized;
+}
+
+/**
+ * Checks that a value is a checksummed address
+ * @private
+ */
+function checkAddress(errors, where, value) {
+  if (typeof value !== "string" || !ethers.isHexString(value, 20)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not an address`);
+    return;
+  }
+  const checksummed = ethers.getAddress(value.toLowerCase());
+  if (value !== checksummed) {
+    errors.push(`${where}: ${value} is not checksummed (expected ${checksummed})`);
+  }
+}
+
+/**
+ * Checks that a value is an endpoint URL with one of the given protocols
+ * @private
+ */
+function checkUrl(errors, where, value, protocols) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch {
+    // Reported below
+  }
+  if (!url || !protocols.includes(url.protocol)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not a ${protocols.map(protocol => protocol.slice(0, -1)).join("/")} URL`);
+  }
+}
+
+/**
+ * Checks that a value is an integer within a range
+ * @private
+ */
+function checkInteger(errors, where, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not an integer from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Validates a normalized config
+ * @param {Object} config - Result of normalizeConfig
+ * @returns {string[]} Errors, each prefixed with the path of the offending value (empty when valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  // RPC endpoints
+  checkUrl(errors, "rpc.url", config.rpc.url, ["http:", "https:"]);
+  if (!Array.isArray(config.rpc.alternatives)) {
+    errors.push("rpc.alternatives: must be a list of URLs");
+  } else {
+    config.rpc.alternatives.forEach((url, index) => checkUrl(errors, `rpc.alternatives[${index}]`, url, ["http:", "https:"]));
+  }
+  checkUrl(errors, "rpc.wsUrl", config.rpc.wsUrl, ["ws:", "wss:"]);
+
+  // Tokens
+  const tokenSymbols = new Map();
+  for (const [symbol, token] of Object.entries(config.tokens)) {
+    const where = `tokens.${symbol}`;
+    if (!isObject(token)) {
+      errors.push(`${where}: must be a mapping with symbol, name, address and decimals`);
+      continue;
+    }
+    if (token.symbol !== symbol) {
+      errors.push(`${where}.symbol: ${JSON.stringify(token.symbol)} does not match the key ${symbol}`);
+    }
+    if (typeof token.name !== "string" || token.name === "") {
+      errors.push(`${where}.name: missing`);
+    }
+    checkAddress(errors, `${where}.address`, token.address);
+    checkInteger(errors, `${where}.decimals`, token.decimals, 0, MAX_TOKEN_DECIMALS);
+    if (tokenSymbols.has(token.address)) {
+      errors.push(`${where}.address: ${token.address} is also configured as ${tokenSymbols.get(token.address)}`);
+    }
+    tokenSymbols.set(token.address, symbol);
+  }
+
+  // DEXes
+  for (const [dexKey, dex] of Object.entries(config.dexes)) {
+    const where = `dexes.${dexKey}`;
+    if (!isObject(dex)) {
+      errors.push(`${where}: must be a mapping with name, type and factory`);
+      continue;
+    }
+    if (typeof dex.name !== "string" || dex.name === "") {
+      errors.push(`${where}.name: missing`);
+    }
+    if (!DEX_TYPES.includes(dex.type)) {
+      errors.push(`${where}.type: ${JSON.stringify(dex.type)} is not one of ${DEX_TYPES.join(", ")}`);
+    }
+    if (dex.factory === undefined) {
+      errors.push(`${where}.factory: missing`);
+    }
+    for (const field of DEX_ADDRESS_FIELDS) {
+      if (dex[field] !== undefined) {
+        checkAddress(errors, `${where}.${field}`, dex[field]);
+      }
+    }
+    if (dex.fee !== undefined) {
+      checkInteger(errors, `${where}.fee`, dex.fee, 0, MAX_FEE - 1);
+    }
+  }
+
+  // Pools
+  for (const [pair, pools] of Object.entries(config.pools)) {
+    const [baseSymbol, quoteSymbol, ...rest] = pair.split("/");
+    if (!quoteSymbol || rest.length > 0) {
+      errors.push(`pools.${pair}: pair names are BASE/QUOTE`);
+      continue;
+    }
+    const pairTokens = [config.tokens[baseSymbol], config.tokens[quoteSymbol]];
+    for (const [index, symbol] of [baseSymbol, quoteSymbol].entries()) {
+      if (!isObject(pairTokens[index])) {
+        errors.push(`pools.${pair}: token ${symbol} is not configured`);
+      }
+    }
+    if (!isObject(pools)) {
+      errors.push(`pools.${pair}: must be a mapping of pools by DEX key`);
+      continue;
+    }
+
+    for (const [poolKey, pool] of Object.entries(pools)) {
+      const where = `pools.${pair}.${poolKey}`;
+      if (!isObject(pool)) {
+        errors.push(`${where}: must be a mapping`);
+        continue;
+      }
+
+      // Pool keys are DEXES keys, plus AERODROME_CL for Aerodrome's concentrated liquidity pools
+      const dexKey = pool.dexKey ?? poolKey;
+      const owner = dexKey === "AERODROME_CL" ? "AERODROME" : dexKey;
+      if (!isObject(config.dexes[owner])) {
+        errors.push(`${where}: unknown DEX key ${dexKey} (configured: ${[...Object.keys(config.dexes), "AERODROME_CL"].join(", ")})`);
+        continue;
+      }
+      const type = pool.type ?? (dexKey === "UNISWAP_V3" ? "V3" : dexKey === "AERODROME_CL" ? "CL" : config.dexes[owner].type === "V2" ? "V2" : null);
+      if (!["V2", "V3", "CL"].includes(type)) {
+        errors.push(`${where}: cannot tell the pool type of ${dexKey}; set type to V2, V3 or CL`);
+      }
+
+      if (pool.address !== undefined) {
+        checkAddress(errors, `${where}.address`, pool.address);
+      } else if (type !== "V2") {
+        // Only V2 pairs are resolved from their factory
+        errors.push(`${where}.address: missing`);
+      }
+      checkInteger(errors, `${where}.fee`, pool.fee, 0, MAX_FEE - 1);
+
+      for (const side of ["token0", "token1"]) {
+        if (!tokenSymbols.has(pool[side])) {
+          errors.push(`${where}.${side}: ${JSON.stringify(pool[side])} is not a configured token`);
+        }
+      }
+      const pairAddresses = pairTokens.map(token => token?.address);
+      if (tokenSymbols.has(pool.token0) && tokenSymbols.has(pool.token1)) {
+        if (![pool.token0, pool.token1].every(address => pairAddresses.includes(address)) || pool.token0 === pool.token1) {
+          errors.push(`${where}: trades ${tokenSymbols.get(pool.token0)}/${tokenSymbols.get(pool.token1)}, not ${pair}`);
+        } else if (pool.token0.toLowerCase() > pool.token1.toLowerCase()) {
+          errors.push(`${where}: token0 must be the lower address, as the factory orders them`);
+        } else if (pool.isToken0Base !== (pool.token0 === pairAddresses[0])) {
+          errors.push(`${where}.isToken0Base: must be ${pool.token0 === pairAddresses[0]} (${baseSymbol} is the base of ${pair})`);
+        }
+      }
+    }
+  }
+
+  // Settings keep the type of their default; numbers are finite and not negative
+  for (const [section, defaults] of Object.entries(SETTINGS_SECTIONS)) {
+    for (const [key, value] of Object.entries(config[section])) {
+      const where = `${section}.${key}`;
+      const defaultValue = defaults[key];
+      if (defaultValue === undefined) {
+        errors.push(`${where}: unknown setting (expected one of ${Object.keys(defaults).join(", ")})`);
+      } else if (typeof defaultValue === "bigint") {
+        if (typeof value !== "bigint" || value <= 0n) {
+          errors.push(`${where}: ${JSON.stringify(String(value))} is not a positive integer`);
+        }
+      } else if (Array.isArray(defaultValue)) {
+        if (!Array.isArray(value) || value.some(item => typeof item !== typeof defaultValue[0])) {
+          errors.push(`${where}: must be a list of ${typeof defaultValue[0]}s`);
+        }
+      } else if (typeof value !== typeof defaultValue) {
+        errors.push(`${where}: ${JSON.stringify(value)} is not a ${typeof defaultValue}`);
+      } else if (typeof value === "number" && (!Number.isFinite(value) || value < 0)) {
+        errors.push(`${where}: ${value} must be a finite number, not negative`);
+      } else if (typeof value === "string" && ethers.isHexString(defaultValue, 20)) {
+        checkAddress(errors, where, value);
+      }
+    }
+  }
+  if (config.tradeSizer.MIN_TRADE_SIZE_ETH > config.tradeSizer.MAX_TRADE_SIZE_ETH) {
+    errors.push("tradeSizer: MIN_TRADE_SIZE_ETH is above MAX_TRADE_SIZE_ETH");
+  }
+  if (config.gas.MIN_GAS_PRICE_GWEI > config.gas.MAX_GAS_PRICE_GWEI) {
+    errors.push("gas: MIN_GAS_PRICE_GWEI is above MAX_GAS_PRICE_GWEI");
+  }
+  errors.push(...validateAlertsConfig(config.alerts));
+
+  return errors;
+}
+
+/**
+ * Replaces the live config with a validated one, in place
+ * @param {Object} config - Validated config
+ */
+export function applyConfig(config) {
+  setRpcEndpoints(config.rpc);
+  for (const [target, entries] of [[TOKENS, config.tokens], [DEXES, config.dexes], [POOLS, config.pools], [ALERTS_CONFIG, config.alerts]]) {
+    for (const key of Object.keys(target)) {
+      delete target[key];
+    }
+    Object.assign(target, entries);
+  }
+  for (const [section, target] of Object.entries(SETTINGS_SECTIONS)) {
+    Object.assign(target, config[section]);
+  }
+}
+
+/**
+ * Loads the config: defaults, then the config file, then environment overrides
+ * Nothing is applied unless the result is valid
+ * @param {Object} options - Options
+ * @param {string} [options.file] - Config file (--config)
+ * @param {Object} [options.env] - Environment (default process.env)
+ * @returns {Object} { file, config }
+ */
+export function loadConfig(options = {}) {
+  const { file = null, env = process.env } = options;
+
+  let config = getCurrentConfig();
+  if (file) {
+    const overrides = readConfigFile(file);
+    try {
+      config = mergeConfig(config, overrides);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+  try {
+    config = mergeConfig(config, getEnvOverrides(env, config));
+  } catch (error) {
+    throw new Error(`Environment overrides (${ENV_PREFIX}*): ${error.message}`);
+  }
+
+  config = normalizeConfig(config);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration${file ? ` in ${file}` : ""}:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+  }
+
+  applyConfig(config);
+  return { file, config };
+}
@@ -0,0 +1,273 @@
+/**
+ * Runtime Config Overlay
+ * Approved AI agent parameter changes are written to an overlay file instead of
+ * src/config.js. The overlay is merged over ARBITRAGE_CONFIG and GAS_CONFIG in place,
+ * so every module reading them sees the overlaid values. Each change is a numbered
+ * revision, and the latest one can be rolled back
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { ARBITRAGE_CONFIG, GAS_CONFIG } from "./config.js";
+
+/**
+ * Overlay configuration
+ */
+export const CONFIG_OVERLAY_CONFIG = {
+  // Overlay file
+  path: process.env.CONFIG_OVERLAY_PATH || ".cache/config-overlay.json"
+};
+
+// Layout version of the overlay file
+export const CONFIG_OVERLAY_VERSION = 1;
+
+// Configs the overlay may change
+const SECTIONS = { ARBITRAGE_CONFIG, GAS_CONFIG };
+
+// Values before any overlay: src/config.js, or the --config file once captureConfigDefaults ran
+const DEFAULTS = {
+  ARBITRAGE_CONFIG: { ...ARBITRAGE_CONFIG },
+  GAS_CONFIG: { ...GAS_CONFIG }
+};
+
+/**
+ * Takes the live configs as the defaults the overlay applies over
+ * Call after loading a config file, before the first reload
+ */
+export function captureConfigDefaults() {
+  for (const [section, source] of Object.entries(SECTIONS)) {
+    DEFAULTS[section] = { ...source };
+  }
+}
+
+/**
+ * Resolves parameters to their config section and checks their type
+ * Keys may be plain (as in recommendedParams) or "SECTION.KEY"
+ * @param {Object} params - Parameter name -> value
+ * @returns {Object} Section -> { key: value }, BigInt settings converted
+ */
+export function resolveOverlayParams(params) {
+  const values = {};
+
+  for (const [name, value] of Object.entries(params)) {
+    const [section, key] = name.includes(".")
+      ? name.split(".")
+      : [Object.keys(SECTIONS).find(candidate => name in DEFAULTS[candidate]), name];
+    const defaultValue = DEFAULTS[section]?.[key];
+    if (defaultValue === undefined) {
+      throw new Error(`Unknown config parameter ${name}`);
+    }
+
+    let resolved = value;
+    if (typeof defaultValue === "bigint") {
+      resolved = BigInt(value);
+    } else if (typeof value !== typeof defaultValue || (typeof value === "number" && !Number.isFinite(value))) {
+      throw new Error(`Invalid value for ${section}.${key}: expected a ${typeof defaultValue}, got ${JSON.stringify(value)}`);
+    }
+    values[section] = { ...values[section], [key]: resolved };
+  }
+
+  return values;
+}
+
+/**
+ * Sets the live configs to their defaults merged with the given values
+ * @param {Object} values - Section -> { key: value }
+ */
+export function applyConfigValues(values) {
+  for (const [section, target] of Object.entries(SECTIONS)) {
+    Object.assign(target, DEFAULTS[section], values[section]);
+  }
+}
+
+/**
+ * Lists the settings that differ between two sets of overlay values
+ * @param {Object} from - Section -> { key: value } (missing keys are defaults)
+ * @param {Object} to - Section -> { key: value }
+ * @returns {Object[]} { section, key, from, to }
+ */
+export function diffConfigValues(from, to) {
+  const changes = [];
+  for (const section of Object.keys(SECTIONS)) {
+    for (const key of Object.keys(DEFAULTS[section])) {
+      const before = from[section]?.[key] ?? DEFAULTS[section][key];
+      const after = to[section]?.[key] ?? DEFAULTS[section][key];
+      if (String(before) !== String(after)) {
+        changes.push({ section, key, from: before, to: after });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Serializes overlay values; BigInt settings become decimal strings
+ * @private
+ */
+function serialize(data) {
+  return JSON.stringify(data, (_, value) => typeof value === "bigint" ? value.toString() : value, 2) + "\n";
+}
+
+/**
+ * Config Overlay class
+ */
+export class ConfigOverlay {
+  /**
+   * @param {Object} config - CONFIG_OVERLAY_CONFIG overrides
+   */
+  constructor(config = {}) {
+    this.config = { ...CONFIG_OVERLAY_CONFIG, ...config };
+    this.revisions = [];
+    this.rolledBack = [];
+    // Revision and values currently applied to the live configs (0: defaults)
+    this.appliedRevision = 0;
+    this.appliedValues = {};
+    this.loadedMtimeMs = null;
+  }
+
+  /**
+   * Latest revision number (0 without any change)
+   */
+  get revision() {
+    return this.revisions.at(-1)?.revision ?? 0;
+  }
+
+  /**
+   * Values of the latest revision
+   * @returns {Object} Section -> { key: value }
+   */
+  getValues() {
+    return resolveOverlayParams(this.revisions.at(-1)?.params ?? {});
+  }
+
+  /**
+   * Reads the overlay file
+   * @returns {ConfigOverlay} This overlay
+   */
+  load() {
+    if (!fs.existsSync(this.config.path)) {
+      this.revisions = [];
+      this.rolledBack = [];
+      this.loadedMtimeMs = null;
+      return this;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.config.path, "utf8"));
+    if (data.version !== CONFIG_OVERLAY_VERSION) {
+      throw new Error(`Config overlay ${this.config.path} has version ${data.version}, expected ${CONFIG_OVERLAY_VERSION}`);
+    }
+    // Reject a file edited into an invalid state before anything is applied
+    for (const revision of data.revisions) {
+      resolveOverlayParams(revision.params);
+    }
+    this.revisions = data.revisions;
+    this.rolledBack = data.rolledBack ?? [];
+    this.loadedMtimeMs = fs.statSync(this.config.path).mtimeMs;
+    return this;
+  }
+
+  /**
+   * Reloads the file if it changed since the last load and applies the latest revision
+   * @returns {Object[]|null} Settings that changed, or null if the overlay did not change
+   */
+  reload() {
+    const mtimeMs = fs.existsSync(this.config.path) ? fs.statSync(this.config.path).mtimeMs : null;
+    if (mtimeMs === this.loadedMtimeMs && this.appliedRevision === this.revision) {
+      return null;
+    }
+
+    this.load();
+    return this._apply();
+  }
+
+  /**
+   * Writes the parameters of an approved AI agent change as a new revision and applies it
+   * @param {Object} change - Authorization request (AIAgent.pendingChanges entry) with status "approved"
+   * @param {Object} options - { decidedBy }
+   * @returns {Object} { revision, diff }
+   */
+  applyChange(change, options = {}) {
+    if (change.status !== "approved") {
+      throw new Error(`Change ${change.id} is ${change.status ?? "not approved"}; only approved changes are applied`);
+    }
+    if (!change.params || Object.keys(change.params).length === 0) {
+      throw new Error(`Change ${change.id} has no parameters to apply`);
+    }
+    // Validate before writing
+    resolveOverlayParams(change.params);
+
+    this.load();
+    if (this.revisions.some(revision => revision.changeId === change.id)) {
+      throw new Error(`Change ${change.id} is already applied`);
+    }
+    this.revisions.push({
+      revision: this.revision + 1,
+      timestamp: new Date().toISOString(),
+      changeId: change.id,
+      description: change.description,
+      decidedBy: options.decidedBy ?? null,
+      // Every revision holds the full overlay, so rollback only drops the latest one
+      params: { ...(this.revisions.at(-1)?.params ?? {}), ...change.params }
+    });
+    this._write();
+    return { revision: this.revision, diff: this._apply() };
+  }
+
+  /**
+   * Drops the latest revision, returning to the one before (or to the defaults)
+   * @returns {Object} { revision, rolledBack, diff }
+   */
+  rollback() {
+    this.load();
+    const latest = this.revisions.pop();
+    if (!latest) {
+      throw new Error("Config overlay has no revision to roll back");
+    }
+
+    this.rolledBack.push({ ...latest, rolledBackAt: new Date().toISOString() });
+    this._write();
+    return { revision: this.revision, rolledBack: latest.revision, diff: this._apply() };
+  }
+
+  /**
+   * Applies the latest revision to the live configs
+   * @private
+   */
+  _apply() {
+    const values = this.getValues();
+    const diff = diffConfigValues(this.appliedValues, values);
+    applyConfigValues(values);
+    this.appliedRevision = this.revision;
+    this.appliedValues = values;
+    return diff;
+  }
+
+  /**
+   * Writes the overlay file through a temporary file, so a running monitor never reads half of it
+   * @private
+   */
+  _write() {
+    fs.mkdirSync(path.dirname(this.config.path), { recursive: true });
+    const tempPath = `${this.config.path}.tmp`;
+    fs.writeFileSync(tempPath, serialize({
+      version: CONFIG_OVERLAY_VERSION,
+      updatedAt: new Date().toISOString(),
+      revisions: this.revisions,
+      rolledBack: this.rolledBack
+    }));
+    fs.renameSync(tempPath, this.config.path);
+    this.loadedMtimeMs = fs.statSync(this.config.path).mtimeMs;
+  }
+}
+
+/**
+ * Formats a config diff for display
+ * @param {Object[]} diff - Result of diffConfigValues (or ConfigOverlay.reload / applyChange)
+ * @returns {string} One line per setting
+ */
+export function formatConfigDiff(diff) {
+  if (diff.length === 0) {
+    return "  (no changes)";
+  }
+  return diff.map(change => `  ${change.section}.${change.key}: ${change.from} → ${change.to}`).join("\n");
+}
@@ -0,0 +1,236 @@
+/**
+ * Cycle Detector
+ * Treats every priced pool as a pair of directed edges between tokens and searches
+ * for profitable cycles across pools (cross-DEX round trips, triangles such as
+ * WETH -> USDC -> USDbC -> WETH, and longer paths up to CYCLE_CONFIG.MAX_HOPS)
+ */
+
+import { POOLS, GAS_CONFIG, CYCLE_CONFIG } from "./config.js";
+import { fetchPairPrices } from "./multicall.js";
+import { listKnownPairs } from "./poolDiscovery.js";
+
+/**
+ * Fetches prices for every configured or discovered pair, in one Multicall3 batch when enabled
+ * A failing pair is returned as { pair, error } so the other pairs are still used
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object|null} registry - Optional pool registry from poolDiscovery.js
+ * @param {Object} options - Fetch options, as for fetchPairPrices
+ * @returns {Promise<Object>} Result of fetchPairPrices ({ blockNumber, gasData, pairs, ... })
+ */
+export async function fetchAllPairPrices(provider, registry = null, options = {}) {
+  return fetchPairPrices(provider, listKnownPairs(POOLS, registry), registry, options);
+}
+
+/**
+ * Builds a token graph from pair prices
+ * Each pool gives two edges: base -> quote at its price and quote -> base at the inverse,
+ * both net of the pool fee. Log rates are kept so a cycle's return is a sum instead of a product
+ * @param {Object[]} pairPrices - Results of fetchPricesMultipleDEXes
+ * @returns {Object} { tokens, edges } with edges keyed by source token
+ */
+export function buildPriceGraph(pairPrices) {
+  const edges = new Map();
+  const addEdge = (edge) => {
+    if (!edges.has(edge.from)) {
+      edges.set(edge.from, []);
+    }
+    edges.get(edge.from).push(edge);
+  };
+
+  for (const pairData of pairPrices) {
+    for (const price of pairData.prices ?? []) {
+      if (price.error || !price.priceToken0InToken1) {
+        continue;
+      }
+
+      const feeFactor = 1 - (price.fee ?? 0) / 1_000_000;
+      const pool = {
+        poolId: `${pairData.pair}:${price.poolKey ?? price.dex}`,
+        pair: pairData.pair,
+        dex: price.dex,
+        poolKey: price.poolKey,
+        poolAddress: price.poolAddress,
+        poolType: price.poolType,
+        fee: price.fee ?? 0
+      };
+
+      for (const [from, to, midRate] of [
+        [pairData.token0, pairData.token1, price.priceToken0InToken1],
+        [pairData.token1, pairData.token0, 1 / price.priceToken0InToken1]
+      ]) {
+        const rate = midRate * feeFactor;
+        addEdge({
+          id: `${pool.poolId}:${from}`,
+          from,
+          to,
+          ...pool,
+          midRate,
+          rate,
+          logRate: Math.log(rate)
+        });
+      }
+    }
+  }
+
+  return { tokens: [...edges.keys()], edges };
+}
+
+/**
+ * Estimates the USD price of every token from its direct pools with the anchor token
+ * @param {Object} graph - Result of buildPriceGraph
+ * @param {string} anchor - Token valued at $1 (e.g. "USDC")
+ * @returns {Object} Token symbol -> USD price (tokens without a pool to the anchor are omitted)
+ */
+export function estimateUsdPrices(graph, anchor = CYCLE_CONFIG.USD_ANCHOR) {
+  const usdPrices = { [anchor]: 1 };
+
+  for (const token of graph.tokens) {
+    if (token === anchor) {
+      continue;
+    }
+    const rates = (graph.edges.get(token) ?? [])
+      .filter(edge => edge.to === anchor)
+      .map(edge => edge.midRate);
+    if (rates.length > 0) {
+      usdPrices[token] = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    }
+  }
+
+  return usdPrices;
+}
+
+/**
+ * Finds profitable cycles with a depth-bounded DFS from every token
+ * Each token is visited at most once per cycle; rotations of the same cycle are reported once
+ * @param {Object} graph - Result of buildPriceGraph
+ * @param {number} gasCostUsd - Gas cost per swap in USD
+ * @param {Object} options - Search options
+ * @param {number} [options.maxHops] - Longest cycle searched (default CYCLE_CONFIG.MAX_HOPS)
+ * @param {number} [options.tradeSizeUsd] - Notional size of each cycle (default CYCLE_CONFIG.TRADE_SIZE_USD)
+ * @param {number} [options.maxResults] - Cycles returned (default CYCLE_CONFIG.MAX_RESULTS)
+ * @param {Object} [options.usdPrices] - Token USD prices (default estimateUsdPrices)
+ * @returns {Object[]} Cycles with a positive return before gas, best net profit first
+ */
+export function findCycles(graph, gasCostUsd, options = {}) {
+  const maxHops = options.maxHops ?? CYCLE_CONFIG.MAX_HOPS;
+  const tradeSizeUsd = options.tradeSizeUsd ?? CYCLE_CONFIG.TRADE_SIZE_USD;
+  const maxResults = options.maxResults ?? CYCLE_CONFIG.MAX_RESULTS;
+  const usdPrices = options.usdPrices ?? estimateUsdPrices(graph);
+
+  const cycles = new Map();
+
+  const visit = (start, token, path, logReturn, visited) => {
+    for (const edge of graph.edges.get(token) ?? []) {
+      // Trading straight back through the same pool can only lose fees
+      if (path.length > 0 && path[path.length - 1].poolId === edge.poolId) {
+        continue;
+      }
+
+      const nextPath = [...path, edge];
+      const nextLogReturn = logReturn + edge.logRate;
+
+      if (edge.to === start && nextPath.length >= 2) {
+        if (nextLogReturn > 0) {
+          const key = canonicalCycleKey(nextPath);
+          if (!cycles.has(key)) {
+            cycles.set(key, describeCycle(nextPath, nextLogReturn, gasCostUsd, tradeSizeUsd, usdPrices));
+          }
+        }
+        continue;
+      }
+
+      if (nextPath.length < maxHops && !visited.has(edge.to)) {
+        visited.add(edge.to);
+        visit(start, edge.to, nextPath, nextLogReturn, visited);
+        visited.delete(edge.to);
+      }
+    }
+  };
+
+  for (const token of graph.tokens) {
+    visit(token, token, [], 0, new Set([token]));
+  }
+
+  return [...cycles.values()]
+    .sort((a, b) => b.netProfitUsd - a.netProfitUsd)
+    .slice(0, maxResults);
+}
+
+/**
+ * Key that is identical for every rotation of a cycle
+ * @private
+ */
+function canonicalCycleKey(path) {
+  const ids = path.map(edge => edge.id);
+  const rotations = ids.map((_, index) => [...ids.slice(index), ...ids.slice(0, index)].join("|"));
+  return rotations.sort()[0];
+}
+
+/**
+ * Builds the report of one cycle
+ * @private
+ */
+function describeCycle(path, logReturn, gasCostUsd, tradeSizeUsd, usdPrices) {
+  const start = path[0].from;
+  const returnMultiplier = Math.exp(logReturn);
+  const grossProfitUsd = (returnMultiplier - 1) * tradeSizeUsd;
+  const totalGasCostUsd = gasCostUsd * path.length;
+  const netProfitUsd = grossProfitUsd - totalGasCostUsd;
+
+  return {
+    tokens: [start, ...path.map(edge => edge.to)],
+    route: [start, ...path.map(edge => edge.to)].join(" → "),
+    hops: path.map(edge => ({
+      from: edge.from,
+      to: edge.to,
+      pair: edge.pair,
+      dex: edge.dex,
+      poolAddress: edge.poolAddress,
+      fee: edge.fee,
+      feePercent: edge.fee / 10_000,
+      midRate: edge.midRate,
+      rate: edge.rate
+    })),
+    returnPercent: (returnMultiplier - 1) * 100,
+    tradeSizeUsd,
+    startAmount: usdPrices[start] ? tradeSizeUsd / usdPrices[start] : null,
+    grossProfitUsd,
+    totalGasCostUsd,
+    netProfitUsd,
+    isProfitable: netProfitUsd > GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD
+  };
+}
+
+/**
+ * Formats detected cycles for display
+ * @param {Object[]} cycles - Result of findCycles
+ * @returns {string} Formatted output
+ */
+export function formatCycleReport(cycles) {
+  const lines = [
+    "═══════════════════════════════════════════════════════════════",
+    "                  MULTI-HOP CYCLE DETECTION                     ",
+    "═══════════════════════════════════════════════════════════════",
+    ""
+  ];
+
+  if (cycles.length === 0) {
+    lines.push("No cycle returns more than its pool fees");
+    return lines.join("\n");
+  }
+
+  cycles.forEach((cycle, index) => {
+    const status = cycle.isProfitable ? "✅ PROFITABLE" : "⚠️ not profitable after gas";
+    lines.push(`${index + 1}. ${cycle.route} (${status})`);
+    for (const hop of cycle.hops) {
+      lines.push(`     ${hop.from} → ${hop.to} on ${hop.dex} (${hop.pair}, fee ${hop.feePercent}%) @ ${hop.rate.toPrecision(8)}`);
+    }
+    const startAmount = cycle.startAmount !== null ? ` (${cycle.startAmount.toPrecision(6)} ${cycle.tokens[0]})` : "";
+    lines.push(`     Return: ${cycle.returnPercent.toFixed(4)}% on $${cycle.tradeSizeUsd}${startAmount}`);
+    lines.push(`     Gross: $${cycle.grossProfitUsd.toFixed(4)}  Gas (${cycle.hops.length} swaps): $${cycle.totalGasCostUsd.toFixed(4)}  Net: $${cycle.netProfitUsd.toFixed(4)}`);
+    lines.push("");
+  });
+
+  lines.push("═══════════════════════════════════════════════════════════════");
+  return lines.join("\n");
+}
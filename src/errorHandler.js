@@ -23,7 +23,13 @@ export const ERROR_HANDLER_CONFIG = {
   verboseLogging: true,
   
   // Authorization callback
-  authCallback: null
+  authCallback: null,
+  
+  // ProviderPool switched to its next endpoint on network errors
+  providerPool: null,
+  
+  // AI agent diagnosing errors (default: a new in-memory agent)
+  aiAgent: null
 };
 
 /**
@@ -32,7 +38,7 @@ export const ERROR_HANDLER_CONFIG = {
 export class SmartErrorHandler {
   constructor(config = {}) {
     this.config = { ...ERROR_HANDLER_CONFIG, ...config };
-    this.aiAgent = new AIAgent();
+    this.aiAgent = this.config.aiAgent ?? new AIAgent();
     this.errorLog = [];
   }
 
@@ -180,12 +186,13 @@ export class SmartErrorHandler {
   async _applyImmediateFixes(diagnosis) {
     // Immediate fixes that can be applied without authorization
     // These are runtime adjustments, not code changes
-    for (const rec of diagnosis.recommendations) {
-      if (rec.action === "Switch to backup RPC endpoint") {
-        // This would trigger RPC failover in a real implementation
-        if (this.config.verboseLogging) {
-          console.log("[AI AGENT] Recommending RPC endpoint switch...");
-        }
+    if (diagnosis.category === ERROR_CATEGORIES.NETWORK) {
+      // Fail over to the next RPC endpoint when the provider is a ProviderPool
+      const switchedFrom = this.config.providerPool?.failover(diagnosis.errorMessage) ?? null;
+      if (this.config.verboseLogging) {
+        console.log(switchedFrom
+          ? `[AI AGENT] Switched RPC endpoint away from ${switchedFrom}`
+          : "[AI AGENT] Recommending RPC endpoint switch...");
       }
     }
   }
@@ -235,6 +242,14 @@ export class SmartErrorHandler {
     this.aiAgent.config.authCallback = callback;
   }
 
+  /**
+   * Set the provider pool to fail over on network errors
+   * @param {ProviderPool} providerPool - Provider pool (null to disable failover)
+   */
+  setProviderPool(providerPool) {
+    this.config.providerPool = providerPool;
+  }
+
   /**
    * Clear error log and reset AI agent
    */
@@ -0,0 +1,513 @@
+/**
+ * Trade Executor
+ * Turns an arbitrage analysis into the buy and sell swaps on the DEX routers:
+ * builds the calldata, simulates both legs with eth_call / estimateGas and,
+ * in live mode only, signs and submits them with a local wallet.
+ * Dry-run is the default; point the provider at a forked node to rehearse trades
+ */
+
+import { ethers } from "ethers";
+import { TOKENS, DEXES, ARBITRAGE_CONFIG } from "./config.js";
+import {
+  UNISWAP_V3_SWAP_ROUTER_ABI,
+  AERODROME_CL_SWAP_ROUTER_ABI,
+  UNISWAP_V2_ROUTER_ABI,
+  ERC20_ABI
+} from "./abis.js";
+import { AI_AGENT_CONFIG } from "./aiAgent.js";
+import { quoteExactInputSingle, fetchTickSpacing } from "./quoter.js";
+import { Rounding, parseFixed, mulDiv, pow10 } from "./fixedPoint.js";
+
+/**
+ * Executor Configuration
+ */
+export const EXECUTOR_CONFIG = {
+  // "dry-run" only simulates; "live" signs and submits
+  mode: "dry-run",
+
+  // Minimum outputs are the quoted outputs less this tolerance; null reads
+  // ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT when a trade is planned, so --config
+  // files and approved overlay changes apply
+  slippageTolerancePercent: null,
+
+  // Swaps revert if mined later than this
+  deadlineSeconds: 120,
+
+  // Gas limit sent = estimate plus this margin
+  gasLimitBufferPercent: 20,
+
+  // Live trades must be profitable after gas in the analysis
+  requireProfit: true,
+
+  // Address simulated from in dry-run (defaults to the signer's address)
+  from: null,
+
+  // Signer used in live mode (e.g. an ethers.Wallet, or a WalletManager,
+  // which also checks and reserves the inventory spent)
+  signer: null,
+
+  // Authorization callback for live trades, called with the trade request
+  // and returning { authorized, reason }; execute_trade is a restricted action
+  authCallback: null
+};
+
+const v3RouterInterface = new ethers.Interface(UNISWAP_V3_SWAP_ROUTER_ABI);
+const clRouterInterface = new ethers.Interface(AERODROME_CL_SWAP_ROUTER_ABI);
+const v2RouterInterface = new ethers.Interface(UNISWAP_V2_ROUTER_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+/**
+ * Lowers an amount by a slippage tolerance, rounding down
+ * @param {bigint} amount - Expected amount in raw token units
+ * @param {number} tolerancePercent - Slippage tolerance (0.5 = 0.5%)
+ * @returns {bigint} Minimum acceptable amount
+ */
+export function applySlippage(amount, tolerancePercent) {
+  const toleranceFixed = parseFixed(tolerancePercent, 6, Rounding.UP);
+  const scale = 100n * pow10(6);
+  if (toleranceFixed < 0n || toleranceFixed > scale) {
+    throw new Error(`Invalid slippage tolerance: ${tolerancePercent}%`);
+  }
+  return mulDiv(amount, scale - toleranceFixed, scale, Rounding.DOWN);
+}
+
+/**
+ * Builds the router transaction of an exact-input swap on one pool
+ * @param {Object} pool - Price data of the pool (poolType, fee, tickSpacing, dexKey)
+ * @param {string} tokenIn - Address of the input token
+ * @param {string} tokenOut - Address of the output token
+ * @param {bigint} amountIn - Input amount in raw token units
+ * @param {bigint} amountOutMinimum - Minimum output in raw token units
+ * @param {string} recipient - Address receiving the output
+ * @param {bigint} deadline - Unix timestamp after which the swap reverts
+ * @returns {Object} { to, data } of the swap
+ */
+export function buildSwapTransaction(pool, tokenIn, tokenOut, amountIn, amountOutMinimum, recipient, deadline) {
+  switch (pool.poolType) {
+    case "V3": {
+      // SwapRouter02 params carry no deadline; multicall(deadline, ...) enforces it
+      const swap = v3RouterInterface.encodeFunctionData("exactInputSingle", [{
+        tokenIn,
+        tokenOut,
+        fee: pool.fee,
+        recipient,
+        amountIn,
+        amountOutMinimum,
+        sqrtPriceLimitX96: 0n
+      }]);
+      return {
+        to: DEXES.UNISWAP_V3.swapRouter,
+        data: v3RouterInterface.encodeFunctionData("multicall(uint256,bytes[])", [deadline, [swap]])
+      };
+    }
+    case "CL":
+      if (pool.tickSpacing === undefined || pool.tickSpacing === null) {
+        throw new Error(`Tick spacing of ${pool.dex} is unknown`);
+      }
+      return {
+        to: DEXES.AERODROME.clSwapRouter,
+        data: clRouterInterface.encodeFunctionData("exactInputSingle", [{
+          tokenIn,
+          tokenOut,
+          tickSpacing: pool.tickSpacing,
+          recipient,
+          deadline,
+          amountIn,
+          amountOutMinimum,
+          sqrtPriceLimitX96: 0n
+        }])
+      };
+    case "V2": {
+      const router = DEXES[pool.dexKey]?.router;
+      if (!router) {
+        throw new Error(`No router configured for ${pool.dex}`);
+      }
+      return {
+        to: router,
+        data: v2RouterInterface.encodeFunctionData("swapExactTokensForTokens", [
+          amountIn, amountOutMinimum, [tokenIn, tokenOut], recipient, deadline
+        ])
+      };
+    }
+    default:
+      throw new Error(`Cannot execute on pool type ${pool.poolType} (${pool.dex})`);
+  }
+}
+
+/**
+ * Decodes the output amount returned by a router swap
+ * @private
+ */
+function decodeAmountOut(poolType, returnData) {
+  if (poolType === "V2") {
+    const [amounts] = v2RouterInterface.decodeFunctionResult("swapExactTokensForTokens", returnData);
+    return amounts[amounts.length - 1];
+  }
+  if (poolType === "V3") {
+    const [results] = v3RouterInterface.decodeFunctionResult("multicall(uint256,bytes[])", returnData);
+    return v3RouterInterface.decodeFunctionResult("exactInputSingle", results[0])[0];
+  }
+  return clRouterInterface.decodeFunctionResult("exactInputSingle", returnData)[0];
+}
+
+/**
+ * Finds the price data of the pool an analysis names
+ * @private
+ */
+function findPool(priceData, dexName) {
+  const pool = priceData.prices.find(p => p.dex === dexName && !p.error);
+  if (!pool) {
+    throw new Error(`No price data for ${dexName}`);
+  }
+  return pool;
+}
+
+/**
+ * Plans both legs of an arbitrage: quote token -> base token on the buy pool,
+ * then base token -> quote token on the sell pool
+ * Expected outputs are quoted for the exact sizes; minimum outputs apply the slippage
+ * tolerance. The sell leg spends the buy leg's minimum output, which is always received
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+ * @param {Object} analysis - Result of analyzeArbitrage
+ * @param {Object} options - Plan options
+ * @param {string} options.from - Address trading (recipient of both legs)
+ * @param {number} [options.tradeAmountEth] - Trade size (default the analysis trade size)
+ * @param {number} [options.slippageTolerancePercent] - Default ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT
+ * @param {number} [options.deadlineSeconds] - Default EXECUTOR_CONFIG
+ * @returns {Promise<Object>} { pair, from, deadline, slippageTolerancePercent, buy, sell, minProfit }
+ */
+export async function planArbitrage(provider, priceData, analysis, options = {}) {
+  const config = { ...EXECUTOR_CONFIG, ...options };
+  if (!analysis.direction) {
+    throw new Error(`Nothing to execute: ${analysis.reason ?? "no arbitrage direction"}`);
+  }
+  if (!config.from) {
+    throw new Error("No trading address: pass a from address or a signer");
+  }
+
+  const baseToken = TOKENS[priceData.token0];
+  const quoteToken = TOKENS[priceData.token1];
+  const tradeAmountEth = config.tradeAmountEth ?? analysis.profitAnalysis.tradeAmountEth;
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + config.deadlineSeconds);
+  const slippageTolerancePercent = config.slippageTolerancePercent ?? ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT;
+
+  const [buyPool, sellPool] = await Promise.all(
+    [analysis.direction.buyFrom, analysis.direction.sellTo].map(async (dexName) => {
+      const pool = findPool(priceData, dexName);
+      return pool.poolType === "CL" && pool.tickSpacing == null
+        ? { ...pool, tickSpacing: await fetchTickSpacing(provider, pool.poolAddress) }
+        : pool;
+    })
+  );
+
+  // Quote token spent on the buy leg, sized from the buy price like quoteArbitrage
+  const amountIn = ethers.parseUnits(
+    (tradeAmountEth * analysis.direction.buyPrice).toFixed(quoteToken.decimals),
+    quoteToken.decimals
+  );
+
+  const buyQuote = await quoteExactInputSingle(provider, buyPool, quoteToken.address, baseToken.address, amountIn);
+  const buyMinOut = applySlippage(buyQuote.amountOut, slippageTolerancePercent);
+
+  const sellQuote = await quoteExactInputSingle(provider, sellPool, baseToken.address, quoteToken.address, buyMinOut);
+  const sellMinOut = applySlippage(sellQuote.amountOut, slippageTolerancePercent);
+
+  const buildLeg = (side, pool, tokenIn, tokenOut, legAmountIn, expectedOut, minOut) => {
+    const swap = buildSwapTransaction(pool, tokenIn.address, tokenOut.address, legAmountIn, minOut, config.from, deadline);
+    return {
+      side,
+      dex: pool.dex,
+      poolType: pool.poolType,
+      poolAddress: pool.poolAddress,
+      fee: pool.fee,
+      tickSpacing: pool.tickSpacing ?? null,
+      router: swap.to,
+      tokenIn: tokenIn.symbol,
+      tokenInAddress: tokenIn.address,
+      tokenOut: tokenOut.symbol,
+      tokenOutAddress: tokenOut.address,
+      amountIn: legAmountIn,
+      expectedAmountOut: expectedOut,
+      amountOutMinimum: minOut,
+      amountInFormatted: Number(ethers.formatUnits(legAmountIn, tokenIn.decimals)),
+      amountOutMinimumFormatted: Number(ethers.formatUnits(minOut, tokenOut.decimals)),
+      tx: { from: config.from, to: swap.to, data: swap.data }
+    };
+  };
+
+  return {
+    pair: priceData.pair,
+    from: config.from,
+    deadline,
+    slippageTolerancePercent,
+    buy: buildLeg("buy", buyPool, quoteToken, baseToken, amountIn, buyQuote.amountOut, buyMinOut),
+    sell: buildLeg("sell", sellPool, baseToken, quoteToken, buyMinOut, sellQuote.amountOut, sellMinOut),
+    // Worst case profit in quote token units, before gas
+    minProfit: sellMinOut - amountIn,
+    minProfitFormatted: Number(ethers.formatUnits(sellMinOut - amountIn, quoteToken.decimals))
+  };
+}
+
+/**
+ * Simulates one leg with eth_call and estimateGas from the trading address
+ * A missing router allowance is reported, since the swap reverts until it is approved
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} leg - Leg from planArbitrage
+ * @returns {Promise<Object>} { success, amountOut, gasEstimate, needsApproval, error }
+ */
+export async function simulateLeg(provider, leg) {
+  const token = new ethers.Contract(leg.tokenInAddress, ERC20_ABI, provider);
+  const allowance = await token.allowance(leg.tx.from, leg.router);
+  const needsApproval = allowance < leg.amountIn;
+
+  try {
+    const returnData = await provider.call(leg.tx);
+    const gasEstimate = await provider.estimateGas(leg.tx);
+    return { success: true, amountOut: decodeAmountOut(leg.poolType, returnData), gasEstimate, needsApproval, error: null };
+  } catch (error) {
+    return { success: false, amountOut: null, gasEstimate: null, needsApproval, error: error.shortMessage ?? error.message };
+  }
+}
+
+/**
+ * Trade Executor class
+ * execute() always plans and simulates; it only submits in live mode, after authorization
+ */
+export class TradeExecutor {
+  constructor(provider, config = {}) {
+    this.provider = provider;
+    this.config = { ...EXECUTOR_CONFIG, ...config };
+    this.history = [];
+  }
+
+  /**
+   * Plans, simulates and (in live mode) executes an arbitrage
+   * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+   * @param {Object} analysis - Result of analyzeArbitrage
+   * @returns {Promise<Object>} { mode, status, plan, simulation, transactions, error }
+   *   with status "simulated", "executed", "rejected", "pending_authorization", "aborted" or "failed"
+   */
+  async execute(priceData, analysis) {
+    const from = await this._tradingAddress();
+    const plan = await planArbitrage(this.provider, priceData, analysis, { ...this.config, from });
+    const simulation = {
+      buy: await simulateLeg(this.provider, plan.buy),
+      sell: await simulateLeg(this.provider, plan.sell)
+    };
+
+    const result = {
+      mode: this.config.mode,
+      status: "simulated",
+      plan,
+      simulation,
+      inventory: null,
+      transactions: [],
+      error: null,
+      timestamp: new Date().toISOString()
+    };
+    this.history.push(result);
+
+    if (this.config.mode !== "live") {
+      return result;
+    }
+    return this._executeLive(result, analysis);
+  }
+
+  /**
+   * Address trades are simulated from and paid out to
+   * Live trades always use the signer's address, since the signer spends the tokens;
+   * otherwise config.from (e.g. EXECUTOR_FROM) takes precedence
+   * @private
+   */
+  async _tradingAddress() {
+    const { mode, signer, from } = this.config;
+    if (mode === "live" && signer) {
+      return signer.getAddress();
+    }
+    return from ?? await signer?.getAddress() ?? null;
+  }
+
+  /**
+   * Checks the preconditions of a live trade, asks for authorization and submits both legs
+   * @private
+   */
+  async _executeLive(result, analysis) {
+    const abort = (status, error) => Object.assign(result, { status, error });
+
+    if (!this.config.signer) {
+      return abort("aborted", "Live mode needs a signer");
+    }
+    if (this.config.requireProfit && !analysis.isProfitableAfterGas) {
+      return abort("aborted", "Opportunity is not profitable after gas");
+    }
+    if (!result.simulation.buy.success && !result.simulation.buy.needsApproval) {
+      return abort("aborted", `Buy simulation failed: ${result.simulation.buy.error}`);
+    }
+
+    // The minimum outputs bound what the trade can return: refuse one that can lose money,
+    // or not cover its gas, within the slippage tolerance
+    const { minProfit, minProfitFormatted, sell } = result.plan;
+    if (minProfit <= 0n) {
+      return abort("aborted", `Worst-case profit ${minProfitFormatted} ${sell.tokenOut} is not positive`);
+    }
+    const gasCost = analysis.profitAnalysis?.gasCostUsd;
+    if (this.config.requireProfit && typeof gasCost === "number" && minProfitFormatted < gasCost) {
+      return abort("aborted", `Worst-case profit ${minProfitFormatted} ${sell.tokenOut} does not cover gas (${gasCost.toFixed(6)})`);
+    }
+
+    // Refuse trades larger than the inventory, and hold the quote token spent back
+    // from other trades until this one is done
+    const { signer } = this.config;
+    const { buy } = result.plan;
+    if (typeof signer.reserveInventory === "function") {
+      result.inventory = await signer.reserveInventory(buy.tokenIn, buy.amountIn);
+      if (result.inventory.unknown) {
+        return abort("rejected", `${buy.tokenIn} balance is unknown: the wallet could not read it`);
+      }
+      if (!result.inventory.sufficient) {
+        return abort("rejected", `Insufficient ${buy.tokenIn}: needs ${buy.amountInFormatted}, ` +
+          `${ethers.formatUnits(result.inventory.available, TOKENS[buy.tokenIn].decimals)} available`);
+      }
+    }
+
+    try {
+      const authorization = await this._authorize(result.plan, analysis);
+      if (!authorization.authorized) {
+        return abort(authorization.pending ? "pending_authorization" : "rejected", authorization.reason ?? authorization.message);
+      }
+
+      for (const side of ["buy", "sell"]) {
+        const leg = result.plan[side];
+        await this._ensureAllowance(leg, result.transactions);
+
+        // Re-simulate now that the allowance (and, for the sell leg, the bought tokens) are in place
+        const simulation = await simulateLeg(this.provider, leg);
+        result.simulation[side] = simulation;
+        if (!simulation.success) {
+          return abort(side === "buy" ? "aborted" : "failed", `${side} simulation failed: ${simulation.error}`);
+        }
+
+        const gasLimit = simulation.gasEstimate * BigInt(100 + this.config.gasLimitBufferPercent) / 100n;
+        const receipt = await this._send({ to: leg.tx.to, data: leg.tx.data, gasLimit }, side, result.transactions);
+        if (receipt.status !== 1) {
+          return abort("failed", `${side} transaction ${receipt.hash} reverted`);
+        }
+      }
+    } catch (error) {
+      return abort("failed", error.shortMessage ?? error.message);
+    } finally {
+      if (result.inventory?.reservationId) {
+        signer.release(result.inventory.reservationId);
+      }
+    }
+
+    result.status = "executed";
+    return result;
+  }
+
+  /**
+   * Requests authorization for execute_trade, a restricted action of the AI agent
+   * @private
+   */
+  async _authorize(plan, analysis) {
+    if (!AI_AGENT_CONFIG.restrictedActions.includes("execute_trade")) {
+      return { authorized: true, reason: "execute_trade is not restricted" };
+    }
+    if (typeof this.config.authCallback !== "function") {
+      return { authorized: false, pending: true, message: "Live trades need an authCallback to approve execute_trade" };
+    }
+    return this.config.authCallback({
+      id: `TRADE_${Date.now()}`,
+      action: "execute_trade",
+      timestamp: new Date().toISOString(),
+      pair: plan.pair,
+      description: `Buy on ${plan.buy.dex}, sell on ${plan.sell.dex}`,
+      buy: { dex: plan.buy.dex, amountIn: plan.buy.amountInFormatted, tokenIn: plan.buy.tokenIn },
+      sell: { dex: plan.sell.dex, minAmountOut: plan.sell.amountOutMinimumFormatted, tokenOut: plan.sell.tokenOut },
+      minProfit: plan.minProfitFormatted,
+      expectedNetProfitUsd: analysis.profitAnalysis?.netProfitUsd ?? null
+    });
+  }
+
+  /**
+   * Approves the router for the leg's input amount if the allowance is too low
+   * @private
+   */
+  async _ensureAllowance(leg, transactions) {
+    const token = new ethers.Contract(leg.tokenInAddress, ERC20_ABI, this.provider);
+    const allowance = await token.allowance(leg.tx.from, leg.router);
+    if (allowance >= leg.amountIn) {
+      return;
+    }
+    const data = erc20Interface.encodeFunctionData("approve", [leg.router, leg.amountIn]);
+    const receipt = await this._send({ to: leg.tokenInAddress, data }, `approve ${leg.tokenIn}`, transactions);
+    if (receipt.status !== 1) {
+      throw new Error(`Approval of ${leg.tokenIn} for ${leg.router} reverted`);
+    }
+  }
+
+  /**
+   * Signs, submits and waits for one transaction
+   * @private
+   */
+  async _send(tx, label, transactions) {
+    const response = await this.config.signer.sendTransaction(tx);
+    const entry = { label, hash: response.hash, status: "pending" };
+    transactions.push(entry);
+
+    const receipt = await response.wait();
+    entry.status = receipt.status === 1 ? "confirmed" : "reverted";
+    entry.blockNumber = receipt.blockNumber;
+    entry.gasUsed = receipt.gasUsed?.toString() ?? null;
+    return receipt;
+  }
+}
+
+/**
+ * Formats an execution result for display
+ * @param {Object} result - Result of TradeExecutor.execute
+ * @returns {string} Formatted output
+ */
+export function formatExecutionReport(result) {
+  const { plan, simulation } = result;
+  const lines = [
+    "═══════════════════════════════════════════════════════════════",
+    `              TRADE EXECUTION (${result.mode.toUpperCase()})`,
+    "═══════════════════════════════════════════════════════════════",
+    "",
+    `From: ${plan.from}`,
+    `Slippage tolerance: ${plan.slippageTolerancePercent}%`,
+    ""
+  ];
+
+  for (const leg of [plan.buy, plan.sell]) {
+    const sim = simulation[leg.side];
+    lines.push(`${leg.side.toUpperCase()} on ${leg.dex} via ${leg.router}`);
+    lines.push(`  ${leg.amountInFormatted} ${leg.tokenIn} → min ${leg.amountOutMinimumFormatted} ${leg.tokenOut}`);
+    if (sim.success) {
+      lines.push(`  Simulation: ✅ ok, gas estimate ${sim.gasEstimate}`);
+    } else {
+      lines.push(`  Simulation: ❌ ${sim.error}${sim.needsApproval ? ` (router not approved for ${leg.tokenIn})` : ""}`);
+    }
+  }
+
+  if (result.mode !== "live" && !simulation.sell.success) {
+    lines.push("  (the sell leg spends the tokens bought by the buy leg, so it only simulates");
+    lines.push("   if the trading address already holds them)");
+  }
+
+  lines.push("");
+  if (result.inventory) {
+    const { decimals } = TOKENS[plan.buy.tokenIn];
+    const available = result.inventory.unknown ? "unknown" : ethers.formatUnits(result.inventory.available, decimals);
+    lines.push(`Inventory: ${available} ${plan.buy.tokenIn} available${result.inventory.sufficient ? "" : " ❌ insufficient"}`);
+  }
+  lines.push(`Minimum profit before gas: ${plan.minProfitFormatted} ${plan.sell.tokenOut}`);
+  for (const tx of result.transactions) {
+    lines.push(`  ${tx.label}: ${tx.hash} (${tx.status})`);
+  }
+  lines.push(`Status: ${result.status}${result.error ? ` - ${result.error}` : ""}`);
+  lines.push("═══════════════════════════════════════════════════════════════");
+  return lines.join("\n");
+}
@@ -0,0 +1,233 @@
+/**
+ * Fixed-Point Price Math
+ * Exact BigInt counterparts of the float price helpers, for execution decisions
+ * Prices are integers scaled by 10^precision (PRICE_DECIMALS by default),
+ * so 2000.5 USDC per WETH is 2000500000000000000000n
+ */
+
+import { ethers } from "ethers";
+
+export const Q96 = 2n ** 96n;
+export const Q192 = Q96 * Q96;
+
+// Default precision of fixed-point prices
+// (pass a higher precision for prices below 1e-18, e.g. USDC priced in an 18 decimal token's raw units)
+export const PRICE_DECIMALS = 18;
+
+/**
+ * Rounding modes for every division
+ * DOWN rounds toward negative infinity, UP toward positive infinity,
+ * HALF_UP to the nearest value with ties rounded up
+ */
+export const Rounding = Object.freeze({
+  DOWN: "down",
+  UP: "up",
+  HALF_UP: "half_up"
+});
+
+/**
+ * Returns 10^exponent as a BigInt
+ * @param {number} exponent - Non-negative exponent
+ * @returns {bigint} 10^exponent
+ */
+export function pow10(exponent) {
+  if (exponent < 0) {
+    throw new Error(`Negative exponent: ${exponent}`);
+  }
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Divides two BigInts with an explicit rounding mode
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator (non-zero)
+ * @param {string} rounding - Rounding mode
+ * @returns {bigint} Rounded quotient
+ */
+export function divRound(numerator, denominator, rounding = Rounding.DOWN) {
+  if (denominator === 0n) {
+    throw new Error("Division by zero");
+  }
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  switch (rounding) {
+    case Rounding.DOWN:
+      return floorDiv(numerator, denominator);
+    case Rounding.UP:
+      return -floorDiv(-numerator, denominator);
+    case Rounding.HALF_UP:
+      return floorDiv(numerator * 2n + denominator, denominator * 2n);
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+}
+
+/**
+ * Floor division for a positive denominator (BigInt division truncates toward zero)
+ * @private
+ */
+function floorDiv(numerator, denominator) {
+  const quotient = numerator / denominator;
+  return numerator % denominator < 0n ? quotient - 1n : quotient;
+}
+
+/**
+ * Computes a * b / denominator without intermediate rounding
+ * @param {bigint} a - First factor
+ * @param {bigint} b - Second factor
+ * @param {bigint} denominator - Denominator
+ * @param {string} rounding - Rounding mode
+ * @returns {bigint} Rounded result
+ */
+export function mulDiv(a, b, denominator, rounding = Rounding.DOWN) {
+  return divRound(a * b, denominator, rounding);
+}
+
+/**
+ * Multiplies two fixed-point values of the same precision
+ * @param {bigint} a - Fixed-point value
+ * @param {bigint} b - Fixed-point value
+ * @param {number} precision - Decimals of both values
+ * @param {string} rounding - Rounding mode
+ * @returns {bigint} a * b at the same precision
+ */
+export function mulFixed(a, b, precision = PRICE_DECIMALS, rounding = Rounding.DOWN) {
+  return mulDiv(a, b, pow10(precision), rounding);
+}
+
+/**
+ * Divides two fixed-point values of the same precision
+ * @param {bigint} a - Fixed-point value
+ * @param {bigint} b - Fixed-point value (non-zero)
+ * @param {number} precision - Decimals of both values
+ * @param {string} rounding - Rounding mode
+ * @returns {bigint} a / b at the same precision
+ */
+export function divFixed(a, b, precision = PRICE_DECIMALS, rounding = Rounding.DOWN) {
+  return mulDiv(a, pow10(precision), b, rounding);
+}
+
+/**
+ * Rescales a raw token amount between decimals, e.g. USDC (6) to WETH (18) units
+ * @param {bigint} amount - Amount with fromDecimals decimals
+ * @param {number} fromDecimals - Decimals of the amount
+ * @param {number} toDecimals - Target decimals
+ * @param {string} rounding - Rounding mode when decimals are dropped
+ * @returns {bigint} Amount with toDecimals decimals
+ */
+export function scaleAmount(amount, fromDecimals, toDecimals, rounding = Rounding.DOWN) {
+  if (toDecimals >= fromDecimals) {
+    return amount * pow10(toDecimals - fromDecimals);
+  }
+  return divRound(amount, pow10(fromDecimals - toDecimals), rounding);
+}
+
+/**
+ * Parses a decimal number or string into a fixed-point value
+ * Numbers are parsed from their shortest decimal representation, so 0.1 becomes exactly 0.1
+ * @param {number|string|bigint} value - Value to parse (e.g. "2000.5", 0.5, "1e-7")
+ * @param {number} precision - Decimals of the result
+ * @param {string} rounding - Rounding mode for digits beyond the precision
+ * @returns {bigint} Fixed-point value
+ */
+export function parseFixed(value, precision = PRICE_DECIMALS, rounding = Rounding.DOWN) {
+  if (typeof value === "bigint") {
+    return value * pow10(precision);
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [, sign, integerPart = "", fractionPart = ""] = match;
+  const exponent = Number(match[4] ?? 0) - fractionPart.length + precision;
+  const digits = BigInt(`${sign === "-" ? "-" : ""}${integerPart}${fractionPart}` || "0");
+
+  return exponent >= 0 ? digits * pow10(exponent) : divRound(digits, pow10(-exponent), rounding);
+}
+
+/**
+ * Formats a fixed-point value as a decimal string without losing digits
+ * @param {bigint} value - Fixed-point value
+ * @param {number} precision - Decimals of the value
+ * @returns {string} Decimal string (e.g. "2000.5")
+ */
+export function formatFixed(value, precision = PRICE_DECIMALS) {
+  return ethers.formatUnits(value, precision);
+}
+
+/**
+ * Converts a fixed-point value to a Number for display or the float path
+ * @param {bigint} value - Fixed-point value
+ * @param {number} precision - Decimals of the value
+ * @returns {number} Nearest Number
+ */
+export function fixedToNumber(value, precision = PRICE_DECIMALS) {
+  return Number(formatFixed(value, precision));
+}
+
+/**
+ * Calculates the price of token0 in token1 from sqrtPriceX96 without floating point
+ * price = sqrtPriceX96^2 / 2^192 x 10^(token0Decimals - token1Decimals)
+ * @param {bigint} sqrtPriceX96 - The sqrt price from slot0
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {string} rounding - Rounding mode
+ * @param {number} precision - Decimals of the result
+ * @returns {bigint} Fixed-point price (0n for a missing price)
+ */
+export function sqrtPriceX96ToPriceFixed(sqrtPriceX96, token0Decimals, token1Decimals, rounding = Rounding.DOWN, precision = PRICE_DECIMALS) {
+  if (!sqrtPriceX96) {
+    return 0n;
+  }
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  return scaledRatio(sqrtPrice * sqrtPrice, Q192, token0Decimals - token1Decimals + precision, rounding);
+}
+
+/**
+ * Calculates the price of token1 in token0 from sqrtPriceX96 without floating point
+ * @param {bigint} sqrtPriceX96 - The sqrt price from slot0
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {string} rounding - Rounding mode
+ * @param {number} precision - Decimals of the result
+ * @returns {bigint} Fixed-point price (0n for a missing price)
+ */
+export function sqrtPriceX96ToInversePriceFixed(sqrtPriceX96, token0Decimals, token1Decimals, rounding = Rounding.DOWN, precision = PRICE_DECIMALS) {
+  if (!sqrtPriceX96) {
+    return 0n;
+  }
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  return scaledRatio(Q192, sqrtPrice * sqrtPrice, token1Decimals - token0Decimals + precision, rounding);
+}
+
+/**
+ * Calculates the price of token0 in token1 from V2 reserves without floating point
+ * @param {bigint} reserve0 - Reserve of token0
+ * @param {bigint} reserve1 - Reserve of token1
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {string} rounding - Rounding mode
+ * @param {number} precision - Decimals of the result
+ * @returns {bigint} Fixed-point price (0n for empty reserves)
+ */
+export function reservesToPriceFixed(reserve0, reserve1, token0Decimals, token1Decimals, rounding = Rounding.DOWN, precision = PRICE_DECIMALS) {
+  if (!reserve0 || !reserve1) {
+    return 0n;
+  }
+  return scaledRatio(BigInt(reserve1), BigInt(reserve0), token0Decimals - token1Decimals + precision, rounding);
+}
+
+/**
+ * Computes numerator / denominator x 10^exponent with a single rounding
+ * @private
+ */
+function scaledRatio(numerator, denominator, exponent, rounding) {
+  return exponent >= 0
+    ? divRound(numerator * pow10(exponent), denominator, rounding)
+    : divRound(numerator, denominator * pow10(-exponent), rounding);
+}
@@ -0,0 +1,349 @@
+/**
+ * Flash Arbitrage Client
+ * Encodes and runs atomic arbitrages through the FlashArbitrage contract
+ * (contracts/FlashArbitrage.sol): the buy pool flash-swaps the base token to the
+ * contract, which sells it on the other DEX and repays within the same transaction.
+ * Unlike the two swaps of TradeExecutor, there is no leg risk between transactions
+ */
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { TOKENS } from "./config.js";
+import { FLASH_ARBITRAGE_ABI } from "./abis.js";
+import { TradeExecutor, planArbitrage } from "./executor.js";
+import { fetchGasPrice } from "./priceFetcher.js";
+
+/**
+ * Flash arbitrage configuration (extends EXECUTOR_CONFIG)
+ */
+export const FLASH_ARBITRAGE_CONFIG = {
+  // Deployed FlashArbitrage contract; only its owner can call execute
+  contractAddress: null,
+
+  // Quote token (raw units) that must be left after repaying the buy pool.
+  // Default: the plan's worst-case profit at the slippage tolerance (at least 1),
+  // plus the simulated gas of the call
+  minProfit: null,
+
+  // Gas price (wei) and ETH price in the quote token used to value that gas.
+  // Defaults: the provider's gas price; the pair's price when WETH is one of its tokens
+  gasPrice: null,
+  ethPriceQuote: null,
+
+  // Compiled contract written by `npm run build:contracts` (forge build, see foundry.toml)
+  artifactPath: fileURLToPath(new URL("../build/contracts/FlashArbitrage.sol/FlashArbitrage.json", import.meta.url))
+};
+
+// Pools that can flash-swap: both call uniswapV3SwapCallback
+const FLASH_SWAP_POOL_TYPES = ["V3", "CL"];
+
+// FlashArbitrage.SellKind
+const SELL_KINDS = { V3: 0, CL: 1, V2: 2 };
+
+const flashArbitrageInterface = new ethers.Interface(FLASH_ARBITRAGE_ABI);
+
+/**
+ * Encodes the execute call of the FlashArbitrage contract
+ * @param {Object} params - FlashArbitrage.Params (buyPool, tokenIn, tokenOut, amountIn,
+ *   sellKind, sellRouter, sellFee, sellTickSpacing, minProfit)
+ * @returns {string} Calldata
+ */
+export function encodeFlashArbitrage(params) {
+  return flashArbitrageInterface.encodeFunctionData("execute", [params]);
+}
+
+/**
+ * Describes a FlashArbitrage revert, decoding the contract's custom errors
+ * @param {Error} error - Error thrown by eth_call / estimateGas
+ * @returns {string} Readable reason
+ */
+export function describeFlashArbitrageError(error) {
+  const data = error.data ?? error.info?.error?.data;
+  if (typeof data === "string" && data.length >= 10) {
+    const parsed = flashArbitrageInterface.parseError(data);
+    if (parsed?.name === "InsufficientProfit") {
+      return `InsufficientProfit: received ${parsed.args.received}, required ${parsed.args.required}`;
+    }
+    if (parsed) {
+      return parsed.name;
+    }
+  }
+  return error.shortMessage ?? error.message;
+}
+
+/**
+ * Reads the ABI and bytecode of the compiled FlashArbitrage contract
+ * @param {string} artifactPath - Foundry artifact (default FLASH_ARBITRAGE_CONFIG.artifactPath)
+ * @returns {Object} { abi, bytecode }
+ */
+export function loadFlashArbitrageArtifact(artifactPath = FLASH_ARBITRAGE_CONFIG.artifactPath) {
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`No FlashArbitrage build at ${artifactPath}: run \`npm run build:contracts\` (needs Foundry)`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+  return { abi: artifact.abi, bytecode: artifact.bytecode?.object ?? artifact.bytecode };
+}
+
+/**
+ * Deploys the FlashArbitrage contract; the signer becomes its owner
+ * @param {ethers.Signer} signer - Deploying signer
+ * @param {Object} options - FLASH_ARBITRAGE_CONFIG overrides (artifactPath)
+ * @returns {Promise<string>} Address of the deployed contract
+ */
+export async function deployFlashArbitrage(signer, options = {}) {
+  const { abi, bytecode } = loadFlashArbitrageArtifact(options.artifactPath);
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy();
+  await contract.waitForDeployment();
+  return contract.getAddress();
+}
+
+/**
+ * Plans an atomic arbitrage from an analyzeArbitrage result
+ * Both legs are quoted like planArbitrage, with the contract as the trading address;
+ * the contract sells whatever the buy pool sends and keeps the rest after repayment
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+ * @param {Object} analysis - Result of analyzeArbitrage
+ * @param {Object} options - EXECUTOR_CONFIG / FLASH_ARBITRAGE_CONFIG overrides
+ * @param {string} [options.from] - Caller of execute (default: the contract owner)
+ * @returns {Promise<Object>} Plan with buy and sell legs, params, minProfit and tx
+ */
+export async function planFlashArbitrage(provider, priceData, analysis, options = {}) {
+  const config = { ...FLASH_ARBITRAGE_CONFIG, ...options };
+  if (!config.contractAddress) {
+    throw new Error("No FlashArbitrage contract address configured");
+  }
+
+  const buyPool = priceData.prices.find(p => p.dex === analysis.direction?.buyFrom && !p.error);
+  if (buyPool && !FLASH_SWAP_POOL_TYPES.includes(buyPool.poolType)) {
+    throw new Error(`Cannot flash-swap from ${buyPool.dex}: the buy pool must be a Uniswap V3 or Aerodrome CL pool`);
+  }
+
+  const contract = new ethers.Contract(config.contractAddress, FLASH_ARBITRAGE_ABI, provider);
+  const from = config.from ?? await contract.owner();
+  const legs = await planArbitrage(provider, priceData, analysis, { ...config, from: config.contractAddress });
+  const quoteToken = TOKENS[priceData.token1];
+
+  const minProfit = config.minProfit ?? (legs.minProfit > 0n ? legs.minProfit : 1n);
+  const params = {
+    buyPool: legs.buy.poolAddress,
+    tokenIn: legs.buy.tokenInAddress,
+    tokenOut: legs.buy.tokenOutAddress,
+    amountIn: legs.buy.amountIn,
+    sellKind: SELL_KINDS[legs.sell.poolType],
+    sellRouter: legs.sell.router,
+    sellFee: legs.sell.fee ?? 0,
+    sellTickSpacing: legs.sell.tickSpacing ?? 0,
+    minProfit
+  };
+
+  return {
+    ...legs,
+    atomic: true,
+    from,
+    contractAddress: config.contractAddress,
+    params,
+    minProfit,
+    minProfitFormatted: Number(ethers.formatUnits(minProfit, quoteToken.decimals)),
+    tx: { from, to: config.contractAddress, data: encodeFlashArbitrage(params) }
+  };
+}
+
+/**
+ * Raises the minimum profit of a plan by the gas cost of its execute call,
+ * so the contract reverts rather than land a trade that loses money to gas
+ * @param {Object} plan - Result of planFlashArbitrage
+ * @param {bigint} gasCost - Gas cost in quote token raw units
+ * @returns {Object} Plan with gasCost, minProfit, params and tx updated
+ */
+export function addGasCostToPlan(plan, gasCost) {
+  const decimals = TOKENS[plan.sell.tokenOut].decimals;
+  const minProfit = plan.minProfit + gasCost;
+  const params = { ...plan.params, minProfit };
+  return {
+    ...plan,
+    params,
+    gasCost,
+    gasCostFormatted: Number(ethers.formatUnits(gasCost, decimals)),
+    minProfit,
+    minProfitFormatted: Number(ethers.formatUnits(minProfit, decimals)),
+    tx: { ...plan.tx, data: encodeFlashArbitrage(params) }
+  };
+}
+
+/**
+ * Simulates the execute call with eth_call and estimateGas
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} plan - Result of planFlashArbitrage
+ * @returns {Promise<Object>} { success, profit, profitFormatted, gasEstimate, error }
+ */
+export async function simulateFlashArbitrage(provider, plan) {
+  const quoteToken = TOKENS[plan.sell.tokenOut];
+  try {
+    const returnData = await provider.call(plan.tx);
+    const [profit] = flashArbitrageInterface.decodeFunctionResult("execute", returnData);
+    const gasEstimate = await provider.estimateGas(plan.tx);
+    return {
+      success: true,
+      profit,
+      profitFormatted: Number(ethers.formatUnits(profit, quoteToken.decimals)),
+      gasEstimate,
+      error: null
+    };
+  } catch (error) {
+    return { success: false, profit: null, profitFormatted: null, gasEstimate: null, error: describeFlashArbitrageError(error) };
+  }
+}
+
+/**
+ * Flash Arbitrage Executor class
+ * Same modes and authorization as TradeExecutor, with one atomic transaction
+ */
+export class FlashArbitrageExecutor extends TradeExecutor {
+  constructor(provider, config = {}) {
+    super(provider, { ...FLASH_ARBITRAGE_CONFIG, ...config });
+  }
+
+  /**
+   * Plans, simulates and (in live mode) submits an atomic arbitrage
+   * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+   * @param {Object} analysis - Result of analyzeArbitrage
+   * @returns {Promise<Object>} { mode, atomic, status, plan, simulation, transactions, error }
+   */
+  async execute(priceData, analysis) {
+    const from = await this._tradingAddress();
+    let plan = await planFlashArbitrage(this.provider, priceData, analysis, { ...this.config, from });
+    const simulation = await simulateFlashArbitrage(this.provider, plan);
+
+    // The gas is only known once simulated; an explicit minProfit is kept as given
+    if (simulation.success && this.config.minProfit === null) {
+      const gasCost = await this._gasCostInQuote(simulation.gasEstimate, priceData, analysis);
+      if (gasCost !== null) {
+        plan = addGasCostToPlan(plan, gasCost);
+      }
+    }
+
+    const result = {
+      mode: this.config.mode,
+      atomic: true,
+      status: "simulated",
+      plan,
+      simulation,
+      transactions: [],
+      error: null,
+      timestamp: new Date().toISOString()
+    };
+    this.history.push(result);
+
+    if (this.config.mode !== "live") {
+      return result;
+    }
+    return this._executeAtomic(result, analysis);
+  }
+
+  /**
+   * Values the gas of the execute call in quote token raw units
+   * @private
+   * @returns {Promise<bigint|null>} Gas cost, or null without an ETH price in the quote token
+   */
+  async _gasCostInQuote(gasEstimate, priceData, analysis) {
+    let ethPriceQuote = this.config.ethPriceQuote;
+    if (ethPriceQuote === null && priceData.token1 === "WETH") {
+      ethPriceQuote = 1;
+    } else if (ethPriceQuote === null && priceData.token0 === "WETH") {
+      ethPriceQuote = analysis.direction.buyPrice;
+    }
+    if (!ethPriceQuote) {
+      return null;
+    }
+
+    const gasPrice = BigInt(this.config.gasPrice ?? (await fetchGasPrice(this.provider)).gasPrice);
+    const gasCostEth = Number(ethers.formatEther(gasEstimate * gasPrice));
+    const decimals = TOKENS[priceData.token1].decimals;
+    return ethers.parseUnits((gasCostEth * ethPriceQuote).toFixed(decimals), decimals);
+  }
+
+  /**
+   * Checks the preconditions, asks for authorization and submits the execute call
+   * @private
+   */
+  async _executeAtomic(result, analysis) {
+    const abort = (status, error) => Object.assign(result, { status, error });
+
+    if (!this.config.signer) {
+      return abort("aborted", "Live mode needs a signer");
+    }
+    if (this.config.requireProfit && !analysis.isProfitableAfterGas) {
+      return abort("aborted", "Opportunity is not profitable after gas");
+    }
+    if (!result.simulation.success) {
+      return abort("aborted", `Simulation failed: ${result.simulation.error}`);
+    }
+
+    // Like the two-leg executor, refuse a trade whose profit does not pay for its gas
+    const { gasCost, gasCostFormatted, sell } = result.plan;
+    if (this.config.requireProfit && this.config.minProfit === null) {
+      if (gasCost === undefined) {
+        return abort("aborted", `Cannot value gas in ${sell.tokenOut}: set ethPriceQuote`);
+      }
+      if (result.simulation.profit < gasCost) {
+        return abort("aborted", `Simulated profit ${result.simulation.profitFormatted} ${sell.tokenOut} does not cover gas (${gasCostFormatted})`);
+      }
+    }
+
+    const authorization = await this._authorize(result.plan, analysis);
+    if (!authorization.authorized) {
+      return abort(authorization.pending ? "pending_authorization" : "rejected", authorization.reason ?? authorization.message);
+    }
+
+    try {
+      const gasLimit = result.simulation.gasEstimate * BigInt(100 + this.config.gasLimitBufferPercent) / 100n;
+      const { to, data } = result.plan.tx;
+      const receipt = await this._send({ to, data, gasLimit }, "flash arbitrage", result.transactions);
+      if (receipt.status !== 1) {
+        return abort("failed", `Transaction ${receipt.hash} reverted`);
+      }
+    } catch (error) {
+      return abort("failed", describeFlashArbitrageError(error));
+    }
+
+    result.status = "executed";
+    return result;
+  }
+}
+
+/**
+ * Formats a flash arbitrage result for display
+ * @param {Object} result - Result of FlashArbitrageExecutor.execute
+ * @returns {string} Formatted output
+ */
+export function formatFlashArbitrageReport(result) {
+  const { plan, simulation } = result;
+  const lines = [
+    "═══════════════════════════════════════════════════════════════",
+    `         ATOMIC FLASH ARBITRAGE (${result.mode.toUpperCase()})`,
+    "═══════════════════════════════════════════════════════════════",
+    "",
+    `Contract: ${plan.contractAddress} (called by ${plan.from})`,
+    `Slippage tolerance: ${plan.slippageTolerancePercent}%`,
+    "",
+    `Flash-swap ${plan.buy.amountInFormatted} ${plan.buy.tokenIn} → ${plan.buy.tokenOut} on ${plan.buy.dex}`,
+    `Sell ${plan.buy.tokenOut} → ${plan.sell.tokenOut} on ${plan.sell.dex} via ${plan.sell.router}`,
+    `Reverts unless profit ≥ ${plan.minProfitFormatted} ${plan.sell.tokenOut}` +
+      (plan.gasCost === undefined ? "" : ` (including ${plan.gasCostFormatted} of gas)`),
+    ""
+  ];
+
+  if (simulation.success) {
+    lines.push(`Simulation: ✅ profit ${simulation.profitFormatted} ${plan.sell.tokenOut}, gas estimate ${simulation.gasEstimate}`);
+  } else {
+    lines.push(`Simulation: ❌ ${simulation.error}`);
+  }
+  for (const tx of result.transactions) {
+    lines.push(`  ${tx.label}: ${tx.hash} (${tx.status})`);
+  }
+  lines.push(`Status: ${result.status}${result.error ? ` - ${result.error}` : ""}`);
+  lines.push("═══════════════════════════════════════════════════════════════");
+  return lines.join("\n");
+}
@@ -5,7 +5,7 @@
  * 
  * Features:
  * - Queries DEX smart contracts directly for fast price data
- * - Supports Uniswap V3 and Aerodrome CL pools
+ * - Supports Uniswap V3, Aerodrome CL and V2 (BaseSwap, SwapBased) pools
  * - Calculates arbitrage opportunities in real-time
  * - Accounts for gas fees in profitability analysis
  * - AI-powered error diagnosis and self-improvement recommendations
@@ -16,22 +16,391 @@
  * Examples:
  *   node src/index.js                    # Default: WETH/USDC with 1 ETH trade
  *   node src/index.js WETH/USDbC 2.5     # WETH/USDbC with 2.5 ETH trade
+ *   node src/index.js WETH/USDC 5 --quoted  # Price both legs with on-chain quoters
+ *   node src/index.js WETH/USDC --optimize   # Solve the most profitable trade size
  *   node src/index.js --ai-report        # Generate AI optimization report
+ *   node src/index.js --ai-pending       # List AI change requests waiting for a decision
+ *   node src/index.js --ai-approve AUTH_... --reason="..."  # Approve one (--ai-reject to reject)
+ *   node src/index.js --monitor --ai-interactive  # Ask on the terminal when the AI requests a change
+ *   node src/index.js --config team.yaml # Load tokens, pools, thresholds and RPC URLs from a file
+ *   node src/index.js WETH/USDC --json   # Print the result as JSON (the report goes to stderr, --quiet drops it)
+ *   node src/index.js --monitor --ndjson # One JSON line per cycle
+ *   node src/index.js --config-diff      # Show the approved config overlay against the defaults
+ *   node src/index.js --config-rollback  # Undo the latest approved config change
+ *   node src/index.js --discover         # Discover pools from DEX factories
+ *   node src/index.js --cycles           # Find multi-hop cycles across all pairs
+ *   node src/index.js --scan             # Analyze every pair at one block and rank them by net profit
+ *   node src/index.js --monitor --pairs WETH/USDC,WETH/USDbC  # Scan a list of pairs every cycle
+ *   node src/index.js --serve --port 8080  # HTTP API: /pairs, /prices/:pair, /gas, /opportunities, /agent/report, /metrics
+ *   node src/index.js --monitor --metrics-port 9464  # Serve Prometheus metrics (and the API) while monitoring
+ *   node src/index.js --wallet           # Show balances, allowances and pending transactions
+ *   node src/index.js --alert-test       # Send a test alert to every configured sink
+ *   node src/index.js --backtest=snapshots.ndjson          # Replay recorded pool snapshots
+ *   node src/index.js --backtest=snapshots.ndjson --sweep  # Rank MIN_PRICE_DIFF_PERCENT / TRADE_SIZE_ETH combinations
+ *   node src/index.js --monitor --record ./recordings      # Append every fetch, gas reading and analysis to NDJSON files
+ *   node src/index.js WETH/USDC --live   # Re-price pools on every Swap/Sync event
+ *   node src/index.js --quorum=2         # Require 2 RPC endpoints to agree on price reads
+ *   node src/index.js WETH/USDC --execute       # Build and simulate the trade (dry-run)
+ *   node src/index.js WETH/USDC --execute=live  # Sign and submit it (WALLET_KEYSTORE or PRIVATE_KEY, asks first)
+ *   node src/index.js WETH/USDC --execute --atomic  # One flash-swap transaction (FLASH_ARBITRAGE_ADDRESS)
+ *   node src/index.js --deploy-atomic    # Deploy the built FlashArbitrage contract from the wallet (npm run deploy:flash)
  */
 
 import {
   createProvider,
-  fetchPricesMultipleDEXes,
+  createWebSocketProvider,
   estimateSwapGasCost
 } from "./priceFetcher.js";
+import { fetchPairPrices } from "./multicall.js";
 import { analyzeArbitrage, formatArbitrageAnalysis } from "./arbitrage.js";
-import { BASE_RPC_URL, TOKENS, DEXES, POOLS, ARBITRAGE_CONFIG } from "./config.js";
+import { quoteArbitrage } from "./quoter.js";
+import { optimizeTradeSize, formatTradeSizeResult } from "./tradeSizer.js";
+import { LiveMonitor } from "./liveMonitor.js";
+import { fetchAllPairPrices, buildPriceGraph, estimateUsdPrices, findCycles, formatCycleReport } from "./cycleDetector.js";
+import { ALTERNATIVE_RPC_URLS, BASE_WS_URL, TOKENS, DEXES, POOLS, ARBITRAGE_CONFIG, DISCOVERY_CONFIG } from "./config.js";
+import { discoverPools, savePoolRegistry, loadPoolRegistry, listKnownPairs } from "./poolDiscovery.js";
 import { AIAgent, AI_AGENT_CONFIG } from "./aiAgent.js";
+import { createAgentStore } from "./agentStore.js";
 import { SmartErrorHandler } from "./errorHandler.js";
+import { PROVIDER_POOL_CONFIG, formatProviderStatus } from "./providerPool.js";
+import { TradeExecutor, formatExecutionReport } from "./executor.js";
+import { FlashArbitrageExecutor, formatFlashArbitrageReport, deployFlashArbitrage } from "./flashArbitrage.js";
+import { WalletManager, loadSigner, formatWalletStatus } from "./wallet.js";
+import { PoolStateRecorder } from "./recorder.js";
+import { loadSnapshots, runBacktest, sweepParameters, formatBacktestReport, formatSweepTable } from "./backtester.js";
+import { ConfigOverlay, diffConfigValues, formatConfigDiff, captureConfigDefaults } from "./configOverlay.js";
+import { loadConfig } from "./configLoader.js";
+import { buildRunDocument, buildScanDocument, buildErrorDocument, writeDocument, redirectConsole } from "./output.js";
+import { ApiServer } from "./apiServer.js";
+import { MetricsCollector } from "./metrics.js";
+import { AlertManager } from "./alerts.js";
+import { getReferencePairs, estimateGasForPairs, gasCostInQuote, scanPairs, formatScanTable } from "./scanner.js";
+import readline from "node:readline/promises";
 
 // Initialize AI Agent and Error Handler
-const aiAgent = new AIAgent();
-const errorHandler = new SmartErrorHandler({ verboseLogging: false });
+// Both share one agent, whose history persists across runs (AI_AGENT_STORE, AI_AGENT_STATE_PATH)
+const aiAgent = new AIAgent({
+  store: createAgentStore(),
+  auditLogPath: process.env.AI_AGENT_AUDIT_LOG || ".cache/ai-audit.ndjson"
+});
+const errorHandler = new SmartErrorHandler({ verboseLogging: false, aiAgent });
+
+// Approved parameter changes, applied over ARBITRAGE_CONFIG / GAS_CONFIG (CONFIG_OVERLAY_PATH)
+const configOverlay = new ConfigOverlay();
+
+// Prometheus metrics of every run, served at /metrics by --serve and --metrics-port
+const metrics = new MetricsCollector({ aiAgent });
+
+// Provider pool shared by every run, so endpoint health survives monitor cycles
+let sharedProvider = null;
+
+// Recorder shared by every run, so monitor cycles append to the same files
+let sharedRecorder = null;
+
+// Config file loaded with --config (null: src/config.js defaults)
+let configFile = null;
+
+// Alert manager shared by every run, so cooldowns and deduplication survive monitor cycles
+let sharedAlerts = null;
+
+// Alert deliveries in flight; runs do not wait for them, a single run does before it exits
+const pendingAlerts = new Set();
+
+/**
+ * Returns the structured output format requested with --json or --ndjson
+ * @returns {string|null} "json", "ndjson", or null for the text report only
+ */
+function getOutputFormat() {
+  if (process.argv.includes("--ndjson")) {
+    return "ndjson";
+  }
+  return process.argv.includes("--json") ? "json" : null;
+}
+
+/**
+ * Returns the number of RPC endpoints that must agree on price reads (--quorum=N)
+ * @returns {number} Quorum
+ */
+function getQuorum() {
+  const quorumArg = process.argv.find(arg => arg.startsWith("--quorum="));
+  return quorumArg ? parseInt(quorumArg.split("=")[1]) : PROVIDER_POOL_CONFIG.quorum;
+}
+
+/**
+ * Returns the shared provider pool, creating and health-checking it on first use
+ * Network errors diagnosed by the error handler fail over to the next endpoint
+ * FORK_RPC_URL (e.g. a local anvil fork of Base) replaces the pool with that node
+ * @returns {Promise<ProviderPool|ethers.JsonRpcProvider>} Provider
+ */
+async function getProvider() {
+  if (!sharedProvider && process.env.FORK_RPC_URL) {
+    sharedProvider = createProvider(process.env.FORK_RPC_URL);
+    console.log(`RPC ENDPOINT: ${process.env.FORK_RPC_URL} (fork)`);
+    console.log("");
+  }
+  if (!sharedProvider) {
+    sharedProvider = createProvider(null, { quorum: getQuorum(), onRequest: metrics.observeRpcRequest });
+    errorHandler.setProviderPool(sharedProvider);
+    metrics.setProviderPool(sharedProvider);
+    
+    console.log("RPC ENDPOINTS:");
+    console.log(formatProviderStatus(await sharedProvider.healthCheck()));
+    console.log("");
+  }
+  return sharedProvider;
+}
+
+// Flags that take the next argument as their value ("--record <dir>")
+const VALUE_FLAGS = ["--record", "--ai-approve", "--ai-reject", "--reason", "--config", "--port", "--metrics-port", "--pairs"];
+
+/**
+ * Returns the value of a flag given as --flag=value or --flag value
+ * @param {string} flag - Flag name, e.g. "--record"
+ * @returns {string|null} Value, or null if the flag is absent
+ */
+function getFlagValue(flag) {
+  const inline = process.argv.find(arg => arg.startsWith(`${flag}=`));
+  if (inline) {
+    return inline.slice(flag.length + 1);
+  }
+  const index = process.argv.indexOf(flag);
+  return index >= 0 ? process.argv[index + 1] ?? null : null;
+}
+
+/**
+ * Returns the recorder requested with --record <dir> (or --record=<dir>)
+ * @returns {PoolStateRecorder|null} Recorder, or null when not recording
+ */
+function getRecorder() {
+  if (!sharedRecorder) {
+    const dir = getFlagValue("--record");
+    if (dir) {
+      sharedRecorder = new PoolStateRecorder(dir);
+      console.log(`Recording price fetches, gas readings and analyses to ${sharedRecorder.filePath}\n`);
+    }
+  }
+  return sharedRecorder;
+}
+
+/**
+ * Returns the alert manager, created from ALERTS_CONFIG once the config file is loaded
+ * @returns {AlertManager} Alert manager (sends nothing without sinks)
+ */
+function getAlertManager() {
+  sharedAlerts ??= new AlertManager();
+  return sharedAlerts;
+}
+
+/**
+ * Reports the sinks that took alerts once they are delivered, without holding up the caller
+ * An unreachable sink would otherwise stall every run for up to TIMEOUT_MS
+ * @param {Promise<Object[]>} check - Result of AlertManager.checkAnalysis / checkHealth
+ * @returns {Promise<void>} Settles once delivered; never rejects
+ */
+function reportAlerts(check) {
+  const delivery = Promise.resolve(check)
+    .then(results => {
+      for (const { alert, delivered } of results) {
+        if (delivered.length > 0) {
+          console.log(`  Alert "${alert.rule}" sent to ${delivered.join(", ")}: ${alert.title}`);
+        }
+      }
+    })
+    .catch(error => console.warn(`  Warning: Alerting failed (${error.message})`))
+    .finally(() => pendingAlerts.delete(delivery));
+  pendingAlerts.add(delivery);
+  return delivery;
+}
+
+/**
+ * Waits for the alert deliveries still in flight
+ * @returns {Promise<void>}
+ */
+async function flushAlerts() {
+  await Promise.all(pendingAlerts);
+}
+
+/**
+ * Asks on the terminal whether to authorize an AI agent change request
+ * Used as the agent's authCallback with --ai-interactive
+ * @param {Object} request - Authorization request from AIAgent.requestAuthorization
+ * @returns {Promise<Object>} { authorized, reason }
+ */
+async function confirmChange(request) {
+  const rl = readline.createInterface({ input: process.stdin, output: getOutputFormat() ? process.stderr : process.stdout });
+  console.log(`\n⚠️  AUTHORIZATION REQUIRED: ${request.id}`);
+  console.log(`  ${request.description} (${request.file})`);
+  if (request.params) {
+    console.log(`  Parameters: ${JSON.stringify(request.params)}`);
+  }
+  try {
+    const answer = await rl.question("Approve this change? (yes/no) ");
+    const authorized = answer.trim().toLowerCase() === "yes";
+    return { authorized, reason: authorized ? "Approved on the terminal" : "Declined on the terminal" };
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Queues the AI agent's parameter change for authorization
+ * Asks at once with --ai-interactive; otherwise it waits for --ai-approve / --ai-reject
+ * @param {Object} optimization - Result of aiAgent.optimizeTradingParameters()
+ * @returns {Promise<Object|null>} Authorization result, or null without a change
+ */
+async function requestParameterChange(optimization) {
+  if (!optimization.codeChange) {
+    return null;
+  }
+  const result = await aiAgent.requestAuthorization(optimization.codeChange);
+  if (result.pending) {
+    console.log(`\n⚠️  Authorization required to apply changes: ${result.authRequestId}`);
+    console.log("   Review with --ai-pending, then --ai-approve <id> or --ai-reject <id>.");
+  } else {
+    console.log(`\nChange ${result.authorized ? "approved" : "rejected"}${result.reason ? ` (${result.reason})` : ""}.`);
+    if (result.authorized) {
+      applyApprovedChange(result.authRequestId, "interactive");
+    }
+  }
+  return result;
+}
+
+/**
+ * Writes an approved change to the config overlay, which applies it to the running configs
+ * @param {string} id - Request id
+ * @param {string} decidedBy - Who approved it
+ * @returns {Object|null} { revision, diff }, or null if the request has no parameters
+ */
+function applyApprovedChange(id, decidedBy) {
+  const change = aiAgent.pendingChanges.find(request => request.id === id);
+  if (!change?.params) {
+    return null;
+  }
+  const applied = configOverlay.applyChange(change, { decidedBy });
+  console.log(`Config overlay revision ${applied.revision} (${configOverlay.config.path}):`);
+  console.log(formatConfigDiff(applied.diff));
+  return applied;
+}
+
+/**
+ * Returns the execution mode requested with --execute (dry-run) or --execute=live
+ * @returns {string|null} Execution mode, or null when not executing
+ */
+function getExecutionMode() {
+  const executeArg = process.argv.find(arg => arg === "--execute" || arg.startsWith("--execute="));
+  if (!executeArg) {
+    return null;
+  }
+  return executeArg === "--execute=live" ? "live" : "dry-run";
+}
+
+/**
+ * Asks on the terminal whether to authorize a live trade
+ * @param {Object} request - Trade authorization request from the executor
+ * @returns {Promise<Object>} { authorized, reason }
+ */
+async function confirmTrade(request) {
+  const rl = readline.createInterface({ input: process.stdin, output: getOutputFormat() ? process.stderr : process.stdout });
+  console.log("\n⚠️  AUTHORIZATION REQUIRED: execute_trade");
+  console.log(`  ${request.description} (${request.pair})`);
+  console.log(`  Spend ${request.buy.amountIn} ${request.buy.tokenIn}, receive at least ${request.sell.minAmountOut} ${request.sell.tokenOut}`);
+  try {
+    const answer = await rl.question("Submit this trade? (yes/no) ");
+    const authorized = answer.trim().toLowerCase() === "yes";
+    return { authorized, reason: authorized ? "Approved on the terminal" : "Declined on the terminal" };
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Builds and simulates the trade of an analysis and, in live mode, submits it
+ * Live mode signs with the wallet (WALLET_KEYSTORE + WALLET_PASSWORD, or PRIVATE_KEY), which
+ * also refuses trades above its inventory; dry-run simulates from EXECUTOR_FROM or the wallet.
+ * Live mode refuses to run when EXECUTOR_FROM names another address than the wallet's
+ * With --atomic, both legs run in one transaction through the FlashArbitrage contract
+ * at FLASH_ARBITRAGE_ADDRESS (simulated from its owner by default)
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Pair price data
+ * @param {Object} analysis - Arbitrage analysis
+ * @param {string} mode - "dry-run" or "live"
+ * @param {Object} gasPricing - { gasPrice, ethPriceQuote } valuing the atomic call's gas
+ * @returns {Promise<Object|null>} Execution result, or null when not run
+ */
+async function executeTrade(provider, priceData, analysis, mode, gasPricing) {
+  if (!analysis.hasOpportunity) {
+    console.log("\nNo opportunity to execute.");
+    return null;
+  }
+  
+  const walletSigner = await loadSigner(provider);
+  const signer = walletSigner ? new WalletManager(provider, walletSigner) : null;
+  let from = process.env.EXECUTOR_FROM ?? null;
+  if (mode === "live") {
+    if (!signer) {
+      console.error("\nLive execution needs WALLET_KEYSTORE (with WALLET_PASSWORD) or PRIVATE_KEY to be set.");
+      return null;
+    }
+    // The wallet signs and spends, so it must also receive and be simulated from
+    const walletAddress = await signer.getAddress();
+    if (from && from.toLowerCase() !== walletAddress.toLowerCase()) {
+      console.error(`\nEXECUTOR_FROM (${from}) is not the wallet address (${walletAddress}): unset it for live execution.`);
+      return null;
+    }
+    from = null;
+  }
+  
+  if (process.argv.includes("--atomic")) {
+    const contractAddress = process.env.FLASH_ARBITRAGE_ADDRESS;
+    if (!contractAddress) {
+      console.error("\nSet FLASH_ARBITRAGE_ADDRESS to the deployed FlashArbitrage contract.");
+      return null;
+    }
+    const executor = new FlashArbitrageExecutor(provider, { mode, signer, from, contractAddress, ...gasPricing, authCallback: confirmTrade });
+    const result = await executor.execute(priceData, analysis);
+    console.log("\n" + formatFlashArbitrageReport(result));
+    return result;
+  }
+  
+  if (!signer && !from) {
+    console.error("\nSet EXECUTOR_FROM (or PRIVATE_KEY) to the address to simulate the trade from.");
+    return null;
+  }
+  
+  const executor = new TradeExecutor(provider, { mode, signer, from, authCallback: confirmTrade });
+  const result = await executor.execute(priceData, analysis);
+  console.log("\n" + formatExecutionReport(result));
+  return result;
+}
+
+/**
+ * Returns command line arguments that are not flags (e.g. pair and trade size)
+ * @returns {string[]} Positional arguments
+ */
+function getPositionalArgs() {
+  const args = process.argv.slice(2);
+  return args.filter((arg, index) => !arg.startsWith("-") && !VALUE_FLAGS.includes(args[index - 1]));
+}
+
+/**
+ * Whether every run scans several pairs (--scan, or a --pairs list) instead of one
+ * @returns {boolean} Scan mode
+ */
+function isScanMode() {
+  return process.argv.includes("--scan") || getFlagValue("--pairs") !== null;
+}
+
+/**
+ * Picks up config changes approved since the last run or monitor cycle
+ */
+function reloadConfigOverlay() {
+  const configChanges = configOverlay.reload();
+  if (configChanges && configChanges.length > 0) {
+    console.log(`CONFIG OVERLAY (revision ${configOverlay.revision}):`);
+    console.log(formatConfigDiff(configChanges));
+    console.log("");
+  }
+}
 
 /**
  * Main function to run the arbitrage analysis
@@ -46,17 +415,25 @@ async function main() {
     return generateAIReport();
   }
   
+  reloadConfigOverlay();
+  
   // Parse command line arguments
-  const pair = process.argv[2] || "WETH/USDC";
-  const tradeSize = parseFloat(process.argv[3]) || ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  const [pairArg, tradeSizeArg] = getPositionalArgs();
+  const pair = pairArg || "WETH/USDC";
+  let tradeSize = parseFloat(tradeSizeArg) || ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  const useQuotes = process.argv.includes("--quoted");
+  const optimizeSize = process.argv.includes("--optimize");
   
   // Display configuration
   console.log("CONFIGURATION:");
+  console.log(`  Config: ${configFile ?? "src/config.js"}`);
   console.log(`  Trading Pair: ${pair}`);
-  console.log(`  Trade Size: ${tradeSize} ETH`);
-  console.log(`  RPC Endpoint: ${BASE_RPC_URL}`);
+  console.log(`  Trade Size: ${optimizeSize ? "Optimized" : `${tradeSize} ETH`}`);
+  console.log(`  RPC Endpoints: ${1 + ALTERNATIVE_RPC_URLS.length} with failover${getQuorum() > 1 ? ` (quorum ${getQuorum()})` : ""}`);
   console.log(`  Min Price Diff: ${ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT}%`);
+  console.log(`  Pricing: ${useQuotes ? "On-chain quotes" : "Mid price + slippage"}`);
   console.log(`  AI Agent: ${AI_AGENT_CONFIG.name} v${AI_AGENT_CONFIG.version}`);
+  console.log(`  Alerts: ${getAlertManager().enabled ? [...getAlertManager().sinks.keys()].join(", ") : "off (no sinks)"}`);
   console.log("");
   
   // Display tokens info
@@ -73,17 +450,25 @@ async function main() {
   }
   console.log("");
   
-  // Validate pair exists in config
-  if (!POOLS[pair]) {
+  // Validate pair exists in config or in the discovered pool registry
+  const registry = loadPoolRegistry();
+  const knownPairs = listKnownPairs(POOLS, registry);
+  if (!knownPairs.includes(pair)) {
     console.error(`Error: Trading pair "${pair}" not configured.`);
-    console.log(`Available pairs: ${Object.keys(POOLS).join(", ")}`);
+    console.log(`Available pairs: ${knownPairs.join(", ")}`);
+    if (!registry) {
+      console.log("Run with --discover to find pools for every token pair.");
+    }
+    if (getOutputFormat()) {
+      writeDocument(buildErrorDocument(new Error(`Trading pair "${pair}" not configured`), { pair }), getOutputFormat());
+    }
     process.exit(1);
   }
   
   try {
     // Create provider
     console.log("Connecting to Base network...");
-    const provider = createProvider();
+    const provider = await getProvider();
     
     // Verify connection
     const network = await provider.getNetwork();
@@ -91,22 +476,32 @@ async function main() {
     
     // Fetch prices from multiple DEXes simultaneously
     console.log(`Fetching ${pair} prices from DEXes...`);
-    console.log("(Querying smart contracts directly via slot0)\n");
+    console.log("(Querying smart contracts directly via slot0 / getReserves, batched through Multicall3)\n");
     
     const startTime = Date.now();
     
     // Use error handler for price fetching
     // Create a bound function that captures the pair variable
-    const fetchPricesForPair = (provider) => fetchPricesMultipleDEXes(provider, pair);
+    // All pools and the gas price are read in one Multicall3 batch at a single block,
+    // with the ETH price pair when the pair itself cannot value ETH in USD
+    const fetchPricesForPair = (provider) => fetchPairPrices(provider, [pair, ...getReferencePairs([pair], registry)], registry);
     const wrappedFetchPrices = errorHandler.wrapAsync(
       fetchPricesForPair,
       { operation: "price_fetch", pair }
     );
     
-    const priceData = await wrappedFetchPrices(provider);
+    const { pairs: [priceData, ...referencePairs], blockNumber, gasData, batchError } = await wrappedFetchPrices(provider);
     const fetchDuration = Date.now() - startTime;
+    // Endpoint that answered the batch (a single fork node has no pool)
+    const endpoint = provider.lastEndpoint ?? process.env.FORK_RPC_URL ?? null;
     
-    console.log(`Prices fetched in ${fetchDuration}ms\n`);
+    if (batchError) {
+      console.warn(`  Warning: Multicall3 batch failed (${batchError}), fetched pools one by one`);
+    }
+    if (priceData.error) {
+      throw new Error(priceData.error);
+    }
+    console.log(`Prices fetched in ${fetchDuration}ms${blockNumber ? ` (block ${blockNumber})` : ""}\n`);
     
     // Display raw price data
     console.log("RAW PRICE DATA:");
@@ -130,18 +525,15 @@ async function main() {
     
     // Estimate gas costs
     console.log("Estimating gas costs...");
-    // Use current ETH price from our price data, with a dynamic fallback
-    // The fallback is used only if all price fetches failed
-    const validPrice = priceData.prices.find(p => !p.error);
-    let ethPriceUsd;
-    if (validPrice) {
-      ethPriceUsd = validPrice.priceToken0InToken1;
-    } else {
-      // No valid prices - use a conservative estimate and warn user
+    // Value ETH from the fetched pools, not from the pair's own price, which is only
+    // the ETH price for WETH/USD pairs; the fallback is used if no pool values WETH in USD
+    const { gasCost, ethPriceUsd, ethPriceSource, usdPrices } = await estimateGasForPairs(provider, [priceData, ...referencePairs], gasData);
+    if (ethPriceSource === "fallback") {
       console.warn("  Warning: Could not fetch live ETH price, using estimated fallback");
-      ethPriceUsd = 2500; // Conservative estimate
     }
-    const gasCost = await estimateSwapGasCost(provider, ethPriceUsd);
+    // Profits are in the quote token, so gas is compared in it too
+    const gasCostQuote = gasCostInQuote(gasCost.gasCostUsd, priceData.token1, usdPrices);
+    const quoteUsd = usdPrices[priceData.token1] ?? 1;
     
     console.log("GAS ESTIMATION:");
     console.log(`  Gas Price: ${gasCost.gasPriceGwei.toFixed(6)} gwei`);
@@ -149,8 +541,54 @@ async function main() {
     console.log(`  Cost per swap: ${gasCost.gasCostEth.toFixed(8)} ETH ($${gasCost.gasCostUsd.toFixed(6)})`);
     console.log("");
     
+    const recorder = getRecorder();
+    const recordMeta = { blockNumber, latencyMs: fetchDuration, endpoint };
+    if (recorder) {
+      recorder.recordPrices(priceData, { ...recordMeta, gasPrice: gasCost.gasPriceWei, ethPriceUsd });
+      recorder.recordGas(gasCost, recordMeta);
+    }
+    
+    // Replace the fixed trade size with the most profitable one if requested
+    let sizing = null;
+    if (optimizeSize) {
+      console.log("Solving the most profitable trade size...");
+      try {
+        sizing = await optimizeTradeSize(provider, priceData, gasCostQuote, { quoteUsd });
+        if (sizing) {
+          console.log(formatTradeSizeResult(sizing));
+          if (sizing.feasible) {
+            tradeSize = sizing.optimalSizeEth;
+          }
+        }
+      } catch (error) {
+        // Keep the fixed size so a failed tick load does not stop the analysis
+        console.warn(`  Warning: Trade size optimization failed (${error.message}), using ${tradeSize} ETH`);
+        aiAgent.analyzeError(error, { operation: "trade_size", pair });
+      }
+      console.log("");
+    }
+    
+    // Quote both legs for the exact trade size if requested
+    let quote = null;
+    if (useQuotes) {
+      console.log("Quoting buy and sell legs for the exact trade size...");
+      try {
+        quote = await quoteArbitrage(provider, priceData, tradeSize);
+        if (quote) {
+          console.log(`  Buy:  ${quote.amountInFormatted} ${priceData.token1} -> ${quote.baseAmountFormatted} ${priceData.token0} on ${quote.buyFrom}`);
+          console.log(`  Sell: ${quote.baseAmountFormatted} ${priceData.token0} -> ${quote.amountOutFormatted} ${priceData.token1} on ${quote.sellTo}`);
+        }
+      } catch (error) {
+        // Fall back to mid prices so one failing quoter does not stop the analysis
+        console.warn(`  Warning: Quote failed (${error.message}), using mid prices`);
+        aiAgent.analyzeError(error, { operation: "quote", pair });
+      }
+      console.log("");
+    }
+    
     // Analyze arbitrage opportunity
-    const analysis = analyzeArbitrage(priceData.prices, tradeSize, gasCost.gasCostUsd);
+    const analysis = analyzeArbitrage(priceData.prices, tradeSize, gasCostQuote, { quote, quoteUsd });
+    recorder?.recordAnalysis(pair, analysis, recordMeta);
     
     // Display formatted analysis
     console.log("\n" + formatArbitrageAnalysis(analysis));
@@ -169,23 +607,46 @@ async function main() {
         for (const reason of optimization.reasoning) {
           console.log(`  • ${reason}`);
         }
-        console.log("\n⚠️  Authorization required to apply changes.");
+        await requestParameterChange(optimization);
       }
       console.log("═".repeat(63));
     }
     
+    // Alert on a profitable analysis and on degraded agent health
+    reportAlerts(getAlertManager().checkAnalysis(pair, analysis, { blockNumber }));
+    reportAlerts(getAlertManager().checkHealth(aiAgent.getSystemHealth()));
+    
+    // Build, simulate and optionally submit the trade
+    const executionMode = getExecutionMode();
+    let execution = null;
+    if (executionMode) {
+      execution = await executeTrade(provider, priceData, analysis, executionMode, {
+        gasPrice: gasCost.gasPriceWei,
+        ethPriceQuote: ethPriceUsd / quoteUsd
+      });
+    }
+    
     // Return results for programmatic use
-    return {
+    const result = {
       pair,
       priceData,
       gasCost,
+      quote,
+      sizing,
       analysis,
+      execution,
+      blockNumber,
       fetchDurationMs: fetchDuration,
       aiAgent: {
         diagnostics: aiAgent.diagnosticResults,
         recommendations: aiAgent.recommendations
       }
     };
+    metrics.observeRun(result);
+    if (getOutputFormat()) {
+      writeDocument(buildRunDocument(result), getOutputFormat());
+    }
+    return result;
     
   } catch (error) {
     console.error("Error during arbitrage analysis:");
@@ -194,6 +655,10 @@ async function main() {
     // Use AI Agent for comprehensive error analysis
     const diagnosis = aiAgent.analyzeError(error, { operation: "main" });
     console.log("\n" + aiAgent.formatDiagnosis(diagnosis));
+    if (getOutputFormat()) {
+      writeDocument(buildErrorDocument(error, { pair, diagnosis }), getOutputFormat());
+    }
+    reportAlerts(getAlertManager().checkHealth(aiAgent.getSystemHealth()));
     
     if (error.code === "NETWORK_ERROR") {
       console.error("\nNetwork connection failed. Please check:");
@@ -201,6 +666,7 @@ async function main() {
       console.error("  - The RPC endpoint availability");
     }
     
+    await flushAlerts();
     process.exit(1);
   }
 }
@@ -219,6 +685,7 @@ function generateAIReport() {
   console.log(`  Name: ${report.agentInfo.name}`);
   console.log(`  Version: ${report.agentInfo.version}`);
   console.log(`  Focus Areas: ${report.agentInfo.focusAreas.join(", ")}`);
+  console.log(`  State: ${aiAgent.store ? aiAgent.store.path : "in memory only"}`);
   console.log("");
   
   console.log("PERFORMANCE METRICS:");
@@ -255,26 +722,455 @@ function generateAIReport() {
     console.log("");
   }
   
+  if (report.recentDecisions.length > 0) {
+    console.log("RECENT DECISIONS:");
+    for (const entry of report.recentDecisions) {
+      console.log(`  [${entry.id}] ${entry.decision.toUpperCase()} ${entry.timestamp}${entry.reason ? ` - ${entry.reason}` : ""}`);
+    }
+    console.log("");
+  }
+  
   console.log("═══════════════════════════════════════════════════════════════");
   
   return report;
 }
 
+/**
+ * Lists the AI agent's change requests waiting for a decision
+ * @returns {Object[]} Pending requests
+ */
+function listPendingChanges() {
+  const pending = aiAgent.getPendingChanges();
+  if (pending.length === 0) {
+    console.log("No AI change requests are waiting for a decision.");
+    return pending;
+  }
+  
+  console.log(`${pending.length} AI change request(s) waiting for a decision:\n`);
+  for (const request of pending) {
+    console.log(`  [${request.id}] ${request.description}`);
+    console.log(`    Requested: ${request.timestamp}`);
+    console.log(`    File: ${request.file} (${request.changeType}, risk ${request.impactAssessment.riskLevel})`);
+    if (request.params) {
+      console.log(`    Parameters: ${JSON.stringify(request.params)}`);
+    }
+  }
+  console.log("\nDecide with --ai-approve <id> or --ai-reject <id>, optionally with --reason=\"...\"");
+  return pending;
+}
+
+/**
+ * Approves or rejects an AI change request (--ai-approve <id> / --ai-reject <id>)
+ * The decision is recorded in the agent's audit log
+ * @param {string} id - Request id
+ * @param {boolean} authorized - Whether to approve
+ * @returns {Object} Audit log entry
+ */
+function decideChange(id, authorized) {
+  if (!id) {
+    throw new Error("Missing request id (see --ai-pending)");
+  }
+  const options = { reason: getFlagValue("--reason"), decidedBy: process.env.USER ?? "cli" };
+  const entry = authorized ? aiAgent.approveChange(id, options) : aiAgent.rejectChange(id, options);
+  console.log(`${entry.id} ${entry.decision}${entry.reason ? ` - ${entry.reason}` : ""}`);
+  console.log(`  ${entry.description} (${entry.file})`);
+  if (authorized) {
+    applyApprovedChange(entry.id, options.decidedBy);
+  }
+  return entry;
+}
+
+/**
+ * Shows the config overlay revisions and how the current one differs from the defaults
+ * @returns {Object[]} Settings that differ from the defaults
+ */
+function showConfigDiff() {
+  configOverlay.load();
+  const diff = diffConfigValues({}, configOverlay.getValues());
+  console.log(`Config overlay: ${configOverlay.config.path} (revision ${configOverlay.revision})\n`);
+  for (const revision of configOverlay.revisions) {
+    console.log(`  #${revision.revision} ${revision.timestamp} ${revision.changeId} by ${revision.decidedBy ?? "unknown"}`);
+    console.log(`     ${revision.description}`);
+  }
+  console.log(`\nAgainst ${configFile ?? "src/config.js"}:`);
+  console.log(formatConfigDiff(diff));
+  return diff;
+}
+
+/**
+ * Drops the latest config overlay revision (--config-rollback)
+ * A running monitor picks up the rollback at its next cycle
+ * @returns {Object} { revision, rolledBack, diff }
+ */
+function rollbackConfig() {
+  const result = configOverlay.rollback();
+  console.log(`Rolled back config overlay revision ${result.rolledBack}, now at revision ${result.revision}:`);
+  console.log(formatConfigDiff(result.diff));
+  return result;
+}
+
+/**
+ * Discover pools for every token pair from the DEX factories
+ * and write them to the cached pool registry
+ */
+async function discover() {
+  console.log("═══════════════════════════════════════════════════════════════");
+  console.log("                  POOL DISCOVERY (DEX FACTORIES)                ");
+  console.log("═══════════════════════════════════════════════════════════════\n");
+  
+  const provider = await getProvider();
+  const tokenSymbols = Object.keys(TOKENS);
+  console.log(`Querying factories for ${tokenSymbols.length * (tokenSymbols.length - 1) / 2} token pairs...\n`);
+  
+  const startTime = Date.now();
+  const registry = await discoverPools(provider);
+  const discoveryDuration = Date.now() - startTime;
+  
+  for (const [pair, pools] of Object.entries(registry.pairs)) {
+    console.log(`${pair}:`);
+    for (const pool of Object.values(pools)) {
+      console.log(`  ${pool.label}: ${pool.address}`);
+    }
+  }
+  
+  savePoolRegistry(registry);
+  console.log(`\nDiscovered ${Object.keys(registry.pairs).length} pairs in ${discoveryDuration}ms`);
+  console.log(`Registry written to ${DISCOVERY_CONFIG.REGISTRY_PATH}`);
+  
+  return registry;
+}
+
+/**
+ * Shows the trading wallet: balances, inventory, router allowances and pending transactions
+ * @returns {Promise<Object|null>} Wallet status, or null without a configured wallet
+ */
+async function wallet() {
+  console.log("═══════════════════════════════════════════════════════════════");
+  console.log("                        TRADING WALLET                          ");
+  console.log("═══════════════════════════════════════════════════════════════\n");
+  
+  const provider = await getProvider();
+  const signer = await loadSigner(provider);
+  if (!signer) {
+    console.error("No wallet configured: set WALLET_KEYSTORE (with WALLET_PASSWORD) or PRIVATE_KEY.");
+    return null;
+  }
+  
+  const status = await new WalletManager(provider, signer).refresh();
+  console.log(formatWalletStatus(status));
+  return status;
+}
+
+/**
+ * Deploys the FlashArbitrage contract built by `npm run build:contracts`, owned by the wallet
+ * @returns {Promise<string|null>} Contract address, or null without a configured wallet
+ */
+async function deployAtomic() {
+  const provider = await getProvider();
+  const signer = await loadSigner(provider);
+  if (!signer) {
+    console.error("No wallet configured: set WALLET_KEYSTORE (with WALLET_PASSWORD) or PRIVATE_KEY.");
+    return null;
+  }
+  
+  console.log(`Deploying FlashArbitrage from ${await signer.getAddress()}...`);
+  const address = await deployFlashArbitrage(signer);
+  console.log(`FlashArbitrage deployed at ${address}`);
+  console.log(`Use it with FLASH_ARBITRAGE_ADDRESS=${address}`);
+  return address;
+}
+
+/**
+ * Sends a test alert to every configured sink (--alert-test)
+ * @returns {Promise<Object>} { alert, delivered, failed }
+ */
+async function testAlerts() {
+  const alerts = getAlertManager();
+  if (!alerts.enabled) {
+    throw new Error("No alert sinks configured (alerts.SINKS in the --config file)");
+  }
+  
+  console.log(`Sending a test alert to ${alerts.sinks.size} sinks...`);
+  const result = await alerts.sendTest();
+  for (const sink of result.delivered) {
+    console.log(`  ${sink}: delivered`);
+  }
+  for (const { sink, error } of result.failed) {
+    console.log(`  ${sink}: FAILED - ${error}`);
+  }
+  if (result.failed.length > 0) {
+    throw new Error(`${result.failed.length} of ${alerts.sinks.size} sinks failed`);
+  }
+  return result;
+}
+
+/**
+ * Finds profitable cycles (cross-DEX round trips, triangles) across every known pair
+ * @returns {Promise<Object[]>} Detected cycles, best first
+ */
+async function cycles() {
+  console.log("═══════════════════════════════════════════════════════════════");
+  console.log("              MULTI-HOP CYCLE SCAN (ALL PAIRS)                  ");
+  console.log("═══════════════════════════════════════════════════════════════\n");
+  
+  const provider = await getProvider();
+  const registry = loadPoolRegistry();
+  
+  const startTime = Date.now();
+  const { pairs: pairPrices, blockNumber, gasData, batchError } = await fetchAllPairPrices(provider, registry);
+  if (batchError) {
+    console.warn(`  Warning: Multicall3 batch failed (${batchError}), fetched pools one by one`);
+  }
+  console.log(`Fetched ${pairPrices.length} pairs in ${Date.now() - startTime}ms${blockNumber ? ` at block ${blockNumber}` : ""}`);
+  for (const pairData of pairPrices.filter(p => p.error)) {
+    console.log(`  ${pairData.pair}: Error - ${pairData.error}`);
+  }
+  
+  const graph = buildPriceGraph(pairPrices);
+  const usdPrices = estimateUsdPrices(graph);
+  if (!usdPrices.WETH) {
+    console.warn("  Warning: Could not price WETH, using estimated fallback for gas");
+  }
+  const gasCost = await estimateSwapGasCost(provider, usdPrices.WETH ?? 2500, gasData);
+  console.log(`Gas cost per swap: $${gasCost.gasCostUsd.toFixed(6)}\n`);
+  
+  const detected = findCycles(graph, gasCost.gasCostUsd, { usdPrices });
+  console.log(formatCycleReport(detected));
+  
+  return detected;
+}
+
+/**
+ * Analyzes every known pair (or a --pairs list) at one block with one gas estimate and
+ * ranks the opportunities by net profit (--scan)
+ * @returns {Promise<Object>} Result of scanner.js scanPairs()
+ */
+async function scan() {
+  console.log("═══════════════════════════════════════════════════════════════");
+  console.log("              MULTI-PAIR ARBITRAGE SCAN                         ");
+  console.log("═══════════════════════════════════════════════════════════════\n");
+  
+  reloadConfigOverlay();
+  
+  const registry = loadPoolRegistry();
+  const pairsArg = getFlagValue("--pairs");
+  const pairs = pairsArg
+    ? pairsArg.split(",").map(pair => pair.trim()).filter(Boolean)
+    : listKnownPairs(POOLS, registry);
+  const tradeSize = parseFloat(getPositionalArgs()[0]) || ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  
+  try {
+    const provider = await getProvider();
+    console.log(`Scanning ${pairs.length} pairs (${tradeSize} ETH per trade)...\n`);
+    
+    const wrappedScan = errorHandler.wrapAsync(
+      provider => scanPairs(provider, pairs, { registry, tradeSizeEth: tradeSize }),
+      { operation: "scan" }
+    );
+    const result = await wrappedScan(provider);
+    if (result.batchError) {
+      console.warn(`  Warning: Multicall3 batch failed (${result.batchError}), fetched pools one by one`);
+    }
+    console.log(formatScanTable(result));
+    
+    // Record and observe every pair as a single-pair run would
+    const recorder = getRecorder();
+    const recordMeta = { blockNumber: result.blockNumber, latencyMs: result.fetchDurationMs, endpoint: provider.lastEndpoint ?? process.env.FORK_RPC_URL ?? null };
+    metrics.observeGas(result.gasCost);
+    recorder?.recordGas(result.gasCost, recordMeta);
+    for (const pairData of result.pairs) {
+      if (pairData.error) {
+        aiAgent.analyzeError(new Error(pairData.error), { operation: "price_fetch", pair: pairData.pair });
+        continue;
+      }
+      metrics.observePrices(pairData);
+      recorder?.recordPrices(pairData, { ...recordMeta, gasPrice: result.gasCost.gasPriceWei, ethPriceUsd: result.ethPriceUsd });
+      for (const price of pairData.prices.filter(p => p.error)) {
+        aiAgent.analyzeError(new Error(price.error), { operation: "price_fetch", dex: price.dex });
+      }
+    }
+    for (const opportunity of result.opportunities) {
+      metrics.observeAnalysis(opportunity.pair, opportunity.analysis);
+      recorder?.recordAnalysis(opportunity.pair, opportunity.analysis, recordMeta);
+      reportAlerts(getAlertManager().checkAnalysis(opportunity.pair, opportunity.analysis, { blockNumber: result.blockNumber }));
+    }
+    reportAlerts(getAlertManager().checkHealth(aiAgent.getSystemHealth()));
+    
+    if (getOutputFormat()) {
+      writeDocument(buildScanDocument(result), getOutputFormat());
+    }
+    return result;
+    
+  } catch (error) {
+    const diagnosis = aiAgent.analyzeError(error, { operation: "scan" });
+    console.log("\n" + aiAgent.formatDiagnosis(diagnosis));
+    if (getOutputFormat()) {
+      writeDocument(buildErrorDocument(error, { diagnosis }), getOutputFormat());
+    }
+    reportAlerts(getAlertManager().checkHealth(aiAgent.getSystemHealth()));
+    throw error;
+  }
+}
+
+/**
+ * Serves prices, opportunities, gas and the AI agent report over HTTP (--serve)
+ * Runs until Ctrl+C
+ * @returns {Promise<ApiServer>} Running server
+ */
+async function serve() {
+  const port = getFlagValue("--port");
+  const provider = await getProvider();
+  const server = new ApiServer(provider, {
+    ...(port ? { port: parseInt(port) } : {}),
+    registry: loadPoolRegistry(),
+    aiAgent,
+    metrics
+  });
+  
+  const url = await server.start();
+  console.log(`API server listening on ${url} (responses cached for ${server.config.cacheTtlMs}ms)`);
+  console.log("  GET /pairs, /prices/:pair, /gas, /opportunities?size=<ETH>, /agent/report, /metrics");
+  console.log("Press Ctrl+C to stop\n");
+  
+  process.on("SIGINT", async () => {
+    await server.stop();
+    await provider.destroy();
+    console.log(`\nStopped after ${server.requests} requests (${server.cache.hits} cache hits, ${server.cache.misses} misses)`);
+    process.exit(0);
+  });
+  
+  return server;
+}
+
+/**
+ * Serves the metrics of the monitor's runs at GET /metrics (--metrics-port <port>)
+ * The API routes are served as well, on the same host as --serve (API_HOST)
+ * @returns {Promise<ApiServer|null>} Running server, or null without --metrics-port
+ */
+async function startMetricsServer() {
+  const port = getFlagValue("--metrics-port");
+  if (!port) {
+    return null;
+  }
+  
+  const server = new ApiServer(await getProvider(), {
+    port: parseInt(port),
+    registry: loadPoolRegistry(),
+    aiAgent,
+    metrics
+  });
+  console.log(`Metrics served at ${await server.start()}/metrics\n`);
+  return server;
+}
+
+/**
+ * Replays recorded pool snapshots through the arbitrage analysis
+ * With --sweep, ranks every combination of the BACKTEST_CONFIG sweep grid instead
+ * @param {string} filePath - NDJSON snapshot file
+ * @returns {Promise<Object|Object[]>} Backtest result, or the sweep results
+ */
+async function backtest(filePath) {
+  const snapshots = loadSnapshots(filePath);
+  console.log(`Loaded ${snapshots.length} snapshots from ${filePath}`);
+  if (snapshots.length > 0) {
+    console.log(`Blocks ${snapshots[0].blockNumber} - ${snapshots.at(-1).blockNumber}\n`);
+  }
+  
+  if (process.argv.includes("--sweep")) {
+    const results = await sweepParameters(snapshots);
+    console.log(formatSweepTable(results));
+    return results;
+  }
+  
+  const tradeSize = parseFloat(getPositionalArgs()[0]) || ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  const result = await runBacktest(snapshots, { tradeSizeEth: tradeSize });
+  console.log(formatBacktestReport(result));
+  return result;
+}
+
+/**
+ * Live monitoring mode
+ * Subscribes to new blocks and to the Swap / Sync events of the pair's pools over a
+ * WebSocket provider, and re-prices only the pool that changed
+ * @returns {Promise<LiveMonitor>} Running live monitor
+ */
+async function live() {
+  const [pairArg, tradeSizeArg] = getPositionalArgs();
+  const pair = pairArg || "WETH/USDC";
+  const tradeSize = parseFloat(tradeSizeArg) || ARBITRAGE_CONFIG.TRADE_SIZE_ETH;
+  
+  const registry = loadPoolRegistry();
+  const knownPairs = listKnownPairs(POOLS, registry);
+  if (!knownPairs.includes(pair)) {
+    throw new Error(`Trading pair "${pair}" not configured. Available pairs: ${knownPairs.join(", ")}`);
+  }
+  
+  console.log(`Starting live monitoring of ${pair} (${tradeSize} ETH) via ${BASE_WS_URL}`);
+  console.log(`AI Agent: ${AI_AGENT_CONFIG.name} v${AI_AGENT_CONFIG.version}`);
+  console.log("Press Ctrl+C to stop\n");
+  
+  const provider = createWebSocketProvider();
+  const liveMonitor = new LiveMonitor(provider, pair, { registry, tradeSizeEth: tradeSize });
+  
+  liveMonitor.on("opportunity", analysis => {
+    const status = analysis.isProfitableAfterGas ? "PROFITABLE" : "not profitable after gas";
+    console.log(
+      `[block ${analysis.blockNumber}] Buy ${analysis.direction.buyFrom} @ $${analysis.direction.buyPrice.toFixed(6)}, ` +
+      `sell ${analysis.direction.sellTo} @ $${analysis.direction.sellPrice.toFixed(6)} ` +
+      `(${analysis.priceDifference.percent.toFixed(4)}%, net $${analysis.profitAnalysis.netProfitUsd.toFixed(4)}, ${status})` +
+      (analysis.detectionLatencyMs === null ? "" : ` detected in ${analysis.detectionLatencyMs}ms`)
+    );
+    reportAlerts(getAlertManager().checkAnalysis(pair, analysis));
+  });
+  liveMonitor.on("error", error => {
+    console.error(`Live monitor error: ${error.message}`);
+    aiAgent.analyzeError(error, { operation: "live_monitor", pair });
+  });
+  
+  await liveMonitor.start();
+  if (liveMonitor.ethPriceSource === "fallback") {
+    console.warn("  Warning: Could not fetch live ETH price, using estimated fallback");
+  }
+  console.log(`Subscribed to ${liveMonitor.getPrices().length} pools from block ${liveMonitor.latestBlock}\n`);
+  
+  process.on("SIGINT", async () => {
+    await liveMonitor.stop();
+    await provider.destroy();
+    console.log(`\nStopped after ${liveMonitor.stats.events} pool events, ${liveMonitor.stats.opportunities} opportunities`);
+    process.exit(0);
+  });
+  
+  return liveMonitor;
+}
+
 /**
  * Continuous monitoring mode with AI enhancement
  * Runs arbitrage analysis repeatedly at specified interval
+ * live() is the low-latency replacement for one pair. This polling loop is kept because it
+ * works over HTTP endpoints through the provider pool (failover, quorum), scans several pairs
+ * per cycle (--scan), and reloads the config overlay, records, executes trades and runs the
+ * periodic AI checks every cycle, none of which the event-driven monitor does
  */
 async function monitor(intervalMs = 5000) {
   console.log(`Starting continuous monitoring (interval: ${intervalMs}ms)...`);
   console.log(`AI Agent: ${AI_AGENT_CONFIG.name} v${AI_AGENT_CONFIG.version}`);
+  if (!isScanMode()) {
+    console.log("For event-driven monitoring of one pair with the lowest detection latency, use --live");
+  }
   console.log("Press Ctrl+C to stop\n");
   
+  // Keep ranking the RPC endpoints between cycles (a FORK_RPC_URL node is a single endpoint)
+  (await getProvider()).startHealthChecks?.();
+  await startMetricsServer();
+  
+  // Every cycle analyzes one pair, or scans several with --scan / --pairs
+  const runCycle = isScanMode() ? scan : main;
   let cycleCount = 0;
   
   while (true) {
     cycleCount++;
     try {
-      await main();
+      await runCycle();
       console.log(`\nNext check in ${intervalMs / 1000} seconds... (cycle ${cycleCount})\n`);
       
       // Periodically output AI optimization suggestions (every 10 cycles)
@@ -287,6 +1183,7 @@ async function monitor(intervalMs = 5000) {
           for (const reason of optimization.reasoning) {
             console.log(`  • ${reason}`);
           }
+          await requestParameterChange(optimization);
           console.log("══════════════════════════════════════════════════════════════\n");
         }
       }
@@ -309,25 +1206,139 @@ async function monitor(intervalMs = 5000) {
 }
 
 // Export for programmatic use
-export { main, monitor, generateAIReport, aiAgent, errorHandler };
+export { main, scan, monitor, live, discover, cycles, backtest, serve, generateAIReport, listPendingChanges, decideChange, showConfigDiff, rollbackConfig, testAlerts, aiAgent, errorHandler, configOverlay, metrics };
 
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
+  // Keep stdout for JSON documents
+  if (getOutputFormat()) {
+    redirectConsole({ quiet: process.argv.includes("--quiet") });
+  }
+  
+  // Load and validate the configuration before anything uses it
+  try {
+    configFile = loadConfig({ file: getFlagValue("--config") }).file;
+    captureConfigDefaults();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  
   // Check for AI report flag first
   if (process.argv.includes("--ai-report")) {
     generateAIReport();
     process.exit(0);
   }
   
+  // Decide on the AI agent's pending change requests
+  if (process.argv.includes("--ai-pending")) {
+    listPendingChanges();
+    process.exit(0);
+  }
+  for (const [flag, authorized] of [["--ai-approve", true], ["--ai-reject", false]]) {
+    if (process.argv.some(arg => arg === flag || arg.startsWith(`${flag}=`))) {
+      try {
+        decideChange(getFlagValue(flag), authorized);
+        process.exit(0);
+      } catch (error) {
+        console.error(`Decision failed: ${error.message}`);
+        process.exit(1);
+      }
+    }
+  }
+  
+  // Inspect or undo approved config changes
+  for (const [flag, command] of [["--config-diff", showConfigDiff], ["--config-rollback", rollbackConfig]]) {
+    if (process.argv.includes(flag)) {
+      try {
+        command();
+        process.exit(0);
+      } catch (error) {
+        console.error(`Config overlay: ${error.message}`);
+        process.exit(1);
+      }
+    }
+  }
+  
+  // Ask on the terminal when the AI agent requests a change
+  if (process.argv.includes("--ai-interactive")) {
+    errorHandler.setAuthCallback(confirmChange);
+  }
+  
   // Check for monitor flag
   const isMonitor = process.argv.includes("--monitor") || process.argv.includes("-m");
   
-  if (isMonitor) {
+  if (process.argv.includes("--discover")) {
+    discover()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error("Pool discovery failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.includes("--wallet")) {
+    wallet()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error("Wallet check failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.includes("--deploy-atomic")) {
+    deployAtomic()
+      .then(address => process.exit(address ? 0 : 1))
+      .catch(error => {
+        console.error("Deployment failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.includes("--alert-test")) {
+    testAlerts()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error("Alert test failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.some(arg => arg.startsWith("--backtest="))) {
+    backtest(process.argv.find(arg => arg.startsWith("--backtest=")).split("=")[1])
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error("Backtest failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.includes("--serve")) {
+    serve().catch(error => {
+      console.error("API server failed:", error.message);
+      process.exit(1);
+    });
+  } else if (process.argv.includes("--cycles")) {
+    cycles()
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error("Cycle scan failed:", error.message);
+        process.exit(1);
+      });
+  } else if (process.argv.includes("--live")) {
+    live().catch(error => {
+      console.error("Live monitoring failed:", error.message);
+      process.exit(1);
+    });
+  } else if (isMonitor) {
     const intervalArg = process.argv.find(arg => arg.startsWith("--interval="));
     const interval = intervalArg ? parseInt(intervalArg.split("=")[1]) : 5000;
-    monitor(interval);
+    monitor(interval).catch(error => {
+      console.error("Monitoring failed:", error.message);
+      process.exit(1);
+    });
+  } else if (isScanMode()) {
+    scan()
+      .then(() => flushAlerts())
+      .then(() => process.exit(0))
+      .catch(async error => {
+        console.error("Scan failed:", error.message);
+        await flushAlerts();
+        process.exit(1);
+      });
   } else {
-    main().then(() => {
+    main().then(async () => {
+      await flushAlerts();
       process.exit(0);
     });
   }
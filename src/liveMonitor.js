@@ -0,0 +1,339 @@
+/**
+ * Live Monitor
+ * Event-driven alternative to the polling monitor: subscribes to new blocks and to the
+ * Swap (Uniswap V3 / Aerodrome CL) and Sync (V2) events of every pool of a pair, and
+ * re-prices only the pool that changed straight from the event data, without an RPC call.
+ * A log removed by a reorg re-reads its pool at the new head instead
+ */
+
+import { EventEmitter } from "node:events";
+import { ethers } from "ethers";
+import { TOKENS, ARBITRAGE_CONFIG } from "./config.js";
+import { UNISWAP_V3_POOL_ABI, AERODROME_CL_POOL_ABI, UNISWAP_V2_PAIR_ABI } from "./abis.js";
+import {
+  fetchPricesMultipleDEXes,
+  sqrtPriceX96ToPrice,
+  reservesToPrice,
+  reservesToPoolState
+} from "./priceFetcher.js";
+import { fetchPairPrices } from "./multicall.js";
+import { analyzeArbitrage } from "./arbitrage.js";
+import { getReferencePairs, estimateGasForPairs, gasCostInQuote } from "./scanner.js";
+
+/**
+ * Live Monitor Configuration
+ */
+export const LIVE_MONITOR_CONFIG = {
+  // Trade size used for every analysis
+  tradeSizeEth: ARBITRAGE_CONFIG.TRADE_SIZE_ETH,
+
+  // Gas is re-estimated every this many blocks
+  gasRefreshBlocks: 10,
+
+  // Only emit opportunities that are profitable after gas
+  profitableOnly: false,
+
+  // Optional pool registry from poolDiscovery.js
+  registry: null
+};
+
+const v3PoolInterface = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const clPoolInterface = new ethers.Interface(AERODROME_CL_POOL_ABI);
+const v2PairInterface = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+
+/**
+ * Returns the decimals of a pool's token0 and token1 from the pair's base/quote decimals
+ * @private
+ */
+function getPoolDecimals(priceEntry, baseDecimals, quoteDecimals) {
+  return priceEntry.isToken0Base !== false
+    ? [baseDecimals, quoteDecimals]
+    : [quoteDecimals, baseDecimals];
+}
+
+/**
+ * Orients pool-order prices to the pair's base/quote order, as fetchPricesMultipleDEXes does
+ * @private
+ */
+function orientPrices(priceEntry, price0In1) {
+  const price1In0 = 1 / price0In1;
+  return priceEntry.isToken0Base !== false
+    ? { priceToken0InToken1: price0In1, priceToken1InToken0: price1In0 }
+    : { priceToken0InToken1: price1In0, priceToken1InToken0: price0In1 };
+}
+
+/**
+ * Re-prices a Uniswap V3 / Aerodrome CL pool from a Swap event
+ * @param {Object} priceEntry - Price entry from fetchPricesMultipleDEXes
+ * @param {Object} swap - Decoded Swap event ({ sqrtPriceX96, liquidity, tick })
+ * @param {number} baseDecimals - Decimals of the pair's base token
+ * @param {number} quoteDecimals - Decimals of the pair's quote token
+ * @param {number} blockNumber - Block of the event
+ * @returns {Object} Updated price entry
+ */
+export function applySwapEvent(priceEntry, swap, baseDecimals, quoteDecimals, blockNumber) {
+  const [token0Decimals, token1Decimals] = getPoolDecimals(priceEntry, baseDecimals, quoteDecimals);
+
+  return {
+    ...priceEntry,
+    sqrtPriceX96: swap.sqrtPriceX96.toString(),
+    tick: Number(swap.tick),
+    liquidity: swap.liquidity.toString(),
+    ...orientPrices(priceEntry, sqrtPriceX96ToPrice(swap.sqrtPriceX96, token0Decimals, token1Decimals)),
+    blockNumber,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Re-prices a V2 pair from a Sync event
+ * @param {Object} priceEntry - Price entry from fetchPricesMultipleDEXes
+ * @param {Object} sync - Decoded Sync event ({ reserve0, reserve1 })
+ * @param {number} baseDecimals - Decimals of the pair's base token
+ * @param {number} quoteDecimals - Decimals of the pair's quote token
+ * @param {number} blockNumber - Block of the event
+ * @returns {Object} Updated price entry
+ */
+export function applySyncEvent(priceEntry, sync, baseDecimals, quoteDecimals, blockNumber) {
+  const [token0Decimals, token1Decimals] = getPoolDecimals(priceEntry, baseDecimals, quoteDecimals);
+  const reserve0 = BigInt(sync.reserve0);
+  const reserve1 = BigInt(sync.reserve1);
+
+  if (reserve0 === 0n || reserve1 === 0n) {
+    return { ...priceEntry, error: `Insufficient liquidity in V2 pair ${priceEntry.poolAddress}`, blockNumber };
+  }
+
+  const { sqrtPriceX96, tick, liquidity } = reservesToPoolState(reserve0, reserve1);
+
+  return {
+    ...priceEntry,
+    sqrtPriceX96: sqrtPriceX96.toString(),
+    tick,
+    liquidity: liquidity.toString(),
+    reserve0: reserve0.toString(),
+    reserve1: reserve1.toString(),
+    ...orientPrices(priceEntry, reservesToPrice(reserve0, reserve1, token0Decimals, token1Decimals)),
+    blockNumber,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Live Monitor class
+ * Emits "opportunity" (analysis stamped with blockNumber and detectionLatencyMs),
+ * "price" (updated price entry), "block" (block number) and "error" events
+ */
+export class LiveMonitor extends EventEmitter {
+  constructor(provider, pair, config = {}) {
+    super();
+    this.provider = provider;
+    this.pair = pair;
+    this.config = { ...LIVE_MONITOR_CONFIG, ...config };
+    this.pools = new Map();
+    this.subscriptions = [];
+    this.latestBlock = null;
+    this.gasCost = null;
+    this.gasCostQuote = null;
+    this.quoteUsd = 1;
+    this.ethPriceSource = null;
+    this.gasBlock = null;
+    this.stats = { events: 0, analyses: 0, opportunities: 0, removedLogs: 0 };
+  }
+
+  /**
+   * Loads the current price of every pool of the pair and subscribes to their events
+   * @param {Object} [priceData] - Result of fetchPricesMultipleDEXes (fetched if omitted)
+   * @returns {Promise<Object|null>} Analysis of the initial prices
+   */
+  async start(priceData = null) {
+    const data = priceData ?? await fetchPricesMultipleDEXes(this.provider, this.pair, this.config.registry);
+    this.baseToken = data.token0;
+    this.quoteToken = data.token1;
+    this.referencePairs = getReferencePairs([this.pair], this.config.registry);
+    this.baseDecimals = TOKENS[data.token0]?.decimals ?? 18;
+    this.quoteDecimals = TOKENS[data.token1]?.decimals ?? 6;
+
+    for (const price of data.prices) {
+      if (price.error) {
+        this.emit("error", new Error(`${price.dex}: ${price.error}`));
+        continue;
+      }
+      this.pools.set(price.poolAddress.toLowerCase(), price);
+    }
+
+    this.latestBlock = await this.provider.getBlockNumber();
+    await this._refreshGas(this.latestBlock);
+
+    for (const price of this.pools.values()) {
+      const event = price.poolType === "V2" ? v2PairInterface.getEvent("Sync") : v3PoolInterface.getEvent("Swap");
+      const filter = { address: price.poolAddress, topics: [event.topicHash] };
+      const listener = log => this._handleLog(log);
+      await this.provider.on(filter, listener);
+      this.subscriptions.push([filter, listener]);
+    }
+
+    const blockListener = blockNumber => this._handleBlock(blockNumber);
+    await this.provider.on("block", blockListener);
+    this.subscriptions.push(["block", blockListener]);
+
+    return this._analyze(this.latestBlock, null);
+  }
+
+  /**
+   * Removes every subscription
+   */
+  async stop() {
+    for (const [event, listener] of this.subscriptions) {
+      await this.provider.off(event, listener);
+    }
+    this.subscriptions = [];
+  }
+
+  /**
+   * Current price entries of the pair's pools
+   * @returns {Object[]} Price entries
+   */
+  getPrices() {
+    return [...this.pools.values()];
+  }
+
+  /**
+   * Re-prices the pool that emitted a Swap or Sync event, then re-runs the analysis
+   * @private
+   * @returns {Object|Promise<Object|null>|null} Analysis (a promise for a removed log)
+   */
+  _handleLog(log) {
+    const receivedAt = Date.now();
+    const priceEntry = this.pools.get(log.address.toLowerCase());
+
+    if (!priceEntry) {
+      return null;
+    }
+    // Logs removed by a reorg carry prices that no longer hold: read the pool again
+    if (log.removed) {
+      this.stats.removedLogs++;
+      return this._reloadPool(priceEntry, receivedAt);
+    }
+
+    try {
+      let updated;
+      if (priceEntry.poolType === "V2") {
+        const sync = v2PairInterface.parseLog(log);
+        updated = applySyncEvent(priceEntry, sync.args, this.baseDecimals, this.quoteDecimals, log.blockNumber);
+      } else {
+        const poolInterface = priceEntry.poolType === "CL" ? clPoolInterface : v3PoolInterface;
+        const swap = poolInterface.parseLog(log);
+        updated = applySwapEvent(priceEntry, swap.args, this.baseDecimals, this.quoteDecimals, log.blockNumber);
+      }
+
+      this.pools.set(log.address.toLowerCase(), updated);
+      this.stats.events++;
+      this.emit("price", updated);
+
+      if (log.blockNumber > (this.latestBlock ?? 0)) {
+        this.latestBlock = log.blockNumber;
+      }
+      return this._analyze(log.blockNumber, receivedAt);
+    } catch (error) {
+      this.emit("error", error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-reads a pool's slot0 and liquidity (or its reserves) at the chain head, then re-runs the analysis
+   * @private
+   */
+  async _reloadPool(priceEntry, receivedAt) {
+    const address = priceEntry.poolAddress.toLowerCase();
+    try {
+      const blockNumber = await this.provider.getBlockNumber();
+      const overrides = { blockTag: blockNumber };
+      let updated;
+      if (priceEntry.poolType === "V2") {
+        const pairContract = new ethers.Contract(priceEntry.poolAddress, UNISWAP_V2_PAIR_ABI, this.provider);
+        const [reserve0, reserve1] = await pairContract.getReserves(overrides);
+        updated = applySyncEvent(priceEntry, { reserve0, reserve1 }, this.baseDecimals, this.quoteDecimals, blockNumber);
+      } else {
+        const abi = priceEntry.poolType === "CL" ? AERODROME_CL_POOL_ABI : UNISWAP_V3_POOL_ABI;
+        const poolContract = new ethers.Contract(priceEntry.poolAddress, abi, this.provider);
+        const [slot0, liquidity] = await Promise.all([poolContract.slot0(overrides), poolContract.liquidity(overrides)]);
+        updated = applySwapEvent(priceEntry, { sqrtPriceX96: slot0.sqrtPriceX96, tick: slot0.tick, liquidity }, this.baseDecimals, this.quoteDecimals, blockNumber);
+      }
+
+      // An event of a later block may have arrived during the read
+      if ((this.pools.get(address).blockNumber ?? 0) > blockNumber) {
+        return null;
+      }
+      this.pools.set(address, updated);
+      this.emit("price", updated);
+
+      if (blockNumber > (this.latestBlock ?? 0)) {
+        this.latestBlock = blockNumber;
+      }
+      return this._analyze(blockNumber, receivedAt);
+    } catch (error) {
+      this.emit("error", error);
+      return null;
+    }
+  }
+
+  /**
+   * Tracks the chain head and refreshes the gas estimate periodically
+   * @private
+   */
+  async _handleBlock(blockNumber) {
+    this.latestBlock = blockNumber;
+    this.emit("block", blockNumber);
+
+    if (this.gasBlock === null || blockNumber - this.gasBlock >= this.config.gasRefreshBlocks) {
+      await this._refreshGas(blockNumber);
+    }
+  }
+
+  /**
+   * Re-estimates the gas cost, keeping the previous estimate if it fails
+   * ETH and the quote token are valued as the polling monitor and the scanner do: from the
+   * pair's pools and the WETH/USDC reference pair, fetched again with each estimate
+   * @private
+   */
+  async _refreshGas(blockNumber) {
+    try {
+      const { pairs: referencePairs, gasData } = this.referencePairs.length > 0
+        ? await fetchPairPrices(this.provider, this.referencePairs, this.config.registry)
+        : { pairs: [], gasData: null };
+      const pairData = { pair: this.pair, token0: this.baseToken, token1: this.quoteToken, prices: this.getPrices() };
+      const { gasCost, ethPriceSource, usdPrices } = await estimateGasForPairs(this.provider, [pairData, ...referencePairs], gasData);
+
+      this.gasCost = gasCost;
+      this.gasCostQuote = gasCostInQuote(gasCost.gasCostUsd, this.quoteToken, usdPrices);
+      this.quoteUsd = usdPrices[this.quoteToken] ?? 1;
+      this.ethPriceSource = ethPriceSource;
+      this.gasBlock = blockNumber;
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  /**
+   * Analyzes the current prices and emits an opportunity stamped with its block
+   * @private
+   */
+  _analyze(blockNumber, receivedAt) {
+    if (!this.gasCost) {
+      return null;
+    }
+
+    const analysis = analyzeArbitrage(this.getPrices(), this.config.tradeSizeEth, this.gasCostQuote, { quoteUsd: this.quoteUsd });
+    analysis.blockNumber = blockNumber;
+    analysis.detectionLatencyMs = receivedAt === null ? null : Date.now() - receivedAt;
+    this.stats.analyses++;
+
+    if (analysis.hasOpportunity && (!this.config.profitableOnly || analysis.isProfitableAfterGas)) {
+      this.stats.opportunities++;
+      this.emit("opportunity", analysis);
+    }
+
+    return analysis;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Prometheus Metrics
+ * Collects what the monitor observes (RPC requests, price fetches, spreads, opportunities,
+ * gas) and renders it with the AI agent's error counts and health score in the Prometheus
+ * text format, served at GET /metrics (see ApiServer)
+ *
+ * Metric names and labels are part of the interface alerts are written against: rename or
+ * remove one only together with the alerts (and the table in the README)
+ */
+
+import { ERROR_CATEGORIES } from "./aiAgent.js";
+
+/**
+ * Metrics configuration
+ */
+export const METRICS_CONFIG = {
+  // Upper bounds (seconds) of the RPC request duration histogram buckets
+  rpcDurationBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+  // AIAgent whose error history and health are exported (null: agent metrics stay empty)
+  aiAgent: null,
+
+  // ProviderPool whose endpoint status is exported (see setProviderPool)
+  providerPool: null
+};
+
+// Every exported metric: name -> { type, help }
+export const METRIC_DEFINITIONS = {
+  dex_trader_rpc_request_duration_seconds: { type: "histogram", help: "Duration of RPC requests per endpoint" },
+  dex_trader_rpc_request_failures_total: { type: "counter", help: "RPC requests that failed at the endpoint (timeouts, connection and server errors)" },
+  dex_trader_rpc_latency_ms: { type: "gauge", help: "Moving average of the RPC latency per endpoint" },
+  dex_trader_rpc_endpoint_up: { type: "gauge", help: "1 while the endpoint's circuit is closed, 0 while it is open or half-open" },
+  dex_trader_price_fetches_total: { type: "counter", help: "Pool price fetches per pair and DEX" },
+  dex_trader_price_fetch_failures_total: { type: "counter", help: "Pool price fetches that failed per pair and DEX" },
+  dex_trader_spread_percent: { type: "gauge", help: "Price difference between the best buy and sell pool of the latest analysis per pair" },
+  dex_trader_net_profit_usd: { type: "gauge", help: "Net profit after gas of the latest analysis per pair" },
+  dex_trader_opportunities_detected_total: { type: "counter", help: "Analyses whose spread met MIN_PRICE_DIFF_PERCENT per pair" },
+  dex_trader_opportunities_profitable_total: { type: "counter", help: "Detected opportunities that were profitable after gas per pair" },
+  dex_trader_last_analysis_timestamp_seconds: { type: "gauge", help: "Unix time of the latest analysis per pair" },
+  dex_trader_gas_price_gwei: { type: "gauge", help: "Gas price of the latest analysis" },
+  dex_trader_swap_gas_cost_usd: { type: "gauge", help: "Gas cost of one swap in USD of the latest analysis" },
+  dex_trader_agent_errors: { type: "gauge", help: "Errors in the AI agent's error history per category" },
+  dex_trader_agent_health_score: { type: "gauge", help: "AI agent system health score (100 healthy, 75 warning, 50 degraded, 20 critical)" },
+  dex_trader_agent_pending_changes: { type: "gauge", help: "AI agent change requests awaiting a decision" }
+};
+
+/**
+ * Label of an RPC endpoint: its host, so API keys in the path or query are never exported
+ * @private
+ */
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Escapes a label value for the text format
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a label set as {name="value",...} (empty without labels)
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+/**
+ * Formats a sample value; the text format spells infinities +Inf / -Inf
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return String(value);
+}
+
+/**
+ * Metrics Collector class
+ */
+export class MetricsCollector {
+  /**
+   * @param {Object} config - METRICS_CONFIG overrides
+   */
+  constructor(config = {}) {
+    this.config = { ...METRICS_CONFIG, ...config };
+    // Metric name -> Map(label key -> { labels, value }) for counters and gauges,
+    // or { labels, buckets, sum, count } for histograms
+    this.series = new Map(Object.keys(METRIC_DEFINITIONS).map(name => [name, new Map()]));
+    // Passed to ProviderPool as onRequest, so it is bound once
+    this.observeRpcRequest = this.observeRpcRequest.bind(this);
+  }
+
+  /**
+   * Exports the endpoint status of a provider pool
+   * @param {ProviderPool} providerPool - Pool whose getStatus() is read on every scrape
+   */
+  setProviderPool(providerPool) {
+    this.config.providerPool = providerPool;
+  }
+
+  /**
+   * Records one RPC request (ProviderPool onRequest callback)
+   * @param {string} url - Endpoint URL
+   * @param {number} latencyMs - Request duration
+   * @param {boolean} failed - Whether the endpoint failed (a revert is a healthy answer)
+   */
+  observeRpcRequest(url, latencyMs, failed = false) {
+    const labels = { endpoint: endpointLabel(url) };
+    this._observe("dex_trader_rpc_request_duration_seconds", labels, latencyMs / 1000);
+    this._inc("dex_trader_rpc_request_failures_total", labels, failed ? 1 : 0);
+  }
+
+  /**
+   * Records the pool prices of a pair
+   * @param {Object} priceData - Result of fetchPricesMultipleDEXes (or one pair of fetchPairPrices)
+   */
+  observePrices(priceData) {
+    for (const price of priceData.prices ?? []) {
+      const labels = { pair: priceData.pair, dex: price.dex };
+      this._inc("dex_trader_price_fetches_total", labels);
+      this._inc("dex_trader_price_fetch_failures_total", labels, price.error ? 1 : 0);
+    }
+  }
+
+  /**
+   * Records the gas price and swap cost
+   * @param {Object} gasCost - Result of estimateSwapGasCost
+   */
+  observeGas(gasCost) {
+    this._set("dex_trader_gas_price_gwei", {}, gasCost.gasPriceGwei);
+    this._set("dex_trader_swap_gas_cost_usd", {}, gasCost.gasCostUsd);
+  }
+
+  /**
+   * Records an arbitrage analysis
+   * Without a spread (fewer than two valid prices) the pair's spread and profit are dropped
+   * rather than left at a stale value
+   * @param {string} pair - Trading pair
+   * @param {Object} analysis - Result of analyzeArbitrage
+   */
+  observeAnalysis(pair, analysis) {
+    const labels = { pair };
+    if (analysis.priceDifference) {
+      this._set("dex_trader_spread_percent", labels, analysis.priceDifference.percent);
+      this._set("dex_trader_net_profit_usd", labels, analysis.profitAnalysis.netProfitUsd);
+    } else {
+      this._delete("dex_trader_spread_percent", labels);
+      this._delete("dex_trader_net_profit_usd", labels);
+    }
+    this._inc("dex_trader_opportunities_detected_total", labels, analysis.hasOpportunity ? 1 : 0);
+    this._inc("dex_trader_opportunities_profitable_total", labels, analysis.hasOpportunity && analysis.isProfitableAfterGas ? 1 : 0);
+    this._set("dex_trader_last_analysis_timestamp_seconds", labels, Math.floor(Date.now() / 1000));
+  }
+
+  /**
+   * Records the prices, gas and analysis of a run
+   * @param {Object} result - Result of main()
+   */
+  observeRun(result) {
+    this.observePrices(result.priceData);
+    this.observeGas(result.gasCost);
+    this.observeAnalysis(result.pair, result.analysis);
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format (version 0.0.4)
+   * @returns {string} Exposition text
+   */
+  render() {
+    this._collect();
+    const lines = [];
+
+    for (const [name, { type, help }] of Object.entries(METRIC_DEFINITIONS)) {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const sample of this.series.get(name).values()) {
+        if (type !== "histogram") {
+          lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+          continue;
+        }
+        this.config.rpcDurationBuckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: bound })} ${sample.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: "+Inf" })} ${sample.count}`);
+        lines.push(`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+        lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      }
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Reads the metrics taken from the provider pool and the AI agent at scrape time
+   * @private
+   */
+  _collect() {
+    const { providerPool, aiAgent } = this.config;
+
+    if (providerPool) {
+      for (const status of providerPool.getStatus()) {
+        const labels = { endpoint: endpointLabel(status.url) };
+        if (status.latencyMs !== null) {
+          this._set("dex_trader_rpc_latency_ms", labels, status.latencyMs);
+        }
+        this._set("dex_trader_rpc_endpoint_up", labels, status.state === "closed" ? 1 : 0);
+      }
+    }
+
+    if (aiAgent) {
+      // Every category is exported, so a category without errors reads 0 instead of missing
+      const counts = Object.fromEntries(Object.values(ERROR_CATEGORIES).map(category => [category, 0]));
+      for (const error of aiAgent.errorHistory) {
+        counts[error.category] = (counts[error.category] ?? 0) + 1;
+      }
+      for (const [category, count] of Object.entries(counts)) {
+        this._set("dex_trader_agent_errors", { category }, count);
+      }
+      this._set("dex_trader_agent_health_score", {}, aiAgent.getSystemHealth().score);
+      this._set("dex_trader_agent_pending_changes", {}, aiAgent.getPendingChanges().length);
+    }
+  }
+
+  /**
+   * Series of a metric with the given labels, created on first use
+   * @private
+   */
+  _get(name, labels, create) {
+    const key = JSON.stringify(labels);
+    const series = this.series.get(name);
+    if (!series.has(key)) {
+      series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+  }
+
+  /**
+   * Adds to a counter; adding 0 still exports the series
+   * @private
+   */
+  _inc(name, labels, amount = 1) {
+    this._get(name, labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Sets a gauge
+   * @private
+   */
+  _set(name, labels, value) {
+    this._get(name, labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Removes a series
+   * @private
+   */
+  _delete(name, labels) {
+    this.series.get(name).delete(JSON.stringify(labels));
+  }
+
+  /**
+   * Adds a sample to a histogram
+   * @private
+   */
+  _observe(name, labels, value) {
+    const bounds = this.config.rpcDurationBuckets;
+    const sample = this._get(name, labels, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+    bounds.forEach((bound, index) => {
+      if (value <= bound) {
+        sample.buckets[index]++;
+      }
+    });
+    sample.sum += value;
+    sample.count++;
+  }
+}
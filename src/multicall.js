@@ -0,0 +1,251 @@
+/**
+ * Multicall Batching
+ * Aggregates the pool reads of a whole cycle (slot0 + liquidity per CL pool,
+ * getReserves per V2 pair, plus the block number and base fee) into a single
+ * Multicall3 aggregate3 eth_call, so every price is read at the same block
+ */
+
+import { ethers } from "ethers";
+import { POOLS, TOKENS, DEXES, MULTICALL_CONFIG } from "./config.js";
+import { UNISWAP_V3_POOL_ABI, AERODROME_CL_POOL_ABI, UNISWAP_V2_PAIR_ABI, MULTICALL3_ABI } from "./abis.js";
+import {
+  fetchPricesMultipleDEXes,
+  fetchV2PairAddress,
+  buildSlot0PriceData,
+  buildReservesPriceData,
+  orientPoolPrice,
+  getPoolType,
+  getPoolLabel
+} from "./priceFetcher.js";
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+const POOL_INTERFACES = {
+  V3: new ethers.Interface(UNISWAP_V3_POOL_ABI),
+  CL: new ethers.Interface(AERODROME_CL_POOL_ABI),
+  V2: new ethers.Interface(UNISWAP_V2_PAIR_ABI)
+};
+
+/**
+ * Executes a batch of contract reads in one Multicall3 aggregate3 call
+ * Calls are made with allowFailure, so a reverting call only fails its own result.
+ * The block number and base fee are read inside the same batch
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object[]} calls - Calls as { target, interface, method, args }
+ * @param {Object} options - Call options
+ * @param {string|number} [options.blockTag] - Block to read at (default latest)
+ * @param {string} [options.address] - Multicall3 address (default MULTICALL_CONFIG.ADDRESS)
+ * @returns {Promise<Object>} { blockNumber, basefee, results } with results as
+ *   { success: true, value } or { success: false, error }, in call order
+ */
+export async function multicall(provider, calls, options = {}) {
+  const address = options.address ?? MULTICALL_CONFIG.ADDRESS;
+  const encodedCalls = [
+    { target: address, allowFailure: false, callData: multicallInterface.encodeFunctionData("getBlockNumber") },
+    { target: address, allowFailure: false, callData: multicallInterface.encodeFunctionData("getBasefee") },
+    ...calls.map(call => ({
+      target: call.target,
+      allowFailure: true,
+      callData: call.interface.encodeFunctionData(call.method, call.args ?? [])
+    }))
+  ];
+
+  const multicallContract = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+  const [blockResult, basefeeResult, ...callResults] = await multicallContract.aggregate3.staticCall(encodedCalls, overrides);
+
+  const [blockNumber] = multicallInterface.decodeFunctionResult("getBlockNumber", blockResult.returnData);
+  const [basefee] = multicallInterface.decodeFunctionResult("getBasefee", basefeeResult.returnData);
+
+  return {
+    blockNumber: Number(blockNumber),
+    basefee,
+    results: callResults.map((result, index) => decodeCallResult(calls[index], result))
+  };
+}
+
+/**
+ * Decodes one aggregate3 result, turning reverts and malformed data into errors
+ * @private
+ */
+function decodeCallResult(call, result) {
+  if (!result.success) {
+    return { success: false, error: `${call.method} reverted on ${call.target}` };
+  }
+  try {
+    return { success: true, value: call.interface.decodeFunctionResult(call.method, result.returnData) };
+  } catch (err) {
+    return { success: false, error: `${call.method} on ${call.target}: ${err.shortMessage ?? err.message}` };
+  }
+}
+
+/**
+ * Reads the node's suggested priority fee (eth_maxPriorityFeePerGas), which no contract can read
+ * Sent as ethers' getPriorityFee request, so a ProviderPool fails it over like any other read
+ * @private
+ */
+async function fetchPriorityFee(provider) {
+  try {
+    return ethers.getBigInt(await provider._perform({ method: "getPriorityFee" }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the calls needed to price one pool
+ * @private
+ */
+function buildPoolCalls(poolType, poolAddress) {
+  const poolInterface = POOL_INTERFACES[poolType];
+  if (poolType === "V2") {
+    return [{ target: poolAddress, interface: poolInterface, method: "getReserves" }];
+  }
+  return [
+    { target: poolAddress, interface: poolInterface, method: "slot0" },
+    { target: poolAddress, interface: poolInterface, method: "liquidity" }
+  ];
+}
+
+/**
+ * Fetches the prices of several pairs in one Multicall3 batch pinned to a single block
+ * V2 pair addresses missing from the pool entries are resolved (and cached) first.
+ * A pool whose calls fail is returned as { dex, error }, like fetchPricesMultipleDEXes.
+ * The gas price is the batch's base fee plus the node's priority fee, read beside the batch
+ * (the base fee alone if the node cannot suggest one)
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string[]} pairs - Trading pair names (e.g. ["WETH/USDC", "WETH/USDbC"])
+ * @param {Object|null} registry - Optional pool registry from poolDiscovery.js
+ * @param {Object} options - Fetch options (exact, rounding, blockTag)
+ * @returns {Promise<Object>} { blockNumber, gasData, pairs } with pairs shaped like
+ *   fetchPricesMultipleDEXes results, each price stamped with blockNumber
+ */
+export async function fetchPricesBatched(provider, pairs, registry = null, options = {}) {
+  const pools = [];
+  const pairResults = pairs.map(pair => {
+    const poolConfig = POOLS[pair] ?? registry?.pairs?.[pair];
+    if (!poolConfig) {
+      throw new Error(`Unknown trading pair: ${pair}`);
+    }
+    const [token0, token1] = pair.split("/");
+    const result = { pair, token0, token1, prices: [] };
+    for (const [poolKey, pool] of Object.entries(poolConfig)) {
+      pools.push({ result, poolKey, pool, poolType: getPoolType(poolKey, pool) });
+    }
+    return result;
+  });
+
+  // Resolve V2 pair addresses before batching; failures are reported per pool
+  await Promise.all(pools.map(async (entry) => {
+    try {
+      if (!entry.poolType) {
+        throw new Error(`Unsupported pool type for ${entry.poolKey}`);
+      }
+      entry.address = entry.pool.address ?? await fetchV2PairAddress(
+        provider, DEXES[entry.pool.dexKey ?? entry.poolKey].factory, entry.pool.token0, entry.pool.token1
+      );
+    } catch (err) {
+      entry.error = err.message;
+    }
+  }));
+
+  const calls = [];
+  for (const entry of pools.filter(p => !p.error)) {
+    entry.callIndex = calls.length;
+    calls.push(...buildPoolCalls(entry.poolType, entry.address));
+  }
+
+  const [{ blockNumber, basefee, results }, priorityFee] = await Promise.all([
+    multicall(provider, calls, { blockTag: options.blockTag }),
+    fetchPriorityFee(provider)
+  ]);
+  const gasPrice = basefee + (priorityFee ?? 0n);
+
+  for (const entry of pools) {
+    entry.result.prices.push(buildBatchedPrice(entry, results, blockNumber, options));
+  }
+
+  const queriedAt = new Date().toISOString();
+  for (const result of pairResults) {
+    result.queriedAt = queriedAt;
+    result.blockNumber = blockNumber;
+  }
+
+  return {
+    blockNumber,
+    gasData: {
+      gasPrice: gasPrice.toString(),
+      gasPriceGwei: Number(ethers.formatUnits(gasPrice, "gwei")),
+      basefee: basefee.toString(),
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: priorityFee?.toString() ?? null
+    },
+    pairs: pairResults
+  };
+}
+
+/**
+ * Builds the oriented price data of one pool from its batched results
+ * @private
+ */
+function buildBatchedPrice(entry, results, blockNumber, options) {
+  const { result, poolKey, pool, poolType } = entry;
+  const label = getPoolLabel(poolKey, pool);
+  if (entry.error) {
+    return { dex: label, error: entry.error };
+  }
+
+  const poolResults = results.slice(entry.callIndex, entry.callIndex + (poolType === "V2" ? 1 : 2));
+  const failed = poolResults.find(r => !r.success);
+  if (failed) {
+    return { dex: label, error: failed.error };
+  }
+
+  const baseDecimals = TOKENS[result.token0]?.decimals ?? 18;
+  const quoteDecimals = TOKENS[result.token1]?.decimals ?? 6;
+  const [token0Decimals, token1Decimals] = pool.isToken0Base !== false
+    ? [baseDecimals, quoteDecimals]
+    : [quoteDecimals, baseDecimals];
+
+  try {
+    let priceData;
+    if (poolType === "V2") {
+      const [reserve0, reserve1] = poolResults[0].value;
+      priceData = buildReservesPriceData(label, entry.address, reserve0, reserve1, token0Decimals, token1Decimals, options);
+    } else {
+      const [slot0, [liquidity]] = poolResults.map(r => r.value);
+      priceData = buildSlot0PriceData(label, entry.address, slot0.sqrtPriceX96, slot0.tick, liquidity, token0Decimals, token1Decimals, options);
+    }
+    return { ...orientPoolPrice(priceData, poolKey, pool, options), blockNumber };
+  } catch (err) {
+    return { dex: label, error: err.message };
+  }
+}
+
+/**
+ * Fetches the prices of several pairs, batched through Multicall3 when enabled
+ * Falls back to per-pool calls (fetchPricesMultipleDEXes) if the batch fails,
+ * e.g. on a chain or RPC without Multicall3; blockNumber and gasData are then null
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string[]} pairs - Trading pair names
+ * @param {Object|null} registry - Optional pool registry from poolDiscovery.js
+ * @param {Object} options - Fetch options, as for fetchPricesBatched
+ * @param {boolean} [options.batched] - Use Multicall3 (default MULTICALL_CONFIG.ENABLED)
+ * @returns {Promise<Object>} { blockNumber, gasData, pairs, batched, batchError }
+ */
+export async function fetchPairPrices(provider, pairs, registry = null, options = {}) {
+  let batchError = null;
+  if (options.batched ?? MULTICALL_CONFIG.ENABLED) {
+    try {
+      return { ...await fetchPricesBatched(provider, pairs, registry, options), batched: true, batchError };
+    } catch (err) {
+      batchError = err.shortMessage ?? err.message;
+    }
+  }
+
+  const pairResults = await Promise.all(pairs.map(pair =>
+    fetchPricesMultipleDEXes(provider, pair, registry, options)
+      .catch(err => ({ pair, error: err.message, prices: [] }))
+  ));
+  return { blockNumber: null, gasData: null, pairs: pairResults, batched: false, batchError };
+}
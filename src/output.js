@@ -0,0 +1,119 @@
+/**
+ * Structured Output
+ * Serializes the result of an analysis run for --json and --ndjson. Every document carries
+ * the schema version and a type ("run", "scan" or "error"), and its top-level fields are fixed.
+ * BigInt values (reserves, sqrtPriceX96, liquidity, gas in wei) become decimal strings.
+ * In these modes the human-readable report goes to stderr, so stdout only carries documents
+ */
+
+// Bumped whenever a field is renamed, removed or changes type; added fields keep the version
+export const OUTPUT_SCHEMA_VERSION = 1;
+
+/**
+ * JSON replacer for values JSON.stringify cannot represent
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} BigInt as a decimal string, Error as { name, message }, anything else unchanged
+ */
+export function jsonReplacer(key, value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  return value;
+}
+
+/**
+ * Builds the document for a completed run
+ * @param {Object} result - Result of main()
+ * @returns {Object} Run document
+ */
+export function buildRunDocument(result) {
+  return {
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    type: "run",
+    timestamp: new Date().toISOString(),
+    pair: result.pair,
+    blockNumber: result.blockNumber ?? null,
+    fetchDurationMs: result.fetchDurationMs,
+    priceData: result.priceData,
+    gasCost: result.gasCost,
+    quote: result.quote ?? null,
+    sizing: result.sizing ?? null,
+    analysis: result.analysis,
+    execution: result.execution ?? null,
+    aiAgent: result.aiAgent
+  };
+}
+
+/**
+ * Builds the document for a multi-pair scan
+ * @param {Object} scan - Result of scanner.js scanPairs()
+ * @returns {Object} Scan document, opportunities ranked by net profit
+ */
+export function buildScanDocument(scan) {
+  return {
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    type: "scan",
+    timestamp: new Date().toISOString(),
+    pairs: scan.pairs.map(pairData => pairData.pair),
+    blockNumber: scan.blockNumber ?? null,
+    fetchDurationMs: scan.fetchDurationMs,
+    tradeSizeEth: scan.tradeSizeEth,
+    ethPriceUsd: scan.ethPriceUsd,
+    ethPriceSource: scan.ethPriceSource,
+    gasCost: scan.gasCost,
+    opportunities: scan.opportunities,
+    errors: scan.errors,
+    batchError: scan.batchError ?? null
+  };
+}
+
+/**
+ * Builds the document for a failed run
+ * @param {Error} error - Error that stopped the run
+ * @param {Object} context - { pair, diagnosis }
+ * @returns {Object} Error document
+ */
+export function buildErrorDocument(error, context = {}) {
+  return {
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    type: "error",
+    timestamp: new Date().toISOString(),
+    pair: context.pair ?? null,
+    error: { message: error.message, code: error.code ?? null },
+    diagnosis: context.diagnosis ?? null
+  };
+}
+
+/**
+ * Serializes a document: indented for "json", one line for "ndjson"
+ * @param {Object} document - Run or error document
+ * @param {string} format - "json" or "ndjson"
+ * @returns {string} Serialized document, ending with a newline
+ */
+export function serializeDocument(document, format) {
+  return JSON.stringify(document, jsonReplacer, format === "ndjson" ? undefined : 2) + "\n";
+}
+
+/**
+ * Writes a document to stdout
+ * @param {Object} document - Run or error document
+ * @param {string} format - "json" or "ndjson"
+ * @param {Object} stream - Writable stream (default process.stdout)
+ */
+export function writeDocument(document, format, stream = process.stdout) {
+  stream.write(serializeDocument(document, format));
+}
+
+/**
+ * Moves console.log / console.info off stdout, so only documents are written there
+ * @param {Object} options - { quiet: drop the messages instead of writing them to stderr }
+ */
+export function redirectConsole(options = {}) {
+  const target = options.quiet ? () => {} : console.error.bind(console);
+  console.log = target;
+  console.info = target;
+}
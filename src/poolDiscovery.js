@@ -0,0 +1,242 @@
+/**
+ * Pool Discovery
+ * Resolves pools for every token pair directly from the DEX factories
+ * and caches them in a registry file, so pairs no longer need hand-typed addresses
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { ethers } from "ethers";
+import { TOKENS, DEXES, DISCOVERY_CONFIG } from "./config.js";
+import {
+  UNISWAP_V3_FACTORY_ABI,
+  AERODROME_CL_FACTORY_ABI,
+  AERODROME_CL_POOL_ABI,
+  UNISWAP_V2_FACTORY_ABI
+} from "./abis.js";
+
+// Registry file format version, bumped whenever the entry shape changes
+export const POOL_REGISTRY_VERSION = 1;
+
+/**
+ * Orders two token addresses the way factories do (token0 < token1)
+ * @param {string} tokenA - Address of one token
+ * @param {string} tokenB - Address of the other token
+ * @returns {string[]} [token0, token1]
+ */
+export function sortTokens(tokenA, tokenB) {
+  return tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+/**
+ * Lists every unordered token pair, named "BASE/QUOTE" in TOKENS order
+ * @param {Object} tokens - Token configuration (defaults to TOKENS)
+ * @returns {string[][]} Array of [baseSymbol, quoteSymbol]
+ */
+export function getTokenPairs(tokens = TOKENS) {
+  const symbols = Object.keys(tokens);
+  const pairs = [];
+
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      pairs.push([symbols[i], symbols[j]]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Formats a fee in hundredths of a bip as a percentage label (500 -> "0.05%")
+ * @param {number} fee - Pool fee
+ * @returns {string} Fee label
+ */
+function formatFee(fee) {
+  return `${fee / 10000}%`;
+}
+
+/**
+ * Calls a factory lookup and normalizes "no pool" to null
+ * @param {Promise<string>} lookup - Pending getPool/getPair call
+ * @returns {Promise<string|null>} Pool address or null
+ */
+async function resolvePoolAddress(lookup) {
+  const address = await lookup;
+  return address === ethers.ZeroAddress ? null : address;
+}
+
+/**
+ * Discovers every pool for one token pair across all configured factories
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} baseToken - Base token config (e.g. TOKENS.WETH)
+ * @param {Object} quoteToken - Quote token config (e.g. TOKENS.USDC)
+ * @param {Object} dexes - DEX configuration (defaults to DEXES)
+ * @returns {Promise<Object>} Pool entries keyed by pool key (e.g. "UNISWAP_V3_500")
+ */
+export async function discoverPoolsForPair(provider, baseToken, quoteToken, dexes = DEXES) {
+  const [token0, token1] = sortTokens(baseToken.address, quoteToken.address);
+  const isToken0Base = token0 === baseToken.address;
+  const lookups = [];
+
+  // Uniswap V3: one pool per fee tier
+  if (dexes.UNISWAP_V3?.factory) {
+    const factory = new ethers.Contract(dexes.UNISWAP_V3.factory, UNISWAP_V3_FACTORY_ABI, provider);
+    for (const fee of DISCOVERY_CONFIG.UNISWAP_V3_FEE_TIERS) {
+      lookups.push(
+        resolvePoolAddress(factory.getPool(token0, token1, fee)).then(address => address && {
+          key: `UNISWAP_V3_${fee}`,
+          entry: {
+            dexKey: "UNISWAP_V3",
+            type: "V3",
+            label: `${dexes.UNISWAP_V3.name} (${formatFee(fee)})`,
+            address,
+            fee
+          }
+        })
+      );
+    }
+  }
+
+  // Aerodrome CL: one pool per tick spacing, fee is read from the pool itself
+  if (dexes.AERODROME?.clFactory) {
+    const factory = new ethers.Contract(dexes.AERODROME.clFactory, AERODROME_CL_FACTORY_ABI, provider);
+    for (const tickSpacing of DISCOVERY_CONFIG.AERODROME_CL_TICK_SPACINGS) {
+      lookups.push(
+        resolvePoolAddress(factory.getPool(token0, token1, tickSpacing)).then(async address => {
+          if (!address) {
+            return null;
+          }
+          const pool = new ethers.Contract(address, AERODROME_CL_POOL_ABI, provider);
+          const fee = Number(await pool.fee());
+          return {
+            key: `AERODROME_CL_${tickSpacing}`,
+            entry: {
+              dexKey: "AERODROME_CL",
+              type: "CL",
+              label: `Aerodrome CL (tick spacing ${tickSpacing})`,
+              address,
+              fee,
+              tickSpacing
+            }
+          };
+        })
+      );
+    }
+  }
+
+  // V2 DEXes: a single pair per factory
+  for (const [dexKey, dex] of Object.entries(dexes)) {
+    if (dex.type !== "V2" || !dex.factory) {
+      continue;
+    }
+    const factory = new ethers.Contract(dex.factory, UNISWAP_V2_FACTORY_ABI, provider);
+    lookups.push(
+      resolvePoolAddress(factory.getPair(token0, token1)).then(address => address && {
+        key: dexKey,
+        entry: {
+          dexKey,
+          type: "V2",
+          label: dex.name,
+          address,
+          fee: dex.fee ?? 3000
+        }
+      })
+    );
+  }
+
+  // A failing factory must not hide the pools found on the others
+  const results = await Promise.allSettled(lookups);
+
+  const pools = {};
+  for (const result of results) {
+    if (result.status !== "fulfilled" || !result.value) {
+      continue;
+    }
+    pools[result.value.key] = {
+      ...result.value.entry,
+      token0,
+      token1,
+      isToken0Base
+    };
+  }
+
+  return pools;
+}
+
+/**
+ * Discovers pools for every token pair in TOKENS
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} options - Discovery options
+ * @param {Object} [options.tokens] - Token configuration (defaults to TOKENS)
+ * @param {Object} [options.dexes] - DEX configuration (defaults to DEXES)
+ * @returns {Promise<Object>} Pool registry
+ */
+export async function discoverPools(provider, options = {}) {
+  const tokens = options.tokens ?? TOKENS;
+  const dexes = options.dexes ?? DEXES;
+
+  const tokenPairs = getTokenPairs(tokens);
+  const discovered = await Promise.all(
+    tokenPairs.map(([base, quote]) => discoverPoolsForPair(provider, tokens[base], tokens[quote], dexes))
+  );
+
+  const pairs = {};
+  tokenPairs.forEach(([base, quote], index) => {
+    // Only pairs with at least one pool are useful for pricing
+    if (Object.keys(discovered[index]).length > 0) {
+      pairs[`${base}/${quote}`] = discovered[index];
+    }
+  });
+
+  return {
+    version: POOL_REGISTRY_VERSION,
+    discoveredAt: new Date().toISOString(),
+    pairs
+  };
+}
+
+/**
+ * Writes a pool registry to disk
+ * @param {Object} registry - Registry from discoverPools()
+ * @param {string} registryPath - Destination file
+ */
+export function savePoolRegistry(registry, registryPath = DISCOVERY_CONFIG.REGISTRY_PATH) {
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Loads a cached pool registry from disk
+ * A corrupt file (e.g. truncated by an interrupted write) is ignored with a warning,
+ * like a missing one, so the hard-coded pools are still used
+ * @param {string} registryPath - Registry file
+ * @returns {Object|null} Registry, or null if missing, unreadable or from another format version
+ */
+export function loadPoolRegistry(registryPath = DISCOVERY_CONFIG.REGISTRY_PATH) {
+  if (!fs.existsSync(registryPath)) {
+    return null;
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  } catch (error) {
+    console.warn(`  Warning: Pool registry ${registryPath} not loaded (${error.message}), run --discover to rebuild it`);
+    return null;
+  }
+  if (registry?.version !== POOL_REGISTRY_VERSION) {
+    return null;
+  }
+
+  return registry;
+}
+
+/**
+ * Lists every pair that can be priced, from config and the registry
+ * @param {Object} pools - Hard-coded pool configuration
+ * @param {Object|null} registry - Discovered pool registry
+ * @returns {string[]} Pair names
+ */
+export function listKnownPairs(pools, registry = null) {
+  return [...new Set([...Object.keys(pools), ...Object.keys(registry?.pairs ?? {})])];
+}
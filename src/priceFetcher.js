@@ -2,19 +2,51 @@
  * DEX Price Fetcher
  * Queries DEX smart contracts directly for fast price data
  * Uses ethers.js to call slot0 on Uniswap V3 style pools
+ * and getReserves on Uniswap V2 style pairs
  */
 
 import { ethers } from "ethers";
-import { BASE_RPC_URL, POOLS, TOKENS, GAS_CONFIG } from "./config.js";
-import { UNISWAP_V3_POOL_ABI, AERODROME_CL_POOL_ABI, UNISWAP_V2_PAIR_ABI } from "./abis.js";
+import { BASE_RPC_URL, ALTERNATIVE_RPC_URLS, BASE_WS_URL, POOLS, TOKENS, DEXES, GAS_CONFIG } from "./config.js";
+import {
+  UNISWAP_V3_POOL_ABI,
+  AERODROME_CL_POOL_ABI,
+  UNISWAP_V2_PAIR_ABI,
+  UNISWAP_V2_FACTORY_ABI
+} from "./abis.js";
+import {
+  Rounding,
+  formatFixed,
+  sqrtPriceX96ToPriceFixed,
+  sqrtPriceX96ToInversePriceFixed,
+  reservesToPriceFixed
+} from "./fixedPoint.js";
+import { ProviderPool } from "./providerPool.js";
+
+// Cache of V2 pair addresses resolved from factories (factory:tokenA:tokenB -> pair)
+const v2PairAddressCache = new Map();
 
 /**
  * Creates an ethers provider for Base network
- * @param {string} rpcUrl - RPC endpoint URL
- * @returns {ethers.JsonRpcProvider} Provider instance
+ * Without a URL, returns a ProviderPool over BASE_RPC_URL and ALTERNATIVE_RPC_URLS
+ * that fails over between them
+ * @param {string|null} rpcUrl - Single RPC endpoint URL
+ * @param {Object} poolConfig - Overrides of PROVIDER_POOL_CONFIG (e.g. { quorum: 2 })
+ * @returns {ethers.AbstractProvider} Provider instance
  */
-export function createProvider(rpcUrl = BASE_RPC_URL) {
-  return new ethers.JsonRpcProvider(rpcUrl);
+export function createProvider(rpcUrl = null, poolConfig = {}) {
+  if (rpcUrl) {
+    return new ethers.JsonRpcProvider(rpcUrl);
+  }
+  return new ProviderPool([BASE_RPC_URL, ...ALTERNATIVE_RPC_URLS], poolConfig);
+}
+
+/**
+ * Creates a WebSocket provider for Base network, used for block and event subscriptions
+ * @param {string} wsUrl - WebSocket endpoint URL
+ * @returns {ethers.WebSocketProvider} Provider instance
+ */
+export function createWebSocketProvider(wsUrl = BASE_WS_URL) {
+  return new ethers.WebSocketProvider(wsUrl);
 }
 
 /**
@@ -23,8 +55,8 @@ export function createProvider(rpcUrl = BASE_RPC_URL) {
  * price = (sqrtPriceX96 / 2^96)^2
  * 
  * Note: For arbitrage detection purposes, standard JavaScript Number precision
- * is sufficient since we're comparing relative prices. For actual trading,
- * consider using a high-precision library like decimal.js.
+ * is sufficient since we're comparing relative prices. For execution decisions,
+ * use the exact BigInt path in fixedPoint.js (sqrtPriceX96ToPriceFixed).
  * 
  * @param {bigint} sqrtPriceX96 - The sqrt price from slot0
  * @param {number} token0Decimals - Decimals of token0
@@ -61,6 +93,114 @@ export function sqrtPriceX96ToInversePrice(sqrtPriceX96, token0Decimals, token1D
   return 1 / price;
 }
 
+/**
+ * Calculates integer square root of a BigInt (floor)
+ * @param {bigint} value - Non-negative value
+ * @returns {bigint} floor(sqrt(value))
+ */
+function sqrtBigInt(value) {
+  if (value < 2n) {
+    return value;
+  }
+  // Newton's method, starting from a guess that is always >= the root
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Calculates price from Uniswap V2 style reserves
+ * price = reserve1 / reserve0, adjusted for decimals
+ * @param {bigint} reserve0 - Reserve of token0
+ * @param {bigint} reserve1 - Reserve of token1
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @returns {number} The price of token0 in terms of token1
+ */
+export function reservesToPrice(reserve0, reserve1, token0Decimals, token1Decimals) {
+  // Validate input - return 0 for empty or missing reserves
+  if (!reserve0 || !reserve1) {
+    return 0;
+  }
+  
+  const price = Number(reserve1) / Number(reserve0);
+  
+  // Adjust for decimal differences
+  const decimalAdjustment = 10 ** (token0Decimals - token1Decimals);
+  return price * decimalAdjustment;
+}
+
+/**
+ * Derives the V3 equivalent state of a V2 pair from its reserves
+ * sqrtPriceX96 = sqrt(reserve1 / reserve0) * 2^96, L = sqrt(reserve0 * reserve1)
+ * @param {bigint} reserve0 - Reserve of token0
+ * @param {bigint} reserve1 - Reserve of token1
+ * @returns {Object} { sqrtPriceX96, tick, liquidity }
+ */
+export function reservesToPoolState(reserve0, reserve1) {
+  return {
+    sqrtPriceX96: sqrtBigInt((reserve1 << 192n) / reserve0),
+    tick: Math.floor(Math.log(Number(reserve1) / Number(reserve0)) / Math.log(1.0001)),
+    liquidity: sqrtBigInt(reserve0 * reserve1)
+  };
+}
+
+/**
+ * Calculates the output amount of a constant-product (x * y = k) swap
+ * Mirrors UniswapV2Library.getAmountOut, with the fee expressed in the same
+ * hundredths of a bip as V3 pool fees (3000 = 0.3%)
+ * @param {bigint} amountIn - Input amount in raw token units
+ * @param {bigint} reserveIn - Reserve of the input token
+ * @param {bigint} reserveOut - Reserve of the output token
+ * @param {number} fee - Pool fee in hundredths of a bip
+ * @returns {bigint} Output amount in raw token units
+ */
+export function getV2AmountOut(amountIn, reserveIn, reserveOut, fee = 3000) {
+  if (amountIn <= 0n) {
+    throw new Error("Insufficient input amount for V2 swap");
+  }
+  if (reserveIn <= 0n || reserveOut <= 0n) {
+    throw new Error("Insufficient liquidity in V2 pair");
+  }
+  
+  const amountInWithFee = amountIn * BigInt(1_000_000 - fee);
+  const numerator = amountInWithFee * reserveOut;
+  const denominator = reserveIn * 1_000_000n + amountInWithFee;
+  return numerator / denominator;
+}
+
+/**
+ * Exact prices of a pool as lossless decimal strings (see fixedPoint.js)
+ * @param {bigint} priceToken0InToken1 - Fixed-point price of token0 in token1
+ * @param {bigint} priceToken1InToken0 - Fixed-point price of token1 in token0
+ * @returns {Object} Exact price fields added to the price data
+ */
+function exactPriceFields(priceToken0InToken1, priceToken1InToken0) {
+  return {
+    priceToken0InToken1Exact: formatFixed(priceToken0InToken1),
+    priceToken1InToken0Exact: formatFixed(priceToken1InToken0)
+  };
+}
+
+/**
+ * Exact prices of a V3 style pool from its sqrtPriceX96
+ * @param {bigint} sqrtPriceX96 - The sqrt price from slot0
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {string} rounding - Rounding mode
+ * @returns {Object} Exact price fields
+ */
+function exactSqrtPriceFields(sqrtPriceX96, token0Decimals, token1Decimals, rounding = Rounding.DOWN) {
+  return exactPriceFields(
+    sqrtPriceX96ToPriceFixed(sqrtPriceX96, token0Decimals, token1Decimals, rounding),
+    sqrtPriceX96ToInversePriceFixed(sqrtPriceX96, token0Decimals, token1Decimals, rounding)
+  );
+}
+
 /**
  * Fetches slot0 data from a Uniswap V3 style pool
  * @param {ethers.Contract} poolContract - Pool contract instance
@@ -86,15 +226,49 @@ async function fetchLiquidity(poolContract) {
   return await poolContract.liquidity();
 }
 
+/**
+ * Builds the price data of a Uniswap V3 style pool from its slot0 price and liquidity
+ * @param {string} dexName - Display name of the pool
+ * @param {string} poolAddress - Pool contract address
+ * @param {bigint} sqrtPriceX96 - The sqrt price from slot0
+ * @param {bigint|number} tick - The tick from slot0
+ * @param {bigint} liquidity - In-range liquidity
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {Object} options - Fetch options (exact, rounding), as for fetchUniswapV3Price
+ * @returns {Object} Price data in pool token order
+ */
+export function buildSlot0PriceData(dexName, poolAddress, sqrtPriceX96, tick, liquidity, token0Decimals, token1Decimals, options = {}) {
+  // Calculate prices
+  const priceToken0InToken1 = sqrtPriceX96ToPrice(sqrtPriceX96, token0Decimals, token1Decimals);
+  const priceToken1InToken0 = sqrtPriceX96ToInversePrice(sqrtPriceX96, token0Decimals, token1Decimals);
+  
+  return {
+    dex: dexName,
+    poolAddress,
+    sqrtPriceX96: sqrtPriceX96.toString(),
+    tick: Number(tick),
+    liquidity: liquidity.toString(),
+    priceToken0InToken1,
+    priceToken1InToken0,
+    ...(options.exact ? exactSqrtPriceFields(sqrtPriceX96, token0Decimals, token1Decimals, options.rounding) : {}),
+    timestamp: Date.now()
+  };
+}
+
 /**
  * Fetches price data from a Uniswap V3 pool
  * @param {ethers.Provider} provider - Ethers provider
  * @param {string} poolAddress - Pool contract address
  * @param {number} token0Decimals - Decimals of token0
  * @param {number} token1Decimals - Decimals of token1
+ * @param {string} dexName - Display name of the pool
+ * @param {Object} options - Fetch options
+ * @param {boolean} [options.exact] - Also compute exact BigInt prices (priceToken0InToken1Exact, ...)
+ * @param {string} [options.rounding] - Rounding mode of the exact prices (default Rounding.DOWN)
  * @returns {Promise<Object>} Price data including sqrtPriceX96, tick, and calculated price
  */
-export async function fetchUniswapV3Price(provider, poolAddress, token0Decimals, token1Decimals) {
+export async function fetchUniswapV3Price(provider, poolAddress, token0Decimals, token1Decimals, dexName = "Uniswap V3", options = {}) {
   const poolContract = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
   
   // Fetch slot0 and liquidity simultaneously
@@ -103,20 +277,7 @@ export async function fetchUniswapV3Price(provider, poolAddress, token0Decimals,
     fetchLiquidity(poolContract)
   ]);
   
-  // Calculate prices
-  const priceToken0InToken1 = sqrtPriceX96ToPrice(slot0Data.sqrtPriceX96, token0Decimals, token1Decimals);
-  const priceToken1InToken0 = sqrtPriceX96ToInversePrice(slot0Data.sqrtPriceX96, token0Decimals, token1Decimals);
-  
-  return {
-    dex: "Uniswap V3",
-    poolAddress,
-    sqrtPriceX96: slot0Data.sqrtPriceX96.toString(),
-    tick: Number(slot0Data.tick),
-    liquidity: liquidity.toString(),
-    priceToken0InToken1,
-    priceToken1InToken0,
-    timestamp: Date.now()
-  };
+  return buildSlot0PriceData(dexName, poolAddress, slot0Data.sqrtPriceX96, slot0Data.tick, liquidity, token0Decimals, token1Decimals, options);
 }
 
 /**
@@ -125,9 +286,13 @@ export async function fetchUniswapV3Price(provider, poolAddress, token0Decimals,
  * @param {string} poolAddress - Pool contract address
  * @param {number} token0Decimals - Decimals of token0
  * @param {number} token1Decimals - Decimals of token1
+ * @param {string} dexName - Display name of the pool
+ * @param {Object} options - Fetch options
+ * @param {boolean} [options.exact] - Also compute exact BigInt prices (priceToken0InToken1Exact, ...)
+ * @param {string} [options.rounding] - Rounding mode of the exact prices (default Rounding.DOWN)
  * @returns {Promise<Object>} Price data
  */
-export async function fetchAerodromeCLPrice(provider, poolAddress, token0Decimals, token1Decimals) {
+export async function fetchAerodromeCLPrice(provider, poolAddress, token0Decimals, token1Decimals, dexName = "Aerodrome CL", options = {}) {
   const poolContract = new ethers.Contract(poolAddress, AERODROME_CL_POOL_ABI, provider);
   
   // Fetch slot0 and liquidity simultaneously
@@ -136,64 +301,220 @@ export async function fetchAerodromeCLPrice(provider, poolAddress, token0Decimal
     fetchLiquidity(poolContract)
   ]);
   
+  return buildSlot0PriceData(dexName, poolAddress, slot0Data.sqrtPriceX96, slot0Data.tick, liquidity, token0Decimals, token1Decimals, options);
+}
+
+/**
+ * Resolves a Uniswap V2 style pair address from its factory
+ * Results are cached since pair addresses never change
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} factoryAddress - V2 factory contract address
+ * @param {string} tokenA - Address of one token
+ * @param {string} tokenB - Address of the other token
+ * @returns {Promise<string>} Pair contract address
+ */
+export async function fetchV2PairAddress(provider, factoryAddress, tokenA, tokenB) {
+  const cacheKey = `${factoryAddress}:${tokenA}:${tokenB}`.toLowerCase();
+  if (v2PairAddressCache.has(cacheKey)) {
+    return v2PairAddressCache.get(cacheKey);
+  }
+  
+  const factoryContract = new ethers.Contract(factoryAddress, UNISWAP_V2_FACTORY_ABI, provider);
+  const pairAddress = await factoryContract.getPair(tokenA, tokenB);
+  
+  if (pairAddress === ethers.ZeroAddress) {
+    throw new Error(`No V2 pair found for ${tokenA}/${tokenB} on factory ${factoryAddress}`);
+  }
+  
+  v2PairAddressCache.set(cacheKey, pairAddress);
+  return pairAddress;
+}
+
+/**
+ * Fetches price data from a Uniswap V2 style pair (BaseSwap, SwapBased)
+ * Returns the same shape as the V3 fetchers; sqrtPriceX96, tick and liquidity
+ * are derived from the reserves so the pools can be compared directly
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} pairAddress - Pair contract address
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {string} dexName - Display name of the DEX
+ * @param {Object} options - Fetch options (exact, rounding), as for fetchUniswapV3Price
+ * @returns {Promise<Object>} Price data including reserves
+ */
+export async function fetchUniswapV2Price(provider, pairAddress, token0Decimals, token1Decimals, dexName = "Uniswap V2", options = {}) {
+  const pairContract = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, provider);
+  
+  const [reserve0, reserve1] = await pairContract.getReserves();
+  
+  return buildReservesPriceData(dexName, pairAddress, reserve0, reserve1, token0Decimals, token1Decimals, options);
+}
+
+/**
+ * Builds the price data of a V2 pair from its reserves
+ * @param {string} dexName - Display name of the DEX
+ * @param {string} pairAddress - Pair contract address
+ * @param {bigint} reserve0 - Reserve of token0
+ * @param {bigint} reserve1 - Reserve of token1
+ * @param {number} token0Decimals - Decimals of token0
+ * @param {number} token1Decimals - Decimals of token1
+ * @param {Object} options - Fetch options (exact, rounding), as for fetchUniswapV3Price
+ * @returns {Object} Price data in pool token order, including reserves
+ */
+export function buildReservesPriceData(dexName, pairAddress, reserve0, reserve1, token0Decimals, token1Decimals, options = {}) {
+  if (reserve0 === 0n || reserve1 === 0n) {
+    throw new Error(`Insufficient liquidity in V2 pair ${pairAddress}`);
+  }
+  
   // Calculate prices
-  const priceToken0InToken1 = sqrtPriceX96ToPrice(slot0Data.sqrtPriceX96, token0Decimals, token1Decimals);
-  const priceToken1InToken0 = sqrtPriceX96ToInversePrice(slot0Data.sqrtPriceX96, token0Decimals, token1Decimals);
+  const priceToken0InToken1 = reservesToPrice(reserve0, reserve1, token0Decimals, token1Decimals);
+  const priceToken1InToken0 = 1 / priceToken0InToken1;
+  const { sqrtPriceX96, tick, liquidity } = reservesToPoolState(reserve0, reserve1);
   
   return {
-    dex: "Aerodrome CL",
-    poolAddress,
-    sqrtPriceX96: slot0Data.sqrtPriceX96.toString(),
-    tick: Number(slot0Data.tick),
+    dex: dexName,
+    poolAddress: pairAddress,
+    sqrtPriceX96: sqrtPriceX96.toString(),
+    tick,
     liquidity: liquidity.toString(),
+    reserve0: reserve0.toString(),
+    reserve1: reserve1.toString(),
     priceToken0InToken1,
     priceToken1InToken0,
+    ...(options.exact ? exactPriceFields(
+      reservesToPriceFixed(reserve0, reserve1, token0Decimals, token1Decimals, options.rounding),
+      reservesToPriceFixed(reserve1, reserve0, token1Decimals, token0Decimals, options.rounding)
+    ) : {}),
     timestamp: Date.now()
   };
 }
 
+/**
+ * Resolves the pool type of a POOLS or registry entry
+ * Hard-coded POOLS entries are keyed by DEX, registry entries carry their type
+ * @param {string} poolKey - Key of the entry (e.g. "UNISWAP_V3", "UNISWAP_V3_500")
+ * @param {Object} pool - Pool entry
+ * @returns {string|null} "V3", "CL", "V2" or null if unsupported
+ */
+export function getPoolType(poolKey, pool) {
+  if (pool.type) {
+    return pool.type;
+  }
+  if (poolKey === "UNISWAP_V3") {
+    return "V3";
+  }
+  if (poolKey === "AERODROME_CL") {
+    return "CL";
+  }
+  return DEXES[poolKey]?.type === "V2" ? "V2" : null;
+}
+
+/**
+ * Fetches price data for a single POOLS or registry entry
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} poolKey - Key of the entry
+ * @param {Object} pool - Pool entry
+ * @param {number} token0Decimals - Decimals of the pool's token0
+ * @param {number} token1Decimals - Decimals of the pool's token1
+ * @param {Object} options - Fetch options passed to the pool fetchers
+ * @returns {Promise<Object>} Price data in pool token order
+ */
+async function fetchPoolPrice(provider, poolKey, pool, token0Decimals, token1Decimals, options) {
+  const dexKey = pool.dexKey ?? poolKey;
+  
+  switch (getPoolType(poolKey, pool)) {
+    case "V3":
+      return fetchUniswapV3Price(provider, pool.address, token0Decimals, token1Decimals, pool.label, options);
+    case "CL":
+      return fetchAerodromeCLPrice(provider, pool.address, token0Decimals, token1Decimals, pool.label, options);
+    case "V2": {
+      const dex = DEXES[dexKey];
+      const pairAddress = pool.address ??
+        await fetchV2PairAddress(provider, dex.factory, pool.token0, pool.token1);
+      return fetchUniswapV2Price(provider, pairAddress, token0Decimals, token1Decimals, pool.label ?? dex.name, options);
+    }
+    default:
+      throw new Error(`Unsupported pool type for ${poolKey}`);
+  }
+}
+
+/**
+ * Tags pool-order price data with its pool entry and orients it to the pair's base/quote order
+ * @param {Object} priceData - Price data in pool token order (e.g. from fetchUniswapV3Price)
+ * @param {string} poolKey - Key of the entry
+ * @param {Object} pool - Pool entry
+ * @param {Object} options - Fetch options (exact, rounding), as for fetchUniswapV3Price
+ * @returns {Object} Price data as returned by fetchPricesMultipleDEXes
+ */
+export function orientPoolPrice(priceData, poolKey, pool, options = {}) {
+  const isToken0Base = pool.isToken0Base !== false;
+  
+  return {
+    ...priceData,
+    poolKey,
+    dexKey: pool.dexKey ?? poolKey,
+    poolType: getPoolType(poolKey, pool),
+    fee: pool.fee,
+    tickSpacing: pool.tickSpacing,
+    isToken0Base,
+    // priceToken0InToken1 always means the pair's base token priced in its quote token
+    priceToken0InToken1: isToken0Base ? priceData.priceToken0InToken1 : priceData.priceToken1InToken0,
+    priceToken1InToken0: isToken0Base ? priceData.priceToken1InToken0 : priceData.priceToken0InToken1,
+    ...(options.exact ? {
+      priceToken0InToken1Exact: isToken0Base ? priceData.priceToken0InToken1Exact : priceData.priceToken1InToken0Exact,
+      priceToken1InToken0Exact: isToken0Base ? priceData.priceToken1InToken0Exact : priceData.priceToken0InToken1Exact
+    } : {})
+  };
+}
+
+/**
+ * Returns the display name of a pool entry, used when its fetch fails
+ * @param {string} poolKey - Key of the entry
+ * @param {Object} pool - Pool entry
+ * @returns {string} DEX display name
+ */
+export function getPoolLabel(poolKey, pool) {
+  if (pool.label) {
+    return pool.label;
+  }
+  if (poolKey === "AERODROME_CL") {
+    return "Aerodrome CL";
+  }
+  return DEXES[pool.dexKey ?? poolKey]?.name ?? poolKey;
+}
+
 /**
  * Fetches prices from multiple DEXes for a trading pair simultaneously
+ * Pools come from the hard-coded POOLS first, then from a discovered registry
  * @param {ethers.Provider} provider - Ethers provider
  * @param {string} pair - Trading pair name (e.g., "WETH/USDC")
+ * @param {Object|null} registry - Optional pool registry from poolDiscovery.js
+ * @param {Object} options - Fetch options (exact, rounding), as for fetchUniswapV3Price
  * @returns {Promise<Object[]>} Array of price data from each DEX
  */
-export async function fetchPricesMultipleDEXes(provider, pair) {
-  const poolConfig = POOLS[pair];
+export async function fetchPricesMultipleDEXes(provider, pair, registry = null, options = {}) {
+  const poolConfig = POOLS[pair] ?? registry?.pairs?.[pair];
   if (!poolConfig) {
     throw new Error(`Unknown trading pair: ${pair}`);
   }
   
   // Determine token decimals
   const [token0Symbol, token1Symbol] = pair.split("/");
-  const token0Decimals = TOKENS[token0Symbol]?.decimals ?? 18;
-  const token1Decimals = TOKENS[token1Symbol]?.decimals ?? 6;
-  
-  const pricePromises = [];
-  
-  // Fetch from Uniswap V3 if pool exists
-  if (poolConfig.UNISWAP_V3) {
-    pricePromises.push(
-      fetchUniswapV3Price(
-        provider,
-        poolConfig.UNISWAP_V3.address,
-        token0Decimals,
-        token1Decimals
-      ).catch(err => ({ dex: "Uniswap V3", error: err.message }))
-    );
-  }
-  
-  // Fetch from Aerodrome CL if pool exists
-  if (poolConfig.AERODROME_CL) {
-    pricePromises.push(
-      fetchAerodromeCLPrice(
-        provider,
-        poolConfig.AERODROME_CL.address,
-        token0Decimals,
-        token1Decimals
-      ).catch(err => ({ dex: "Aerodrome CL", error: err.message }))
-    );
-  }
+  const baseDecimals = TOKENS[token0Symbol]?.decimals ?? 18;
+  const quoteDecimals = TOKENS[token1Symbol]?.decimals ?? 6;
+  
+  // Fetch every pool of the pair (Uniswap V3, Aerodrome CL, V2 DEXes)
+  const pricePromises = Object.entries(poolConfig).map(([poolKey, pool]) => {
+    // Pools whose token0 is the quote token are fetched in pool order, then flipped
+    const isToken0Base = pool.isToken0Base !== false;
+    const [token0Decimals, token1Decimals] = isToken0Base
+      ? [baseDecimals, quoteDecimals]
+      : [quoteDecimals, baseDecimals];
+    
+    return fetchPoolPrice(provider, poolKey, pool, token0Decimals, token1Decimals, options)
+      .then(priceData => orientPoolPrice(priceData, poolKey, pool, options))
+      .catch(err => ({ dex: getPoolLabel(poolKey, pool), error: err.message }));
+  });
   
   // Execute all price fetches simultaneously
   const results = await Promise.all(pricePromises);
@@ -226,10 +547,11 @@ export async function fetchGasPrice(provider) {
  * Estimates gas cost for a swap transaction
  * @param {ethers.Provider} provider - Ethers provider
  * @param {number} ethPriceUsd - Current ETH price in USD
+ * @param {Object} [gasData] - Gas price data already fetched (e.g. by a Multicall3 batch)
  * @returns {Promise<Object>} Estimated gas cost in ETH and USD
  */
-export async function estimateSwapGasCost(provider, ethPriceUsd) {
-  const gasData = await fetchGasPrice(provider);
+export async function estimateSwapGasCost(provider, ethPriceUsd, gasData = null) {
+  gasData ??= await fetchGasPrice(provider);
   const gasPriceWei = BigInt(gasData.gasPrice);
   const gasLimit = GAS_CONFIG.SWAP_GAS_LIMIT;
   
@@ -0,0 +1,409 @@
+/**
+ * Provider Pool
+ * A managed set of RPC endpoints (BASE_RPC_URL and ALTERNATIVE_RPC_URLS) behind a single
+ * ethers provider: requests go to the fastest healthy endpoint and fail over to the next
+ * one on network errors, endpoints that keep failing are circuit-broken for a cooldown,
+ * and price-critical reads can require several endpoints to agree (quorum)
+ */
+
+import { ethers } from "ethers";
+import { BASE_RPC_URL, ALTERNATIVE_RPC_URLS } from "./config.js";
+
+/**
+ * Provider Pool Configuration
+ */
+export const PROVIDER_POOL_CONFIG = {
+  // Chain of every endpoint (Base), so no endpoint has to be asked for it
+  chainId: 8453,
+
+  // A request taking longer than this fails over to the next endpoint
+  requestTimeoutMs: 5000,
+
+  // Consecutive failures that open an endpoint's circuit
+  failureThreshold: 3,
+
+  // Time an open circuit waits before the endpoint is tried again (half-open)
+  cooldownMs: 30000,
+
+  // Interval of background health checks (0 disables them)
+  healthCheckIntervalMs: 30000,
+
+  // Endpoints more than this many blocks behind the highest one count as unhealthy
+  maxBlockLag: 5,
+
+  // Weight of the newest sample in the latency moving average
+  latencySmoothing: 0.3,
+
+  // Endpoints that must return the same result for quorum methods (1 disables quorum)
+  quorum: 1,
+
+  // Request methods that need a quorum when quorum > 1 (eth_call covers every price read)
+  quorumMethods: ["call"],
+
+  // Called with (url, reason) whenever an endpoint's circuit opens
+  onCircuitOpen: null,
+
+  // Called with (url, latencyMs, failed) after every request to an endpoint
+  onRequest: null
+};
+
+// Errors that are a valid answer from a healthy endpoint and must not trigger failover
+const NON_FAILOVER_CODES = new Set([
+  "CALL_EXCEPTION",
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "TRANSACTION_REPLACED",
+  "INVALID_ARGUMENT",
+  "ACTION_REJECTED"
+]);
+
+/**
+ * Whether an error means the endpoint (not the request) failed
+ * @param {Error} error - Error thrown by an endpoint
+ * @returns {boolean} True for network errors, timeouts, rate limits and server errors
+ */
+export function isEndpointFailure(error) {
+  return !NON_FAILOVER_CODES.has(error?.code);
+}
+
+/**
+ * Provider Pool class
+ * Extends ethers' AbstractProvider, so it can be used anywhere a provider is expected
+ */
+export class ProviderPool extends ethers.AbstractProvider {
+  /**
+   * @param {Array<string|Object>} endpoints - RPC URLs, or { url, provider } entries
+   *   (any provider implementing _perform, e.g. a JsonRpcProvider)
+   * @param {Object} config - Overrides of PROVIDER_POOL_CONFIG
+   */
+  constructor(endpoints = [BASE_RPC_URL, ...ALTERNATIVE_RPC_URLS], config = {}) {
+    const poolConfig = { ...PROVIDER_POOL_CONFIG, ...config };
+    const network = ethers.Network.from(poolConfig.chainId);
+    super(network, { staticNetwork: network });
+
+    if (endpoints.length === 0) {
+      throw new Error("ProviderPool needs at least one endpoint");
+    }
+    if (poolConfig.quorum > endpoints.length) {
+      throw new Error(`Quorum of ${poolConfig.quorum} exceeds the ${endpoints.length} endpoints`);
+    }
+
+    this.config = poolConfig;
+    this.endpoints = endpoints.map((endpoint, index) => {
+      const url = typeof endpoint === "string" ? endpoint : endpoint.url;
+      return {
+        index,
+        url,
+        provider: endpoint.provider ?? new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+        failures: 0,
+        openedAt: null,
+        latencyMs: null,
+        blockNumber: null,
+        requests: 0,
+        errors: 0,
+        lastError: null
+      };
+    });
+    this.healthTimer = null;
+    // URL of the endpoint(s) that answered the last routed request
+    this.lastEndpoint = null;
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.config.chainId);
+  }
+
+  /**
+   * Routes every provider request: quorum methods to several endpoints, the rest with failover
+   * @param {Object} req - ethers PerformActionRequest
+   * @returns {Promise<*>} Result of the request
+   */
+  async _perform(req) {
+    if (this.config.quorum > 1 && this.config.quorumMethods.includes(req.method)) {
+      return this._performQuorum(req, this.config.quorum);
+    }
+    return this._performWithFailover(req);
+  }
+
+  /**
+   * Circuit state of an endpoint
+   * @param {Object} endpoint - Endpoint entry
+   * @returns {string} "closed" (healthy), "open" (skipped) or "half-open" (cooldown over, on probation)
+   */
+  getCircuitState(endpoint) {
+    if (endpoint.openedAt === null) {
+      return "closed";
+    }
+    return Date.now() - endpoint.openedAt >= this.config.cooldownMs ? "half-open" : "open";
+  }
+
+  /**
+   * Endpoints in the order they are tried: healthy ones by failures and latency, then half-open ones
+   * If every circuit is open, all endpoints are returned, the one closest to its cooldown first
+   * @returns {Object[]} Endpoint entries
+   */
+  getRankedEndpoints() {
+    const available = this.endpoints.filter(endpoint => this.getCircuitState(endpoint) !== "open");
+    if (available.length === 0) {
+      return [...this.endpoints].sort((a, b) => a.openedAt - b.openedAt);
+    }
+
+    // Endpoints with recent failures rank last; unmeasured ones rank as fastest so each
+    // gets measured; ties keep the configured order
+    const rank = endpoint => [
+      this.getCircuitState(endpoint) === "closed" ? 0 : 1,
+      endpoint.failures,
+      endpoint.latencyMs ?? 0,
+      endpoint.index
+    ];
+    return available.sort((a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)];
+      return rankA.reduce((order, value, index) => order || value - rankB[index], 0);
+    });
+  }
+
+  /**
+   * Sends a request to the best endpoint, failing over to the next on endpoint failures
+   * @private
+   */
+  async _performWithFailover(req) {
+    const failures = [];
+
+    for (const endpoint of this.getRankedEndpoints()) {
+      try {
+        const result = await this._send(endpoint, req);
+        this.lastEndpoint = endpoint.url;
+        return result;
+      } catch (error) {
+        if (!isEndpointFailure(error)) {
+          throw error;
+        }
+        failures.push(`${endpoint.url}: ${error.shortMessage ?? error.message}`);
+      }
+    }
+
+    throw ethers.makeError(`All RPC endpoints failed for ${req.method}: ${failures.join("; ")}`, "NETWORK_ERROR", { event: req.method });
+  }
+
+  /**
+   * Sends a request to several endpoints and returns the result once `quorum` of them agree
+   * "latest" is pinned to one block number first, so endpoints are compared at the same block
+   * @private
+   */
+  async _performQuorum(req, quorum) {
+    if (req.blockTag === undefined || req.blockTag === "latest") {
+      const blockNumber = await this._performWithFailover({ method: "getBlockNumber" });
+      req = { ...req, blockTag: ethers.toQuantity(blockNumber) };
+    }
+
+    const pending = this.getRankedEndpoints();
+    const tally = new Map();
+    const failures = [];
+    let requestError = null;
+
+    while (pending.length > 0) {
+      // Ask as many endpoints as are still missing for the best result so far
+      const best = Math.max(0, ...[...tally.values()].map(entry => entry.count));
+      const batch = pending.splice(0, quorum - best);
+
+      const settled = await Promise.allSettled(batch.map(endpoint => this._send(endpoint, req)));
+      settled.forEach((outcome, index) => {
+        if (outcome.status === "fulfilled") {
+          const key = JSON.stringify(outcome.value, (_, value) => typeof value === "bigint" ? value.toString() : value);
+          const entry = tally.get(key) ?? { value: outcome.value, count: 0, urls: [] };
+          entry.count++;
+          entry.urls.push(batch[index].url);
+          tally.set(key, entry);
+        } else if (isEndpointFailure(outcome.reason)) {
+          failures.push(`${batch[index].url}: ${outcome.reason.shortMessage ?? outcome.reason.message}`);
+        } else {
+          requestError ??= outcome.reason;
+        }
+      });
+
+      const agreed = [...tally.values()].find(entry => entry.count >= quorum);
+      if (agreed) {
+        this.lastEndpoint = agreed.urls.join(",");
+        return agreed.value;
+      }
+    }
+
+    if (requestError && tally.size === 0) {
+      throw requestError;
+    }
+    const disagreement = tally.size > 1 ? `${tally.size} different results` : `${failures.length} endpoint failures`;
+    throw new Error(`Quorum of ${quorum} not reached for ${req.method} (${disagreement})${failures.length > 0 ? `: ${failures.join("; ")}` : ""}`);
+  }
+
+  /**
+   * Sends a request to one endpoint with a timeout and records its health
+   * @private
+   */
+  async _send(endpoint, req) {
+    const startTime = Date.now();
+    let timer;
+    endpoint.requests++;
+
+    try {
+      const result = await Promise.race([
+        endpoint.provider._perform(req),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(ethers.makeError(
+            `Request timed out after ${this.config.requestTimeoutMs}ms`, "TIMEOUT", { operation: req.method }
+          )), this.config.requestTimeoutMs);
+        })
+      ]);
+      const latencyMs = Date.now() - startTime;
+      this._recordSuccess(endpoint, latencyMs);
+      this.config.onRequest?.(endpoint.url, latencyMs, false);
+      return result;
+    } catch (error) {
+      // A revert is a healthy endpoint answering
+      const latencyMs = Date.now() - startTime;
+      const failed = isEndpointFailure(error);
+      if (failed) {
+        this._recordFailure(endpoint, error);
+      } else {
+        this._recordSuccess(endpoint, latencyMs);
+      }
+      this.config.onRequest?.(endpoint.url, latencyMs, failed);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Updates the latency average and closes the endpoint's circuit
+   * @private
+   */
+  _recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs + this.config.latencySmoothing * (latencyMs - endpoint.latencyMs);
+    endpoint.failures = 0;
+    endpoint.openedAt = null;
+  }
+
+  /**
+   * Counts a failure and opens the endpoint's circuit at the threshold
+   * A half-open endpoint that fails again re-opens at once
+   * @private
+   */
+  _recordFailure(endpoint, error) {
+    const wasHalfOpen = this.getCircuitState(endpoint) === "half-open";
+    endpoint.errors++;
+    endpoint.failures++;
+    endpoint.lastError = error.shortMessage ?? error.message;
+
+    if (wasHalfOpen || endpoint.failures >= this.config.failureThreshold) {
+      endpoint.openedAt = Date.now();
+      this.config.onCircuitOpen?.(endpoint.url, endpoint.lastError);
+    }
+  }
+
+  /**
+   * Opens the circuit of the endpoint currently preferred, so requests move to the next one
+   * Used when the AI agent diagnoses a network error (see SmartErrorHandler)
+   * @param {string} [reason] - Reason recorded on the endpoint
+   * @returns {string|null} URL of the endpoint switched away from
+   */
+  failover(reason = "Failover requested") {
+    const [current] = this.getRankedEndpoints();
+    if (!current || this.endpoints.length < 2) {
+      return null;
+    }
+    current.openedAt = Date.now();
+    current.lastError = reason;
+    this.config.onCircuitOpen?.(current.url, reason);
+    return current.url;
+  }
+
+  /**
+   * Probes every endpoint with eth_blockNumber, measuring latency and block lag
+   * Endpoints more than maxBlockLag blocks behind the highest one are counted as failing
+   * @returns {Promise<Object[]>} Endpoint status, as from getStatus()
+   */
+  async healthCheck() {
+    const probes = await Promise.allSettled(
+      this.endpoints.map(endpoint => this._send(endpoint, { method: "getBlockNumber" }))
+    );
+
+    probes.forEach((probe, index) => {
+      if (probe.status === "fulfilled") {
+        this.endpoints[index].blockNumber = Number(probe.value);
+      }
+    });
+
+    const highestBlock = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+    probes.forEach((probe, index) => {
+      const endpoint = this.endpoints[index];
+      if (probe.status === "fulfilled" && highestBlock - endpoint.blockNumber > this.config.maxBlockLag) {
+        this._recordFailure(endpoint, new Error(`${highestBlock - endpoint.blockNumber} blocks behind`));
+      }
+    });
+
+    return this.getStatus();
+  }
+
+  /**
+   * Starts periodic health checks (healthCheckIntervalMs); the timer does not keep the process alive
+   */
+  startHealthChecks() {
+    if (this.healthTimer || this.config.healthCheckIntervalMs <= 0) {
+      return;
+    }
+    this.healthTimer = setInterval(() => this.healthCheck(), this.config.healthCheckIntervalMs);
+    this.healthTimer.unref?.();
+  }
+
+  /**
+   * Stops periodic health checks
+   */
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  /**
+   * Current status of every endpoint, best first
+   * @returns {Object[]} { url, state, latencyMs, blockNumber, failures, requests, errors, lastError }
+   */
+  getStatus() {
+    const ranked = this.getRankedEndpoints();
+    const ordered = [...ranked, ...this.endpoints.filter(endpoint => !ranked.includes(endpoint))];
+    return ordered.map(endpoint => ({
+      url: endpoint.url,
+      state: this.getCircuitState(endpoint),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      blockNumber: endpoint.blockNumber,
+      failures: endpoint.failures,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      lastError: endpoint.lastError
+    }));
+  }
+
+  destroy() {
+    this.stopHealthChecks();
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy?.();
+    }
+    super.destroy();
+  }
+}
+
+/**
+ * Formats the endpoint status for display
+ * @param {Object[]} status - Result of getStatus() or healthCheck()
+ * @returns {string} One line per endpoint
+ */
+export function formatProviderStatus(status) {
+  return status.map(endpoint => {
+    const latency = endpoint.latencyMs === null ? "n/a" : `${endpoint.latencyMs}ms`;
+    const block = endpoint.blockNumber === null ? "" : ` block ${endpoint.blockNumber}`;
+    const error = endpoint.lastError && endpoint.state !== "closed" ? ` (${endpoint.lastError})` : "";
+    return `  ${endpoint.state === "closed" ? "✅" : endpoint.state === "half-open" ? "⚠️" : "❌"} ${endpoint.url}: ${latency}${block}${error}`;
+  }).join("\n");
+}
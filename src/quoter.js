@@ -0,0 +1,140 @@
+/**
+ * Swap Quoter
+ * Quotes the real output of a swap for an exact trade size via eth_call,
+ * so profitability includes pool fees and price impact instead of mid prices
+ */
+
+import { ethers } from "ethers";
+import { TOKENS, DEXES } from "./config.js";
+import { UNISWAP_V3_QUOTER_V2_ABI, AERODROME_CL_QUOTER_ABI, AERODROME_CL_POOL_ABI } from "./abis.js";
+import { getV2AmountOut } from "./priceFetcher.js";
+import { findBestPrices } from "./arbitrage.js";
+
+// Cache of CL pool tick spacings (pool address -> tick spacing)
+const tickSpacingCache = new Map();
+
+/**
+ * Reads the tick spacing of an Aerodrome CL pool (cached, it never changes)
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} poolAddress - Pool contract address
+ * @returns {Promise<number>} Tick spacing
+ */
+export async function fetchTickSpacing(provider, poolAddress) {
+  if (!tickSpacingCache.has(poolAddress)) {
+    const poolContract = new ethers.Contract(poolAddress, AERODROME_CL_POOL_ABI, provider);
+    tickSpacingCache.set(poolAddress, Number(await poolContract.tickSpacing()));
+  }
+  return tickSpacingCache.get(poolAddress);
+}
+
+/**
+ * Quotes an exact-input swap on a single pool
+ * Uniswap V3 and Aerodrome CL pools go through their on-chain QuoterV2,
+ * V2 pairs use the constant-product formula on the fetched reserves
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Price data of the pool (from fetchPricesMultipleDEXes)
+ * @param {string} tokenIn - Address of the input token
+ * @param {string} tokenOut - Address of the output token
+ * @param {bigint} amountIn - Input amount in raw token units
+ * @returns {Promise<Object>} { amountOut, sqrtPriceX96After, initializedTicksCrossed, gasEstimate }
+ */
+export async function quoteExactInputSingle(provider, priceData, tokenIn, tokenOut, amountIn) {
+  switch (priceData.poolType) {
+    case "V3": {
+      const quoter = new ethers.Contract(DEXES.UNISWAP_V3.quoter, UNISWAP_V3_QUOTER_V2_ABI, provider);
+      const result = await quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn,
+        fee: priceData.fee,
+        sqrtPriceLimitX96: 0n
+      });
+      return {
+        amountOut: result[0],
+        sqrtPriceX96After: result[1],
+        initializedTicksCrossed: Number(result[2]),
+        gasEstimate: result[3]
+      };
+    }
+    case "CL": {
+      if (!DEXES.AERODROME.clQuoter) {
+        throw new Error("No Aerodrome CL quoter configured");
+      }
+      const tickSpacing = priceData.tickSpacing ?? await fetchTickSpacing(provider, priceData.poolAddress);
+      const quoter = new ethers.Contract(DEXES.AERODROME.clQuoter, AERODROME_CL_QUOTER_ABI, provider);
+      const result = await quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn,
+        tickSpacing,
+        sqrtPriceLimitX96: 0n
+      });
+      return {
+        amountOut: result[0],
+        sqrtPriceX96After: result[1],
+        initializedTicksCrossed: Number(result[2]),
+        gasEstimate: result[3]
+      };
+    }
+    case "V2": {
+      // token0 of a V2 pair is the lower address
+      const zeroForOne = tokenIn.toLowerCase() < tokenOut.toLowerCase();
+      const reserve0 = BigInt(priceData.reserve0);
+      const reserve1 = BigInt(priceData.reserve1);
+      const [reserveIn, reserveOut] = zeroForOne ? [reserve0, reserve1] : [reserve1, reserve0];
+      return {
+        amountOut: getV2AmountOut(amountIn, reserveIn, reserveOut, priceData.fee),
+        sqrtPriceX96After: null,
+        initializedTicksCrossed: 0,
+        gasEstimate: null
+      };
+    }
+    default:
+      throw new Error(`Cannot quote pool type ${priceData.poolType} (${priceData.dex})`);
+  }
+}
+
+/**
+ * Quotes both legs of an arbitrage for an exact trade size
+ * Spends tradeAmount x buy price of the quote token on the cheapest pool,
+ * then sells all the base token received on the most expensive pool
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+ * @param {number} tradeAmount - Trade size in base token (e.g. ETH)
+ * @returns {Promise<Object|null>} Quote for analyzeArbitrage, or null if fewer than two pools priced
+ */
+export async function quoteArbitrage(provider, priceData, tradeAmount) {
+  const validPrices = priceData.prices.filter(p => !p.error && p.priceToken0InToken1);
+  if (validPrices.length < 2) {
+    return null;
+  }
+
+  const { bestBuy, bestSell } = findBestPrices(validPrices);
+  const baseToken = TOKENS[priceData.token0];
+  const quoteToken = TOKENS[priceData.token1];
+
+  // Quote token spent on the buy leg, sized from the buy pool mid price
+  const amountIn = ethers.parseUnits(
+    (tradeAmount * bestBuy.priceToken0InToken1).toFixed(quoteToken.decimals),
+    quoteToken.decimals
+  );
+
+  // Buy leg: quote token -> base token on the cheapest pool
+  const buyQuote = await quoteExactInputSingle(provider, bestBuy, quoteToken.address, baseToken.address, amountIn);
+
+  // Sell leg: everything bought -> quote token on the most expensive pool
+  const sellQuote = await quoteExactInputSingle(provider, bestSell, baseToken.address, quoteToken.address, buyQuote.amountOut);
+
+  return {
+    buyFrom: bestBuy.dex,
+    sellTo: bestSell.dex,
+    amountIn: amountIn.toString(),
+    baseAmount: buyQuote.amountOut.toString(),
+    amountOut: sellQuote.amountOut.toString(),
+    amountInFormatted: Number(ethers.formatUnits(amountIn, quoteToken.decimals)),
+    baseAmountFormatted: Number(ethers.formatUnits(buyQuote.amountOut, baseToken.decimals)),
+    amountOutFormatted: Number(ethers.formatUnits(sellQuote.amountOut, quoteToken.decimals)),
+    ticksCrossed: buyQuote.initializedTicksCrossed + sellQuote.initializedTicksCrossed,
+    quotedAt: new Date().toISOString()
+  };
+}
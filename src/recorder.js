@@ -0,0 +1,264 @@
+/**
+ * Pool State Recorder
+ * Appends every price fetch, gas reading and analysis result to rotating NDJSON files,
+ * stamped with the block number, the fetch latency and the RPC endpoint that answered.
+ * Price fetches are written as backtester snapshots, so a recording directory can be
+ * replayed with --backtest
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+/**
+ * Recorder configuration
+ */
+export const RECORDER_CONFIG = {
+  // Start a new file once the current one reaches this size
+  maxFileBytes: 10 * 1024 * 1024,
+
+  // Oldest files are deleted beyond this count (null keeps every file)
+  maxFiles: null,
+
+  // File names: <prefix>-000001.ndjson, <prefix>-000002.ndjson, ...
+  filePrefix: "records",
+
+  // Version of the record layout, written to every record
+  schemaVersion: 1
+};
+
+/**
+ * Serializes a record on one line; BigInt values become decimal strings
+ * @private
+ */
+function serialize(record) {
+  return JSON.stringify(record, (_, value) => typeof value === "bigint" ? value.toString() : value);
+}
+
+/**
+ * Lists the record files of a directory, oldest first
+ * @param {string} dir - Recording directory
+ * @param {string} [filePrefix] - File name prefix (default RECORDER_CONFIG.filePrefix)
+ * @returns {string[]} File paths
+ */
+export function listRecordFiles(dir, filePrefix = RECORDER_CONFIG.filePrefix) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const pattern = new RegExp(`^${filePrefix}-(\\d+)\\.ndjson$`);
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+    .map(entry => path.join(dir, entry.name));
+}
+
+/**
+ * Converts fetched price data into a backtester snapshot
+ * Pools that failed to fetch are kept in errors. Price fetches do not read the initialized
+ * ticks of V3 / CL pools, so only ticks already on the price data are recorded; the
+ * backtester reports fills through pools without them as approximate
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes / fetchPairPrices
+ * @param {Object} meta - { blockNumber, gasPrice, ethPriceUsd }
+ * @returns {Object} Snapshot, as read by loadSnapshots
+ */
+export function snapshotFromPriceData(priceData, meta = {}) {
+  const pools = {};
+  const errors = [];
+
+  for (const price of priceData.prices) {
+    if (price.error) {
+      errors.push({ dex: price.dex, error: price.error });
+      continue;
+    }
+    pools[price.poolKey] = {
+      label: price.dex,
+      type: price.poolType,
+      dexKey: price.dexKey,
+      fee: price.fee,
+      tickSpacing: price.tickSpacing,
+      isToken0Base: price.isToken0Base,
+      address: price.poolAddress,
+      ...(price.poolType === "V2"
+        ? { reserve0: price.reserve0, reserve1: price.reserve1 }
+        : { sqrtPriceX96: price.sqrtPriceX96, tick: price.tick, liquidity: price.liquidity }),
+      ...(price.ticks ? { ticks: price.ticks } : {})
+    };
+  }
+
+  return {
+    blockNumber: meta.blockNumber ?? null,
+    pair: priceData.pair,
+    gasPrice: meta.gasPrice?.toString() ?? null,
+    ethPriceUsd: meta.ethPriceUsd ?? null,
+    pools,
+    errors
+  };
+}
+
+/**
+ * Pool State Recorder class
+ */
+export class PoolStateRecorder {
+  /**
+   * @param {string} dir - Recording directory (created if missing)
+   * @param {Object} config - RECORDER_CONFIG overrides
+   */
+  constructor(dir, config = {}) {
+    this.dir = dir;
+    this.config = { ...RECORDER_CONFIG, ...config };
+    this.records = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+    // Continue after the files of earlier runs
+    const files = listRecordFiles(dir, this.config.filePrefix);
+    this.fileIndex = files.length > 0 ? Number(files.at(-1).match(/-(\d+)\.ndjson$/)[1]) : 1;
+    this.filePath = this._pathFor(this.fileIndex);
+    this.fileBytes = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+  }
+
+  /**
+   * Records one price fetch as a snapshot
+   * @param {Object} priceData - Result of fetchPricesMultipleDEXes / fetchPairPrices
+   * @param {Object} meta - { blockNumber, latencyMs, endpoint, gasPrice, ethPriceUsd }
+   * @returns {Object} Written record
+   */
+  recordPrices(priceData, meta = {}) {
+    return this._write({
+      type: "snapshot",
+      ...snapshotFromPriceData(priceData, meta),
+      latencyMs: meta.latencyMs ?? null,
+      endpoint: meta.endpoint ?? null
+    });
+  }
+
+  /**
+   * Records a gas reading
+   * @param {Object} gasCost - Result of estimateSwapGasCost
+   * @param {Object} meta - { blockNumber, latencyMs, endpoint }
+   * @returns {Object} Written record
+   */
+  recordGas(gasCost, meta = {}) {
+    return this._write({
+      type: "gas",
+      blockNumber: meta.blockNumber ?? null,
+      gasPriceWei: gasCost.gasPriceWei,
+      gasPriceGwei: gasCost.gasPriceGwei,
+      gasLimit: gasCost.gasLimit,
+      gasCostEth: gasCost.gasCostEth,
+      gasCostUsd: gasCost.gasCostUsd,
+      latencyMs: meta.latencyMs ?? null,
+      endpoint: meta.endpoint ?? null
+    });
+  }
+
+  /**
+   * Records an analysis result
+   * @param {string} pair - Trading pair
+   * @param {Object} analysis - Result of analyzeArbitrage
+   * @param {Object} meta - { blockNumber, latencyMs, endpoint }
+   * @returns {Object} Written record
+   */
+  recordAnalysis(pair, analysis, meta = {}) {
+    return this._write({
+      type: "analysis",
+      blockNumber: meta.blockNumber ?? null,
+      pair,
+      hasOpportunity: analysis.hasOpportunity,
+      isProfitableAfterGas: analysis.isProfitableAfterGas,
+      direction: analysis.direction ?? null,
+      priceDiffPercent: analysis.priceDifference?.percent ?? null,
+      pricingMode: analysis.profitAnalysis?.pricingMode ?? null,
+      tradeAmountEth: analysis.profitAnalysis?.tradeAmountEth ?? null,
+      netProfitUsd: analysis.profitAnalysis?.netProfitUsd ?? null,
+      recommendation: analysis.recommendation ?? analysis.reason ?? null,
+      latencyMs: meta.latencyMs ?? null,
+      endpoint: meta.endpoint ?? null
+    });
+  }
+
+  /**
+   * Appends a record, rotating to a new file first when the current one is full
+   * @private
+   */
+  _write(record) {
+    const stamped = { ...record, version: this.config.schemaVersion, recordedAt: new Date().toISOString() };
+    const line = `${serialize(stamped)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (this.fileBytes > 0 && this.fileBytes + bytes > this.config.maxFileBytes) {
+      this._rotate();
+    }
+    fs.appendFileSync(this.filePath, line);
+    this.fileBytes += bytes;
+    this.records++;
+    return stamped;
+  }
+
+  /**
+   * Starts the next file and deletes the oldest beyond maxFiles
+   * @private
+   */
+  _rotate() {
+    this.fileIndex++;
+    this.filePath = this._pathFor(this.fileIndex);
+    this.fileBytes = 0;
+
+    if (this.config.maxFiles) {
+      // The new file is not created yet, so keep one fewer of the existing ones
+      const files = listRecordFiles(this.dir, this.config.filePrefix);
+      for (const file of files.slice(0, Math.max(0, files.length - this.config.maxFiles + 1))) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+
+  /**
+   * Path of the file with the given index
+   * @private
+   */
+  _pathFor(index) {
+    return path.join(this.dir, `${this.config.filePrefix}-${String(index).padStart(6, "0")}.ndjson`);
+  }
+}
+
+/**
+ * Streams the records of a recording directory back in the order they were written
+ * @param {string} dir - Recording directory
+ * @param {Object} options - Filters
+ * @param {string[]} [options.types] - Record types to return ("snapshot", "gas", "analysis")
+ * @param {number} [options.fromBlock] - Skip records before this block
+ * @param {number} [options.toBlock] - Skip records after this block
+ * @param {string} [options.filePrefix] - File name prefix (default RECORDER_CONFIG.filePrefix)
+ * @yields {Object} Records
+ */
+export async function* readRecords(dir, options = {}) {
+  for (const file of listRecordFiles(dir, options.filePrefix)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === "") {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${lineNumber}: invalid JSON (${error.message})`);
+      }
+
+      if (options.types && !options.types.includes(record.type)) {
+        continue;
+      }
+      if (options.fromBlock !== undefined && record.blockNumber < options.fromBlock) {
+        continue;
+      }
+      if (options.toBlock !== undefined && record.blockNumber > options.toBlock) {
+        continue;
+      }
+      yield record;
+    }
+  }
+}
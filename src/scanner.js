@@ -0,0 +1,196 @@
+/**
+ * Multi-pair Scanner
+ * Prices every pair (POOLS and the discovered registry, or a chosen list) in one Multicall3
+ * batch at a single block, estimates gas once for all of them, analyzes each pair and ranks
+ * the opportunities by net profit in USD. Profits of pairs not quoted in USDC are converted
+ * with the quote token's USD price, so every pair is ranked on the same scale
+ */
+
+import { fetchPairPrices } from "./multicall.js";
+import { estimateSwapGasCost } from "./priceFetcher.js";
+import { analyzeArbitrage } from "./arbitrage.js";
+import { buildPriceGraph, estimateUsdPrices } from "./cycleDetector.js";
+import { listKnownPairs } from "./poolDiscovery.js";
+import { POOLS, ARBITRAGE_CONFIG } from "./config.js";
+
+/**
+ * Scanner configuration
+ */
+export const SCANNER_CONFIG = {
+  // Pair fetched along with the scanned pairs when missing, so gas is always valued in USD
+  ethPricePair: "WETH/USDC",
+
+  // ETH price used when no fetched pool values WETH in USD
+  fallbackEthPriceUsd: 2500
+};
+
+/**
+ * Pairs to fetch with the given ones so ETH and their quote tokens can be valued in USD
+ * @param {string[]} pairs - Pairs to analyze
+ * @param {Object|null} registry - Optional pool registry from poolDiscovery.js
+ * @returns {string[]} The ETH price pair when it is known and not among pairs, else nothing
+ */
+export function getReferencePairs(pairs, registry = null) {
+  const { ethPricePair } = SCANNER_CONFIG;
+  return !pairs.includes(ethPricePair) && listKnownPairs(POOLS, registry).includes(ethPricePair) ? [ethPricePair] : [];
+}
+
+/**
+ * Values tokens in USD from fetched pair prices
+ * Tokens with a pool to the USD anchor take its price; quote tokens without one are valued
+ * through their pair's base, e.g. USDbC through WETH
+ * @param {Object[]} pairPrices - Results of fetchPricesMultipleDEXes (pairs with an error are skipped)
+ * @returns {Object} { usdPrices (symbol -> USD), ethPriceUsd (null when WETH cannot be valued) }
+ */
+export function estimateUsdValues(pairPrices) {
+  const usdPrices = estimateUsdPrices(buildPriceGraph(pairPrices));
+
+  for (const pairData of pairPrices) {
+    const validPrices = (pairData.prices ?? []).filter(price => !price.error && price.priceToken0InToken1);
+    if (validPrices.length === 0 || usdPrices[pairData.token1] !== undefined || usdPrices[pairData.token0] === undefined) {
+      continue;
+    }
+    const midPrice = validPrices.reduce((sum, price) => sum + price.priceToken0InToken1, 0) / validPrices.length;
+    usdPrices[pairData.token1] = usdPrices[pairData.token0] / midPrice;
+  }
+
+  return { usdPrices, ethPriceUsd: usdPrices.WETH ?? null };
+}
+
+/**
+ * Values the gas of one swap in a pair's quote token, the unit analyzeArbitrage profits are in
+ * @param {number} gasCostUsd - Gas cost per swap in USD
+ * @param {string} quoteToken - Symbol of the pair's quote token (token1)
+ * @param {Object} usdPrices - Token USD prices (see estimateUsdValues)
+ * @returns {number} Gas cost per swap in the quote token (USD for unpriced, USDC-like quotes)
+ */
+export function gasCostInQuote(gasCostUsd, quoteToken, usdPrices) {
+  return gasCostUsd / (usdPrices[quoteToken] ?? 1);
+}
+
+/**
+ * Estimates the gas of one swap, with ETH valued from fetched pools rather than a pair's own price
+ * @param {ethers.Provider} provider - Provider (only used when gasData is missing)
+ * @param {Object[]} pairPrices - Fetched pairs, including the reference pairs (pairs with an error are skipped)
+ * @param {Object} [gasData] - Gas price read with the prices (see fetchPairPrices)
+ * @returns {Promise<Object>} { gasCost, ethPriceUsd, ethPriceSource ("pools" or "fallback"), usdPrices }
+ */
+export async function estimateGasForPairs(provider, pairPrices, gasData = null) {
+  const { usdPrices, ethPriceUsd } = estimateUsdValues(pairPrices.filter(pairData => !pairData.error));
+  const ethPrice = ethPriceUsd ?? SCANNER_CONFIG.fallbackEthPriceUsd;
+  return {
+    gasCost: await estimateSwapGasCost(provider, ethPrice, gasData),
+    ethPriceUsd: ethPrice,
+    ethPriceSource: ethPriceUsd === null ? "fallback" : "pools",
+    usdPrices
+  };
+}
+
+/**
+ * Analyzes one pair with gas converted into its quote token
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+ * @param {number} tradeSizeEth - Trade size in the base token
+ * @param {number} gasCostUsd - Gas cost per swap in USD
+ * @param {Object} usdPrices - Token USD prices (see estimateUsdValues)
+ * @returns {Object} { pair, quoteUsd, hasOpportunity, isProfitableAfterGas, spreadPercent, netProfitUsd, analysis }
+ */
+export function analyzeScannedPair(priceData, tradeSizeEth, gasCostUsd, usdPrices) {
+  // analyzeArbitrage works in the quote token; USDC-like quotes are worth $1 when unpriced
+  const quoteUsd = usdPrices[priceData.token1] ?? 1;
+  const analysis = analyzeArbitrage(priceData.prices, tradeSizeEth, gasCostInQuote(gasCostUsd, priceData.token1, usdPrices), { quoteUsd });
+  const netProfit = analysis.profitAnalysis?.netProfitUsd;
+
+  return {
+    pair: priceData.pair,
+    quoteUsd,
+    hasOpportunity: analysis.hasOpportunity,
+    isProfitableAfterGas: analysis.isProfitableAfterGas ?? false,
+    spreadPercent: analysis.priceDifference?.percent ?? null,
+    netProfitUsd: netProfit === undefined ? null : netProfit * quoteUsd,
+    analysis
+  };
+}
+
+/**
+ * Prices and analyzes several pairs at one block with one gas estimate
+ * @param {ethers.Provider} provider - Provider (or ProviderPool) shared by every read
+ * @param {string[]} pairs - Pairs to scan
+ * @param {Object} options - Scan options
+ * @param {Object|null} [options.registry] - Optional pool registry from poolDiscovery.js
+ * @param {number} [options.tradeSizeEth] - Trade size (default ARBITRAGE_CONFIG.TRADE_SIZE_ETH)
+ * @returns {Promise<Object>} { blockNumber, fetchDurationMs, tradeSizeEth, ethPriceUsd, ethPriceSource,
+ *   gasCost, pairs (price data), opportunities (most profitable first), errors, batchError }
+ */
+export async function scanPairs(provider, pairs, options = {}) {
+  const { registry = null, tradeSizeEth = ARBITRAGE_CONFIG.TRADE_SIZE_ETH } = options;
+  const knownPairs = listKnownPairs(POOLS, registry);
+  const unknown = pairs.filter(pair => !knownPairs.includes(pair));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown trading pairs: ${unknown.join(", ")}. Available pairs: ${knownPairs.join(", ")}`);
+  }
+
+  const startTime = Date.now();
+  const { pairs: fetched, blockNumber, gasData, batchError } = await fetchPairPrices(
+    provider, [...pairs, ...getReferencePairs(pairs, registry)], registry
+  );
+  const fetchDurationMs = Date.now() - startTime;
+
+  const { gasCost, ethPriceUsd, ethPriceSource, usdPrices } = await estimateGasForPairs(provider, fetched, gasData);
+
+  const scanned = fetched.slice(0, pairs.length);
+  const opportunities = scanned
+    .filter(pairData => !pairData.error)
+    .map(pairData => analyzeScannedPair(pairData, tradeSizeEth, gasCost.gasCostUsd, usdPrices))
+    .sort((a, b) => (b.netProfitUsd ?? -Infinity) - (a.netProfitUsd ?? -Infinity));
+
+  return {
+    blockNumber,
+    fetchDurationMs,
+    tradeSizeEth,
+    ethPriceUsd,
+    ethPriceSource,
+    gasCost,
+    pairs: scanned,
+    opportunities,
+    errors: scanned.filter(pairData => pairData.error).map(({ pair, error }) => ({ pair, error })),
+    batchError: batchError ?? null
+  };
+}
+
+/**
+ * Formats a scan as a table ranked by net profit
+ * @param {Object} scan - Result of scanPairs
+ * @returns {string} Summary table
+ */
+export function formatScanTable(scan) {
+  const lines = [
+    `${scan.pairs.length} pair${scan.pairs.length === 1 ? "" : "s"}${scan.blockNumber ? ` at block ${scan.blockNumber}` : ""} in ${scan.fetchDurationMs}ms, ` +
+      `${scan.tradeSizeEth} ETH per trade, gas $${scan.gasCost.gasCostUsd.toFixed(4)} per swap ` +
+      `(ETH $${scan.ethPriceUsd.toFixed(2)}${scan.ethPriceSource === "fallback" ? ", fallback" : ""})`,
+    "",
+    " #  Pair          Buy → Sell                       Spread %      Net $  Status",
+    "──  ────────────  ──────────────────────────────  ────────  ─────────  ──────────────────"
+  ];
+
+  scan.opportunities.forEach((opportunity, index) => {
+    const { direction } = opportunity.analysis;
+    const status = opportunity.netProfitUsd === null
+      ? opportunity.analysis.reason
+      : opportunity.isProfitableAfterGas && opportunity.hasOpportunity
+        ? "PROFITABLE"
+        : opportunity.hasOpportunity ? "not profitable" : "below threshold";
+    lines.push([
+      String(index + 1).padStart(2),
+      opportunity.pair.padEnd(12),
+      (direction ? `${direction.buyFrom} → ${direction.sellTo}` : "-").padEnd(30),
+      (opportunity.spreadPercent === null ? "-" : opportunity.spreadPercent.toFixed(4)).padStart(8),
+      (opportunity.netProfitUsd === null ? "-" : opportunity.netProfitUsd.toFixed(4)).padStart(9),
+      status
+    ].join("  "));
+  });
+  for (const { pair, error } of scan.errors) {
+    lines.push(` -  ${pair.padEnd(12)}  Error - ${error}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,304 @@
+/**
+ * Trade Size Solver
+ * Searches the trade size that maximises net profit between the best buy and sell pools,
+ * including pool fees, price impact and gas, instead of using a fixed TRADE_SIZE_ETH
+ */
+
+import { ethers } from "ethers";
+import { TOKENS, GAS_CONFIG, TRADE_SIZER_CONFIG } from "./config.js";
+import { getV2AmountOut } from "./priceFetcher.js";
+import { findBestPrices, calculateNetProfit } from "./arbitrage.js";
+import { loadPoolState, simulateExactInput } from "./clSimulator.js";
+
+const Q96 = 2n ** 96n;
+const INV_PHI = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Creates a swap model for one pool that can be evaluated for any amount locally
+ * V2 pairs use the constant-product formula on their reserves,
+ * Uniswap V3 / Aerodrome CL pools are simulated across ticks from a loaded pool state
+ * @param {Object} priceData - Price data of the pool (from fetchPricesMultipleDEXes)
+ * @param {Object} [poolState] - Pool state from clSimulator loadPoolState() (V3 / CL only)
+ * @returns {Object} { dex, buyBase(amountQuoteIn), sellBase(amountBaseIn), baseDepth }
+ */
+export function createSwapLeg(priceData, poolState = null) {
+  // Base -> quote swaps token0 for token1 when the base token is token0
+  const baseIsToken0 = priceData.isToken0Base !== false;
+
+  if (priceData.poolType === "V2") {
+    const reserve0 = BigInt(priceData.reserve0);
+    const reserve1 = BigInt(priceData.reserve1);
+    const [baseReserve, quoteReserve] = baseIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+
+    return {
+      dex: priceData.dex,
+      buyBase: amountIn => getV2AmountOut(amountIn, quoteReserve, baseReserve, priceData.fee),
+      sellBase: amountIn => getV2AmountOut(amountIn, baseReserve, quoteReserve, priceData.fee),
+      baseDepth: baseReserve
+    };
+  }
+
+  if (!poolState) {
+    throw new Error(`Pool state required to size trades on ${priceData.dex}`);
+  }
+
+  // Virtual reserves of the active range: x = L / sqrtP, y = L * sqrtP
+  const virtual0 = (poolState.liquidity * Q96) / poolState.sqrtPriceX96;
+  const virtual1 = (poolState.liquidity * poolState.sqrtPriceX96) / Q96;
+
+  return {
+    dex: priceData.dex,
+    buyBase: amountIn => simulateExactInput(poolState, !baseIsToken0, amountIn).amountOut,
+    sellBase: amountIn => simulateExactInput(poolState, baseIsToken0, amountIn).amountOut,
+    baseDepth: baseIsToken0 ? virtual0 : virtual1
+  };
+}
+
+/**
+ * Evaluates the round trip for one trade size: buy base on the buy leg, sell it all on the sell leg
+ * Sizes that run past the simulated liquidity evaluate to -Infinity so the search avoids them
+ * @param {Object} buyLeg - Swap leg of the cheaper pool
+ * @param {Object} sellLeg - Swap leg of the more expensive pool
+ * @param {number} tradeAmountEth - Trade size in base token
+ * @param {Object} params - { buyPrice, baseDecimals, quoteDecimals, gasCostUsd }
+ * @returns {Object} Profit of the round trip
+ */
+export function evaluateTradeSize(buyLeg, sellLeg, tradeAmountEth, params) {
+  const { buyPrice, baseDecimals, quoteDecimals, gasCostUsd } = params;
+
+  // Quote token spent on the buy leg, sized from the buy pool mid price (as quoter.js does)
+  const amountIn = ethers.parseUnits((tradeAmountEth * buyPrice).toFixed(quoteDecimals), quoteDecimals);
+
+  let baseAmount;
+  let amountOut;
+  try {
+    baseAmount = buyLeg.buyBase(amountIn);
+    amountOut = sellLeg.sellBase(baseAmount);
+  } catch {
+    return {
+      tradeAmountEth,
+      feasible: false,
+      grossProfitUsd: -Infinity,
+      netProfitUsd: -Infinity
+    };
+  }
+
+  const grossProfitUsd = Number(ethers.formatUnits(amountOut - amountIn, quoteDecimals));
+  const netProfit = calculateNetProfit(grossProfitUsd, gasCostUsd);
+
+  return {
+    tradeAmountEth,
+    feasible: true,
+    amountIn,
+    baseAmount,
+    amountOut,
+    baseAmountFormatted: Number(ethers.formatUnits(baseAmount, baseDecimals)),
+    grossProfitUsd,
+    netProfitUsd: netProfit.netProfitUsd
+  };
+}
+
+/**
+ * Searches the trade size with the highest net profit between two swap legs
+ * Samples the profit curve across the bounds, then refines around the best sample
+ * with a golden-section search
+ * @param {Object} buyLeg - Swap leg of the cheaper pool
+ * @param {Object} sellLeg - Swap leg of the more expensive pool
+ * @param {Object} params - { buyPrice, baseDecimals, quoteDecimals, gasCostUsd, minProfit (optional, in the quote token) }
+ * @param {Object} options - Overrides for TRADE_SIZER_CONFIG values
+ * @returns {Object} Optimum size, profit at the optimum, marginal profit and curve samples
+ */
+export function solveTradeSize(buyLeg, sellLeg, params, options = {}) {
+  const config = { ...TRADE_SIZER_CONFIG, ...options };
+  const evaluate = size => evaluateTradeSize(buyLeg, sellLeg, size, params);
+
+  // Cap the size to a share of the shallower pool's base token depth
+  const depth = buyLeg.baseDepth < sellLeg.baseDepth ? buyLeg.baseDepth : sellLeg.baseDepth;
+  const liquidityCapEth = Number(ethers.formatUnits(depth, params.baseDecimals)) * config.MAX_LIQUIDITY_SHARE_PERCENT / 100;
+  const lowerBoundEth = config.MIN_TRADE_SIZE_ETH;
+  const upperBoundEth = Math.min(config.MAX_TRADE_SIZE_ETH, liquidityCapEth);
+
+  if (upperBoundEth < lowerBoundEth) {
+    return {
+      feasible: false,
+      reason: `Liquidity cap (${liquidityCapEth.toFixed(6)} ETH) is below the minimum trade size`,
+      lowerBoundEth,
+      upperBoundEth,
+      liquidityCapEth,
+      curve: []
+    };
+  }
+
+  // Profit curve samples across the bounds
+  const sampleCount = Math.max(2, config.CURVE_SAMPLES);
+  const step = (upperBoundEth - lowerBoundEth) / (sampleCount - 1);
+  const curve = [];
+  for (let i = 0; i < sampleCount; i++) {
+    curve.push(evaluate(lowerBoundEth + step * i));
+  }
+
+  let bestIndex = 0;
+  curve.forEach((point, index) => {
+    if (point.netProfitUsd > curve[bestIndex].netProfitUsd) {
+      bestIndex = index;
+    }
+  });
+
+  // Golden-section search in the bracket around the best sample
+  let a = curve[Math.max(bestIndex - 1, 0)].tradeAmountEth;
+  let b = curve[Math.min(bestIndex + 1, sampleCount - 1)].tradeAmountEth;
+  let c = b - INV_PHI * (b - a);
+  let d = a + INV_PHI * (b - a);
+  let fc = evaluate(c).netProfitUsd;
+  let fd = evaluate(d).netProfitUsd;
+  let iterations = 0;
+
+  while (b - a > config.TOLERANCE_ETH && iterations < config.MAX_ITERATIONS) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - INV_PHI * (b - a);
+      fc = evaluate(c).netProfitUsd;
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + INV_PHI * (b - a);
+      fd = evaluate(d).netProfitUsd;
+    }
+    iterations++;
+  }
+
+  const refined = evaluate((a + b) / 2);
+  const optimum = refined.netProfitUsd >= curve[bestIndex].netProfitUsd ? refined : curve[bestIndex];
+
+  if (!optimum.feasible) {
+    return {
+      feasible: false,
+      reason: "No trade size within the bounds could be simulated",
+      lowerBoundEth,
+      upperBoundEth,
+      liquidityCapEth,
+      curve: curve.map(formatCurvePoint)
+    };
+  }
+
+  return {
+    feasible: true,
+    optimalSizeEth: optimum.tradeAmountEth,
+    amountIn: optimum.amountIn,
+    baseAmount: optimum.baseAmount,
+    amountOut: optimum.amountOut,
+    grossProfitUsd: optimum.grossProfitUsd,
+    netProfitUsd: optimum.netProfitUsd,
+    isProfitable: calculateNetProfit(optimum.grossProfitUsd, params.gasCostUsd, params.minProfit).isProfitable,
+    marginalProfitUsdPerEth: marginalProfit(evaluate, optimum.tradeAmountEth, lowerBoundEth, upperBoundEth, config.TOLERANCE_ETH),
+    lowerBoundEth,
+    upperBoundEth,
+    liquidityCapEth,
+    iterations,
+    curve: curve.map(formatCurvePoint)
+  };
+}
+
+/**
+ * Finite-difference derivative of net profit with respect to trade size
+ * Uses a central difference, or a one-sided one at the bounds
+ * @private
+ */
+function marginalProfit(evaluate, size, lowerBound, upperBound, h) {
+  const left = Math.max(size - h, lowerBound);
+  const right = Math.min(size + h, upperBound);
+  if (right <= left) {
+    return 0;
+  }
+  return (evaluate(right).netProfitUsd - evaluate(left).netProfitUsd) / (right - left);
+}
+
+/**
+ * Keeps only the display fields of a curve point
+ * @private
+ */
+function formatCurvePoint(point) {
+  return {
+    tradeAmountEth: point.tradeAmountEth,
+    grossProfitUsd: point.grossProfitUsd,
+    netProfitUsd: point.netProfitUsd
+  };
+}
+
+/**
+ * Finds the optimal trade size between the best buy and sell pools of a pair
+ * Loads tick data once per concentrated liquidity pool, then evaluates every candidate size locally
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object} priceData - Result of fetchPricesMultipleDEXes
+ * @param {number} gasCostUsd - Gas cost per swap in the quote token (USD for USD-quoted pairs)
+ * @param {Object} options - Overrides for TRADE_SIZER_CONFIG values, and quoteUsd: USD value of
+ *                           one quote token (default 1) for MIN_PROFIT_THRESHOLD_USD
+ * @returns {Promise<Object|null>} Solver result, or null if fewer than two pools priced
+ */
+export async function optimizeTradeSize(provider, priceData, gasCostUsd, options = {}) {
+  const { quoteUsd = 1, ...sizerOptions } = options;
+  const validPrices = priceData.prices.filter(p => !p.error && p.priceToken0InToken1);
+  if (validPrices.length < 2) {
+    return null;
+  }
+
+  const { bestBuy, bestSell } = findBestPrices(validPrices);
+
+  // Load both pools at the same block so the legs are consistent
+  const blockNumber = await provider.getBlockNumber();
+  const loadLeg = async (price) => {
+    if (price.poolType === "V2") {
+      return createSwapLeg(price);
+    }
+    const poolState = await loadPoolState(provider, price.poolAddress, price.poolType, { blockTag: blockNumber });
+    return createSwapLeg(price, poolState);
+  };
+  const [buyLeg, sellLeg] = await Promise.all([loadLeg(bestBuy), loadLeg(bestSell)]);
+
+  const result = solveTradeSize(buyLeg, sellLeg, {
+    buyPrice: bestBuy.priceToken0InToken1,
+    baseDecimals: TOKENS[priceData.token0]?.decimals ?? 18,
+    quoteDecimals: TOKENS[priceData.token1]?.decimals ?? 6,
+    gasCostUsd,
+    minProfit: GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD / quoteUsd
+  }, sizerOptions);
+
+  return {
+    buyFrom: bestBuy.dex,
+    sellTo: bestSell.dex,
+    blockNumber,
+    ...result
+  };
+}
+
+/**
+ * Formats a trade size solver result for display
+ * @param {Object} result - Result of optimizeTradeSize
+ * @returns {string} Formatted output
+ */
+export function formatTradeSizeResult(result) {
+  const lines = ["TRADE SIZE OPTIMIZATION:"];
+
+  lines.push(`  Route:           ${result.buyFrom} -> ${result.sellTo}`);
+  lines.push(`  Search Range:    ${result.lowerBoundEth} - ${result.upperBoundEth.toFixed(4)} ETH (liquidity cap ${result.liquidityCapEth.toFixed(4)} ETH)`);
+
+  if (!result.feasible) {
+    lines.push(`  Result:          ${result.reason}`);
+    return lines.join("\n");
+  }
+
+  lines.push(`  Optimal Size:    ${result.optimalSizeEth.toFixed(4)} ETH`);
+  lines.push(`  Gross Profit:    $${result.grossProfitUsd.toFixed(4)}`);
+  lines.push(`  Net Profit:      $${result.netProfitUsd.toFixed(4)}`);
+  lines.push(`  Marginal Profit: $${result.marginalProfitUsdPerEth.toFixed(4)} per ETH`);
+  lines.push("  Profit Curve:");
+  for (const point of result.curve) {
+    const net = Number.isFinite(point.netProfitUsd) ? `$${point.netProfitUsd.toFixed(4)}` : "beyond loaded liquidity";
+    lines.push(`    ${point.tradeAmountEth.toFixed(4)} ETH: ${net}`);
+  }
+
+  return lines.join("\n");
+}
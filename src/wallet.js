@@ -0,0 +1,414 @@
+/**
+ * Wallet Manager
+ * Loads the trading signer, tracks ETH and token balances and router allowances,
+ * and assigns nonces to every submission so concurrent trades never collide.
+ * Pending transactions can be replaced (fee bump) or cancelled, and trades are
+ * checked against the inventory not already reserved by other trades
+ */
+
+import fs from "node:fs";
+import { ethers } from "ethers";
+import { TOKENS, DEXES, MULTICALL_CONFIG } from "./config.js";
+import { ERC20_ABI, MULTICALL3_ABI } from "./abis.js";
+import { multicall } from "./multicall.js";
+import { Rounding, parseFixed, mulDiv, pow10 } from "./fixedPoint.js";
+
+/**
+ * Wallet Configuration
+ */
+export const WALLET_CONFIG = {
+  // Tokens tracked besides ETH
+  tokens: ["WETH", "USDC", "USDbC", "DAI"],
+
+  // ETH kept back for gas, never offered as inventory
+  minEthReserve: 0.005,
+
+  // Balances older than this are refreshed before an inventory check
+  balanceMaxAgeMs: 15000,
+
+  // Fee increase of replacements; nodes require at least 10%
+  replacementFeeBumpPercent: 12.5
+};
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * Loads the trading signer from an encrypted keystore (WALLET_KEYSTORE, WALLET_PASSWORD)
+ * or a raw key (PRIVATE_KEY); the keystore takes precedence
+ * @param {ethers.Provider} provider - Ethers provider to connect the signer to
+ * @param {Object} options - Overrides of the environment variables
+ * @param {string} [options.keystorePath] - Path of a JSON keystore
+ * @param {string} [options.password] - Keystore password
+ * @param {string} [options.privateKey] - Hex private key
+ * @returns {Promise<ethers.Wallet|null>} Connected signer, or null if none is configured
+ */
+export async function loadSigner(provider, options = {}) {
+  const keystorePath = options.keystorePath ?? process.env.WALLET_KEYSTORE;
+  if (keystorePath) {
+    const password = options.password ?? process.env.WALLET_PASSWORD;
+    if (password === undefined) {
+      throw new Error("WALLET_PASSWORD is required to decrypt the keystore");
+    }
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystorePath, "utf8"), password);
+    return wallet.connect(provider);
+  }
+
+  const privateKey = options.privateKey ?? process.env.PRIVATE_KEY;
+  return privateKey ? new ethers.Wallet(privateKey, provider) : null;
+}
+
+/**
+ * Lists the routers the executors swap through, keyed by label
+ * @returns {Object} Router address by label
+ */
+export function getRouters() {
+  const routers = {};
+  for (const dex of Object.values(DEXES)) {
+    if (dex.swapRouter) {
+      routers[`${dex.name} SwapRouter`] = dex.swapRouter;
+    }
+    if (dex.clSwapRouter) {
+      routers[`${dex.name} CL SwapRouter`] = dex.clSwapRouter;
+    }
+    if (dex.type === "V2" && dex.router) {
+      routers[`${dex.name} Router`] = dex.router;
+    }
+  }
+  return routers;
+}
+
+/**
+ * Wallet Manager class
+ * A drop-in signer for TradeExecutor: getAddress and sendTransaction, plus
+ * inventory checks and reservations
+ */
+export class WalletManager {
+  constructor(provider, signer, config = {}) {
+    this.provider = provider;
+    this.signer = signer;
+    this.config = { ...WALLET_CONFIG, ...config };
+
+    this.address = null;
+    this.balances = {};
+    this.allowances = {};
+    this.readErrors = [];
+    this.blockNumber = null;
+    this.balancesUpdatedAt = 0;
+
+    // Next nonce to assign; null until read from the node (and after a failed submission)
+    this.nextNonce = null;
+    this.pending = new Map();
+    this.submissionQueue = Promise.resolve();
+
+    this.reservations = new Map();
+    this.nextReservationId = 1;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      this.address = await this.signer.getAddress();
+    }
+    return this.address;
+  }
+
+  /**
+   * Reads ETH and token balances and every router allowance in one batch
+   * A read that fails leaves its balance or allowance null (unknown) and is listed in
+   * readErrors; the other reads are kept
+   * @returns {Promise<Object>} Wallet status (see getStatus)
+   */
+  async refresh() {
+    const address = await this.getAddress();
+    const routers = Object.entries(getRouters());
+    const calls = [
+      { target: MULTICALL_CONFIG.ADDRESS, interface: multicallInterface, method: "getEthBalance", args: [address], read: ["ETH"] }
+    ];
+    for (const symbol of this.config.tokens) {
+      const token = TOKENS[symbol].address;
+      calls.push({ target: token, interface: erc20Interface, method: "balanceOf", args: [address], read: [symbol] });
+      for (const [label, router] of routers) {
+        calls.push({ target: token, interface: erc20Interface, method: "allowance", args: [address, router], read: [symbol, label] });
+      }
+    }
+
+    const { blockNumber, results } = await multicall(this.provider, calls);
+
+    this.balances = {};
+    this.allowances = Object.fromEntries(this.config.tokens.map(symbol => [symbol, {}]));
+    this.readErrors = [];
+    results.forEach((result, index) => {
+      const [symbol, label] = calls[index].read;
+      const value = result.success ? result.value[0] : null;
+      if (!result.success) {
+        this.readErrors.push({ symbol, read: label ?? "balance", error: result.error });
+      }
+      if (label) {
+        this.allowances[symbol][label] = value;
+      } else {
+        this.balances[symbol] = value;
+      }
+    });
+    this.blockNumber = blockNumber;
+    this.balancesUpdatedAt = Date.now();
+
+    await this.syncPending();
+    return this.getStatus();
+  }
+
+  /**
+   * Balance not held back for gas or reserved by trades in flight
+   * @param {string} symbol - "ETH" or a tracked token symbol
+   * @returns {bigint|null} Available amount in raw units, or null if the balance read failed
+   */
+  getAvailable(symbol) {
+    if (this.balances[symbol] === null) {
+      return null;
+    }
+    let available = this.balances[symbol] ?? 0n;
+    if (symbol === "ETH") {
+      available -= ethers.parseEther(String(this.config.minEthReserve));
+    }
+    for (const reservation of this.reservations.values()) {
+      if (reservation.symbol === symbol) {
+        available -= reservation.amount;
+      }
+    }
+    return available > 0n ? available : 0n;
+  }
+
+  /**
+   * Checks whether a trade fits the available inventory, refreshing stale balances first
+   * @param {string} symbol - Token spent
+   * @param {bigint} amount - Amount spent in raw units
+   * @returns {Promise<Object>} { symbol, required, available, shortfall, sufficient, unknown };
+   *   a balance that could not be read is never sufficient
+   */
+  async checkInventory(symbol, amount) {
+    if (Date.now() - this.balancesUpdatedAt > this.config.balanceMaxAgeMs) {
+      await this.refresh();
+    }
+    const available = this.getAvailable(symbol);
+    if (available === null) {
+      return { symbol, required: amount, available: null, shortfall: amount, sufficient: false, unknown: true };
+    }
+    return {
+      symbol,
+      required: amount,
+      available,
+      shortfall: amount > available ? amount - available : 0n,
+      sufficient: amount <= available,
+      unknown: false
+    };
+  }
+
+  /**
+   * Checks a trade against the inventory and, if it fits, holds the amount back for it
+   * Check and reservation happen together, so concurrent trades cannot both take the same funds
+   * @param {string} symbol - Token spent
+   * @param {bigint} amount - Amount spent in raw units
+   * @returns {Promise<Object>} checkInventory result plus reservationId (null if insufficient)
+   */
+  async reserveInventory(symbol, amount) {
+    const inventory = await this.checkInventory(symbol, amount);
+    // Re-checked synchronously: another trade may have reserved while balances refreshed
+    const available = this.getAvailable(symbol);
+    if (available === null) {
+      return { ...inventory, available, shortfall: amount, sufficient: false, unknown: true, reservationId: null };
+    }
+    if (amount > available) {
+      return { ...inventory, available, shortfall: amount - available, sufficient: false, reservationId: null };
+    }
+
+    const reservationId = this.nextReservationId++;
+    this.reservations.set(reservationId, { symbol, amount });
+    return { ...inventory, available, shortfall: 0n, sufficient: true, reservationId };
+  }
+
+  /**
+   * Releases a reservation; balances are re-read before the next inventory check
+   * @param {number} id - Reservation id from reserveInventory()
+   */
+  release(id) {
+    if (this.reservations.delete(id)) {
+      this.balancesUpdatedAt = 0;
+    }
+  }
+
+  /**
+   * Signs and submits a transaction with the next nonce
+   * Submissions are serialized so concurrent callers get consecutive nonces
+   * @param {Object} tx - Transaction request
+   * @returns {Promise<ethers.TransactionResponse>} Submitted transaction
+   */
+  sendTransaction(tx) {
+    const submission = this.submissionQueue.then(() => this._submit(tx));
+    // A failed submission must not block the ones queued after it
+    this.submissionQueue = submission.catch(() => {});
+    return submission;
+  }
+
+  /**
+   * Assigns the nonce and submits
+   * @private
+   */
+  async _submit(tx) {
+    const address = await this.getAddress();
+    if (this.nextNonce === null) {
+      this.nextNonce = await this.provider.getTransactionCount(address, "pending");
+    }
+
+    const nonce = this.nextNonce;
+    try {
+      const response = await this.signer.sendTransaction({ ...tx, nonce });
+      this.nextNonce = nonce + 1;
+      this._track(nonce, { ...tx, nonce }, response, 0);
+      return response;
+    } catch (error) {
+      // The node may or may not have taken the nonce: read it again next time
+      this.nextNonce = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Records a submitted transaction as pending
+   * @private
+   */
+  _track(nonce, tx, response, replacements) {
+    this.pending.set(nonce, {
+      nonce,
+      hash: response.hash,
+      tx,
+      maxFeePerGas: response.maxFeePerGas ?? null,
+      maxPriorityFeePerGas: response.maxPriorityFeePerGas ?? null,
+      gasPrice: response.maxFeePerGas ? null : response.gasPrice ?? null,
+      replacements,
+      submittedAt: Date.now()
+    });
+  }
+
+  /**
+   * Drops pending transactions whose nonce has been mined
+   * @returns {Promise<Object[]>} Transactions still pending
+   */
+  async syncPending() {
+    if (this.pending.size > 0) {
+      const minedCount = await this.provider.getTransactionCount(await this.getAddress(), "latest");
+      for (const nonce of this.pending.keys()) {
+        if (nonce < minedCount) {
+          this.pending.delete(nonce);
+        }
+      }
+    }
+    return [...this.pending.values()];
+  }
+
+  /**
+   * Re-submits a pending transaction with the same nonce and bumped fees
+   * @param {number} nonce - Nonce of the pending transaction
+   * @param {Object} [overrides] - Fields to change (e.g. to, data, value)
+   * @returns {Promise<ethers.TransactionResponse>} Replacement transaction
+   */
+  async replaceTransaction(nonce, overrides = {}) {
+    const entry = this.pending.get(nonce);
+    if (!entry) {
+      throw new Error(`No pending transaction with nonce ${nonce}`);
+    }
+
+    const tx = { ...entry.tx, ...overrides, ...await this._bumpedFees(entry), nonce };
+    const response = await this.signer.sendTransaction(tx);
+    this._track(nonce, tx, response, entry.replacements + 1);
+    return response;
+  }
+
+  /**
+   * Cancels a pending transaction by replacing it with an empty transfer to ourselves
+   * @param {number} nonce - Nonce of the pending transaction
+   * @returns {Promise<ethers.TransactionResponse>} Cancelling transaction
+   */
+  async cancelTransaction(nonce) {
+    return this.replaceTransaction(nonce, { to: await this.getAddress(), data: "0x", value: 0n, gasLimit: 21000n });
+  }
+
+  /**
+   * Fees of a replacement: the pending fees bumped by replacementFeeBumpPercent,
+   * or the current network fees if higher
+   * @private
+   */
+  async _bumpedFees(entry) {
+    const feeData = await this.provider.getFeeData();
+    const scale = 100n * pow10(6);
+    const factor = scale + parseFixed(this.config.replacementFeeBumpPercent, 6, Rounding.UP);
+    const bump = (fee, current) => {
+      const bumped = mulDiv(fee ?? 0n, factor, scale, Rounding.UP);
+      return current !== null && current !== undefined && current > bumped ? current : bumped;
+    };
+
+    if (entry.maxFeePerGas !== null) {
+      return {
+        maxFeePerGas: bump(entry.maxFeePerGas, feeData.maxFeePerGas),
+        maxPriorityFeePerGas: bump(entry.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+      };
+    }
+    return { gasPrice: bump(entry.gasPrice, feeData.gasPrice) };
+  }
+
+  /**
+   * Returns balances, allowances, reservations and pending transactions
+   * @returns {Object} Wallet status
+   */
+  getStatus() {
+    return {
+      address: this.address,
+      blockNumber: this.blockNumber,
+      balances: { ...this.balances },
+      available: Object.fromEntries(Object.keys(this.balances).map(symbol => [symbol, this.getAvailable(symbol)])),
+      allowances: this.allowances,
+      readErrors: [...this.readErrors],
+      reservations: [...this.reservations.values()],
+      pending: [...this.pending.values()],
+      nextNonce: this.nextNonce
+    };
+  }
+}
+
+/**
+ * Formats a wallet status for display
+ * @param {Object} status - Result of WalletManager.getStatus
+ * @returns {string} Formatted output
+ */
+export function formatWalletStatus(status) {
+  const format = (symbol, amount) => amount === null ? "unknown" : ethers.formatUnits(amount, symbol === "ETH" ? 18 : TOKENS[symbol].decimals);
+  const lines = [`Address: ${status.address} (block ${status.blockNumber})`];
+
+  for (const [symbol, balance] of Object.entries(status.balances)) {
+    lines.push(`  ${symbol.padEnd(6)} ${format(symbol, balance).padStart(24)}  (available ${format(symbol, status.available[symbol])})`);
+  }
+
+  const approvals = [];
+  for (const [symbol, routers] of Object.entries(status.allowances)) {
+    for (const [label, allowance] of Object.entries(routers)) {
+      if (allowance > 0n) {
+        approvals.push(`  ${symbol} → ${label}: ${allowance === ethers.MaxUint256 ? "unlimited" : format(symbol, allowance)}`);
+      }
+    }
+  }
+  lines.push(approvals.length > 0 ? "Router allowances:" : "Router allowances: none");
+  lines.push(...approvals);
+
+  if (status.readErrors?.length > 0) {
+    lines.push("Failed reads (shown as unknown):");
+    for (const { symbol, read, error } of status.readErrors) {
+      lines.push(`  ${symbol} ${read}: ${error}`);
+    }
+  }
+
+  if (status.pending.length > 0) {
+    lines.push("Pending transactions:");
+    for (const entry of status.pending) {
+      lines.push(`  nonce ${entry.nonce}: ${entry.hash}${entry.replacements > 0 ? ` (replaced ${entry.replacements}x)` : ""}`);
+    }
+  }
+  return lines.join("\n");
+}
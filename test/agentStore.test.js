@@ -0,0 +1,176 @@
+/**
+ * Tests for AI agent persistence
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+import { AIAgent } from "../src/aiAgent.js";
+import { SmartErrorHandler } from "../src/errorHandler.js";
+import {
+  JsonAgentStore,
+  createAgentStore,
+  migrateAgentState,
+  AGENT_STATE_VERSION
+} from "../src/agentStore.js";
+
+const statePath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agent-")), "state.json");
+
+/**
+ * Whether this Node version has the built-in SQLite module
+ */
+function hasNodeSqlite() {
+  try {
+    createRequire(import.meta.url)("node:sqlite");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe("AI Agent Persistence", () => {
+  it("should restore history and metrics in the next run", () => {
+    const store = new JsonAgentStore(statePath());
+    const first = new AIAgent({ store });
+    first.analyzeError(new Error("Slippage tolerance exceeded"));
+    first.analyzeError(new Error("Network connection failed"), { operation: "price_fetch" });
+    first.optimizeTradingParameters();
+
+    const second = new AIAgent({ store });
+    const report = second.generateOptimizationReport();
+
+    assert.strictEqual(report.performanceMetrics.totalAnalyses, 2);
+    assert.strictEqual(report.errorAnalysis.totalErrors, 2);
+    assert.strictEqual(second.diagnosticResults.length, 2);
+    assert.strictEqual(second.recommendations.length, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(store.path, "utf8")).version, AGENT_STATE_VERSION);
+  });
+
+  it("should keep authorization requests and their outcome", async () => {
+    const store = new JsonAgentStore(statePath());
+    const first = new AIAgent({ store });
+    const change = { changeType: "modification", file: "src/config.js", description: "Raise slippage" };
+    await first.requestAuthorization(change);
+    await first.requestAuthorization({ ...change, description: "Lower trade size" }, async () => ({ authorized: true }));
+
+    const second = new AIAgent({ store });
+    const report = second.generateOptimizationReport();
+
+    assert.deepStrictEqual(report.pendingAuthorizations.map(c => c.description), ["Raise slippage"]);
+    assert.strictEqual(report.performanceMetrics.recommendationsAccepted, 1);
+  });
+
+  it("should prune every history to errorHistoryLimit", () => {
+    const store = new JsonAgentStore(statePath());
+    const agent = new AIAgent({ store, errorHistoryLimit: 3 });
+    for (let i = 0; i < 5; i++) {
+      agent.analyzeError(new Error(`Failure ${i}`));
+    }
+
+    const saved = store.load();
+    assert.strictEqual(saved.errorHistory.length, 3);
+    assert.deepStrictEqual(saved.diagnosticResults.map(d => d.errorMessage), ["Failure 2", "Failure 3", "Failure 4"]);
+    assert.strictEqual(saved.performanceMetrics.totalAnalyses, 5);
+
+    // A lower limit applies to state saved under a higher one
+    assert.strictEqual(new AIAgent({ store, errorHistoryLimit: 1 }).diagnosticResults.length, 1);
+  });
+
+  it("should keep decisions made by another agent on the same state", async () => {
+    const store = new JsonAgentStore(statePath());
+    const monitor = new AIAgent({ store });
+    const change = { changeType: "modification", file: "src/config.js", description: "Raise slippage" };
+    const { authRequestId } = await monitor.requestAuthorization(change);
+    monitor.analyzeError(new Error("Network connection failed"));
+
+    // --ai-approve from another shell while the monitor keeps running
+    const cli = new AIAgent({ store });
+    cli.approveChange(authRequestId, { decidedBy: "cli" });
+
+    monitor.analyzeError(new Error("Request timeout"));
+    const saved = store.load();
+    assert.strictEqual(saved.pendingChanges[0].status, "approved");
+    assert.strictEqual(saved.performanceMetrics.recommendationsAccepted, 1);
+    assert.strictEqual(saved.performanceMetrics.totalAnalyses, 2);
+    assert.deepStrictEqual(saved.auditLog.map(entry => [entry.id, entry.decision]), [[authRequestId, "approved"]]);
+    assert.deepStrictEqual(saved.authorizedChanges.map(c => c.id), [authRequestId]);
+
+    // The running agent sees the decision and does not decide it again
+    assert.deepStrictEqual(monitor.getPendingChanges(), []);
+    assert.throws(() => monitor.rejectChange(authRequestId), /already approved/);
+
+    // A request queued by the monitor after the CLI loaded can still be decided from it
+    const { authRequestId: laterId } = await monitor.requestAuthorization({ ...change, description: "Lower trade size" });
+    cli.rejectChange(laterId);
+    assert.strictEqual(new AIAgent({ store }).performanceMetrics.recommendationsRejected, 1);
+  });
+
+  it("should migrate state saved before authorization decisions were tracked", () => {
+    const store = new JsonAgentStore(statePath());
+    const approved = { id: "AUTH_1", file: "src/config.js", description: "Raise slippage" };
+    const waiting = { id: "AUTH_2", file: "src/config.js", description: "Lower trade size" };
+    store.save({ version: 1, pendingChanges: [approved, waiting], authorizedChanges: [approved], performanceMetrics: { recommendationsAccepted: 1 } });
+
+    const agent = new AIAgent({ store });
+
+    assert.deepStrictEqual(agent.pendingChanges.map(c => c.status), ["approved", "pending"]);
+    assert.deepStrictEqual(agent.getPendingChanges().map(c => c.id), ["AUTH_2"]);
+    assert.deepStrictEqual(agent.auditLog, []);
+  });
+
+  it("should append decisions to the audit file and keep pending requests when pruning", async () => {
+    const dir = path.dirname(statePath());
+    const agent = new AIAgent({ store: new JsonAgentStore(path.join(dir, "state.json")), auditLogPath: path.join(dir, "audit.ndjson"), errorHistoryLimit: 1 });
+    const first = await agent.requestAuthorization({ file: "src/config.js", description: "First", changeType: "modification" });
+    for (const description of ["Second", "Third"]) {
+      const { authRequestId } = await agent.requestAuthorization({ file: "src/config.js", description, changeType: "modification" });
+      agent.rejectChange(authRequestId, { reason: "No" });
+    }
+
+    const audit = fs.readFileSync(path.join(dir, "audit.ndjson"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+    assert.deepStrictEqual(audit.map(e => e.description), ["Second", "Third"]);
+    assert.deepStrictEqual(agent.auditLog.map(e => e.description), ["Third"]);
+    assert.deepStrictEqual(agent.pendingChanges.map(c => c.description), ["First", "Third"]);
+    assert.strictEqual(agent.getPendingChanges()[0].id, first.authRequestId);
+  });
+
+  it("should not overwrite state it cannot read", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const store = new JsonAgentStore(statePath());
+    const newer = JSON.stringify({ version: AGENT_STATE_VERSION + 1, errorHistory: [] });
+    fs.writeFileSync(store.path, newer);
+
+    const agent = new AIAgent({ store });
+    agent.analyzeError(new Error("Network connection failed"));
+
+    assert.strictEqual(agent.store, null);
+    assert.strictEqual(fs.readFileSync(store.path, "utf8"), newer);
+    assert.match(warn.mock.calls[0].arguments[0], /newer than supported/);
+    assert.throws(() => migrateAgentState({ errorHistory: [] }), /has no version/);
+    assert.throws(() => createAgentStore({ backend: "redis" }), /Unknown AI agent store "redis"/);
+  });
+
+  it("should let the error handler diagnose with the persisted agent", async () => {
+    const store = new JsonAgentStore(statePath());
+    const agent = new AIAgent({ store });
+    const handler = new SmartErrorHandler({ aiAgent: agent, verboseLogging: false, maxRetries: 0 });
+
+    await assert.rejects(handler.wrapAsync(async () => { throw new Error("execution reverted"); }, { operation: "quote" })());
+
+    assert.strictEqual(handler.getAIAgent(), agent);
+    assert.strictEqual(store.load().performanceMetrics.totalAnalyses, 1);
+  });
+
+  it("should persist to SQLite", { skip: !hasNodeSqlite() }, () => {
+    const dbPath = statePath().replace(/\.json$/, ".db");
+    const first = new AIAgent({ store: createAgentStore({ backend: "sqlite", path: dbPath }) });
+    first.analyzeError(new Error("Network connection failed"));
+
+    const second = new AIAgent({ store: createAgentStore({ backend: "sqlite", path: dbPath }) });
+    assert.strictEqual(second.performanceMetrics.totalAnalyses, 1);
+  });
+});
@@ -269,6 +269,44 @@ describe("AI Agent", () => {
       await agent.requestAuthorization(change, mockCallback);
       
       assert.strictEqual(agent.performanceMetrics.recommendationsRejected, 1);
+      assert.strictEqual(agent.getPendingChanges().length, 0);
+    });
+
+    it("should approve and reject pending changes later", async () => {
+      const change = { file: "src/config.js", description: "Raise slippage", changeType: "modification", params: { SLIPPAGE_TOLERANCE_PERCENT: 0.75 } };
+      const { authRequestId } = await agent.requestAuthorization(change);
+      const other = await agent.requestAuthorization({ ...change, params: { TRADE_SIZE_ETH: 0.8 } });
+      
+      // The same change is not queued twice
+      assert.strictEqual((await agent.requestAuthorization(change)).authRequestId, authRequestId);
+      assert.strictEqual(agent.getPendingChanges().length, 2);
+      
+      const approval = agent.approveChange(authRequestId, { reason: "Backtested", decidedBy: "alice" });
+      const rejection = agent.rejectChange(other.authRequestId, { reason: "Too small" });
+      
+      assert.strictEqual(approval.decision, "approved");
+      assert.deepStrictEqual(approval.params, { SLIPPAGE_TOLERANCE_PERCENT: 0.75 });
+      assert.strictEqual(rejection.decision, "rejected");
+      assert.deepStrictEqual(agent.auditLog.map(e => [e.id, e.reason]), [[authRequestId, "Backtested"], [other.authRequestId, "Too small"]]);
+      assert.strictEqual(agent.performanceMetrics.recommendationsAccepted, 1);
+      assert.strictEqual(agent.performanceMetrics.recommendationsRejected, 1);
+      assert.strictEqual(agent.generateOptimizationReport().pendingAuthorizations.length, 0);
+      assert.throws(() => agent.approveChange(other.authRequestId), /already rejected/);
+      assert.throws(() => agent.rejectChange("AUTH_missing"), /No authorization request AUTH_missing/);
+    });
+
+    it("should ask the configured authCallback", async () => {
+      const requests = [];
+      const interactive = new AIAgent({ authCallback: async (request) => {
+        requests.push(request.id);
+        return { authorized: false, reason: "Declined on the terminal" };
+      } });
+      
+      const result = await interactive.requestAuthorization({ file: "src/config.js", description: "Test change", changeType: "modification" });
+      
+      assert.strictEqual(result.authorized, false);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(interactive.auditLog[0].decidedBy, "callback");
     });
   });
 
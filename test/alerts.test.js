@@ -0,0 +1,305 @@
+/**
+ * Tests for alerting
+ * HTTP sinks post to a local stub server, the SMTP sink talks to a local stub SMTP server
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import net from "node:net";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { AlertManager, SmtpSink, renderTemplate, validateAlertsConfig } from "../src/alerts.js";
+import { loadConfig, getCurrentConfig, applyConfig } from "../src/configLoader.js";
+import { ALERTS_CONFIG } from "../src/config.js";
+
+/**
+ * Analysis profitable after gas, as returned by analyzeArbitrage
+ */
+function profitableAnalysis(netProfitUsd, buyFrom = "Uniswap V3") {
+  return {
+    hasOpportunity: true,
+    isProfitableAfterGas: netProfitUsd > 0,
+    direction: { buyFrom, buyPrice: 2000, sellTo: "BaseSwap", sellPrice: 2040 },
+    priceDifference: { percent: 2, meetsThreshold: true },
+    profitAnalysis: { tradeAmountEth: 1, gasCostUsd: 0.005, netProfitUsd }
+  };
+}
+
+/**
+ * Local HTTP server recording every request; answers with status
+ */
+function createStubServer() {
+  const stub = { requests: [], status: 200 };
+  stub.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", chunk => { body += chunk; });
+    request.on("end", () => {
+      stub.requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+      response.writeHead(stub.status, { "Content-Type": "application/json" });
+      response.end(stub.status === 200 ? "{\"ok\":true}" : "{\"ok\":false,\"description\":\"Bad Request: chat not found\"}");
+    });
+  });
+  return stub;
+}
+
+/**
+ * Local SMTP server recording the commands and the message of every session
+ */
+function createStubSmtpServer() {
+  const stub = { commands: [], messages: [] };
+  stub.server = net.createServer(socket => {
+    let buffer = "";
+    let inData = false;
+    let message = "";
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            stub.messages.push(message);
+            socket.write("250 queued\r\n");
+          } else {
+            message += `${line}\r\n`;
+          }
+          continue;
+        }
+        stub.commands.push(line);
+        if (line.startsWith("EHLO")) {
+          socket.write("250-stub\r\n250-AUTH PLAIN\r\n250 SIZE 1000000\r\n");
+        } else if (line.startsWith("AUTH")) {
+          socket.write("235 authenticated\r\n");
+        } else if (line === "DATA") {
+          inData = true;
+          socket.write("354 go ahead\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+  });
+  return stub;
+}
+
+describe("Alerts", () => {
+  it("should render templates", () => {
+    assert.strictEqual(renderTemplate("{{pair}} net ${{ netProfitUsd }} at {{blockNumber}}", { pair: "WETH/USDC", netProfitUsd: "12.50" }), "WETH/USDC net $12.50 at n/a");
+  });
+
+  it("should reject invalid sinks and rules", () => {
+    const errors = validateAlertsConfig({
+      TIMEOUT_MS: 1000,
+      SINKS: {
+        pager: { type: "pagerduty" },
+        chat: { type: "telegram", botToken: "123:abc" },
+        mail: { type: "smtp", host: "localhost", from: "bot@example.com", to: ["ops"] }
+      },
+      RULES: {
+        big: { event: "opportunity", minNetProfitUsd: -1, sinks: ["slack"], template: "{{pair}} {{profit}}" },
+        health: { event: "health", statuses: ["down"], minNetProfitUsd: 5 }
+      }
+    });
+
+    assert.deepStrictEqual(errors, [
+      "alerts.SINKS.pager.type: \"pagerduty\" is not a sink type (webhook, slack, telegram, smtp)",
+      "alerts.SINKS.chat.chatId: required for telegram sinks",
+      "alerts.SINKS.mail.to: must be an email address or a list of them",
+      "alerts.RULES.big.minNetProfitUsd: -1 must be a finite number, not negative",
+      "alerts.RULES.big.sinks: \"slack\" is not a configured sink",
+      "alerts.RULES.big.template: unknown field {{profit}} (expected rule, timestamp, pair, buyFrom, sellTo, buyPrice, sellPrice, spreadPercent, netProfitUsd, gasCostUsd, tradeSizeEth, blockNumber)",
+      "alerts.RULES.health.minNetProfitUsd: unknown setting for health rules (expected one of event, sinks, cooldownMs, dedupWindowMs, template, statuses)",
+      "alerts.RULES.health.statuses: must be a list of healthy, warning, degraded, critical"
+    ]);
+  });
+
+  it("should apply thresholds, deduplication and cooldowns", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"] });
+    const alerts = new AlertManager({
+      SINKS: { hook: { type: "webhook", url: "http://127.0.0.1:1/unused" } },
+      RULES: { big: { event: "opportunity", minNetProfitUsd: 10, cooldownMs: 1000, dedupWindowMs: 60000 } }
+    });
+    const sent = [];
+    alerts.sinks.set("hook", { send: async alert => sent.push(alert) });
+
+    assert.deepStrictEqual(await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(5)), []);
+    assert.strictEqual((await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(12))).length, 1);
+    // Same route: duplicate; another route: within the cooldown
+    assert.deepStrictEqual(await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(15)), []);
+    assert.deepStrictEqual(await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(15, "SwapBased")), []);
+    t.mock.timers.tick(1000);
+    assert.strictEqual((await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(15, "SwapBased"))).length, 1);
+    assert.deepStrictEqual(await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(15)), []);
+    t.mock.timers.tick(60000);
+    assert.strictEqual((await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(15))).length, 1);
+
+    assert.strictEqual(sent.length, 3);
+    assert.strictEqual(sent[0].message, "WETH/USDC: buy on Uniswap V3 at 2000.000000, sell on BaseSwap at 2040.000000 (2.0000% spread), net $12.00 for 1 ETH after $0.0050 gas");
+    assert.deepStrictEqual(alerts.stats, { sent: 3, suppressed: 3, failed: 0 });
+  });
+
+  it("should suppress duplicates while an alert is in flight", async () => {
+    const alerts = new AlertManager({ SINKS: { hook: { type: "webhook", url: "http://127.0.0.1:1/unused" } } });
+    const deliveries = [];
+    alerts.sinks.set("hook", { send: () => new Promise((resolve, reject) => deliveries.push({ resolve, reject })) });
+
+    // Swap events of one block arrive before the first alert is delivered
+    const checks = [1, 2, 3].map(() => alerts.checkAnalysis("WETH/USDC", profitableAnalysis(12)));
+    assert.strictEqual(deliveries.length, 1);
+    deliveries[0].reject(new Error("timeout"));
+    assert.deepStrictEqual((await Promise.all(checks)).map(results => results.length), [1, 0, 0]);
+
+    // Nothing took it, so the next check sends it again
+    const retry = alerts.checkAnalysis("WETH/USDC", profitableAnalysis(12));
+    deliveries[1].resolve();
+    assert.deepStrictEqual((await retry)[0].delivered, ["hook"]);
+    assert.deepStrictEqual(alerts.stats, { sent: 1, suppressed: 2, failed: 1 });
+  });
+
+  it("should alert on degraded and critical health", async () => {
+    const alerts = new AlertManager({ SINKS: { hook: { type: "webhook", url: "http://127.0.0.1:1/unused" } } });
+    const sent = [];
+    alerts.sinks.set("hook", { send: async alert => sent.push(alert) });
+    const health = (status, score) => ({ status, score, errorRate: "40.00%", recommendation: "Review and implement pending recommendations" });
+
+    await alerts.checkHealth(health("healthy", 100));
+    await alerts.checkHealth(health("degraded", 50));
+    await alerts.checkHealth(health("degraded", 50));
+    await alerts.checkHealth(health("critical", 20));
+
+    assert.deepStrictEqual(sent.map(alert => [alert.severity, alert.title]), [
+      ["warning", "AI agent health degraded"],
+      ["critical", "AI agent health critical"]
+    ]);
+    assert.strictEqual(sent[1].message, "AI agent health is critical (score 20, error rate 40.00%): Review and implement pending recommendations");
+  });
+
+  describe("HTTP sinks", () => {
+    const stub = createStubServer();
+    let baseUrl;
+
+    before(async () => {
+      await new Promise(resolve => stub.server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+    });
+    after(() => new Promise(resolve => stub.server.close(resolve)));
+    beforeEach(() => {
+      stub.requests.length = 0;
+      stub.status = 200;
+    });
+
+    const createAlerts = () => new AlertManager({
+      SINKS: {
+        hook: { type: "webhook", url: `${baseUrl}/hook`, headers: { Authorization: "Bearer secret" } },
+        slack: { type: "slack", url: `${baseUrl}/services/T000/B000/XXX` },
+        telegram: { type: "telegram", apiUrl: baseUrl, botToken: "123:ABC", chatId: -10042 }
+      },
+      RULES: { profitable: { event: "opportunity", template: "{{pair}} net ${{netProfitUsd}} (block {{blockNumber}})" } }
+    });
+
+    it("should post the alert to every sink in its format", async () => {
+      const [result] = await createAlerts().checkAnalysis("WETH/USDC", profitableAnalysis(12.5), { blockNumber: 123 });
+
+      assert.deepStrictEqual(result.delivered, ["hook", "slack", "telegram"]);
+      const byPath = Object.fromEntries(stub.requests.map(request => [request.url, request]));
+
+      const hook = byPath["/hook"];
+      assert.strictEqual(hook.method, "POST");
+      assert.strictEqual(hook.headers.authorization, "Bearer secret");
+      assert.strictEqual(hook.body.rule, "profitable");
+      assert.strictEqual(hook.body.message, "WETH/USDC net $12.50 (block 123)");
+      assert.strictEqual(hook.body.data.buyFrom, "Uniswap V3");
+
+      assert.deepStrictEqual(byPath["/services/T000/B000/XXX"].body, { text: "*Profitable arbitrage on WETH/USDC*\nWETH/USDC net $12.50 (block 123)" });
+      assert.deepStrictEqual(byPath["/bot123:ABC/sendMessage"].body, {
+        chat_id: -10042,
+        text: "Profitable arbitrage on WETH/USDC\nWETH/USDC net $12.50 (block 123)",
+        disable_web_page_preview: true
+      });
+    });
+
+    it("should report failing sinks and retry an alert no sink took", async () => {
+      const alerts = createAlerts();
+      stub.status = 400;
+
+      const [failed] = await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(12.5));
+      assert.deepStrictEqual(failed.delivered, []);
+      assert.strictEqual(failed.failed.length, 3);
+      assert.match(failed.failed[2].error, /^HTTP 400: .*chat not found/);
+      assert.ok(failed.failed.every(({ error }) => !error.includes("123:ABC")));
+
+      stub.status = 200;
+      const [retried] = await alerts.checkAnalysis("WETH/USDC", profitableAnalysis(12.5));
+      assert.strictEqual(retried.delivered.length, 3);
+      assert.deepStrictEqual(alerts.stats, { sent: 1, suppressed: 0, failed: 3 });
+    });
+  });
+
+  it("should send email over SMTP", async () => {
+    const stub = createStubSmtpServer();
+    await new Promise(resolve => stub.server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const sink = new SmtpSink({
+        host: "127.0.0.1",
+        port: stub.server.address().port,
+        username: "bot",
+        password: "hunter2",
+        from: "bot@example.com",
+        to: ["ops@example.com", "oncall@example.com"]
+      }, { timeoutMs: 2000 });
+      await sink.send({ title: "Test alert", message: "line one\n.line two", timestamp: new Date().toISOString() });
+
+      assert.deepStrictEqual(stub.commands.filter(command => !command.startsWith("EHLO")), [
+        `AUTH PLAIN ${Buffer.from("\0bot\0hunter2").toString("base64")}`,
+        "MAIL FROM:<bot@example.com>",
+        "RCPT TO:<ops@example.com>",
+        "RCPT TO:<oncall@example.com>",
+        "DATA",
+        "QUIT"
+      ]);
+      const [message] = stub.messages;
+      assert.match(message, /^From: bot@example\.com\r\nTo: ops@example\.com, oncall@example\.com\r\nSubject: \[dex-trader\] Test alert\r\n/);
+      assert.ok(message.endsWith("\r\n\r\nline one\r\n..line two\r\n\r\n"));
+    } finally {
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+  });
+
+  describe("Config", () => {
+    const defaults = getCurrentConfig();
+    afterEach(() => applyConfig(defaults));
+
+    it("should load sinks and rules from the config file, with secrets from the environment", () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alerts-")), "alerts.yaml");
+      fs.writeFileSync(file, [
+        "alerts:",
+        "  SINKS:",
+        "    slack: { type: slack }",
+        "  RULES:",
+        "    profitable: { minNetProfitUsd: 25, sinks: [slack] }",
+        "    health: null"
+      ].join("\n"));
+
+      loadConfig({ file, env: { DEX_TRADER__ALERTS__SINKS__SLACK__URL: "https://hooks.slack.com/services/T/B/secret" } });
+
+      assert.deepStrictEqual(ALERTS_CONFIG.SINKS, { slack: { type: "slack", url: "https://hooks.slack.com/services/T/B/secret" } });
+      assert.deepStrictEqual(Object.keys(ALERTS_CONFIG.RULES), ["profitable"]);
+      assert.strictEqual(ALERTS_CONFIG.RULES.profitable.minNetProfitUsd, 25);
+      assert.strictEqual(ALERTS_CONFIG.RULES.profitable.dedupWindowMs, 300000);
+      assert.strictEqual(new AlertManager().enabled, true);
+
+      applyConfig(defaults);
+      fs.writeFileSync(file, "alerts:\n  SINKS:\n    slack: { type: slack }\n");
+      assert.throws(() => loadConfig({ file, env: {} }), /alerts\.SINKS\.slack\.url: required for slack sinks/);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the HTTP API server
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { ApiServer, TtlCache } from "../src/apiServer.js";
+import { AIAgent } from "../src/aiAgent.js";
+import { scanPairs } from "../src/scanner.js";
+import { UNISWAP_V3_POOL_ABI, UNISWAP_V2_PAIR_ABI, UNISWAP_V2_FACTORY_ABI } from "../src/abis.js";
+import { DEXES } from "../src/config.js";
+
+const v3Pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const v2Pair = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const v2Factory = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+
+// sqrtPriceX96 of 2000 USDC per WETH
+const SQRT_PRICE_2000 = 3543191142285914205922034n;
+
+/**
+ * Fake provider answering pool reads: concentrated liquidity pools at 2000,
+ * BaseSwap pairs at 2040 and SwapBased pairs at 2000
+ */
+function createFakeProvider() {
+  const pairPrices = {
+    [DEXES.BASESWAP.factory]: ["0x00000000000000000000000000000000000000b1", 2040n],
+    [DEXES.SWAPBASED.factory]: ["0x00000000000000000000000000000000000000b2", 2000n]
+  };
+  const pricesByPair = Object.fromEntries(Object.values(pairPrices).map(([address, price]) => [address, price]));
+
+  const provider = {
+    calls: 0,
+    async call(tx) {
+      provider.calls++;
+      const selector = tx.data.slice(0, 10);
+      if (selector === v3Pool.getFunction("slot0").selector) {
+        return v3Pool.encodeFunctionResult("slot0", [SQRT_PRICE_2000, -200312, 0, 1, 1, 0, true]);
+      }
+      if (selector === v3Pool.getFunction("liquidity").selector) {
+        return v3Pool.encodeFunctionResult("liquidity", [45000000000000000n]);
+      }
+      if (selector === v2Factory.getFunction("getPair").selector) {
+        return v2Factory.encodeFunctionResult("getPair", [pairPrices[ethers.getAddress(tx.to)][0]]);
+      }
+      if (selector === v2Pair.getFunction("getReserves").selector) {
+        const price = pricesByPair[tx.to.toLowerCase()];
+        return v2Pair.encodeFunctionResult("getReserves", [1000n * 10n ** 18n, price * 1000n * 10n ** 6n, 0]);
+      }
+      throw new Error(`Unexpected call ${selector}`);
+    },
+    async getFeeData() {
+      provider.calls++;
+      return { gasPrice: 5000000n, maxFeePerGas: null, maxPriorityFeePerGas: null };
+    }
+  };
+  return provider;
+}
+
+describe("TTL Cache", () => {
+  it("should share a pending load and reload after the TTL", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"] });
+    const cache = new TtlCache(1000);
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.deepStrictEqual(await Promise.all([cache.get("gas", load), cache.get("gas", load)]), [1, 1]);
+    t.mock.timers.tick(999);
+    assert.strictEqual(await cache.get("gas", load), 1);
+    t.mock.timers.tick(1);
+    assert.strictEqual(await cache.get("gas", load), 2);
+    assert.deepStrictEqual([cache.hits, cache.misses], [2, 2]);
+  });
+
+  it("should not cache a failed load", async () => {
+    const cache = new TtlCache(1000);
+    await assert.rejects(cache.get("gas", async () => { throw new Error("timeout"); }), /timeout/);
+    assert.strictEqual(await cache.get("gas", async () => "ok"), "ok");
+  });
+});
+
+describe("API Server", () => {
+  const provider = createFakeProvider();
+  const aiAgent = new AIAgent();
+  const server = new ApiServer(provider, { port: 0, cacheTtlMs: 60000, aiAgent });
+  let baseUrl;
+
+  const get = async (path, init) => {
+    const response = await fetch(`${baseUrl}${path}`, init);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+  after(() => server.stop());
+
+  it("should list pairs", async () => {
+    const { status, body } = await get("/pairs");
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.pairs, ["WETH/USDC", "WETH/USDbC"]);
+  });
+
+  it("should serve prices from the cache while fresh", async () => {
+    const first = await get("/prices/WETH-USDC");
+    const callsAfterFirst = provider.calls;
+    const second = await get("/prices/WETH%2FUSDC");
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.pair, "WETH/USDC");
+    assert.strictEqual(first.body.prices.length, 4);
+    assert.strictEqual(first.body.prices[0].sqrtPriceX96, SQRT_PRICE_2000.toString());
+    assert.strictEqual(provider.calls, callsAfterFirst);
+    assert.deepStrictEqual(second.body, first.body);
+  });
+
+  it("should value gas with the WETH/USDC price", async () => {
+    const { body } = await get("/gas");
+    assert.strictEqual(body.gasPriceWei, "5000000");
+    assert.ok(Math.abs(body.ethPriceUsd - 2000) < 0.01);
+    assert.ok(Math.abs(body.gasCostUsd - 250000 * 5000000 * 1e-18 * body.ethPriceUsd) < 1e-9);
+  });
+
+  it("should rank opportunities across pairs", async () => {
+    const { status, body } = await get("/opportunities?size=0.5");
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.tradeSizeEth, 0.5);
+    assert.deepStrictEqual(body.opportunities.map(o => o.pair).sort(), ["WETH/USDC", "WETH/USDbC"]);
+    assert.ok(body.opportunities.every(o => o.hasOpportunity && o.analysis.direction.sellTo === "BaseSwap"));
+    assert.ok(body.opportunities[0].netProfitUsd >= body.opportunities[1].netProfitUsd);
+    assert.deepStrictEqual(body.errors, []);
+  });
+
+  it("should rank opportunities like a scan", async () => {
+    const { body } = await get("/opportunities?size=0.5");
+    const scan = await scanPairs(createFakeProvider(), ["WETH/USDC", "WETH/USDbC"], { tradeSizeEth: 0.5 });
+
+    assert.deepStrictEqual(
+      body.opportunities.map(o => [o.pair, o.netProfitUsd, o.analysis.profitAnalysis.gasCostUsd]),
+      scan.opportunities.map(o => [o.pair, o.netProfitUsd, o.analysis.profitAnalysis.gasCostUsd])
+    );
+    assert.strictEqual(body.gasCost.gasCostUsd, scan.gasCost.gasCostUsd);
+  });
+
+  it("should serve the AI agent report", async () => {
+    aiAgent.analyzeError(new Error("Network connection failed"));
+    const { status, body } = await get("/agent/report");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.performanceMetrics.totalAnalyses, 1);
+  });
+
+  it("should answer bad requests with an error status", async () => {
+    assert.deepStrictEqual(await get("/prices/WETH-DOGE"), { status: 404, body: { error: "Unknown trading pair: WETH/DOGE" } });
+    assert.strictEqual((await get("/opportunities?size=-1")).status, 400);
+    assert.strictEqual((await get("/swap")).status, 404);
+    assert.strictEqual((await get("/pairs", { method: "POST" })).status, 405);
+    // No metrics collector attached
+    assert.deepStrictEqual(await get("/metrics"), { status: 404, body: { error: "No metrics collector attached to this server" } });
+  });
+});
@@ -7,7 +7,9 @@ import assert from "node:assert";
 
 import {
   sqrtPriceX96ToPrice,
-  sqrtPriceX96ToInversePrice
+  sqrtPriceX96ToInversePrice,
+  reservesToPrice,
+  getV2AmountOut
 } from "../src/priceFetcher.js";
 
 import {
@@ -15,9 +17,13 @@ import {
   determineArbitrageDirection,
   calculatePotentialProfit,
   calculateNetProfit,
-  analyzeArbitrage
+  calculateQuotedProfit,
+  analyzeArbitrage,
+  formatArbitrageAnalysis
 } from "../src/arbitrage.js";
 
+import { quoteExactInputSingle } from "../src/quoter.js";
+
 describe("Price Calculations", () => {
   it("should convert sqrtPriceX96 to price correctly for WETH/USDC", () => {
     // Example sqrtPriceX96 value (approximately $3000 ETH)
@@ -62,6 +68,47 @@ describe("Price Calculations", () => {
   });
 });
 
+describe("V2 Reserve Calculations", () => {
+  it("should convert reserves to price correctly for WETH/USDC", () => {
+    // 100 WETH and 300,000 USDC in the pair
+    const reserve0 = 100n * 10n ** 18n;
+    const reserve1 = 300000n * 10n ** 6n;
+    
+    const price = reservesToPrice(reserve0, reserve1, 18, 6);
+    
+    assert.ok(Math.abs(price - 3000) < 0.0001, `Price ${price} should be 3000`);
+  });
+  
+  it("should handle empty reserves", () => {
+    assert.strictEqual(reservesToPrice(0n, 300000n, 18, 6), 0);
+    assert.strictEqual(reservesToPrice(null, 300000n, 18, 6), 0);
+  });
+  
+  it("should match the UniswapV2Library getAmountOut formula", () => {
+    // 1 WETH into a 100 WETH / 300,000 USDC pair at 0.3%
+    const amountOut = getV2AmountOut(10n ** 18n, 100n * 10n ** 18n, 300000n * 10n ** 6n, 3000);
+    
+    // 997 * 300000e6 * 1e18 / (100e18 * 1000 + 997e18)
+    const expected = (997n * 10n ** 18n * 300000n * 10n ** 6n) / (100n * 10n ** 18n * 1000n + 997n * 10n ** 18n);
+    assert.strictEqual(amountOut, expected);
+  });
+  
+  it("should include price impact in the constant-product output", () => {
+    const reserve0 = 100n * 10n ** 18n;
+    const reserve1 = 300000n * 10n ** 6n;
+    
+    const smallOut = getV2AmountOut(10n ** 16n, reserve0, reserve1, 0);
+    const largeOut = getV2AmountOut(10n ** 19n, reserve0, reserve1, 0);
+    
+    // 1000x the input must return less than 1000x the output
+    assert.ok(largeOut < smallOut * 1000n);
+  });
+  
+  it("should reject swaps against empty reserves", () => {
+    assert.throws(() => getV2AmountOut(10n ** 18n, 0n, 300000n, 3000), /liquidity/);
+  });
+});
+
 describe("Arbitrage Calculations", () => {
   describe("calculatePriceDifference", () => {
     it("should calculate percentage difference correctly", () => {
@@ -126,6 +173,24 @@ describe("Arbitrage Calculations", () => {
       assert.ok(result.effectiveBuyPrice > 3000);
       assert.ok(result.effectiveSellPrice < 3030);
     });
+    
+    it("should apply the pool fee of each leg", () => {
+      // Buy on a 0.05% pool, sell on a 0.01% pool
+      const result = calculatePotentialProfit(3000, 3030, 1.0, 0, { buyFee: 500, sellFee: 100 });
+      
+      assert.ok(Math.abs(result.effectiveBuyPrice - 3000 / 0.9995) < 1e-9);
+      assert.ok(Math.abs(result.effectiveSellPrice - 3030 * 0.9999) < 1e-9);
+      assert.ok(Math.abs(result.buyFeeQuote - 3000 * (1 / 0.9995 - 1)) < 1e-9);
+      assert.ok(Math.abs(result.sellFeeQuote - 0.303) < 1e-9);
+      assert.ok(result.grossProfitQuote < 30 - 1.8);
+    });
+    
+    it("should break the spread down into slippage, fees and profit", () => {
+      const result = calculatePotentialProfit(3000, 3030, 2.0, 0.5, { buyFee: 3000, sellFee: 500 });
+      
+      const rebuilt = result.grossSpreadQuote - result.slippageCostQuote - result.totalFeesQuote;
+      assert.ok(Math.abs(rebuilt - result.grossProfitQuote) < 1e-9);
+    });
   });
   
   describe("calculateNetProfit", () => {
@@ -195,6 +260,108 @@ describe("Arbitrage Calculations", () => {
       
       assert.strictEqual(analysis.hasOpportunity, false);
     });
+    
+    it("should charge the fee of the buy and sell pools", () => {
+      const prices = [
+        { dex: "Uniswap V3", priceToken0InToken1: 3000, liquidity: "1000000", fee: 500 },
+        { dex: "Aerodrome CL", priceToken0InToken1: 3030, liquidity: "1000000", fee: 100 }
+      ];
+      const feeless = prices.map(({ fee, ...price }) => price);
+      
+      const analysis = analyzeArbitrage(prices, 1.0, 0.01);
+      const feelessAnalysis = analyzeArbitrage(feeless, 1.0, 0.01);
+      
+      assert.strictEqual(analysis.profitAnalysis.buyFeePercent, 0.05);
+      assert.strictEqual(analysis.profitAnalysis.sellFeePercent, 0.01);
+      assert.strictEqual(feelessAnalysis.profitAnalysis.totalFeesUsd, 0);
+      assert.ok(Math.abs(
+        feelessAnalysis.profitAnalysis.grossProfitUsd - analysis.profitAnalysis.grossProfitUsd - analysis.profitAnalysis.totalFeesUsd
+      ) < 1e-9);
+      
+      const report = formatArbitrageAnalysis(analysis);
+      assert.ok(report.includes("Pool Fees:"));
+      assert.ok(report.includes("Slippage:"));
+    });
+  });
+});
+
+describe("Quoted Analysis", () => {
+  const quote = {
+    buyFrom: "Uniswap V3",
+    sellTo: "Aerodrome CL",
+    amountInFormatted: 30000,
+    baseAmountFormatted: 9.95,
+    amountOutFormatted: 30100
+  };
+  
+  it("should calculate profit from quoted amounts", () => {
+    const result = calculateQuotedProfit(quote);
+    
+    assert.strictEqual(result.grossProfitQuote, 100);
+    assert.ok(Math.abs(result.effectiveBuyPrice - 30000 / 9.95) < 1e-9);
+    assert.ok(Math.abs(result.effectiveSellPrice - 30100 / 9.95) < 1e-9);
+  });
+  
+  it("should use the quote instead of mid prices when given", () => {
+    const prices = [
+      { dex: "Uniswap V3", priceToken0InToken1: 3000, liquidity: "1000000" },
+      { dex: "Aerodrome CL", priceToken0InToken1: 3030, liquidity: "1000000" }
+    ];
+    
+    const midAnalysis = analyzeArbitrage(prices, 10, 0.01);
+    const quotedAnalysis = analyzeArbitrage(prices, 10, 0.01, { quote });
+    
+    assert.strictEqual(midAnalysis.profitAnalysis.pricingMode, "mid");
+    assert.strictEqual(quotedAnalysis.profitAnalysis.pricingMode, "quoted");
+    assert.strictEqual(quotedAnalysis.profitAnalysis.grossProfitUsd, 100);
+    assert.ok(quotedAnalysis.profitAnalysis.grossProfitUsd !== midAnalysis.profitAnalysis.grossProfitUsd);
+  });
+  
+  it("should report a quote that spends or buys nothing as infeasible", () => {
+    const empty = calculateQuotedProfit({ ...quote, amountInFormatted: 0, baseAmountFormatted: 0, amountOutFormatted: 0 });
+    assert.strictEqual(empty.feasible, false);
+    assert.strictEqual(empty.reason, "Quote spends no quote token");
+    assert.strictEqual(empty.effectiveBuyPrice, null);
+    
+    const nothingBought = calculateQuotedProfit({ ...quote, baseAmountFormatted: 0, amountOutFormatted: 0 });
+    assert.strictEqual(nothingBought.reason, "Quote buys no base token");
+    assert.strictEqual(calculateQuotedProfit(quote).feasible, true);
+    
+    const prices = [
+      { dex: "Uniswap V3", priceToken0InToken1: 3000 },
+      { dex: "Aerodrome CL", priceToken0InToken1: 3030 }
+    ];
+    const analysis = analyzeArbitrage(prices, 10, 0.01, { quote: { ...quote, baseAmountFormatted: 0, amountOutFormatted: 0 } });
+    assert.strictEqual(analysis.hasOpportunity, false);
+    assert.strictEqual(analysis.isProfitableAfterGas, false);
+    assert.strictEqual(analysis.reason, "Quote buys no base token at 10 ETH");
+  });
+  
+  it("should back fees and price impact out of quoted amounts", () => {
+    const result = calculateQuotedProfit(quote, { buyPrice: 3000, sellPrice: 3030 }, { buyFee: 500, sellFee: 100 });
+    
+    assert.ok(Math.abs(result.buyFeeQuote - 15) < 1e-9);
+    assert.ok(Math.abs(result.grossSpreadQuote - 300) < 1e-9);
+    const rebuilt = result.grossSpreadQuote - result.slippageCostQuote - result.totalFeesQuote;
+    assert.ok(Math.abs(rebuilt - result.grossProfitQuote) < 1e-9);
+  });
+  
+  it("should quote V2 pairs from reserves without an RPC call", async () => {
+    const pair = {
+      dex: "BaseSwap",
+      poolType: "V2",
+      fee: 3000,
+      reserve0: (100n * 10n ** 18n).toString(),
+      reserve1: (300000n * 10n ** 6n).toString()
+    };
+    const weth = "0x4200000000000000000000000000000000000006";
+    const usdc = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+    
+    const sell = await quoteExactInputSingle(null, pair, weth, usdc, 10n ** 18n);
+    const buy = await quoteExactInputSingle(null, pair, usdc, weth, 3000n * 10n ** 6n);
+    
+    assert.strictEqual(sell.amountOut, getV2AmountOut(10n ** 18n, 100n * 10n ** 18n, 300000n * 10n ** 6n, 3000));
+    assert.strictEqual(buy.amountOut, getV2AmountOut(3000n * 10n ** 6n, 300000n * 10n ** 6n, 100n * 10n ** 18n, 3000));
   });
 });
 
@@ -232,4 +399,14 @@ describe("Configuration", () => {
     assert.ok(POOLS["WETH/USDC"].UNISWAP_V3.address.startsWith("0x"));
     assert.ok(POOLS["WETH/USDC"].AERODROME_CL.address.startsWith("0x"));
   });
+  
+  it("should configure V2 pools for every V2 DEX", async () => {
+    const { POOLS, DEXES } = await import("../src/config.js");
+    
+    for (const [dexKey, dex] of Object.entries(DEXES)) {
+      if (dex.type !== "V2") continue;
+      assert.ok(POOLS["WETH/USDC"][dexKey], `Missing WETH/USDC pool for ${dex.name}`);
+      assert.ok(POOLS["WETH/USDC"][dexKey].fee > 0);
+    }
+  });
 });
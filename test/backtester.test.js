@@ -0,0 +1,139 @@
+/**
+ * Tests for the backtester
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  loadSnapshots,
+  snapshotToPriceData,
+  runBacktest,
+  sweepParameters,
+  formatBacktestReport,
+  formatSweepTable
+} from "../src/backtester.js";
+import { ARBITRAGE_CONFIG } from "../src/config.js";
+
+/**
+ * WETH/USDC at blocks 100-107: Uniswap V3 stays at 2000 while the BaseSwap pair moves
+ * through 2001, 2040, 2038, 2002, 2020, 2030, 2000, 2040
+ */
+const FIXTURE = new URL("./fixtures/snapshots.ndjson", import.meta.url).pathname;
+
+describe("Backtester", () => {
+  it("should load snapshots in block order and skip other records", () => {
+    const lines = fs.readFileSync(FIXTURE, "utf8").trim().split("\n").reverse();
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "backtest-")), "snapshots.ndjson");
+    fs.writeFileSync(file, [...lines, "", JSON.stringify({ type: "gas", blockNumber: 100 })].join("\n"));
+
+    const snapshots = loadSnapshots(file);
+
+    assert.strictEqual(snapshots.length, 8);
+    assert.deepStrictEqual(snapshots.map(s => s.blockNumber), [100, 101, 102, 103, 104, 105, 106, 107]);
+
+    fs.writeFileSync(file, `${lines[0]}\n{not json\n`);
+    assert.throws(() => loadSnapshots(file), /snapshots\.ndjson:2: invalid JSON/);
+  });
+
+  it("should rebuild oriented price data from a snapshot", () => {
+    const [snapshot] = loadSnapshots(FIXTURE);
+
+    const priceData = snapshotToPriceData(snapshot);
+    const [v3, v2] = priceData.prices;
+
+    assert.strictEqual(priceData.blockNumber, 100);
+    assert.strictEqual(v3.dex, "Uniswap V3");
+    assert.strictEqual(v3.poolType, "V3");
+    assert.ok(Math.abs(v3.priceToken0InToken1 - 2000) < 0.01);
+    assert.strictEqual(v2.dex, "BaseSwap");
+    assert.strictEqual(v2.priceToken0InToken1, 2001);
+
+    const broken = snapshotToPriceData({ ...snapshot, pools: { BASESWAP: { ...snapshot.pools.BASESWAP, reserve1: "0" } } });
+    assert.match(broken.prices[0].error, /Insufficient liquidity/);
+  });
+
+  it("should fill trades a block later and report P&L, hit rate and misses", async () => {
+    const result = await runBacktest(loadSnapshots(FIXTURE));
+
+    // Decided at 101, 102 and 105; the trade decided at 107 has no later block to fill in
+    assert.deepStrictEqual(result.tradeLog.map(t => [t.blockNumber, t.fillBlockNumber]), [[101, 102], [102, 103], [105, 106]]);
+    assert.strictEqual(result.unfilled, 1);
+    assert.strictEqual(result.hits, 1);
+    assert.strictEqual(result.hitRate, 1 / 3);
+    assert.ok(result.tradeLog[0].realizedNetProfitUsd > 20);
+    // The price moved back before the fill
+    assert.ok(result.tradeLog[1].realizedNetProfitUsd < 0);
+
+    const total = result.tradeLog.reduce((sum, t) => sum + t.realizedNetProfitUsd, 0);
+    assert.ok(Math.abs(result.totalPnlUsd - total) < 1e-9);
+    assert.strictEqual(result.curve.at(-1).pnlUsd, result.totalPnlUsd);
+    assert.ok(Math.abs(result.maxDrawdownUsd - (result.curve[0].pnlUsd - result.totalPnlUsd)) < 1e-9);
+
+    // Too small on mid prices, but the price moved in favour before the fill
+    assert.deepStrictEqual(result.missedLog.map(m => m.blockNumber), [100, 103, 104]);
+    assert.ok(result.missedProfitUsd > 0);
+    assert.match(formatBacktestReport(result), /Trades: 3 \(1 profitable, hit rate 33\.3%\)/);
+  });
+
+  it("should flag fills through concentrated liquidity pools recorded without ticks", async () => {
+    const snapshots = loadSnapshots(FIXTURE);
+
+    // The fixture's Uniswap V3 pool has no ticks
+    const approximate = await runBacktest(snapshots);
+    assert.strictEqual(approximate.approximateFills, approximate.trades + approximate.missed);
+    assert.ok(approximate.tradeLog.every(trade => trade.approximateFill));
+    assert.match(formatBacktestReport(approximate), /Approximate: 6 fills went through concentrated liquidity pools recorded without ticks/);
+
+    // No initialized tick near the price: liquidity really is constant
+    const withTicks = snapshots.map(snapshot => ({
+      ...snapshot,
+      pools: { ...snapshot.pools, UNISWAP_V3: { ...snapshot.pools.UNISWAP_V3, ticks: {} } }
+    }));
+    const exact = await runBacktest(withTicks);
+    assert.strictEqual(exact.approximateFills, 0);
+    assert.strictEqual(exact.totalPnlUsd, approximate.totalPnlUsd);
+    assert.doesNotMatch(formatBacktestReport(exact), /Approximate/);
+  });
+
+  it("should fill in the decision block without an execution delay", async () => {
+    const snapshots = loadSnapshots(FIXTURE);
+
+    const sameBlock = await runBacktest(snapshots, { executionDelayBlocks: 0 });
+
+    // Filled on the prices the decision saw, every trade pays off
+    assert.strictEqual(sameBlock.trades, 4);
+    assert.strictEqual(sameBlock.hitRate, 1);
+    assert.strictEqual(sameBlock.unfilled, 0);
+  });
+
+  it("should replay the current arbitrage config", async t => {
+    const { MIN_PRICE_DIFF_PERCENT, TRADE_SIZE_ETH } = ARBITRAGE_CONFIG;
+    t.after(() => Object.assign(ARBITRAGE_CONFIG, { MIN_PRICE_DIFF_PERCENT, TRADE_SIZE_ETH }));
+    // Changed after import, as --config and the overlay do
+    Object.assign(ARBITRAGE_CONFIG, { MIN_PRICE_DIFF_PERCENT: 5, TRADE_SIZE_ETH: 0.5 });
+
+    const result = await runBacktest(loadSnapshots(FIXTURE));
+
+    assert.deepStrictEqual(result.params, { tradeSizeEth: 0.5, minPriceDiffPercent: 5, executionDelayBlocks: 1 });
+    assert.strictEqual(result.trades, 0);
+  });
+
+  it("should sweep parameters and rank them by P&L", async () => {
+    const snapshots = loadSnapshots(FIXTURE);
+
+    const results = await sweepParameters(snapshots, { minPriceDiffPercent: [0.1, 2], tradeSizeEth: [0.1, 5] });
+
+    assert.strictEqual(results.length, 4);
+    assert.deepStrictEqual(results.map(r => r.totalPnlUsd), results.map(r => r.totalPnlUsd).sort((a, b) => b - a));
+    const strict = results.find(r => r.params.minPriceDiffPercent === 2 && r.params.tradeSizeEth === 0.1);
+    assert.strictEqual(strict.trades, 0);
+    assert.strictEqual(strict.hitRate, null);
+    // 5 ETH moves the V3 pool too far to pay off
+    assert.ok(results.at(-1).params.tradeSizeEth === 5 && results.at(-1).totalPnlUsd < 0);
+    assert.match(formatSweepTable(results), /n\/a/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the concentrated liquidity swap simulator
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  computeSwapStep,
+  createPoolState,
+  simulateExactInput,
+  simulateExactOutput
+} from "../src/clSimulator.js";
+
+const Q96 = 2n ** 96n;
+const FULL_RANGE_LOWER = -887220; // MIN_TICK rounded to tick spacing 60
+const FULL_RANGE_UPPER = 887220;
+const L1 = 10n ** 21n;
+const L2 = 5n * 10n ** 20n;
+
+/**
+ * Pool at price 1 with a full range position (L1) and a narrow [-600, 600] position (L2)
+ */
+function createTestPool(fee = 3000) {
+  return createPoolState({
+    sqrtPriceX96: Q96,
+    liquidity: L1 + L2,
+    fee,
+    tickSpacing: 60,
+    ticks: {
+      [FULL_RANGE_LOWER]: L1,
+      [-600]: L2,
+      [600]: -L2,
+      [FULL_RANGE_UPPER]: -L1
+    }
+  });
+}
+
+describe("TickMath", () => {
+  it("should match the min and max sqrt ratios", () => {
+    assert.strictEqual(getSqrtRatioAtTick(MIN_TICK), MIN_SQRT_RATIO);
+    assert.strictEqual(getSqrtRatioAtTick(MAX_TICK), MAX_SQRT_RATIO);
+  });
+
+  it("should return 2^96 at tick 0", () => {
+    assert.strictEqual(getSqrtRatioAtTick(0), Q96);
+  });
+
+  it("should be the inverse of getTickAtSqrtRatio", () => {
+    for (const tick of [MIN_TICK, -200000, -60, -1, 0, 1, 60, 200000, MAX_TICK - 1]) {
+      assert.strictEqual(getTickAtSqrtRatio(getSqrtRatioAtTick(tick)), tick);
+      // A price just below a tick's ratio belongs to the tick before it
+      if (tick > MIN_TICK) {
+        assert.strictEqual(getTickAtSqrtRatio(getSqrtRatioAtTick(tick) - 1n), tick - 1);
+      }
+    }
+  });
+
+  it("should reject ticks out of range", () => {
+    assert.throws(() => getSqrtRatioAtTick(MAX_TICK + 1), /out of range/);
+  });
+});
+
+describe("SwapMath", () => {
+  it("should stop at the target price when the input is large enough", () => {
+    const target = getSqrtRatioAtTick(-60);
+    const step = computeSwapStep(Q96, target, L1, 10n ** 30n, 3000);
+
+    assert.strictEqual(step.sqrtRatioNextX96, target);
+    assert.ok(step.amountIn > 0n);
+    assert.ok(step.feeAmount > 0n);
+  });
+
+  it("should take the whole input when the target is not reached", () => {
+    const amountIn = 10n ** 15n;
+    const step = computeSwapStep(Q96, getSqrtRatioAtTick(-6000), L1, amountIn, 3000);
+
+    assert.strictEqual(step.amountIn + step.feeAmount, amountIn);
+  });
+});
+
+describe("Swap Simulation", () => {
+  it("should match the closed-form output within a single range", () => {
+    const state = createTestPool();
+    const amountIn = 10n ** 15n;
+
+    const result = simulateExactInput(state, true, amountIn);
+
+    // x * y = L^2 with the fee taken from the input
+    const liquidity = L1 + L2;
+    const amountLessFee = (amountIn * 997000n) / 1000000n;
+    const numerator = (liquidity << 96n) * Q96;
+    const denominator = (liquidity << 96n) + amountLessFee * Q96;
+    const sqrtPriceAfter = numerator / denominator + (numerator % denominator > 0n ? 1n : 0n);
+    const expectedOut = (liquidity * (Q96 - sqrtPriceAfter)) / Q96;
+
+    assert.strictEqual(result.amountIn, amountIn);
+    assert.strictEqual(result.sqrtPriceX96After, sqrtPriceAfter);
+    assert.strictEqual(result.amountOut, expectedOut);
+    assert.strictEqual(result.initializedTicksCrossed, 0);
+  });
+
+  it("should apply liquidityNet when crossing an initialized tick", () => {
+    const state = createTestPool();
+
+    // Large enough to push the price below tick -600
+    const result = simulateExactInput(state, true, 10n ** 20n);
+
+    assert.strictEqual(result.initializedTicksCrossed, 1);
+    assert.strictEqual(result.liquidityAfter, L1);
+    assert.ok(result.tickAfter < -600);
+  });
+
+  it("should have more price impact for larger trades", () => {
+    const state = createTestPool();
+
+    const small = simulateExactInput(state, false, 10n ** 15n);
+    const large = simulateExactInput(state, false, 10n ** 20n);
+
+    // Average price received (token0 per token1) gets worse with size
+    assert.ok(large.amountOut * 10n ** 15n < small.amountOut * 10n ** 20n);
+  });
+
+  it("should not modify the pool state", () => {
+    const state = createTestPool();
+
+    simulateExactInput(state, true, 10n ** 20n);
+
+    assert.strictEqual(state.sqrtPriceX96, Q96);
+    assert.strictEqual(state.liquidity, L1 + L2);
+  });
+
+  it("should round trip exact output and exact input", () => {
+    const state = createTestPool(500);
+    const desiredOut = 3n * 10n ** 19n;
+
+    const exactOut = simulateExactOutput(state, true, desiredOut);
+    const exactIn = simulateExactInput(state, true, exactOut.amountIn);
+
+    assert.strictEqual(exactOut.amountOut, desiredOut);
+    assert.ok(exactIn.amountOut >= desiredOut);
+  });
+
+  it("should refuse to simulate beyond the loaded tick data", () => {
+    // Only the narrow position is known, so the bitmap ends near the current price
+    const state = createPoolState({
+      sqrtPriceX96: Q96,
+      liquidity: L2,
+      fee: 3000,
+      tickSpacing: 60,
+      ticks: { [-600]: L2, [600]: -L2 }
+    });
+
+    assert.throws(() => simulateExactInput(state, true, 10n ** 24n), /not loaded/);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the config loader
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { loadConfig, getCurrentConfig, getEnvOverrides, applyConfig } from "../src/configLoader.js";
+import { BASE_RPC_URL, ALTERNATIVE_RPC_URLS, TOKENS, POOLS, ARBITRAGE_CONFIG, GAS_CONFIG } from "../src/config.js";
+
+const defaults = getCurrentConfig();
+
+/**
+ * Writes a config file into a temporary directory
+ */
+function writeConfig(name, contents) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "config-")), name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+describe("Config Loader", () => {
+  // Other tests read the shared configs
+  afterEach(() => applyConfig(defaults));
+
+  it("should validate the built-in configuration", () => {
+    const { file, config } = loadConfig({ env: {} });
+
+    assert.strictEqual(file, null);
+    assert.deepStrictEqual(Object.keys(config.pools), ["WETH/USDC", "WETH/USDbC"]);
+    assert.strictEqual(GAS_CONFIG.SWAP_GAS_LIMIT, 250000n);
+  });
+
+  it("should apply a YAML file over the defaults", () => {
+    const file = writeConfig("team.yaml", [
+      "rpc:",
+      "  url: http://localhost:8545",
+      "  alternatives: []",
+      "pools:",
+      "  WETH/USDbC: null",
+      "  WETH/DAI:",
+      "    BASESWAP: { token0: WETH, token1: DAI }",
+      "arbitrage:",
+      "  MIN_PRICE_DIFF_PERCENT: 0.25",
+      "gas:",
+      "  SWAP_GAS_LIMIT: 300000"
+    ].join("\n"));
+
+    loadConfig({ file, env: {} });
+
+    assert.strictEqual(BASE_RPC_URL, "http://localhost:8545");
+    assert.deepStrictEqual(ALTERNATIVE_RPC_URLS, []);
+    assert.deepStrictEqual(Object.keys(POOLS), ["WETH/USDC", "WETH/DAI"]);
+    assert.deepStrictEqual(POOLS["WETH/DAI"].BASESWAP, {
+      token0: TOKENS.WETH.address,
+      token1: TOKENS.DAI.address,
+      isToken0Base: true,
+      fee: 2500
+    });
+    assert.strictEqual(ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT, 0.25);
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 1);
+    assert.strictEqual(GAS_CONFIG.SWAP_GAS_LIMIT, 300000n);
+  });
+
+  it("should let environment variables override the file", () => {
+    const file = writeConfig("team.json", JSON.stringify({ arbitrage: { TRADE_SIZE_ETH: 2 } }));
+    const env = {
+      ALTERNATIVE_RPC_URLS: "https://a.example, https://b.example",
+      DEX_TRADER__ARBITRAGE__TRADE_SIZE_ETH: "3",
+      DEX_TRADER__TRADESIZER__MAX_ITERATIONS: "80",
+      DEX_TRADER__TOKENS__DAI__NAME: "Dai"
+    };
+
+    assert.deepStrictEqual(getEnvOverrides({ DEX_TRADER__MULTICALL__ENABLED: "false" }).multicall, { ENABLED: false });
+    const { config } = loadConfig({ file, env });
+
+    assert.deepStrictEqual(ALTERNATIVE_RPC_URLS, ["https://a.example", "https://b.example"]);
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 3);
+    assert.strictEqual(config.tradeSizer.MAX_ITERATIONS, 80);
+    assert.strictEqual(TOKENS.DAI.name, "Dai");
+  });
+
+  it("should list every invalid value and apply nothing", () => {
+    const file = writeConfig("bad.yaml", [
+      "tokens:",
+      "  WETH: { address: \"0x4200000000000000000000000000000000000006\", symbol: WETH, name: Wrapped Ether, decimals: 80 }",
+      "  USDC: { address: \"0x833589fcd6edb6e08f4c7c32d4f71b54bda02913\" }",
+      "pools:",
+      "  WETH/USDC:",
+      "    SUSHISWAP: { address: \"0xd0b53D9277642d899DF5C87A3966A349A798F224\", fee: 500, token0: WETH, token1: USDC }",
+      "    AERODROME_CL: { token1: DAI }",
+      "arbitrage:",
+      "  MIN_PRICE_DIFF_PERCENT: \"0.2\"",
+      "  MAX_LEVERAGE: 10"
+    ].join("\n"));
+
+    assert.throws(() => loadConfig({ file, env: {} }), error => {
+      assert.match(error.message, /^Invalid configuration in .*bad\.yaml:/);
+      assert.match(error.message, /tokens\.WETH\.decimals: 80 is not an integer from 0 to 36/);
+      assert.match(error.message, /tokens\.USDC\.address: 0x833589fcd6edb6e08f4c7c32d4f71b54bda02913 is not checksummed \(expected 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913\)/);
+      assert.match(error.message, /pools\.WETH\/USDC\.SUSHISWAP: unknown DEX key SUSHISWAP/);
+      assert.match(error.message, /pools\.WETH\/USDC\.AERODROME_CL: trades WETH\/DAI, not WETH\/USDC/);
+      assert.match(error.message, /arbitrage\.MIN_PRICE_DIFF_PERCENT: "0\.2" is not a number/);
+      assert.match(error.message, /arbitrage\.MAX_LEVERAGE: unknown setting/);
+      return true;
+    });
+    assert.strictEqual(TOKENS.WETH.decimals, 18);
+    assert.ok(POOLS["WETH/USDC"].SUSHISWAP === undefined);
+  });
+
+  it("should fail fast on unreadable files and unknown sections", () => {
+    assert.throws(() => loadConfig({ file: "team.toml", env: {} }), /must end in \.yaml, \.yml or \.json/);
+    assert.throws(() => loadConfig({ file: writeConfig("bad.json", "{ arbitrage: }"), env: {} }), /Invalid JSON in/);
+    assert.throws(() => loadConfig({ file: writeConfig("bad.yaml", "wallets:\n  main: 0x1"), env: {} }), /Unknown config section "wallets"/);
+    assert.throws(() => loadConfig({ env: { DEX_TRADER__RISK__MAX: "1" } }), /Environment overrides \(DEX_TRADER__\*\): Unknown config section "RISK"/);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the runtime config overlay
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { AIAgent } from "../src/aiAgent.js";
+import { ARBITRAGE_CONFIG, GAS_CONFIG } from "../src/config.js";
+import { ConfigOverlay, resolveOverlayParams, applyConfigValues, formatConfigDiff } from "../src/configOverlay.js";
+
+const overlayPath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "overlay-")), "overlay.json");
+
+/**
+ * Queues a parameter change and decides it
+ */
+async function decide(agent, params, authorized = true) {
+  const { authRequestId } = await agent.requestAuthorization({
+    changeType: "modification",
+    file: "src/config.js",
+    description: `Set ${Object.keys(params).join(", ")}`,
+    params
+  });
+  if (authorized) {
+    agent.approveChange(authRequestId);
+  } else {
+    agent.rejectChange(authRequestId);
+  }
+  return agent.pendingChanges.find(change => change.id === authRequestId);
+}
+
+describe("Config Overlay", () => {
+  // Other tests read the shared configs
+  afterEach(() => applyConfigValues({}));
+
+  it("should apply only approved changes to the live configs", async () => {
+    const agent = new AIAgent();
+    const overlay = new ConfigOverlay({ path: overlayPath() });
+    const approved = await decide(agent, { MIN_PRICE_DIFF_PERCENT: 0.25, TRADE_SIZE_ETH: 2 });
+    const rejected = await decide(agent, { SLIPPAGE_TOLERANCE_PERCENT: 1 }, false);
+
+    const { revision, diff } = overlay.applyChange(approved, { decidedBy: "alice" });
+
+    assert.strictEqual(revision, 1);
+    assert.strictEqual(ARBITRAGE_CONFIG.MIN_PRICE_DIFF_PERCENT, 0.25);
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 2);
+    assert.deepStrictEqual(diff.map(change => [change.key, change.from, change.to]), [["MIN_PRICE_DIFF_PERCENT", 0.1, 0.25], ["TRADE_SIZE_ETH", 1, 2]]);
+    assert.match(formatConfigDiff(diff), /ARBITRAGE_CONFIG\.TRADE_SIZE_ETH: 1 → 2/);
+    assert.throws(() => overlay.applyChange(rejected), /is rejected; only approved changes are applied/);
+    assert.throws(() => overlay.applyChange(approved), /is already applied/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(overlay.config.path, "utf8")).revisions[0].decidedBy, "alice");
+  });
+
+  it("should roll back one revision at a time", async () => {
+    const agent = new AIAgent();
+    const overlay = new ConfigOverlay({ path: overlayPath() });
+    overlay.applyChange(await decide(agent, { TRADE_SIZE_ETH: 2 }));
+    overlay.applyChange(await decide(agent, { TRADE_SIZE_ETH: 3, SLIPPAGE_TOLERANCE_PERCENT: 0.8 }));
+
+    const first = overlay.rollback();
+    assert.strictEqual(first.revision, 1);
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 2);
+    assert.strictEqual(ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT, 0.5);
+    assert.deepStrictEqual(first.diff.map(change => [change.key, change.to]), [["TRADE_SIZE_ETH", 2], ["SLIPPAGE_TOLERANCE_PERCENT", 0.5]]);
+
+    overlay.rollback();
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 1);
+    assert.strictEqual(overlay.rolledBack.length, 2);
+    assert.throws(() => overlay.rollback(), /no revision to roll back/);
+  });
+
+  it("should hot-reload changes written by another process", async () => {
+    const file = overlayPath();
+    const monitor = new ConfigOverlay({ path: file });
+    const cli = new ConfigOverlay({ path: file });
+
+    assert.strictEqual(monitor.reload(), null);
+    cli.applyChange(await decide(new AIAgent(), { MIN_PROFIT_THRESHOLD_USD: 5, "GAS_CONFIG.SWAP_GAS_LIMIT": "300000" }));
+    applyConfigValues({});
+
+    // Force a different mtime, in case both writes fall in the same clock tick
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+    const diff = monitor.reload();
+
+    assert.deepStrictEqual(diff.map(change => change.key), ["SWAP_GAS_LIMIT", "MIN_PROFIT_THRESHOLD_USD"]);
+    assert.strictEqual(GAS_CONFIG.SWAP_GAS_LIMIT, 300000n);
+    assert.strictEqual(GAS_CONFIG.MIN_PROFIT_THRESHOLD_USD, 5);
+    assert.strictEqual(monitor.reload(), null);
+  });
+
+  it("should reject unknown parameters and values of the wrong type", () => {
+    assert.deepStrictEqual(resolveOverlayParams({ TRADE_SIZE_ETH: 2 }), { ARBITRAGE_CONFIG: { TRADE_SIZE_ETH: 2 } });
+    assert.throws(() => resolveOverlayParams({ MAX_LEVERAGE: 10 }), /Unknown config parameter MAX_LEVERAGE/);
+    assert.throws(() => resolveOverlayParams({ TRADE_SIZE_ETH: "2" }), /expected a number/);
+    assert.throws(() => resolveOverlayParams({ TRADE_SIZE_ETH: Infinity }), /Invalid value/);
+
+    const file = overlayPath();
+    fs.writeFileSync(file, JSON.stringify({ version: 1, revisions: [{ revision: 1, params: { TRADE_SIZE_ETH: null } }] }));
+    assert.throws(() => new ConfigOverlay({ path: file }).reload(), /Invalid value for ARBITRAGE_CONFIG.TRADE_SIZE_ETH/);
+    assert.strictEqual(ARBITRAGE_CONFIG.TRADE_SIZE_ETH, 1);
+  });
+});
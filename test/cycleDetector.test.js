@@ -0,0 +1,109 @@
+/**
+ * Tests for multi-hop cycle detection
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import { buildPriceGraph, estimateUsdPrices, findCycles, formatCycleReport } from "../src/cycleDetector.js";
+
+/**
+ * Builds a fetchPricesMultipleDEXes-style result for one pair
+ */
+function createPairData(pair, pools) {
+  const [token0, token1] = pair.split("/");
+  return {
+    pair,
+    token0,
+    token1,
+    prices: pools.map(([poolKey, price, fee]) => ({
+      dex: poolKey,
+      poolKey,
+      poolAddress: `0x${poolKey}`,
+      poolType: "V3",
+      fee,
+      priceToken0InToken1: price
+    }))
+  };
+}
+
+describe("Cycle Detection", () => {
+  it("should find a profitable stablecoin triangle", () => {
+    // USDbC trades at a premium to USDC on one pool: USDC -> USDbC -> DAI -> USDC returns ~0.3%
+    const graph = buildPriceGraph([
+      createPairData("USDC/USDbC", [["UNI_USDC_USDBC", 1.004, 100]]),
+      createPairData("USDbC/DAI", [["UNI_USDBC_DAI", 1.0, 100]]),
+      createPairData("USDC/DAI", [["UNI_USDC_DAI", 1.0, 100]])
+    ]);
+
+    const cycles = findCycles(graph, 0.01);
+
+    assert.strictEqual(cycles.length, 1);
+    const [cycle] = cycles;
+    assert.strictEqual(cycle.hops.length, 3);
+    assert.deepStrictEqual(cycle.hops.map(hop => hop.fee), [100, 100, 100]);
+    // 1.004 x 0.9999^3 - 1
+    assert.ok(Math.abs(cycle.returnPercent - (1.004 * 0.9999 ** 3 - 1) * 100) < 1e-9);
+    assert.ok(Math.abs(cycle.totalGasCostUsd - 0.03) < 1e-12);
+    assert.ok(cycle.isProfitable);
+  });
+
+  it("should report each cycle once regardless of its starting token", () => {
+    const graph = buildPriceGraph([
+      createPairData("USDC/USDbC", [["A", 1.004, 100]]),
+      createPairData("USDbC/DAI", [["B", 1.0, 100]]),
+      createPairData("USDC/DAI", [["C", 1.0, 100]])
+    ]);
+
+    const cycles = findCycles(graph, 0);
+
+    assert.strictEqual(cycles.length, 1);
+    assert.strictEqual(cycles[0].tokens.length, 4);
+    assert.strictEqual(cycles[0].tokens[0], cycles[0].tokens[3]);
+  });
+
+  it("should find cross-DEX round trips on one pair", () => {
+    const graph = buildPriceGraph([
+      createPairData("WETH/USDC", [["UNISWAP_V3", 2000, 500], ["AERODROME_CL", 2020, 100]])
+    ]);
+
+    const cycles = findCycles(graph, 0.05);
+
+    assert.strictEqual(cycles.length, 1);
+    assert.strictEqual(cycles[0].hops.length, 2);
+    const buyHop = cycles[0].hops.find(hop => hop.from === "USDC");
+    assert.strictEqual(buyHop.dex, "UNISWAP_V3");
+  });
+
+  it("should not report cycles that only lose fees", () => {
+    const graph = buildPriceGraph([
+      createPairData("WETH/USDC", [["UNISWAP_V3", 2000, 500], ["AERODROME_CL", 2000, 100]]),
+      createPairData("WETH/USDbC", [["UNISWAP_V3", 2000, 500]]),
+      createPairData("USDC/USDbC", [["UNISWAP_V3", 1, 100]])
+    ]);
+
+    assert.deepStrictEqual(findCycles(graph, 0), []);
+    assert.ok(formatCycleReport([]).includes("No cycle"));
+  });
+
+  it("should respect the hop limit", () => {
+    const graph = buildPriceGraph([
+      createPairData("USDC/USDbC", [["A", 1.004, 100]]),
+      createPairData("USDbC/DAI", [["B", 1.0, 100]]),
+      createPairData("USDC/DAI", [["C", 1.0, 100]])
+    ]);
+
+    assert.deepStrictEqual(findCycles(graph, 0, { maxHops: 2 }), []);
+  });
+
+  it("should skip failed pools and value tokens against the USD anchor", () => {
+    const pairData = createPairData("WETH/USDC", [["UNISWAP_V3", 2000, 500]]);
+    pairData.prices.push({ dex: "BaseSwap", error: "Insufficient liquidity" });
+
+    const graph = buildPriceGraph([pairData]);
+    const usdPrices = estimateUsdPrices(graph, "USDC");
+
+    assert.strictEqual(graph.edges.get("WETH").length, 1);
+    assert.strictEqual(usdPrices.WETH, 2000);
+  });
+});
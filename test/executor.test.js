@@ -0,0 +1,234 @@
+/**
+ * Tests for the trade executor
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { TradeExecutor, applySlippage, buildSwapTransaction, planArbitrage } from "../src/executor.js";
+import { TOKENS, DEXES, ARBITRAGE_CONFIG } from "../src/config.js";
+import {
+  UNISWAP_V3_SWAP_ROUTER_ABI,
+  AERODROME_CL_SWAP_ROUTER_ABI,
+  UNISWAP_V2_ROUTER_ABI,
+  ERC20_ABI
+} from "../src/abis.js";
+import { createFakeChain, createPriceData, createAnalysis } from "./fixtures/chain.js";
+
+const v3Router = new ethers.Interface(UNISWAP_V3_SWAP_ROUTER_ABI);
+const clRouter = new ethers.Interface(AERODROME_CL_SWAP_ROUTER_ABI);
+const v2Router = new ethers.Interface(UNISWAP_V2_ROUTER_ABI);
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+const TRADER = "0x00000000000000000000000000000000000000aa";
+
+/**
+ * Fake chain whose routers return their amountOutMinimum + 1 and revert without
+ * allowance; approvals sent by the signer apply
+ */
+function createTradingChain() {
+  const allowances = new Map();
+  return createFakeChain({
+    address: TRADER,
+    answer(tx) {
+      const to = tx.to.toLowerCase();
+      const selector = tx.data.slice(0, 10);
+
+      if (selector === erc20.getFunction("allowance").selector) {
+        const [, spender] = erc20.decodeFunctionData("allowance", tx.data);
+        return erc20.encodeFunctionResult("allowance", [allowances.get(`${to}:${spender.toLowerCase()}`) ?? 0n]);
+      }
+      if (!allowances.has(`${tokenInOf(tx)}:${to}`)) {
+        throw ethers.makeError("execution reverted: STF", "CALL_EXCEPTION");
+      }
+      if (to === DEXES.UNISWAP_V3.swapRouter.toLowerCase()) {
+        const { params } = decodeV3Swap(tx.data);
+        const result = v3Router.encodeFunctionResult("exactInputSingle", [params.amountOutMinimum + 1n]);
+        return v3Router.encodeFunctionResult("multicall(uint256,bytes[])", [[result]]);
+      }
+      const [amountIn, amountOutMin] = v2Router.decodeFunctionData("swapExactTokensForTokens", tx.data);
+      return v2Router.encodeFunctionResult("swapExactTokensForTokens", [[amountIn, amountOutMin + 1n]]);
+    },
+    onSend(tx) {
+      if (tx.data.startsWith(erc20.getFunction("approve").selector)) {
+        const [spender, amount] = erc20.decodeFunctionData("approve", tx.data);
+        allowances.set(`${tx.to.toLowerCase()}:${spender.toLowerCase()}`, amount);
+      }
+    }
+  });
+}
+
+/**
+ * Deadline and exactInputSingle params of a SwapRouter02 multicall
+ */
+function decodeV3Swap(data) {
+  const [deadline, calls] = v3Router.decodeFunctionData("multicall(uint256,bytes[])", data);
+  return { deadline, params: v3Router.decodeFunctionData("exactInputSingle", calls[0])[0] };
+}
+
+/**
+ * Input token of a router swap
+ */
+function tokenInOf(tx) {
+  const to = tx.to.toLowerCase();
+  if (to === DEXES.UNISWAP_V3.swapRouter.toLowerCase()) {
+    return decodeV3Swap(tx.data).params.tokenIn.toLowerCase();
+  }
+  return v2Router.decodeFunctionData("swapExactTokensForTokens", tx.data)[2][0].toLowerCase();
+}
+
+describe("Trade Executor", () => {
+  it("should apply the slippage tolerance rounding down", () => {
+    assert.strictEqual(applySlippage(1_000_000n, 0.5), 995_000n);
+    assert.strictEqual(applySlippage(999n, 0.5), 994n);
+    assert.strictEqual(applySlippage(1_000_000n, 0), 1_000_000n);
+    assert.throws(() => applySlippage(1n, 101), /Invalid slippage/);
+  });
+
+  it("should encode the swap for each router", () => {
+    const deadline = 1700000000n;
+    const [weth, usdc] = [TOKENS.WETH.address, TOKENS.USDC.address];
+
+    const v3 = buildSwapTransaction({ poolType: "V3", fee: 500 }, usdc, weth, 10n, 9n, TRADER, deadline);
+    assert.strictEqual(v3.to, DEXES.UNISWAP_V3.swapRouter);
+    const v3Swap = decodeV3Swap(v3.data);
+    assert.strictEqual(v3Swap.params.fee, 500n);
+    // SwapRouter02 params have no deadline; the multicall wrapper carries it
+    assert.strictEqual(v3Swap.deadline, deadline);
+
+    const cl = buildSwapTransaction({ poolType: "CL", tickSpacing: 100 }, usdc, weth, 10n, 9n, TRADER, deadline);
+    const [clParams] = clRouter.decodeFunctionData("exactInputSingle", cl.data);
+    assert.strictEqual(cl.to, DEXES.AERODROME.clSwapRouter);
+    assert.strictEqual(clParams.tickSpacing, 100n);
+    assert.strictEqual(clParams.deadline, deadline);
+
+    const v2 = buildSwapTransaction({ poolType: "V2", dexKey: "SWAPBASED" }, weth, usdc, 10n, 9n, TRADER, deadline);
+    const [, amountOutMin, path] = v2Router.decodeFunctionData("swapExactTokensForTokens", v2.data);
+    assert.strictEqual(v2.to, DEXES.SWAPBASED.router);
+    assert.strictEqual(amountOutMin, 9n);
+    assert.deepStrictEqual([...path], [weth, usdc]);
+  });
+
+  it("should derive minimum outputs from the quotes and the slippage tolerance", async () => {
+    const plan = await planArbitrage(createTradingChain(), createPriceData(), createAnalysis(), { from: TRADER });
+
+    assert.strictEqual(plan.buy.amountIn, 2000n * 10n ** 6n);
+    assert.strictEqual(plan.buy.expectedAmountOut, 999n * 10n ** 15n);
+    assert.strictEqual(plan.buy.amountOutMinimum, applySlippage(999n * 10n ** 15n, 0.5));
+    // The sell leg spends what the buy leg guarantees
+    assert.strictEqual(plan.sell.amountIn, plan.buy.amountOutMinimum);
+    assert.strictEqual(plan.sell.amountOutMinimum, applySlippage(plan.sell.expectedAmountOut, 0.5));
+    assert.strictEqual(plan.sell.router, DEXES.BASESWAP.router);
+    assert.strictEqual(decodeV3Swap(plan.buy.tx.data).deadline, plan.deadline);
+  });
+
+  it("should read the slippage tolerance from the current config when planning", async (t) => {
+    // As after a --config file or an approved overlay change
+    const original = ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT;
+    t.after(() => { ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT = original; });
+    ARBITRAGE_CONFIG.SLIPPAGE_TOLERANCE_PERCENT = 2;
+
+    const plan = await planArbitrage(createTradingChain(), createPriceData(), createAnalysis(), { from: TRADER });
+    assert.strictEqual(plan.slippageTolerancePercent, 2);
+    assert.strictEqual(plan.buy.amountOutMinimum, applySlippage(999n * 10n ** 15n, 2));
+
+    const explicit = await planArbitrage(createTradingChain(), createPriceData(), createAnalysis(), { from: TRADER, slippageTolerancePercent: 1 });
+    assert.strictEqual(explicit.buy.amountOutMinimum, applySlippage(999n * 10n ** 15n, 1));
+  });
+
+  it("should only simulate in dry-run mode", async () => {
+    const chain = createTradingChain();
+    const executor = new TradeExecutor(chain, { signer: chain.signer });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.mode, "dry-run");
+    assert.strictEqual(result.status, "simulated");
+    assert.strictEqual(chain.sent.length, 0);
+    assert.strictEqual(result.simulation.buy.success, false);
+    assert.strictEqual(result.simulation.buy.needsApproval, true);
+    assert.match(result.simulation.buy.error, /STF/);
+  });
+
+  it("should wait for authorization before trading live", async () => {
+    const chain = createTradingChain();
+    const executor = new TradeExecutor(chain, { mode: "live", signer: chain.signer });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.status, "pending_authorization");
+    assert.strictEqual(chain.sent.length, 0);
+  });
+
+  it("should refuse live trades that are not profitable after gas", async () => {
+    const chain = createTradingChain();
+    const authCallback = async () => ({ authorized: true });
+    const executor = new TradeExecutor(chain, { mode: "live", signer: chain.signer, authCallback });
+
+    const result = await executor.execute(createPriceData(), createAnalysis({ isProfitableAfterGas: false }));
+
+    assert.strictEqual(result.status, "aborted");
+    assert.strictEqual(chain.sent.length, 0);
+  });
+
+  it("should refuse live trades that can lose money within the slippage tolerance", async () => {
+    const chain = createTradingChain();
+    const authorizations = [];
+    const authCallback = async (request) => {
+      authorizations.push(request);
+      return { authorized: true };
+    };
+    const priceData = createPriceData();
+    // BaseSwap at 2005: the spread does not survive 0.5% slippage on both legs
+    priceData.prices[1].reserve1 = (2_005_000n * 10n ** 6n).toString();
+    const executor = new TradeExecutor(chain, { mode: "live", signer: chain.signer, authCallback });
+
+    const result = await executor.execute(priceData, createAnalysis());
+    assert.strictEqual(result.status, "aborted");
+    assert.match(result.error, /Worst-case profit -[\d.]+ USDC is not positive/);
+    assert.strictEqual(authorizations.length, 0);
+    assert.strictEqual(chain.sent.length, 0);
+
+    // Positive, but below the gas of both swaps
+    const expensiveGas = { ...createAnalysis(), profitAnalysis: { tradeAmountEth: 1, netProfitUsd: 25, gasCostUsd: 1000 } };
+    const gasResult = await new TradeExecutor(chain, { mode: "live", signer: chain.signer, authCallback }).execute(createPriceData(), expensiveGas);
+    assert.strictEqual(gasResult.status, "aborted");
+    assert.match(gasResult.error, /does not cover gas/);
+    assert.strictEqual(authorizations.length, 0);
+  });
+
+  it("should approve the routers and submit both legs once authorized", async () => {
+    const chain = createTradingChain();
+    const requests = [];
+    const authCallback = async (request) => {
+      requests.push(request);
+      return { authorized: true };
+    };
+    const executor = new TradeExecutor(chain, { mode: "live", signer: chain.signer, authCallback });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.status, "executed", result.error);
+    assert.strictEqual(requests[0].action, "execute_trade");
+    assert.deepStrictEqual(result.transactions.map(tx => tx.label), ["approve USDC", "buy", "approve WETH", "sell"]);
+    assert.ok(result.transactions.every(tx => tx.status === "confirmed"));
+    // Gas limit includes the 20% buffer
+    assert.strictEqual(chain.sent[1].gasLimit, 180000n);
+  });
+
+  it("should rehearse a trade against a forked node", { skip: !process.env.FORK_RPC_URL }, async () => {
+    const { createProvider, fetchPricesMultipleDEXes } = await import("../src/priceFetcher.js");
+    const { analyzeArbitrage } = await import("../src/arbitrage.js");
+    const provider = createProvider(process.env.FORK_RPC_URL);
+
+    const priceData = await fetchPricesMultipleDEXes(provider, "WETH/USDC");
+    const analysis = analyzeArbitrage(priceData.prices, 0.1, 0);
+    const executor = new TradeExecutor(provider, { from: TRADER });
+    const result = await executor.execute(priceData, analysis);
+
+    assert.strictEqual(result.status, "simulated");
+    assert.ok(result.plan.buy.tx.data.length > 10);
+    provider.destroy();
+  });
+});
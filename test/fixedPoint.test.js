@@ -0,0 +1,174 @@
+/**
+ * Tests for exact fixed-point price math
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import {
+  Q96,
+  Rounding,
+  divRound,
+  parseFixed,
+  formatFixed,
+  fixedToNumber,
+  scaleAmount,
+  sqrtPriceX96ToPriceFixed,
+  sqrtPriceX96ToInversePriceFixed,
+  reservesToPriceFixed
+} from "../src/fixedPoint.js";
+import { sqrtPriceX96ToPrice, reservesToPrice, fetchUniswapV3Price } from "../src/priceFetcher.js";
+import { calculatePotentialProfit, calculatePotentialProfitFixed } from "../src/arbitrage.js";
+import { UNISWAP_V3_POOL_ABI } from "../src/abis.js";
+
+// sqrtPriceX96 of a WETH/USDC pool at roughly 2000 USDC per WETH
+const SQRT_PRICE_2000 = 3543191142285914205922034n;
+
+/**
+ * Asserts two numbers agree within a relative tolerance
+ */
+function assertClose(actual, expected, tolerance = 1e-12) {
+  const relative = Math.abs(actual - expected) / Math.abs(expected);
+  assert.ok(relative < tolerance, `${actual} differs from ${expected} by ${relative}`);
+}
+
+describe("Fixed-Point Arithmetic", () => {
+  it("should round in the requested direction", () => {
+    assert.strictEqual(divRound(7n, 2n, Rounding.DOWN), 3n);
+    assert.strictEqual(divRound(7n, 2n, Rounding.UP), 4n);
+    assert.strictEqual(divRound(7n, 2n, Rounding.HALF_UP), 4n);
+    assert.strictEqual(divRound(-7n, 2n, Rounding.DOWN), -4n);
+    assert.strictEqual(divRound(-7n, 2n, Rounding.UP), -3n);
+    assert.strictEqual(divRound(-7n, 2n, Rounding.HALF_UP), -3n);
+    assert.strictEqual(divRound(6n, 2n, Rounding.UP), 3n);
+  });
+
+  it("should reject division by zero", () => {
+    assert.throws(() => divRound(1n, 0n), /Division by zero/);
+  });
+
+  it("should parse decimals without binary rounding errors", () => {
+    assert.strictEqual(parseFixed(0.1), 10n ** 17n);
+    assert.strictEqual(parseFixed("2000.5"), 20005n * 10n ** 17n);
+    assert.strictEqual(parseFixed("-1.25", 2), -125n);
+    assert.strictEqual(parseFixed(1e-7), 10n ** 11n);
+    assert.strictEqual(parseFixed("0.129", 2, Rounding.UP), 13n);
+    assert.throws(() => parseFixed("abc"), /Invalid decimal/);
+  });
+
+  it("should format fixed-point values losslessly", () => {
+    assert.strictEqual(formatFixed(20005n * 10n ** 17n), "2000.5");
+    assert.strictEqual(fixedToNumber(parseFixed("1999.999")), 1999.999);
+  });
+
+  it("should scale amounts between USDC and WETH decimals", () => {
+    assert.strictEqual(scaleAmount(1_500_000n, 6, 18), 15n * 10n ** 17n);
+    assert.strictEqual(scaleAmount(1_234_567_890_123n, 18, 6), 1n);
+    assert.strictEqual(scaleAmount(1_234_567_890_123n, 18, 6, Rounding.UP), 2n);
+  });
+});
+
+describe("Exact Prices", () => {
+  it("should convert sqrtPriceX96 exactly", () => {
+    // Price 1 in raw units between 18 and 6 decimal tokens is 10^12
+    assert.strictEqual(sqrtPriceX96ToPriceFixed(Q96, 18, 6), 10n ** 30n);
+    assert.strictEqual(sqrtPriceX96ToInversePriceFixed(Q96, 18, 6), 10n ** 6n);
+    assert.strictEqual(sqrtPriceX96ToPriceFixed(0n, 18, 6), 0n);
+  });
+
+  it("should agree with the float path", () => {
+    const samples = [SQRT_PRICE_2000, Q96, 79228162514264337593543n, 2n ** 120n + 12345n];
+    for (const sqrtPriceX96 of samples) {
+      for (const [d0, d1] of [[18, 6], [6, 18], [18, 18]]) {
+        // Prices as small as 1e-21 (6 -> 18 decimals) need more than the default 18 decimals
+        const exact = fixedToNumber(sqrtPriceX96ToPriceFixed(sqrtPriceX96, d0, d1, Rounding.DOWN, 40), 40);
+        assertClose(exact, sqrtPriceX96ToPrice(sqrtPriceX96, d0, d1));
+      }
+    }
+  });
+
+  it("should bracket the true price between DOWN and UP rounding", () => {
+    const down = sqrtPriceX96ToPriceFixed(SQRT_PRICE_2000, 18, 6, Rounding.DOWN);
+    const up = sqrtPriceX96ToPriceFixed(SQRT_PRICE_2000, 18, 6, Rounding.UP);
+
+    assert.strictEqual(up - down, 1n);
+  });
+
+  it("should agree with the float path for V2 reserves", () => {
+    const reserve0 = 1234n * 10n ** 18n;
+    const reserve1 = 2_468_913_580_246n;
+
+    assertClose(fixedToNumber(reservesToPriceFixed(reserve0, reserve1, 18, 6)), reservesToPrice(reserve0, reserve1, 18, 6));
+  });
+
+  it("should add exact prices to fetched pool data when requested", async () => {
+    const pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+    const runner = {
+      async call(tx) {
+        const name = pool.parseTransaction({ data: tx.data }).name;
+        if (name === "slot0") {
+          return pool.encodeFunctionResult("slot0", [SQRT_PRICE_2000, -200311, 0, 1, 1, 0, true]);
+        }
+        return pool.encodeFunctionResult("liquidity", [10n ** 18n]);
+      }
+    };
+    const poolAddress = "0x000000000000000000000000000000000000a500";
+
+    const plain = await fetchUniswapV3Price(runner, poolAddress, 18, 6);
+    const exact = await fetchUniswapV3Price(runner, poolAddress, 18, 6, "Uniswap V3", { exact: true });
+
+    assert.strictEqual(plain.priceToken0InToken1Exact, undefined);
+    assert.strictEqual(typeof exact.priceToken0InToken1Exact, "string");
+    assertClose(Number(exact.priceToken0InToken1Exact), exact.priceToken0InToken1);
+    assertClose(Number(exact.priceToken1InToken0Exact), exact.priceToken1InToken0);
+  });
+});
+
+describe("Exact Profit Calculation", () => {
+  it("should agree with the float path", () => {
+    const float = calculatePotentialProfit(2000, 2010, 1.5, 0.5);
+    const exact = calculatePotentialProfitFixed("2000", "2010", "1.5", "0.5");
+
+    assertClose(fixedToNumber(exact.costToBuy), float.costToBuy);
+    assertClose(fixedToNumber(exact.revenueFromSell), float.revenueFromSell);
+    assertClose(fixedToNumber(exact.grossProfitQuote), float.grossProfitQuote, 1e-9);
+    assertClose(fixedToNumber(exact.profitPercent), float.profitPercent, 1e-9);
+  });
+
+  it("should agree with the float path including pool fees", () => {
+    const fees = { buyFee: 500, sellFee: 100 };
+    const float = calculatePotentialProfit(2000, 2010, 1.5, 0.5, fees);
+    const exact = calculatePotentialProfitFixed("2000", "2010", "1.5", "0.5", undefined, fees);
+
+    assertClose(fixedToNumber(exact.effectiveBuyPrice), float.effectiveBuyPrice);
+    assertClose(fixedToNumber(exact.effectiveSellPrice), float.effectiveSellPrice);
+    assertClose(fixedToNumber(exact.grossProfitQuote), float.grossProfitQuote, 1e-9);
+  });
+
+  it("should keep precision as the fifth argument", () => {
+    const exact = calculatePotentialProfitFixed("2000", "2010", "1.5", "0.5", 6);
+
+    assert.strictEqual(exact.precision, 6);
+    assert.strictEqual(exact.tradeAmount, 1_500_000n);
+    assertClose(fixedToNumber(exact.grossProfitQuote, 6), calculatePotentialProfit(2000, 2010, 1.5, 0.5).grossProfitQuote, 1e-5);
+  });
+
+  it("should accept fixed-point prices from the exact fetch path", () => {
+    const buyPrice = sqrtPriceX96ToPriceFixed(SQRT_PRICE_2000, 18, 6, Rounding.UP);
+    const sellPrice = parseFixed("2050");
+
+    const exact = calculatePotentialProfitFixed(buyPrice, sellPrice, "1", "0");
+
+    assert.strictEqual(exact.effectiveBuyPrice, buyPrice);
+    assert.strictEqual(exact.grossProfitQuote, sellPrice - buyPrice);
+  });
+
+  it("should never round in the trader's favour", () => {
+    // 1/3 ETH cannot be represented exactly, so cost rounds up and revenue rounds down
+    const exact = calculatePotentialProfitFixed("2000", "2000", parseFixed("1") / 3n, "0");
+
+    assert.ok(exact.costToBuy >= exact.revenueFromSell);
+    assert.ok(exact.grossProfitQuote <= 0n);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Shared test fixtures: WETH/USDC price data and analyses, a fake chain for the executors
+ * and an answerer for Multicall3 aggregate3 batches
+ */
+
+import { ethers } from "ethers";
+
+import { DEXES, MULTICALL_CONFIG } from "../../src/config.js";
+import { UNISWAP_V3_QUOTER_V2_ABI, MULTICALL3_ABI } from "../../src/abis.js";
+
+const quoter = new ethers.Interface(UNISWAP_V3_QUOTER_V2_ABI);
+const multicall3 = new ethers.Interface(MULTICALL3_ABI);
+
+export const MULTICALL = MULTICALL_CONFIG.ADDRESS.toLowerCase();
+export const V3_POOL = "0x000000000000000000000000000000000000a500";
+export const V2_PAIR = "0x000000000000000000000000000000000000b002";
+
+// sqrtPriceX96 of ~2000 USDC per WETH
+export const SQRT_PRICE_2000 = 3543191142285914205922034n;
+
+/**
+ * WETH/USDC price data: Uniswap V3 at 2000, BaseSwap at 2040
+ * @returns {Object} Price data as fetchPricesMultipleDEXes returns it
+ */
+export function createPriceData() {
+  return {
+    pair: "WETH/USDC",
+    token0: "WETH",
+    token1: "USDC",
+    prices: [
+      { dex: "Uniswap V3", poolType: "V3", fee: 500, poolAddress: V3_POOL, priceToken0InToken1: 2000 },
+      {
+        dex: "BaseSwap",
+        dexKey: "BASESWAP",
+        poolType: "V2",
+        fee: 2500,
+        poolAddress: V2_PAIR,
+        reserve0: (1000n * 10n ** 18n).toString(),
+        reserve1: (2_040_000n * 10n ** 6n).toString(),
+        priceToken0InToken1: 2040
+      }
+    ]
+  };
+}
+
+/**
+ * Minimal analyzeArbitrage result buying 1 WETH on one DEX and selling it on the other
+ * @param {Object} options - { buyFrom (default Uniswap V3), sellTo (default BaseSwap), isProfitableAfterGas }
+ * @returns {Object} Analysis
+ */
+export function createAnalysis({ buyFrom = "Uniswap V3", sellTo = "BaseSwap", isProfitableAfterGas = true } = {}) {
+  return {
+    hasOpportunity: true,
+    isProfitableAfterGas,
+    direction: { buyFrom, buyPrice: 2000, sellTo, sellPrice: 2040 },
+    profitAnalysis: { tradeAmountEth: 1, netProfitUsd: 25 }
+  };
+}
+
+/**
+ * Fake chain for the executors: the Uniswap V3 quoter returns 0.999 WETH per 2000 USDC and
+ * every other call goes to answer; the signer records each transaction in chain.sent
+ * @param {Object} options - Fake chain options
+ * @param {string} options.address - Address of the signer
+ * @param {Function} options.answer - (tx, chain) => return data of a call other than a quote
+ * @param {bigint} [options.gasEstimate] - Answer of estimateGas (default 150000)
+ * @param {Object} [options.feeData] - Answer of getFeeData (default 0.1 gwei)
+ * @param {Function} [options.onSend] - Called with each transaction the signer sends
+ * @returns {Object} Fake provider with a signer
+ */
+export function createFakeChain({ address, answer, gasEstimate = 150000n, feeData = null, onSend = null }) {
+  const chain = {
+    sent: [],
+    async call(tx) {
+      if (tx.to.toLowerCase() === DEXES.UNISWAP_V3.quoter.toLowerCase()) {
+        return quoter.encodeFunctionResult("quoteExactInputSingle", [999n * 10n ** 15n, 0n, 1, 100000n]);
+      }
+      return answer(tx, chain);
+    },
+    async estimateGas() {
+      return gasEstimate;
+    },
+    async getFeeData() {
+      return feeData ?? { gasPrice: 10n ** 8n, maxFeePerGas: null, maxPriorityFeePerGas: null };
+    },
+    signer: {
+      async getAddress() {
+        return address;
+      },
+      async sendTransaction(tx) {
+        onSend?.(tx);
+        chain.sent.push(tx);
+        const hash = ethers.id(`tx${chain.sent.length}`);
+        return { hash, wait: async () => ({ status: 1, hash, blockNumber: 100, gasUsed: 120000n }) };
+      }
+    }
+  };
+  return chain;
+}
+
+/**
+ * Decodes the calls of a Multicall3 aggregate3 transaction
+ * @param {Object} tx - Call to Multicall3
+ * @returns {Object[]} Calls ({ target, allowFailure, callData })
+ */
+export function decodeAggregate3(tx) {
+  return multicall3.decodeFunctionData("aggregate3", tx.data)[0];
+}
+
+/**
+ * Answers a Multicall3 aggregate3 transaction one call at a time
+ * Multicall3's own getBlockNumber and getBasefee are answered here; other calls go to answer
+ * @param {Object} tx - Call to Multicall3
+ * @param {Function} answer - (target in lower case, callData) => [success, returnData]
+ * @param {Object} options - { blockNumber (default 100), basefee (default 1) }
+ * @returns {string} Encoded aggregate3 results
+ */
+export function answerAggregate3(tx, answer, { blockNumber = 100n, basefee = 1n } = {}) {
+  const results = decodeAggregate3(tx).map(({ target, callData }) => {
+    const selector = callData.slice(0, 10);
+    if (target.toLowerCase() === MULTICALL && selector === multicall3.getFunction("getBlockNumber").selector) {
+      return [true, multicall3.encodeFunctionResult("getBlockNumber", [blockNumber])];
+    }
+    if (target.toLowerCase() === MULTICALL && selector === multicall3.getFunction("getBasefee").selector) {
+      return [true, multicall3.encodeFunctionResult("getBasefee", [basefee])];
+    }
+    return answer(target.toLowerCase(), callData);
+  });
+  return multicall3.encodeFunctionResult("aggregate3", [results]);
+}
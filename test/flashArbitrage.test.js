@@ -0,0 +1,188 @@
+/**
+ * Tests for the flash arbitrage client
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ethers } from "ethers";
+
+import {
+  FLASH_ARBITRAGE_CONFIG,
+  FlashArbitrageExecutor,
+  loadFlashArbitrageArtifact,
+  deployFlashArbitrage,
+  planFlashArbitrage,
+  simulateFlashArbitrage,
+  describeFlashArbitrageError
+} from "../src/flashArbitrage.js";
+import { applySlippage } from "../src/executor.js";
+import { TOKENS, DEXES } from "../src/config.js";
+import { FLASH_ARBITRAGE_ABI } from "../src/abis.js";
+import { createFakeChain, createPriceData, createAnalysis, V3_POOL } from "./fixtures/chain.js";
+
+const flash = new ethers.Interface(FLASH_ARBITRAGE_ABI);
+
+const OWNER = "0x00000000000000000000000000000000000000aa";
+const CONTRACT = "0x000000000000000000000000000000000000f1a5";
+
+/**
+ * Fake chain whose contract, called by its owner, returns a profit of 30 USDC, or reverts
+ * with InsufficientProfit when minProfit is above it; gas is 0.1 gwei
+ */
+function createFlashChain() {
+  return createFakeChain({
+    address: OWNER,
+    gasEstimate: 300000n,
+    answer(tx) {
+      if (tx.data === flash.encodeFunctionData("owner")) {
+        return flash.encodeFunctionResult("owner", [OWNER]);
+      }
+      if (tx.from?.toLowerCase() !== OWNER) {
+        throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: flash.encodeErrorResult("Unauthorized") });
+      }
+      const [params] = flash.decodeFunctionData("execute", tx.data);
+      const profit = 30n * 10n ** 6n;
+      if (params.minProfit > profit) {
+        const data = flash.encodeErrorResult("InsufficientProfit", [params.amountIn + profit, params.amountIn + params.minProfit]);
+        throw ethers.makeError("execution reverted", "CALL_EXCEPTION", { data });
+      }
+      return flash.encodeFunctionResult("execute", [profit]);
+    }
+  });
+}
+
+describe("Flash Arbitrage", () => {
+  it("should encode the contract call from an arbitrage analysis", async () => {
+    const plan = await planFlashArbitrage(createFlashChain(), createPriceData(), createAnalysis(), { contractAddress: CONTRACT });
+    const [params] = flash.decodeFunctionData("execute", plan.tx.data);
+
+    assert.strictEqual(plan.from.toLowerCase(), OWNER);
+    assert.strictEqual(plan.tx.to, CONTRACT);
+    assert.strictEqual(params.buyPool.toLowerCase(), V3_POOL);
+    assert.strictEqual(params.tokenIn, TOKENS.USDC.address);
+    assert.strictEqual(params.tokenOut, TOKENS.WETH.address);
+    assert.strictEqual(params.amountIn, 2000n * 10n ** 6n);
+    assert.strictEqual(params.sellKind, 2n);
+    assert.strictEqual(params.sellRouter, DEXES.BASESWAP.router);
+    // Worst case profit at the slippage tolerance
+    assert.strictEqual(params.minProfit, plan.sell.amountOutMinimum - params.amountIn);
+    assert.strictEqual(plan.sell.amountIn, applySlippage(999n * 10n ** 15n, 0.5));
+  });
+
+  it("should only flash-swap from concentrated liquidity pools", async () => {
+    await assert.rejects(
+      planFlashArbitrage(createFlashChain(), createPriceData(), createAnalysis({ buyFrom: "BaseSwap", sellTo: "Uniswap V3" }), { contractAddress: CONTRACT }),
+      /must be a Uniswap V3 or Aerodrome CL pool/
+    );
+    await assert.rejects(
+      planFlashArbitrage(createFlashChain(), createPriceData(), createAnalysis()),
+      /No FlashArbitrage contract address/
+    );
+  });
+
+  it("should decode the contract's profit check when simulating", async () => {
+    const chain = createFlashChain();
+    const options = { contractAddress: CONTRACT, minProfit: 50n * 10n ** 6n };
+    const plan = await planFlashArbitrage(chain, createPriceData(), createAnalysis(), options);
+
+    const simulation = await simulateFlashArbitrage(chain, plan);
+
+    assert.strictEqual(simulation.success, false);
+    assert.match(simulation.error, /^InsufficientProfit: received 2030000000, required 2050000000$/);
+    const unauthorized = ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: flash.encodeErrorResult("Unauthorized") });
+    assert.strictEqual(describeFlashArbitrageError(unauthorized), "Unauthorized");
+  });
+
+  it("should simulate without sending in dry-run mode", async () => {
+    const chain = createFlashChain();
+    const executor = new FlashArbitrageExecutor(chain, { contractAddress: CONTRACT, signer: chain.signer });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.status, "simulated");
+    assert.strictEqual(result.simulation.profitFormatted, 30);
+    assert.strictEqual(chain.sent.length, 0);
+  });
+
+  it("should add the simulated gas to the minimum profit", async () => {
+    const chain = createFlashChain();
+    const executor = new FlashArbitrageExecutor(chain, { contractAddress: CONTRACT, signer: chain.signer });
+
+    const { plan } = await executor.execute(createPriceData(), createAnalysis());
+    const [params] = flash.decodeFunctionData("execute", plan.tx.data);
+
+    // 300000 gas at 0.1 gwei is 0.00003 ETH, 0.06 USDC at the buy price of 2000
+    assert.strictEqual(plan.gasCost, 60000n);
+    assert.strictEqual(plan.gasCostFormatted, 0.06);
+    assert.strictEqual(params.minProfit, plan.sell.amountOutMinimum - plan.buy.amountIn + 60000n);
+    assert.strictEqual(plan.minProfit, params.minProfit);
+
+    // An explicit minimum is kept as given
+    const explicit = new FlashArbitrageExecutor(chain, { contractAddress: CONTRACT, signer: chain.signer, minProfit: 5n });
+    assert.strictEqual((await explicit.execute(createPriceData(), createAnalysis())).plan.minProfit, 5n);
+  });
+
+  it("should refuse a live trade whose simulated profit does not cover gas", async () => {
+    const chain = createFlashChain();
+    const authCallback = async () => ({ authorized: true });
+    // 1000 gwei: 0.3 ETH of gas, 600 USDC against a profit of 30
+    const executor = new FlashArbitrageExecutor(chain, {
+      mode: "live", contractAddress: CONTRACT, signer: chain.signer, authCallback, gasPrice: 10n ** 12n
+    });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.status, "aborted");
+    assert.strictEqual(result.error, "Simulated profit 30 USDC does not cover gas (600)");
+    assert.strictEqual(chain.sent.length, 0);
+  });
+
+  it("should submit one transaction once authorized", async () => {
+    const chain = createFlashChain();
+    const authCallback = async () => ({ authorized: true });
+    const executor = new FlashArbitrageExecutor(chain, { mode: "live", contractAddress: CONTRACT, signer: chain.signer, authCallback });
+
+    const result = await executor.execute(createPriceData(), createAnalysis());
+
+    assert.strictEqual(result.status, "executed", result.error);
+    assert.deepStrictEqual(result.transactions.map(tx => tx.label), ["flash arbitrage"]);
+    assert.strictEqual(chain.sent[0].to, CONTRACT);
+    assert.strictEqual(chain.sent[0].gasLimit, 360000n);
+  });
+
+  it("should load the compiled contract or say how to build it", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flash-"));
+    const artifactPath = path.join(dir, "FlashArbitrage.json");
+
+    assert.throws(() => loadFlashArbitrageArtifact(artifactPath), /npm run build:contracts/);
+
+    fs.writeFileSync(artifactPath, JSON.stringify({ abi: FLASH_ARBITRAGE_ABI, bytecode: { object: "0x6080" } }));
+    assert.deepStrictEqual(loadFlashArbitrageArtifact(artifactPath), { abi: FLASH_ARBITRAGE_ABI, bytecode: "0x6080" });
+  });
+
+  // Uses FLASH_ARBITRAGE_ADDRESS, or deploys the `npm run build:contracts` build from the
+  // fork's first unlocked account (anvil)
+  it("should revert on a forked node unless profit clears the minimum",
+    { skip: !(process.env.FORK_RPC_URL && (process.env.FLASH_ARBITRAGE_ADDRESS || fs.existsSync(FLASH_ARBITRAGE_CONFIG.artifactPath))) }, async () => {
+      const { createProvider, fetchPricesMultipleDEXes } = await import("../src/priceFetcher.js");
+      const { analyzeArbitrage } = await import("../src/arbitrage.js");
+      const provider = createProvider(process.env.FORK_RPC_URL);
+      const contractAddress = process.env.FLASH_ARBITRAGE_ADDRESS ?? await deployFlashArbitrage(await provider.getSigner());
+
+      const priceData = await fetchPricesMultipleDEXes(provider, "WETH/USDC");
+      const analysis = analyzeArbitrage(priceData.prices, 0.1, 0);
+      const plan = await planFlashArbitrage(provider, priceData, analysis, {
+        contractAddress,
+        // More than the whole trade: the contract must refuse it
+        minProfit: 10n ** 12n
+      });
+      const simulation = await simulateFlashArbitrage(provider, plan);
+
+      assert.strictEqual(simulation.success, false);
+      assert.match(simulation.error, /InsufficientProfit|Too little received|INSUFFICIENT_OUTPUT_AMOUNT/);
+      provider.destroy();
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for the event-driven live monitor
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { LiveMonitor, applySwapEvent, applySyncEvent } from "../src/liveMonitor.js";
+import { UNISWAP_V3_POOL_ABI, UNISWAP_V2_PAIR_ABI } from "../src/abis.js";
+import { sqrtPriceX96ToPrice } from "../src/priceFetcher.js";
+import { POOLS } from "../src/config.js";
+import { answerAggregate3, MULTICALL, V3_POOL, V2_PAIR, SQRT_PRICE_2000 } from "./fixtures/chain.js";
+
+const v3Pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const v2Pair = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+
+const REFERENCE_POOL = POOLS["WETH/USDC"].UNISWAP_V3.address.toLowerCase();
+
+// sqrtPriceX96 of ~2040 USDC per WETH, after a swap
+const SQRT_PRICE_2040 = 3578466466394068064337383n;
+
+/**
+ * WETH/USDC price data with a Uniswap V3 pool and a V2 pair at 2000
+ */
+function createPriceData() {
+  return {
+    pair: "WETH/USDC",
+    token0: "WETH",
+    token1: "USDC",
+    prices: [
+      {
+        dex: "Uniswap V3",
+        poolAddress: V3_POOL,
+        poolType: "V3",
+        fee: 500,
+        isToken0Base: true,
+        priceToken0InToken1: 2000,
+        liquidity: "1000000"
+      },
+      {
+        dex: "BaseSwap",
+        poolAddress: V2_PAIR,
+        poolType: "V2",
+        fee: 2500,
+        isToken0Base: true,
+        reserve0: (1000n * 10n ** 18n).toString(),
+        reserve1: (2_000_000n * 10n ** 6n).toString(),
+        priceToken0InToken1: 2000,
+        liquidity: "1000000"
+      }
+    ]
+  };
+}
+
+/**
+ * Fake WebSocket provider that records subscriptions and lets the test emit logs
+ * Pools read directly are at 2040 at the head block; in a Multicall3 batch only the
+ * Uniswap V3 pool of WETH/USDC answers, at 2000, with a base fee of 2 gwei
+ */
+function createFakeProvider() {
+  const listeners = new Map();
+  const provider = {
+    listeners,
+    head: 100,
+    reads: [],
+    async getBlockNumber() {
+      return provider.head;
+    },
+    async getFeeData() {
+      return { gasPrice: 1_000_000n };
+    },
+    async call(tx) {
+      const selector = tx.data.slice(0, 10);
+      if (tx.to.toLowerCase() !== MULTICALL) {
+        provider.reads.push({ to: tx.to.toLowerCase(), blockTag: tx.blockTag });
+        return selector === v3Pool.getFunction("slot0").selector
+          ? v3Pool.encodeFunctionResult("slot0", [SQRT_PRICE_2040, -200110, 0, 1, 1, 0, true])
+          : v3Pool.encodeFunctionResult("liquidity", [10n ** 18n]);
+      }
+      return answerAggregate3(tx, answerBatchCall, { basefee: 2n * 10n ** 9n });
+    },
+    async on(event, listener) {
+      listeners.set(typeof event === "string" ? event : event.address, listener);
+    },
+    async off(event) {
+      listeners.delete(typeof event === "string" ? event : event.address);
+    }
+  };
+  return provider;
+}
+
+/**
+ * Answers one pool call of an aggregate3 batch
+ */
+function answerBatchCall(target, callData) {
+  const selector = callData.slice(0, 10);
+  if (target === REFERENCE_POOL) {
+    return selector === v3Pool.getFunction("slot0").selector
+      ? [true, v3Pool.encodeFunctionResult("slot0", [SQRT_PRICE_2000, -200311, 0, 1, 1, 0, true])]
+      : [true, v3Pool.encodeFunctionResult("liquidity", [10n ** 18n])];
+  }
+  return [false, "0x"];
+}
+
+/**
+ * Encodes a Swap event log of a V3 pool
+ */
+function createSwapLog(sqrtPriceX96, blockNumber) {
+  const { topics, data } = v3Pool.encodeEventLog("Swap", [
+    ethers.ZeroAddress, ethers.ZeroAddress, 10n ** 18n, -(2000n * 10n ** 6n), sqrtPriceX96, 10n ** 18n, -200110
+  ]);
+  return { address: V3_POOL, topics, data, blockNumber, removed: false };
+}
+
+describe("Live Monitor", () => {
+  it("should re-price a V3 pool from Swap event data", () => {
+    const [v3Price] = createPriceData().prices;
+
+    const updated = applySwapEvent(v3Price, { sqrtPriceX96: SQRT_PRICE_2040, liquidity: 5n, tick: -200110 }, 18, 6, 123);
+
+    assert.strictEqual(updated.priceToken0InToken1, sqrtPriceX96ToPrice(SQRT_PRICE_2040, 18, 6));
+    assert.strictEqual(updated.tick, -200110);
+    assert.strictEqual(updated.liquidity, "5");
+    assert.strictEqual(updated.blockNumber, 123);
+  });
+
+  it("should re-price a V2 pair from Sync event data in base/quote order", () => {
+    const v2Price = { ...createPriceData().prices[1], isToken0Base: false };
+
+    // token0 is USDC here: 2,100,000 USDC against 1000 WETH
+    const updated = applySyncEvent(v2Price, { reserve0: 2_100_000n * 10n ** 6n, reserve1: 1000n * 10n ** 18n }, 18, 6, 7);
+
+    assert.ok(Math.abs(updated.priceToken0InToken1 - 2100) < 1e-9);
+    assert.strictEqual(updated.reserve0, (2_100_000n * 10n ** 6n).toString());
+  });
+
+  it("should subscribe to every pool and to new blocks", async () => {
+    const provider = createFakeProvider();
+    const monitor = new LiveMonitor(provider, "WETH/USDC");
+
+    await monitor.start(createPriceData());
+
+    assert.ok(provider.listeners.has(V3_POOL));
+    assert.ok(provider.listeners.has(V2_PAIR));
+    assert.ok(provider.listeners.has("block"));
+
+    await monitor.stop();
+    assert.strictEqual(provider.listeners.size, 0);
+  });
+
+  it("should detect an opportunity from a Swap event and stamp its block", async () => {
+    const provider = createFakeProvider();
+    const monitor = new LiveMonitor(provider, "WETH/USDC");
+    const opportunities = [];
+    monitor.on("opportunity", analysis => opportunities.push(analysis));
+
+    const initial = await monitor.start(createPriceData());
+    assert.strictEqual(initial.hasOpportunity, false);
+
+    provider.listeners.get(V3_POOL)(createSwapLog(SQRT_PRICE_2040, 101));
+
+    assert.strictEqual(opportunities.length, 1);
+    assert.strictEqual(opportunities[0].blockNumber, 101);
+    assert.strictEqual(opportunities[0].direction.buyFrom, "BaseSwap");
+    assert.strictEqual(opportunities[0].direction.sellTo, "Uniswap V3");
+    assert.ok(opportunities[0].detectionLatencyMs >= 0);
+    assert.strictEqual(monitor.stats.events, 1);
+  });
+
+  it("should re-price V2 pairs from Sync events", async () => {
+    const provider = createFakeProvider();
+    const monitor = new LiveMonitor(provider, "WETH/USDC");
+    await monitor.start(createPriceData());
+
+    const { topics, data } = v2Pair.encodeEventLog("Sync", [1000n * 10n ** 18n, 1_950_000n * 10n ** 6n]);
+    const analysis = provider.listeners.get(V2_PAIR)({ address: V2_PAIR, topics, data, blockNumber: 102, removed: false });
+
+    const v2Price = monitor.getPrices().find(p => p.poolType === "V2");
+    assert.ok(Math.abs(v2Price.priceToken0InToken1 - 1950) < 1e-9);
+    assert.strictEqual(analysis.blockNumber, 102);
+  });
+
+  it("should re-read a pool at the new head when a reorg removes its log", async () => {
+    const provider = createFakeProvider();
+    const monitor = new LiveMonitor(provider, "WETH/USDC");
+    const opportunities = [];
+    monitor.on("opportunity", analysis => opportunities.push(analysis));
+    await monitor.start(createPriceData());
+
+    // The removed log's price is never applied: the pool is at 2040 on the new chain
+    provider.head = 102;
+    const analysis = await provider.listeners.get(V3_POOL)({ ...createSwapLog(SQRT_PRICE_2000, 101), removed: true });
+
+    const v3Price = monitor.getPrices()[0];
+    assert.strictEqual(v3Price.priceToken0InToken1, sqrtPriceX96ToPrice(SQRT_PRICE_2040, 18, 6));
+    assert.strictEqual(v3Price.blockNumber, 102);
+    assert.deepStrictEqual(provider.reads, [{ to: V3_POOL, blockTag: 102 }, { to: V3_POOL, blockTag: 102 }]);
+    assert.strictEqual(analysis.blockNumber, 102);
+    assert.strictEqual(opportunities.length, 1);
+    assert.strictEqual(monitor.stats.removedLogs, 1);
+    assert.strictEqual(monitor.stats.events, 0);
+  });
+
+  it("should value gas from WETH/USDC when the pair has no WETH leg", async () => {
+    const provider = createFakeProvider();
+    const monitor = new LiveMonitor(provider, "DAI/USDC");
+    const priceData = {
+      pair: "DAI/USDC",
+      token0: "DAI",
+      token1: "USDC",
+      prices: createPriceData().prices.map(price => ({ ...price, priceToken0InToken1: 1 }))
+    };
+
+    await monitor.start(priceData);
+
+    // WETH is valued at the reference pool's 2000, not the 2500 fallback, at the batch's gas price
+    assert.strictEqual(monitor.ethPriceSource, "pools");
+    assert.strictEqual(monitor.gasCost.gasPriceWei, (2n * 10n ** 9n).toString());
+    assert.ok(Math.abs(monitor.gasCost.gasCostUsd / monitor.gasCost.gasCostEth - 2000) < 1e-6);
+    assert.strictEqual(monitor.gasCostQuote, monitor.gasCost.gasCostUsd);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the Prometheus metrics
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { MetricsCollector, METRIC_DEFINITIONS } from "../src/metrics.js";
+import { ProviderPool } from "../src/providerPool.js";
+import { ApiServer } from "../src/apiServer.js";
+import { AIAgent, ERROR_CATEGORIES } from "../src/aiAgent.js";
+
+/**
+ * Fake endpoint whose requests are answered by handler (which may throw)
+ */
+function createEndpoint(url, handler) {
+  return { url, provider: { async _perform(req) { return handler(req); } } };
+}
+
+/**
+ * Sample lines of one metric, without HELP / TYPE
+ */
+function samples(text, name) {
+  return text.split("\n").filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+const PRICE_DATA = {
+  pair: "WETH/USDC",
+  prices: [
+    { dex: "Uniswap V3", priceToken0InToken1: 2000 },
+    { dex: "BaseSwap", priceToken0InToken1: 2040 },
+    { dex: "SwapBased", error: "execution reverted" }
+  ]
+};
+
+const ANALYSIS = {
+  hasOpportunity: true,
+  isProfitableAfterGas: true,
+  priceDifference: { percent: 2, meetsThreshold: true },
+  profitAnalysis: { netProfitUsd: 12.5 }
+};
+
+describe("Metrics", () => {
+  it("should keep the metric names alerts are written against", () => {
+    assert.deepStrictEqual(Object.keys(METRIC_DEFINITIONS), [
+      "dex_trader_rpc_request_duration_seconds",
+      "dex_trader_rpc_request_failures_total",
+      "dex_trader_rpc_latency_ms",
+      "dex_trader_rpc_endpoint_up",
+      "dex_trader_price_fetches_total",
+      "dex_trader_price_fetch_failures_total",
+      "dex_trader_spread_percent",
+      "dex_trader_net_profit_usd",
+      "dex_trader_opportunities_detected_total",
+      "dex_trader_opportunities_profitable_total",
+      "dex_trader_last_analysis_timestamp_seconds",
+      "dex_trader_gas_price_gwei",
+      "dex_trader_swap_gas_cost_usd",
+      "dex_trader_agent_errors",
+      "dex_trader_agent_health_score",
+      "dex_trader_agent_pending_changes"
+    ]);
+  });
+
+  it("should export RPC latency and failures per endpoint host", async () => {
+    const metrics = new MetricsCollector();
+    const primary = createEndpoint("https://primary.example/v2/SECRET", () => { throw ethers.makeError("connection refused", "NETWORK_ERROR"); });
+    const backup = createEndpoint("https://backup.example", () => "0x10");
+    const pool = new ProviderPool([primary, backup], { healthCheckIntervalMs: 0, failureThreshold: 1, onRequest: metrics.observeRpcRequest });
+    metrics.setProviderPool(pool);
+
+    await pool._perform({ method: "getBlockNumber" });
+    const text = metrics.render();
+
+    assert.ok(!text.includes("SECRET"));
+    assert.deepStrictEqual(samples(text, "dex_trader_rpc_request_failures_total"), [
+      "dex_trader_rpc_request_failures_total{endpoint=\"primary.example\"} 1",
+      "dex_trader_rpc_request_failures_total{endpoint=\"backup.example\"} 0"
+    ]);
+    assert.ok(text.includes("dex_trader_rpc_request_duration_seconds_count{endpoint=\"backup.example\"} 1"));
+    assert.ok(text.includes("dex_trader_rpc_request_duration_seconds_bucket{endpoint=\"backup.example\",le=\"+Inf\"} 1"));
+    assert.ok(text.includes("dex_trader_rpc_endpoint_up{endpoint=\"primary.example\"} 0"));
+    assert.ok(text.includes("dex_trader_rpc_endpoint_up{endpoint=\"backup.example\"} 1"));
+  });
+
+  it("should export fetch failures, spread, opportunities and gas of a run", () => {
+    const metrics = new MetricsCollector();
+    const gasCost = { gasPriceGwei: 0.005, gasCostUsd: 0.0025 };
+
+    metrics.observeRun({ pair: "WETH/USDC", priceData: PRICE_DATA, gasCost, analysis: ANALYSIS });
+    metrics.observeRun({ pair: "WETH/USDC", priceData: PRICE_DATA, gasCost, analysis: { ...ANALYSIS, isProfitableAfterGas: false } });
+    let text = metrics.render();
+
+    assert.ok(text.includes("dex_trader_price_fetch_failures_total{pair=\"WETH/USDC\",dex=\"SwapBased\"} 2"));
+    assert.ok(text.includes("dex_trader_price_fetch_failures_total{pair=\"WETH/USDC\",dex=\"BaseSwap\"} 0"));
+    assert.ok(text.includes("dex_trader_price_fetches_total{pair=\"WETH/USDC\",dex=\"BaseSwap\"} 2"));
+    assert.ok(text.includes("dex_trader_spread_percent{pair=\"WETH/USDC\"} 2"));
+    assert.ok(text.includes("dex_trader_opportunities_detected_total{pair=\"WETH/USDC\"} 2"));
+    assert.ok(text.includes("dex_trader_opportunities_profitable_total{pair=\"WETH/USDC\"} 1"));
+    assert.ok(text.includes("dex_trader_gas_price_gwei 0.005"));
+
+    // Too few prices: the spread is dropped, not left stale
+    metrics.observeAnalysis("WETH/USDC", { hasOpportunity: false, reason: "Insufficient valid price data from DEXes" });
+    text = metrics.render();
+    assert.deepStrictEqual(samples(text, "dex_trader_spread_percent"), []);
+    assert.ok(text.includes("dex_trader_opportunities_detected_total{pair=\"WETH/USDC\"} 2"));
+  });
+
+  it("should export AI agent errors by category and the health score", () => {
+    const aiAgent = new AIAgent();
+    const metrics = new MetricsCollector({ aiAgent });
+    aiAgent.analyzeError(new Error("Network connection failed"));
+    aiAgent.analyzeError(new Error("Request timeout"));
+
+    const text = metrics.render();
+    const errors = samples(text, "dex_trader_agent_errors");
+
+    assert.strictEqual(errors.length, Object.keys(ERROR_CATEGORIES).length);
+    assert.ok(errors.includes(`dex_trader_agent_errors{category="${ERROR_CATEGORIES.NETWORK}"} 2`));
+    assert.ok(errors.includes(`dex_trader_agent_errors{category="${ERROR_CATEGORIES.GAS}"} 0`));
+    assert.ok(text.includes(`dex_trader_agent_health_score ${aiAgent.getSystemHealth().score}`));
+  });
+
+  it("should be served at /metrics in the text format", async () => {
+    const metrics = new MetricsCollector();
+    metrics.observeGas({ gasPriceGwei: 0.01, gasCostUsd: 0.005 });
+    const server = new ApiServer({}, { port: 0, metrics });
+    const baseUrl = await server.start();
+
+    try {
+      const response = await fetch(`${baseUrl}/metrics`);
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+      assert.match(await response.text(), /^# TYPE dex_trader_gas_price_gwei gauge\ndex_trader_gas_price_gwei 0\.01$/m);
+    } finally {
+      await server.stop();
+    }
+  });
+});
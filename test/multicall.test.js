@@ -0,0 +1,184 @@
+/**
+ * Tests for Multicall3 batching of pool reads
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { multicall, fetchPricesBatched, fetchPairPrices } from "../src/multicall.js";
+import { DEXES, POOLS } from "../src/config.js";
+import {
+  UNISWAP_V3_POOL_ABI,
+  AERODROME_CL_POOL_ABI,
+  UNISWAP_V2_PAIR_ABI,
+  UNISWAP_V2_FACTORY_ABI
+} from "../src/abis.js";
+import { sqrtPriceX96ToPrice } from "../src/priceFetcher.js";
+import { answerAggregate3, decodeAggregate3, MULTICALL, V2_PAIR, SQRT_PRICE_2000 } from "./fixtures/chain.js";
+
+const v3Pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const v2Pair = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const v2Factory = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+const clPool = new ethers.Interface(AERODROME_CL_POOL_ABI);
+
+const UNISWAP_V3_POOL = POOLS["WETH/USDC"].UNISWAP_V3.address.toLowerCase();
+
+/**
+ * Fake contract runner for WETH/USDC: aggregate3 answers the Uniswap V3 pool and the
+ * BaseSwap pair, reverts on the Aerodrome CL pool; SwapBased has no pair. The node suggests
+ * priorityFee, if given
+ */
+function createFakeRunner({ failBatch = false, priorityFee = null } = {}) {
+  const runner = {
+    batches: [],
+    directCalls: 0,
+    async _perform(req) {
+      if (req.method !== "getPriorityFee" || priorityFee === null) {
+        throw new Error(`Unsupported request ${req.method}`);
+      }
+      return ethers.toQuantity(priorityFee);
+    },
+    async call(tx) {
+      const to = tx.to.toLowerCase();
+
+      if (to === DEXES.BASESWAP.factory.toLowerCase()) {
+        return v2Factory.encodeFunctionResult("getPair", [V2_PAIR]);
+      }
+      if (to === DEXES.SWAPBASED.factory.toLowerCase()) {
+        return v2Factory.encodeFunctionResult("getPair", [ethers.ZeroAddress]);
+      }
+      if (to !== MULTICALL) {
+        runner.directCalls++;
+        throw new Error(`Unexpected call to ${tx.to}`);
+      }
+      if (failBatch) {
+        throw new Error("Multicall3 not deployed");
+      }
+
+      runner.batches.push({ calls: decodeAggregate3(tx), blockTag: tx.blockTag });
+      return answerAggregate3(tx, answer, { blockNumber: 12345678n, basefee: 5_000_000n });
+    }
+  };
+  return runner;
+}
+
+/**
+ * Answers one pool call of an aggregate3 batch
+ */
+function answer(target, callData) {
+  const ok = (iface, method, values) => [true, iface.encodeFunctionResult(method, values)];
+  const selector = callData.slice(0, 10);
+
+  if (target === UNISWAP_V3_POOL) {
+    return selector === v3Pool.getFunction("slot0").selector
+      ? ok(v3Pool, "slot0", [SQRT_PRICE_2000, -200311, 0, 1, 1, 0, true])
+      : ok(v3Pool, "liquidity", [10n ** 18n]);
+  }
+  if (target === V2_PAIR) {
+    return ok(v2Pair, "getReserves", [1000n * 10n ** 18n, 2_010_000n * 10n ** 6n, 0]);
+  }
+  // Aerodrome CL pool reverts
+  return [false, "0x"];
+}
+
+describe("Multicall Batching", () => {
+  it("should read the block number and base fee in the same batch", async () => {
+    const runner = createFakeRunner();
+    const calls = [{ target: UNISWAP_V3_POOL, interface: v3Pool, method: "liquidity" }];
+
+    const { blockNumber, basefee, results } = await multicall(runner, calls);
+
+    assert.strictEqual(runner.batches.length, 1);
+    assert.strictEqual(runner.batches[0].calls.length, 3);
+    assert.strictEqual(blockNumber, 12345678);
+    assert.strictEqual(basefee, 5_000_000n);
+    assert.deepStrictEqual(results.map(r => r.success), [true]);
+    assert.strictEqual(results[0].value[0], 10n ** 18n);
+  });
+
+  it("should surface reverting and undecodable calls as errors", async () => {
+    const runner = createFakeRunner();
+    const calls = [
+      { target: POOLS["WETH/USDC"].AERODROME_CL.address, interface: clPool, method: "liquidity" },
+      // The V2 pair answers getReserves, which does not decode as slot0
+      { target: V2_PAIR, interface: v3Pool, method: "slot0" }
+    ];
+
+    const { results } = await multicall(runner, calls);
+
+    assert.deepStrictEqual(results.map(r => r.success), [false, false]);
+    assert.ok(results[0].error.includes("reverted"));
+  });
+
+  it("should price every pool of a pair from one batch at one block", async () => {
+    const runner = createFakeRunner();
+
+    const { blockNumber, gasData, pairs } = await fetchPricesBatched(runner, ["WETH/USDC"]);
+    const [priceData] = pairs;
+    const byDex = Object.fromEntries(priceData.prices.map(p => [p.dex, p]));
+
+    // slot0 + liquidity for two CL pools, getReserves for one pair, block number and base fee
+    assert.strictEqual(runner.batches.length, 1);
+    assert.strictEqual(runner.batches[0].calls.length, 7);
+    assert.strictEqual(runner.directCalls, 0);
+
+    assert.strictEqual(blockNumber, 12345678);
+    assert.strictEqual(gasData.gasPrice, "5000000");
+    assert.strictEqual(priceData.blockNumber, 12345678);
+
+    const uniswap = byDex[DEXES.UNISWAP_V3.name];
+    assert.strictEqual(uniswap.priceToken0InToken1, sqrtPriceX96ToPrice(SQRT_PRICE_2000, 18, 6));
+    assert.strictEqual(uniswap.poolType, "V3");
+    assert.strictEqual(uniswap.blockNumber, 12345678);
+
+    const baseswap = byDex[DEXES.BASESWAP.name];
+    assert.ok(Math.abs(baseswap.priceToken0InToken1 - 2010) < 1e-9);
+    assert.strictEqual(baseswap.poolAddress.toLowerCase(), V2_PAIR);
+  });
+
+  it("should add the node's priority fee to the base fee of the batch", async () => {
+    const { gasData } = await fetchPricesBatched(createFakeRunner({ priorityFee: 1_000_000n }), ["WETH/USDC"]);
+
+    assert.strictEqual(gasData.basefee, "5000000");
+    assert.strictEqual(gasData.maxPriorityFeePerGas, "1000000");
+    assert.strictEqual(gasData.gasPrice, "6000000");
+    assert.strictEqual(gasData.gasPriceGwei, 0.006);
+
+    // A node without eth_maxPriorityFeePerGas leaves the base fee
+    const { gasData: baseOnly } = await fetchPricesBatched(createFakeRunner(), ["WETH/USDC"]);
+    assert.strictEqual(baseOnly.gasPrice, "5000000");
+    assert.strictEqual(baseOnly.maxPriorityFeePerGas, null);
+  });
+
+  it("should return failed pools as { dex, error } entries", async () => {
+    const runner = createFakeRunner();
+
+    const { pairs: [priceData] } = await fetchPricesBatched(runner, ["WETH/USDC"]);
+    const failed = priceData.prices.filter(p => p.error);
+
+    assert.strictEqual(priceData.prices.length, 4);
+    assert.deepStrictEqual(failed.map(p => p.dex).sort(), ["Aerodrome CL", DEXES.SWAPBASED.name].sort());
+    assert.ok(failed.every(p => Object.keys(p).length === 2));
+  });
+
+  it("should pin the batch to an explicit block", async () => {
+    const runner = createFakeRunner();
+
+    await fetchPricesBatched(runner, ["WETH/USDC"], null, { blockTag: 12345000 });
+
+    assert.strictEqual(runner.batches[0].blockTag, 12345000);
+  });
+
+  it("should fall back to per-pool calls when the batch fails", async () => {
+    const runner = createFakeRunner({ failBatch: true });
+
+    const result = await fetchPairPrices(runner, ["WETH/USDC"]);
+
+    assert.strictEqual(result.batched, false);
+    assert.ok(result.batchError.includes("Multicall3 not deployed"));
+    assert.strictEqual(result.gasData, null);
+    assert.ok(runner.directCalls > 0);
+    assert.ok(result.pairs[0].prices.every(p => p.error));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for structured output
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import { buildRunDocument, buildErrorDocument, serializeDocument, redirectConsole, OUTPUT_SCHEMA_VERSION } from "../src/output.js";
+import { analyzeArbitrage } from "../src/arbitrage.js";
+import { buildSlot0PriceData, buildReservesPriceData, orientPoolPrice } from "../src/priceFetcher.js";
+import { POOLS } from "../src/config.js";
+
+/**
+ * A run result shaped like the one main() returns
+ */
+function createResult() {
+  const v3 = buildSlot0PriceData("Uniswap V3", POOLS["WETH/USDC"].UNISWAP_V3.address, 3543191142285914205922034n, -200312, 45000000000000000n, 18, 6);
+  const v2 = buildReservesPriceData("BaseSwap", "0x41d160033C222E6f3722EC97379867324567d883", 1000n * 10n ** 18n, 2040n * 1000n * 10n ** 6n, 18, 6);
+  const prices = [
+    orientPoolPrice(v3, "UNISWAP_V3", POOLS["WETH/USDC"].UNISWAP_V3),
+    orientPoolPrice(v2, "BASESWAP", POOLS["WETH/USDC"].BASESWAP)
+  ];
+  return {
+    pair: "WETH/USDC",
+    priceData: { pair: "WETH/USDC", token0: "WETH", token1: "USDC", prices },
+    gasCost: { gasPriceWei: 5000000n, gasPriceGwei: 0.005, gasLimit: 250000n, gasCostEth: 1.25e-6, gasCostUsd: 0.0025 },
+    quote: null,
+    sizing: null,
+    analysis: analyzeArbitrage(prices, 1, 0.0025),
+    execution: null,
+    blockNumber: 100,
+    fetchDurationMs: 42,
+    aiAgent: { diagnostics: [], recommendations: [] }
+  };
+}
+
+describe("Structured Output", () => {
+  it("should serialize a run with BigInt values as decimal strings", () => {
+    const document = JSON.parse(serializeDocument(buildRunDocument(createResult()), "json"));
+
+    assert.strictEqual(document.schemaVersion, OUTPUT_SCHEMA_VERSION);
+    assert.strictEqual(document.type, "run");
+    assert.deepStrictEqual(Object.keys(document), [
+      "schemaVersion", "type", "timestamp", "pair", "blockNumber", "fetchDurationMs",
+      "priceData", "gasCost", "quote", "sizing", "analysis", "execution", "aiAgent"
+    ]);
+    assert.strictEqual(document.priceData.prices[0].sqrtPriceX96, "3543191142285914205922034");
+    assert.strictEqual(document.gasCost.gasLimit, "250000");
+    assert.strictEqual(document.analysis.hasOpportunity, true);
+  });
+
+  it("should write one line per document in ndjson", () => {
+    const text = serializeDocument(buildRunDocument(createResult()), "ndjson");
+
+    assert.strictEqual(text.split("\n").length, 2);
+    assert.ok(text.endsWith("}\n"));
+    assert.strictEqual(JSON.parse(text).blockNumber, 100);
+  });
+
+  it("should describe a failed run", () => {
+    const error = Object.assign(new Error("could not detect network"), { code: "NETWORK_ERROR" });
+    const document = JSON.parse(serializeDocument(buildErrorDocument(error, { pair: "WETH/USDC", diagnosis: { category: "network", cause: error } }), "ndjson"));
+
+    assert.strictEqual(document.type, "error");
+    assert.deepStrictEqual(document.error, { message: "could not detect network", code: "NETWORK_ERROR" });
+    assert.deepStrictEqual(document.diagnosis.cause, { name: "Error", message: "could not detect network" });
+  });
+
+  it("should keep console.log off stdout", (t) => {
+    const original = { log: console.log, info: console.info };
+    t.after(() => Object.assign(console, original));
+    const stderr = t.mock.method(console, "error", () => {});
+
+    redirectConsole();
+    console.log("banner");
+    assert.deepStrictEqual(stderr.mock.calls.map(call => call.arguments), [["banner"]]);
+
+    redirectConsole({ quiet: true });
+    console.info("banner");
+    assert.strictEqual(stderr.mock.calls.length, 1);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for pool discovery from DEX factories
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ethers } from "ethers";
+
+import {
+  sortTokens,
+  getTokenPairs,
+  discoverPoolsForPair,
+  savePoolRegistry,
+  loadPoolRegistry,
+  listKnownPairs
+} from "../src/poolDiscovery.js";
+import { TOKENS, DEXES, POOLS } from "../src/config.js";
+import {
+  UNISWAP_V3_FACTORY_ABI,
+  AERODROME_CL_FACTORY_ABI,
+  AERODROME_CL_POOL_ABI,
+  UNISWAP_V2_FACTORY_ABI
+} from "../src/abis.js";
+
+const v3Factory = new ethers.Interface(UNISWAP_V3_FACTORY_ABI);
+const clFactory = new ethers.Interface(AERODROME_CL_FACTORY_ABI);
+const clPool = new ethers.Interface(AERODROME_CL_POOL_ABI);
+const v2Factory = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+
+const V3_POOL = "0x000000000000000000000000000000000000a500";
+const CL_POOL = "0x000000000000000000000000000000000000c100";
+const V2_PAIR = "0x000000000000000000000000000000000000b002";
+
+/**
+ * Fake contract runner that answers factory lookups:
+ * a Uniswap V3 0.05% pool, an Aerodrome CL tick spacing 100 pool and a BaseSwap pair
+ */
+function createFakeRunner() {
+  return {
+    async call(tx) {
+      const to = tx.to.toLowerCase();
+      const selector = tx.data.slice(0, 10);
+
+      if (to === DEXES.UNISWAP_V3.factory.toLowerCase()) {
+        const [, , fee] = v3Factory.decodeFunctionData("getPool", tx.data);
+        return v3Factory.encodeFunctionResult("getPool", [fee === 500n ? V3_POOL : ethers.ZeroAddress]);
+      }
+      if (to === DEXES.AERODROME.clFactory.toLowerCase()) {
+        const [, , tickSpacing] = clFactory.decodeFunctionData("getPool", tx.data);
+        return clFactory.encodeFunctionResult("getPool", [tickSpacing === 100n ? CL_POOL : ethers.ZeroAddress]);
+      }
+      if (to === CL_POOL && selector === clPool.getFunction("fee").selector) {
+        return clPool.encodeFunctionResult("fee", [500]);
+      }
+      if (to === DEXES.BASESWAP.factory.toLowerCase()) {
+        return v2Factory.encodeFunctionResult("getPair", [V2_PAIR]);
+      }
+      if (to === DEXES.SWAPBASED.factory.toLowerCase()) {
+        return v2Factory.encodeFunctionResult("getPair", [ethers.ZeroAddress]);
+      }
+      throw new Error(`Unexpected call to ${tx.to}`);
+    }
+  };
+}
+
+describe("Pool Discovery", () => {
+  it("should sort tokens the way factories do", () => {
+    const [token0, token1] = sortTokens(TOKENS.USDC.address, TOKENS.WETH.address);
+
+    assert.strictEqual(token0, TOKENS.WETH.address);
+    assert.strictEqual(token1, TOKENS.USDC.address);
+  });
+
+  it("should list every token pair once", () => {
+    const pairs = getTokenPairs(TOKENS);
+
+    // 4 tokens -> 6 unordered pairs
+    assert.strictEqual(pairs.length, 6);
+    assert.deepStrictEqual(pairs[0], ["WETH", "USDC"]);
+  });
+
+  it("should resolve pools across fee tiers, tick spacings and V2 factories", async () => {
+    const pools = await discoverPoolsForPair(createFakeRunner(), TOKENS.WETH, TOKENS.USDC);
+
+    assert.deepStrictEqual(Object.keys(pools).sort(), ["AERODROME_CL_100", "BASESWAP", "UNISWAP_V3_500"]);
+
+    assert.strictEqual(pools.UNISWAP_V3_500.type, "V3");
+    assert.strictEqual(pools.UNISWAP_V3_500.fee, 500);
+    assert.strictEqual(pools.AERODROME_CL_100.type, "CL");
+    assert.strictEqual(pools.AERODROME_CL_100.fee, 500);
+    assert.strictEqual(pools.AERODROME_CL_100.tickSpacing, 100);
+    assert.strictEqual(pools.BASESWAP.type, "V2");
+    assert.strictEqual(pools.BASESWAP.fee, DEXES.BASESWAP.fee);
+  });
+
+  it("should flag pools whose token0 is the quote token", async () => {
+    // DAI sorts before USDC, so USDC/DAI pools have DAI as token0
+    const pools = await discoverPoolsForPair(createFakeRunner(), TOKENS.USDC, TOKENS.DAI);
+
+    assert.strictEqual(pools.UNISWAP_V3_500.token0, TOKENS.DAI.address);
+    assert.strictEqual(pools.UNISWAP_V3_500.isToken0Base, false);
+  });
+
+  it("should merge configured and discovered pairs", () => {
+    const registry = { pairs: { "WETH/USDC": {}, "USDC/DAI": {} } };
+
+    const pairs = listKnownPairs(POOLS, registry);
+
+    assert.ok(pairs.includes("WETH/USDbC"));
+    assert.ok(pairs.includes("USDC/DAI"));
+    assert.strictEqual(pairs.filter(p => p === "WETH/USDC").length, 1);
+  });
+
+  it("should ignore a corrupt registry file with a warning", (t) => {
+    const registryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "registry-")), "pools.json");
+    const warn = t.mock.method(console, "warn", () => {});
+
+    savePoolRegistry({ version: 0, pairs: {} }, registryPath);
+    assert.strictEqual(loadPoolRegistry(registryPath), null);
+
+    // Truncated by an interrupted write
+    fs.writeFileSync(registryPath, '{"version": 1, "pairs": {"WETH/');
+    assert.strictEqual(loadPoolRegistry(registryPath), null);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Pool registry .*pools\.json not loaded/);
+  });
+});
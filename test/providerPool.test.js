@@ -0,0 +1,176 @@
+/**
+ * Tests for the RPC provider pool
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import { ProviderPool, isEndpointFailure } from "../src/providerPool.js";
+import { SmartErrorHandler } from "../src/errorHandler.js";
+import { ERROR_CATEGORIES } from "../src/aiAgent.js";
+
+/**
+ * Fake endpoint whose requests are answered by handler (which may throw)
+ */
+function createEndpoint(url, handler) {
+  const endpoint = {
+    url,
+    requests: [],
+    provider: {
+      async _perform(req) {
+        endpoint.requests.push(req);
+        return handler(req);
+      }
+    }
+  };
+  return endpoint;
+}
+
+const networkError = () => ethers.makeError("connection refused", "NETWORK_ERROR");
+
+const POOL_CONFIG = { healthCheckIntervalMs: 0, requestTimeoutMs: 100, failureThreshold: 2, cooldownMs: 60000 };
+
+describe("Provider Pool", () => {
+  it("should fail over to the next endpoint on network errors", async () => {
+    const primary = createEndpoint("primary", () => { throw networkError(); });
+    const backup = createEndpoint("backup", () => "0x10");
+    const pool = new ProviderPool([primary, backup], POOL_CONFIG);
+
+    assert.strictEqual(await pool._perform({ method: "getBlockNumber" }), "0x10");
+    assert.strictEqual(primary.requests.length, 1);
+
+    const [primaryStatus] = pool.getStatus().filter(status => status.url === "primary");
+    assert.strictEqual(primaryStatus.failures, 1);
+    assert.strictEqual(primaryStatus.state, "closed");
+    assert.strictEqual(pool.lastEndpoint, "backup");
+  });
+
+  it("should not fail over on reverts", async () => {
+    const revert = ethers.makeError("execution reverted", "CALL_EXCEPTION");
+    const primary = createEndpoint("primary", () => { throw revert; });
+    const backup = createEndpoint("backup", () => "0x");
+    const pool = new ProviderPool([primary, backup], POOL_CONFIG);
+
+    await assert.rejects(pool._perform({ method: "call", transaction: {}, blockTag: "latest" }), /execution reverted/);
+    assert.strictEqual(backup.requests.length, 0);
+    assert.strictEqual(pool.getStatus()[0].failures, 0);
+    assert.ok(!isEndpointFailure(revert));
+  });
+
+  it("should open the circuit of an endpoint after repeated failures", async () => {
+    const opened = [];
+    const primary = createEndpoint("primary", () => { throw networkError(); });
+    // The backup is briefly down too, so the primary is tried again
+    const backup = createEndpoint("backup", () => { if (backup.requests.length === 1) throw networkError(); return "0x10"; });
+    const pool = new ProviderPool([primary, backup], { ...POOL_CONFIG, onCircuitOpen: url => opened.push(url) });
+
+    await assert.rejects(pool._perform({ method: "getBlockNumber" }), /All RPC endpoints failed/);
+    await pool._perform({ method: "getBlockNumber" });
+    await pool._perform({ method: "getBlockNumber" });
+
+    // The third request skips the open primary
+    assert.strictEqual(primary.requests.length, 2);
+    assert.deepStrictEqual(opened, ["primary"]);
+    assert.strictEqual(pool.getStatus().find(status => status.url === "primary").state, "open");
+  });
+
+  it("should retry a half-open endpoint after its cooldown and re-open it on failure", async () => {
+    let primaryDown = true;
+    const primary = createEndpoint("primary", () => { if (primaryDown) throw networkError(); return "0x20"; });
+    const backup = createEndpoint("backup", () => "0x10");
+    const pool = new ProviderPool([primary, backup], POOL_CONFIG);
+
+    pool.failover("test");
+    const [primaryEntry] = pool.endpoints;
+    assert.strictEqual(pool.getCircuitState(primaryEntry), "open");
+
+    // Cooldown over: the primary is tried after the healthy backup fails
+    primaryEntry.openedAt -= POOL_CONFIG.cooldownMs;
+    assert.strictEqual(pool.getCircuitState(primaryEntry), "half-open");
+    await pool._perform({ method: "getBlockNumber" });
+    assert.strictEqual(primary.requests.length, 0);
+
+    backup.provider._perform = async () => { throw networkError(); };
+    await assert.rejects(pool._perform({ method: "getBlockNumber" }), error => error.code === "NETWORK_ERROR");
+    assert.strictEqual(pool.getCircuitState(primaryEntry), "open");
+
+    primaryDown = false;
+    primaryEntry.openedAt -= POOL_CONFIG.cooldownMs;
+    assert.strictEqual(await pool._perform({ method: "getBlockNumber" }), "0x20");
+    assert.strictEqual(pool.getCircuitState(primaryEntry), "closed");
+  });
+
+  it("should fail over on timeouts and prefer faster endpoints", async () => {
+    const slow = createEndpoint("slow", () => new Promise(resolve => setTimeout(() => resolve("0x1"), 300)));
+    const fast = createEndpoint("fast", () => "0x2");
+    const pool = new ProviderPool([slow, fast], POOL_CONFIG);
+
+    assert.strictEqual(await pool._perform({ method: "getBlockNumber" }), "0x2");
+    assert.strictEqual(pool.getStatus()[0].url, "fast");
+    assert.match(pool.endpoints[0].lastError, /timed out/);
+  });
+
+  it("should return quorum reads only when enough endpoints agree at one block", async () => {
+    const answer = result => createEndpoint("agree", req => req.method === "getBlockNumber" ? "0x64" : result);
+    const endpoints = [answer("0xaa"), answer("0xbb"), answer("0xaa")];
+    const pool = new ProviderPool(endpoints, { ...POOL_CONFIG, quorum: 2 });
+
+    const result = await pool._perform({ method: "call", transaction: {}, blockTag: "latest" });
+
+    assert.strictEqual(result, "0xaa");
+    const calls = endpoints.flatMap(endpoint => endpoint.requests.filter(req => req.method === "call"));
+    assert.strictEqual(calls.length, 3);
+    assert.ok(calls.every(req => req.blockTag === "0x64"));
+  });
+
+  it("should reject quorum reads when endpoints disagree", async () => {
+    const endpoints = ["0xaa", "0xbb"].map(result => createEndpoint(result, () => result));
+    const pool = new ProviderPool(endpoints, { ...POOL_CONFIG, quorum: 2 });
+
+    await assert.rejects(pool._perform({ method: "call", transaction: {}, blockTag: "0x1" }), /Quorum of 2 not reached/);
+  });
+
+  it("should count endpoints lagging behind the chain head as failing", async () => {
+    const synced = createEndpoint("synced", () => "0x64");
+    const lagging = createEndpoint("lagging", () => "0x50");
+    const pool = new ProviderPool([lagging, synced], { ...POOL_CONFIG, failureThreshold: 1 });
+
+    const status = await pool.healthCheck();
+
+    assert.deepStrictEqual(status.map(endpoint => endpoint.url), ["synced", "lagging"]);
+    assert.strictEqual(status[1].state, "open");
+    assert.strictEqual(status[0].blockNumber, 100);
+  });
+
+  it("should fail over when the error handler diagnoses a network error", async () => {
+    const primary = createEndpoint("primary", () => "0x10");
+    const backup = createEndpoint("backup", () => "0x11");
+    const pool = new ProviderPool([primary, backup], POOL_CONFIG);
+    const handler = new SmartErrorHandler({ verboseLogging: false, maxRetries: 1, retryDelayMs: 0, providerPool: pool });
+
+    let attempts = 0;
+    const fetch = handler.wrapAsync(async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error("network timeout");
+      }
+      return pool._perform({ method: "getBlockNumber" });
+    }, { operation: "price_fetch" });
+
+    assert.strictEqual(await fetch(), "0x11");
+    assert.strictEqual(primary.requests.length, 0);
+  });
+
+  it("should fail over on the diagnosed category, not the recommendation wording", async () => {
+    const pool = new ProviderPool([createEndpoint("primary", () => "0x10"), createEndpoint("backup", () => "0x11")], POOL_CONFIG);
+    const handler = new SmartErrorHandler({ verboseLogging: false, providerPool: pool });
+    const recommendations = [{ action: "Switch to backup RPC endpoint" }];
+
+    await handler._applyImmediateFixes({ category: ERROR_CATEGORIES.CONTRACT, errorMessage: "execution reverted", recommendations });
+    assert.strictEqual(pool.getRankedEndpoints()[0].url, "primary");
+
+    await handler._applyImmediateFixes({ category: ERROR_CATEGORIES.NETWORK, errorMessage: "socket hang up", recommendations: [] });
+    assert.strictEqual(pool.getRankedEndpoints()[0].url, "backup");
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the pool state recorder
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { PoolStateRecorder, readRecords, listRecordFiles, snapshotFromPriceData } from "../src/recorder.js";
+import { loadSnapshots, snapshotToPriceData } from "../src/backtester.js";
+import { buildSlot0PriceData, buildReservesPriceData, orientPoolPrice } from "../src/priceFetcher.js";
+import { POOLS } from "../src/config.js";
+
+/**
+ * WETH/USDC price data as fetchPairPrices returns it, with one failed pool
+ */
+function createPriceData(v2Price = 2040) {
+  const v3 = buildSlot0PriceData("Uniswap V3", POOLS["WETH/USDC"].UNISWAP_V3.address, 3543191142285914205922034n, -200312, 45000000000000000n, 18, 6);
+  const v2 = buildReservesPriceData("BaseSwap", "0x41d160033C222E6f3722EC97379867324567d883", 1000n * 10n ** 18n, BigInt(v2Price) * 1000n * 10n ** 6n, 18, 6);
+  return {
+    pair: "WETH/USDC",
+    token0: "WETH",
+    token1: "USDC",
+    prices: [
+      orientPoolPrice(v3, "UNISWAP_V3", POOLS["WETH/USDC"].UNISWAP_V3),
+      orientPoolPrice(v2, "BASESWAP", POOLS["WETH/USDC"].BASESWAP),
+      { dex: "SwapBased", error: "Insufficient liquidity in V2 pair" }
+    ]
+  };
+}
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "recorder-"));
+
+describe("Pool State Recorder", () => {
+  it("should record fetches as snapshots the backtester can replay", () => {
+    const priceData = createPriceData();
+
+    const snapshot = snapshotFromPriceData(priceData, { blockNumber: 100, gasPrice: 5000000n, ethPriceUsd: 2000 });
+    const replayed = snapshotToPriceData(snapshot);
+
+    assert.deepStrictEqual(Object.keys(snapshot.pools), ["UNISWAP_V3", "BASESWAP"]);
+    assert.deepStrictEqual(snapshot.errors, [{ dex: "SwapBased", error: "Insufficient liquidity in V2 pair" }]);
+    assert.strictEqual(snapshot.gasPrice, "5000000");
+    for (const [index, price] of replayed.prices.entries()) {
+      assert.strictEqual(price.dex, priceData.prices[index].dex);
+      assert.strictEqual(price.poolType, priceData.prices[index].poolType);
+      assert.strictEqual(price.priceToken0InToken1, priceData.prices[index].priceToken0InToken1);
+    }
+    // A price fetch reads no ticks, so none are recorded
+    assert.strictEqual(snapshot.pools.UNISWAP_V3.ticks, undefined);
+
+    // Ticks already on the price data (e.g. a replayed snapshot) are kept
+    const withTicks = snapshotFromPriceData(snapshotToPriceData({ ...snapshot, pools: {
+      UNISWAP_V3: { ...snapshot.pools.UNISWAP_V3, ticks: { "-200320": "1000" } }
+    } }));
+    assert.deepStrictEqual(withTicks.pools.UNISWAP_V3.ticks, { "-200320": "1000" });
+  });
+
+  it("should append records with block, latency and endpoint, and stream them back", async () => {
+    const dir = tempDir();
+    const recorder = new PoolStateRecorder(dir);
+    const meta = { blockNumber: 100, latencyMs: 42, endpoint: "https://mainnet.base.org" };
+
+    recorder.recordPrices(createPriceData(), { ...meta, gasPrice: "5000000", ethPriceUsd: 2000 });
+    recorder.recordGas({ gasPriceWei: "5000000", gasPriceGwei: 0.005, gasLimit: "250000", gasCostEth: 1.25e-6, gasCostUsd: 0.0025 }, meta);
+    recorder.recordAnalysis("WETH/USDC", { hasOpportunity: false, isProfitableAfterGas: false, reason: "Insufficient price data" }, { ...meta, blockNumber: 101 });
+
+    const records = [];
+    for await (const record of readRecords(dir)) {
+      records.push(record);
+    }
+
+    assert.deepStrictEqual(records.map(r => r.type), ["snapshot", "gas", "analysis"]);
+    assert.ok(records.every(r => r.latencyMs === 42 && r.endpoint === "https://mainnet.base.org" && r.version === 1));
+    assert.strictEqual(records[0].pools.UNISWAP_V3.sqrtPriceX96, "3543191142285914205922034");
+    assert.strictEqual(records[2].recommendation, "Insufficient price data");
+
+    const gasOnly = [];
+    for await (const record of readRecords(dir, { types: ["gas", "analysis"], toBlock: 100 })) {
+      gasOnly.push(record.type);
+    }
+    assert.deepStrictEqual(gasOnly, ["gas"]);
+  });
+
+  it("should rotate files at the size limit and keep the newest", async () => {
+    const dir = tempDir();
+    const recorder = new PoolStateRecorder(dir, { maxFileBytes: 1000, maxFiles: 2 });
+
+    for (let block = 100; block < 106; block++) {
+      recorder.recordPrices(createPriceData(2000 + block - 100), { blockNumber: block, gasPrice: "5000000" });
+    }
+
+    const files = listRecordFiles(dir);
+    assert.deepStrictEqual(files.map(file => path.basename(file)), ["records-000005.ndjson", "records-000006.ndjson"]);
+    const blocks = [];
+    for await (const record of readRecords(dir)) {
+      blocks.push(record.blockNumber);
+    }
+    assert.deepStrictEqual(blocks, [104, 105]);
+
+    // A new recorder continues after the existing files
+    assert.strictEqual(path.basename(new PoolStateRecorder(dir).filePath), "records-000006.ndjson");
+    // and the backtester reads the whole directory
+    assert.deepStrictEqual(loadSnapshots(dir).map(s => s.blockNumber), [104, 105]);
+  });
+});
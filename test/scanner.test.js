@@ -0,0 +1,150 @@
+/**
+ * Tests for the multi-pair scanner
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+
+import {
+  scanPairs,
+  estimateUsdValues,
+  estimateGasForPairs,
+  gasCostInQuote,
+  analyzeScannedPair,
+  formatScanTable,
+  getReferencePairs
+} from "../src/scanner.js";
+import { buildScanDocument, serializeDocument } from "../src/output.js";
+import { UNISWAP_V3_POOL_ABI, UNISWAP_V2_PAIR_ABI, UNISWAP_V2_FACTORY_ABI } from "../src/abis.js";
+import { DEXES, TOKENS } from "../src/config.js";
+
+const v3Pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const v2Pair = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const v2Factory = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+
+// sqrtPriceX96 of 2000 USDC per WETH
+const SQRT_PRICE_2000 = 3543191142285914205922034n;
+
+/**
+ * Fake provider answering pool reads: concentrated liquidity pools at 2000, SwapBased pairs
+ * at 2000, BaseSwap at 2040 for WETH/USDC and at 2020 for WETH/USDbC
+ */
+function createFakeProvider() {
+  const usdbc = TOKENS.USDbC.address.toLowerCase();
+  const pairAddress = (factory, tokens) => {
+    const dex = factory === DEXES.BASESWAP.factory ? "b" : "c";
+    return `0x${"0".repeat(38)}${dex}${tokens.some(token => token.toLowerCase() === usdbc) ? "2" : "1"}`;
+  };
+  const pricesByPair = { "0x00000000000000000000000000000000000000b1": 2040n, "0x00000000000000000000000000000000000000b2": 2020n };
+
+  const provider = {
+    feeDataCalls: 0,
+    async call(tx) {
+      const selector = tx.data.slice(0, 10);
+      if (selector === v3Pool.getFunction("slot0").selector) {
+        return v3Pool.encodeFunctionResult("slot0", [SQRT_PRICE_2000, -200312, 0, 1, 1, 0, true]);
+      }
+      if (selector === v3Pool.getFunction("liquidity").selector) {
+        return v3Pool.encodeFunctionResult("liquidity", [45000000000000000n]);
+      }
+      if (selector === v2Factory.getFunction("getPair").selector) {
+        const tokens = v2Factory.decodeFunctionData("getPair", tx.data);
+        return v2Factory.encodeFunctionResult("getPair", [pairAddress(ethers.getAddress(tx.to), tokens)]);
+      }
+      if (selector === v2Pair.getFunction("getReserves").selector) {
+        const price = pricesByPair[tx.to.toLowerCase()] ?? 2000n;
+        return v2Pair.encodeFunctionResult("getReserves", [1000n * 10n ** 18n, price * 1000n * 10n ** 6n, 0]);
+      }
+      throw new Error(`Unexpected call ${selector}`);
+    },
+    async getFeeData() {
+      provider.feeDataCalls++;
+      return { gasPrice: 5000000n, maxFeePerGas: null, maxPriorityFeePerGas: null };
+    }
+  };
+  return provider;
+}
+
+describe("Multi-pair Scanner", () => {
+  it("should rank every pair by net profit with one gas estimate", async () => {
+    const provider = createFakeProvider();
+    const scan = await scanPairs(provider, ["WETH/USDbC", "WETH/USDC"], { tradeSizeEth: 1 });
+
+    assert.deepStrictEqual(scan.pairs.map(pairData => pairData.pair), ["WETH/USDbC", "WETH/USDC"]);
+    assert.deepStrictEqual(scan.opportunities.map(opportunity => opportunity.pair), ["WETH/USDC", "WETH/USDbC"]);
+    assert.ok(scan.opportunities[0].netProfitUsd > scan.opportunities[1].netProfitUsd);
+    assert.strictEqual(scan.opportunities[0].analysis.direction.sellTo, "BaseSwap");
+    assert.strictEqual(scan.ethPriceSource, "pools");
+    assert.ok(Math.abs(scan.ethPriceUsd - 2000) < 50);
+    assert.ok(provider.feeDataCalls <= 1);
+    assert.deepStrictEqual(scan.errors, []);
+  });
+
+  it("should fetch the ETH price pair without ranking it", async () => {
+    assert.deepStrictEqual(getReferencePairs(["WETH/USDbC"]), ["WETH/USDC"]);
+    assert.deepStrictEqual(getReferencePairs(["WETH/USDC"]), []);
+
+    const scan = await scanPairs(createFakeProvider(), ["WETH/USDbC"], { tradeSizeEth: 1 });
+
+    assert.deepStrictEqual(scan.opportunities.map(opportunity => opportunity.pair), ["WETH/USDbC"]);
+    assert.strictEqual(scan.ethPriceSource, "pools");
+  });
+
+  it("should value a quote token without a USD pool through its pair's base", () => {
+    const prices = (pair, token1, price) => ({ pair, token0: "WETH", token1, prices: [{ dex: "Uniswap V3", priceToken0InToken1: price }] });
+    const { usdPrices, ethPriceUsd } = estimateUsdValues([prices("WETH/USDC", "USDC", 2000), prices("WETH/USDbC", "USDbC", 2000)]);
+
+    assert.strictEqual(ethPriceUsd, 2000);
+    assert.strictEqual(usdPrices.USDbC, 1);
+    assert.strictEqual(estimateUsdValues([prices("WETH/USDbC", "USDbC", 2000)]).ethPriceUsd, null);
+  });
+
+  it("should value ETH from the reference pair and gas in a non-USD quote token", async () => {
+    // cbETH/WETH quotes in WETH: its price (1.1) is no ETH price, and gas is compared in WETH
+    const pairData = (pair, token0, token1, prices) => ({
+      pair, token0, token1, prices: prices.map(([dex, price, fee]) => ({ dex, fee, priceToken0InToken1: price }))
+    });
+    const cbEthWeth = pairData("cbETH/WETH", "cbETH", "WETH", [["Uniswap V3", 1.1, 500], ["Aerodrome CL", 1.1275, 100]]);
+    const wethUsdc = pairData("WETH/USDC", "WETH", "USDC", [["Uniswap V3", 2000, 500]]);
+
+    const { gasCost, ethPriceUsd, ethPriceSource, usdPrices } = await estimateGasForPairs(null, [cbEthWeth, wethUsdc], { gasPrice: 10n ** 9n, gasPriceGwei: 1 });
+    assert.strictEqual(ethPriceUsd, 2000);
+    assert.strictEqual(ethPriceSource, "pools");
+    assert.strictEqual(gasCost.gasCostUsd, gasCost.gasCostEth * 2000);
+    assert.strictEqual(gasCostInQuote(gasCost.gasCostUsd, "WETH", usdPrices), gasCost.gasCostEth);
+    assert.strictEqual(gasCostInQuote(gasCost.gasCostUsd, "USDC", usdPrices), gasCost.gasCostUsd);
+
+    // 10 cbETH: about 0.16 WETH gross, against 2 x 0.00025 WETH of gas and the $1 threshold (0.0005 WETH);
+    // compared in USD units (2 x 0.5 gas, 1 threshold) it would not pay
+    const scanned = analyzeScannedPair(cbEthWeth, 10, gasCost.gasCostUsd, usdPrices);
+    assert.strictEqual(scanned.analysis.profitAnalysis.gasCostUsd, 2 * gasCost.gasCostEth);
+    assert.strictEqual(scanned.isProfitableAfterGas, true);
+    assert.ok(Math.abs(scanned.netProfitUsd - scanned.analysis.profitAnalysis.netProfitUsd * 2000) < 1e-9);
+
+    // Without a WETH/USD pool, the fallback ETH price is used and reported
+    assert.strictEqual((await estimateGasForPairs(null, [cbEthWeth], { gasPrice: 10n ** 9n })).ethPriceSource, "fallback");
+  });
+
+  it("should reject unknown pairs before fetching", async () => {
+    const provider = createFakeProvider();
+    await assert.rejects(scanPairs(provider, ["WETH/DOGE"]), /Unknown trading pairs: WETH\/DOGE/);
+    assert.strictEqual(provider.feeDataCalls, 0);
+  });
+
+  it("should format a ranked table and a BigInt-safe scan document", async () => {
+    const scan = await scanPairs(createFakeProvider(), ["WETH/USDC", "WETH/USDbC"], { tradeSizeEth: 1 });
+    scan.errors.push({ pair: "cbETH/WETH", error: "execution reverted" });
+
+    const lines = formatScanTable(scan).split("\n");
+    assert.match(lines[4], /^ 1  WETH\/USDC /);
+    assert.match(lines[5], /^ 2  WETH\/USDbC /);
+    assert.strictEqual(lines[6], " -  cbETH/WETH    Error - execution reverted");
+
+    const document = JSON.parse(serializeDocument(buildScanDocument(scan), "ndjson"));
+    assert.strictEqual(document.type, "scan");
+    assert.deepStrictEqual(document.pairs, ["WETH/USDC", "WETH/USDbC"]);
+    assert.strictEqual(document.opportunities[0].pair, "WETH/USDC");
+    assert.strictEqual(typeof document.gasCost.gasPriceWei, "string");
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for the trade size solver
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+import { createSwapLeg, evaluateTradeSize, solveTradeSize, formatTradeSizeResult } from "../src/tradeSizer.js";
+import { createPoolState } from "../src/clSimulator.js";
+
+const PARAMS = { buyPrice: 2000, baseDecimals: 18, quoteDecimals: 6, gasCostUsd: 0.01 };
+
+/**
+ * WETH/USDC V2 pair with the given depth in ETH and price in USDC
+ */
+function createV2Price(dex, depthEth, price) {
+  return {
+    dex,
+    poolType: "V2",
+    fee: 3000,
+    isToken0Base: true,
+    reserve0: (BigInt(depthEth) * 10n ** 18n).toString(),
+    reserve1: (BigInt(depthEth * price) * 10n ** 6n).toString(),
+    priceToken0InToken1: price
+  };
+}
+
+describe("Trade Size Solver", () => {
+  it("should find an interior optimum with zero marginal profit", () => {
+    const buyLeg = createSwapLeg(createV2Price("Cheap", 1000, 2000));
+    const sellLeg = createSwapLeg(createV2Price("Expensive", 1000, 2040));
+
+    const result = solveTradeSize(buyLeg, sellLeg, PARAMS);
+
+    assert.strictEqual(result.feasible, true);
+    assert.ok(result.optimalSizeEth > result.lowerBoundEth);
+    assert.ok(result.optimalSizeEth < result.upperBoundEth);
+    assert.ok(result.isProfitable);
+    // Near the top of the curve an extra ETH adds (almost) nothing
+    assert.ok(Math.abs(result.marginalProfitUsdPerEth) < 1);
+    for (const point of result.curve) {
+      assert.ok(result.netProfitUsd >= point.netProfitUsd);
+    }
+  });
+
+  it("should beat the fixed 1 ETH trade size", () => {
+    const buyLeg = createSwapLeg(createV2Price("Cheap", 1000, 2000));
+    const sellLeg = createSwapLeg(createV2Price("Expensive", 1000, 2040));
+
+    const result = solveTradeSize(buyLeg, sellLeg, PARAMS);
+    const fixed = evaluateTradeSize(buyLeg, sellLeg, 1, PARAMS);
+
+    assert.ok(result.netProfitUsd > fixed.netProfitUsd);
+  });
+
+  it("should cap the size to a share of the shallower pool", () => {
+    const buyLeg = createSwapLeg(createV2Price("Shallow", 20, 2000));
+    const sellLeg = createSwapLeg(createV2Price("Deep", 1000, 2100));
+
+    const result = solveTradeSize(buyLeg, sellLeg, PARAMS, { MAX_LIQUIDITY_SHARE_PERCENT: 10 });
+
+    assert.strictEqual(result.liquidityCapEth, 2);
+    assert.strictEqual(result.upperBoundEth, 2);
+    assert.ok(result.optimalSizeEth <= 2);
+  });
+
+  it("should settle on the minimum size when no size is profitable", () => {
+    const buyLeg = createSwapLeg(createV2Price("A", 1000, 2000));
+    const sellLeg = createSwapLeg(createV2Price("B", 1000, 2000));
+
+    const result = solveTradeSize(buyLeg, sellLeg, PARAMS);
+
+    assert.strictEqual(result.isProfitable, false);
+    assert.ok(result.netProfitUsd < 0);
+    assert.ok(result.optimalSizeEth < 0.1);
+  });
+
+  it("should size trades against a concentrated liquidity pool", () => {
+    // Price 2000 USDC per WETH (token0 WETH 18 decimals, token1 USDC 6 decimals)
+    // sqrtPriceX96 = sqrt(2000 * 1e6 / 1e18) * 2^96
+    const sqrtPriceX96 = 3543191142285914205922034n;
+    const poolState = createPoolState({
+      sqrtPriceX96,
+      liquidity: 10n ** 17n,
+      fee: 500,
+      tickSpacing: 10,
+      ticks: { [-201050]: 10n ** 17n, [-199040]: -(10n ** 17n) }
+    });
+    const clPrice = { dex: "CL", poolType: "CL", isToken0Base: true, priceToken0InToken1: 2000 };
+    const buyLeg = createSwapLeg(clPrice, poolState);
+    const sellLeg = createSwapLeg(createV2Price("V2", 1000, 2040));
+
+    const result = solveTradeSize(buyLeg, sellLeg, PARAMS);
+
+    assert.strictEqual(result.feasible, true);
+    assert.ok(result.netProfitUsd > 0);
+    assert.ok(formatTradeSizeResult({ buyFrom: "CL", sellTo: "V2", ...result }).includes("Optimal Size"));
+  });
+
+  it("should require tick data for concentrated liquidity pools", () => {
+    assert.throws(() => createSwapLeg({ dex: "CL", poolType: "CL" }), /Pool state required/);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Tests for wallet, nonce and inventory management
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ethers } from "ethers";
+
+import { WalletManager, loadSigner, getRouters, formatWalletStatus } from "../src/wallet.js";
+import { TradeExecutor } from "../src/executor.js";
+import { TOKENS, DEXES } from "../src/config.js";
+import {
+  ERC20_ABI,
+  MULTICALL3_ABI,
+  UNISWAP_V3_SWAP_ROUTER_ABI,
+  UNISWAP_V2_ROUTER_ABI
+} from "../src/abis.js";
+import { createFakeChain, createPriceData, createAnalysis, answerAggregate3, MULTICALL } from "./fixtures/chain.js";
+
+const multicall3 = new ethers.Interface(MULTICALL3_ABI);
+const erc20 = new ethers.Interface(ERC20_ABI);
+const v3Router = new ethers.Interface(UNISWAP_V3_SWAP_ROUTER_ABI);
+const v2Router = new ethers.Interface(UNISWAP_V2_ROUTER_ABI);
+
+const ADDRESS = "0x00000000000000000000000000000000000000aa";
+
+/**
+ * Fake chain holding 1 ETH, 2 WETH and 1000 USDC, with USDC approved for SwapRouter02
+ * Quotes and swaps outside of balance batches return 0.999 WETH per 2000 USDC
+ * Reads from a token in failingTokens fail inside the batch
+ */
+function createWalletChain() {
+  const chain = createFakeChain({
+    address: ADDRESS,
+    feeData: { gasPrice: null, maxFeePerGas: 105n, maxPriorityFeePerGas: 1n },
+    answer(tx) {
+      const to = tx.to.toLowerCase();
+      if (to === DEXES.UNISWAP_V3.swapRouter.toLowerCase()) {
+        const result = v3Router.encodeFunctionResult("exactInputSingle", [999n * 10n ** 15n]);
+        return v3Router.encodeFunctionResult("multicall(uint256,bytes[])", [[result]]);
+      }
+      if (to === DEXES.BASESWAP.router.toLowerCase()) {
+        return v2Router.encodeFunctionResult("swapExactTokensForTokens", [[1n, 2030n * 10n ** 6n]]);
+      }
+      if (to !== MULTICALL) {
+        return answer(to, tx.data);
+      }
+      chain.batches++;
+      const answerBatchCall = (target, callData) => chain.failingTokens.has(target) ? [false, "0x"] : [true, answer(target, callData)];
+      return answerAggregate3(tx, answerBatchCall, { blockNumber: 777n });
+    }
+  });
+
+  Object.assign(chain, {
+    batches: 0,
+    failingTokens: new Set(),
+    minedCount: 5,
+    pendingCount: 5,
+    failNextSend: false,
+    async getTransactionCount(address, blockTag) {
+      return blockTag === "pending" ? chain.pendingCount : chain.minedCount;
+    }
+  });
+  chain.signer.sendTransaction = async (tx) => {
+    // Yield so concurrent submissions would interleave without the queue
+    await new Promise(resolve => setImmediate(resolve));
+    if (chain.failNextSend) {
+      chain.failNextSend = false;
+      throw ethers.makeError("nonce too low", "NONCE_EXPIRED");
+    }
+    chain.sent.push(tx);
+    chain.pendingCount = Math.max(chain.pendingCount, tx.nonce + 1);
+    const hash = ethers.id(`tx${chain.sent.length}`);
+    return {
+      hash,
+      nonce: tx.nonce,
+      maxFeePerGas: tx.maxFeePerGas ?? 100n,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas ?? 2n,
+      wait: async () => ({ status: 1, hash, blockNumber: 100, gasUsed: 21000n })
+    };
+  };
+  return chain;
+}
+
+/**
+ * Answers one balance or allowance read
+ */
+function answer(target, callData) {
+  const selector = callData.slice(0, 10);
+  if (target === MULTICALL) {
+    return multicall3.encodeFunctionResult("getEthBalance", [10n ** 18n]);
+  }
+  if (selector === erc20.getFunction("balanceOf").selector) {
+    const balances = {
+      [TOKENS.WETH.address.toLowerCase()]: 2n * 10n ** 18n,
+      [TOKENS.USDC.address.toLowerCase()]: 1000n * 10n ** 6n
+    };
+    return erc20.encodeFunctionResult("balanceOf", [balances[target] ?? 0n]);
+  }
+  const [, spender] = erc20.decodeFunctionData("allowance", callData);
+  const approved = target === TOKENS.USDC.address.toLowerCase() && spender === DEXES.UNISWAP_V3.swapRouter;
+  return erc20.encodeFunctionResult("allowance", [approved ? ethers.MaxUint256 : 0n]);
+}
+
+describe("Wallet Manager", () => {
+  it("should load a signer from an encrypted keystore or a private key", async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const keystore = ethers.encryptKeystoreJsonSync(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      "hunter2",
+      { scrypt: { N: 1 << 10 } }
+    );
+    const keystorePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "wallet-")), "keystore.json");
+    fs.writeFileSync(keystorePath, keystore);
+
+    const fromKeystore = await loadSigner(null, { keystorePath, password: "hunter2" });
+    assert.strictEqual(fromKeystore.address, wallet.address);
+    await assert.rejects(loadSigner(null, { keystorePath, password: "wrong" }), /password/i);
+
+    const fromKey = await loadSigner(null, { privateKey: wallet.privateKey });
+    assert.strictEqual(fromKey.address, wallet.address);
+  });
+
+  it("should read balances and router allowances in one batch", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+
+    const status = await wallet.refresh();
+
+    assert.strictEqual(chain.batches, 1);
+    assert.strictEqual(status.blockNumber, 777);
+    assert.strictEqual(status.balances.ETH, 10n ** 18n);
+    assert.strictEqual(status.balances.USDC, 1000n * 10n ** 6n);
+    assert.strictEqual(status.balances.DAI, 0n);
+    assert.strictEqual(status.allowances.USDC["Uniswap V3 SwapRouter"], ethers.MaxUint256);
+    assert.strictEqual(status.allowances.WETH["BaseSwap Router"], 0n);
+    assert.strictEqual(Object.keys(getRouters()).length, 4);
+    // The gas reserve is not available for trading
+    assert.strictEqual(status.available.ETH, ethers.parseEther("0.995"));
+  });
+
+  it("should keep the other reads when one token's reads fail", async () => {
+    const chain = createWalletChain();
+    chain.failingTokens.add(TOKENS.USDC.address.toLowerCase());
+    const wallet = new WalletManager(chain, chain.signer);
+
+    const status = await wallet.refresh();
+
+    assert.strictEqual(status.balances.WETH, 2n * 10n ** 18n);
+    assert.strictEqual(status.balances.USDC, null);
+    assert.strictEqual(status.available.USDC, null);
+    assert.strictEqual(status.allowances.USDC["Uniswap V3 SwapRouter"], null);
+    assert.deepStrictEqual(status.readErrors.map(({ symbol, read }) => `${symbol} ${read}`).slice(0, 2),
+      ["USDC balance", "USDC Uniswap V3 SwapRouter"]);
+    assert.match(formatWalletStatus(status), /USDC\s+unknown/);
+
+    // An unknown balance is never enough for a trade
+    const inventory = await wallet.reserveInventory("USDC", 1n);
+    assert.strictEqual(inventory.unknown, true);
+    assert.strictEqual(inventory.sufficient, false);
+    assert.strictEqual(inventory.reservationId, null);
+    assert.strictEqual((await wallet.checkInventory("WETH", 10n ** 18n)).sufficient, true);
+  });
+
+  it("should not reserve the same inventory for concurrent trades", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+
+    const [first, second] = await Promise.all([
+      wallet.reserveInventory("USDC", 600n * 10n ** 6n),
+      wallet.reserveInventory("USDC", 600n * 10n ** 6n)
+    ]);
+
+    assert.strictEqual(first.sufficient, true);
+    assert.strictEqual(second.sufficient, false);
+    assert.strictEqual(second.shortfall, 200n * 10n ** 6n);
+    assert.strictEqual(wallet.getAvailable("USDC"), 400n * 10n ** 6n);
+
+    wallet.release(first.reservationId);
+    assert.strictEqual((await wallet.checkInventory("USDC", 600n * 10n ** 6n)).sufficient, true);
+  });
+
+  it("should assign consecutive nonces to concurrent submissions", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+
+    const responses = await Promise.all([1, 2, 3].map(i => wallet.sendTransaction({ to: ADDRESS, value: BigInt(i) })));
+
+    assert.deepStrictEqual(responses.map(r => r.nonce), [5, 6, 7]);
+    assert.deepStrictEqual(chain.sent.map(tx => tx.value), [1n, 2n, 3n]);
+    assert.deepStrictEqual((await wallet.syncPending()).map(entry => entry.nonce), [5, 6, 7]);
+
+    chain.minedCount = 7;
+    assert.deepStrictEqual((await wallet.syncPending()).map(entry => entry.nonce), [7]);
+  });
+
+  it("should re-read the nonce after a failed submission", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+
+    await wallet.sendTransaction({ to: ADDRESS });
+    chain.failNextSend = true;
+    // Another process used nonce 6 meanwhile
+    chain.pendingCount = 7;
+
+    await assert.rejects(wallet.sendTransaction({ to: ADDRESS }), /nonce too low/);
+    const response = await wallet.sendTransaction({ to: ADDRESS });
+
+    assert.strictEqual(response.nonce, 7);
+  });
+
+  it("should replace and cancel pending transactions with bumped fees", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+    const original = await wallet.sendTransaction({ to: DEXES.UNISWAP_V3.swapRouter, data: "0x1234" });
+
+    const replacement = await wallet.replaceTransaction(original.nonce);
+    const [, sentReplacement] = chain.sent;
+    assert.strictEqual(replacement.nonce, original.nonce);
+    // 100 + 12.5% = 112.5, rounded up; the network fee (105) is lower
+    assert.strictEqual(sentReplacement.maxFeePerGas, 113n);
+    assert.strictEqual(sentReplacement.maxPriorityFeePerGas, 3n);
+    assert.strictEqual(sentReplacement.data, "0x1234");
+
+    await wallet.cancelTransaction(original.nonce);
+    const cancel = chain.sent[2];
+    assert.strictEqual(cancel.nonce, original.nonce);
+    assert.strictEqual(cancel.to, ADDRESS);
+    assert.strictEqual(cancel.value, 0n);
+    assert.strictEqual(cancel.maxFeePerGas, 128n);
+    assert.strictEqual(wallet.pending.get(original.nonce).replacements, 2);
+
+    await assert.rejects(wallet.replaceTransaction(99), /No pending transaction with nonce 99/);
+  });
+
+  it("should only check the inventory of live trades", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+    let checks = 0;
+    wallet.checkInventory = async () => {
+      checks++;
+      throw new Error("inventory read in dry-run");
+    };
+    const priceData = createPriceData();
+    const analysis = createAnalysis();
+
+    const result = await new TradeExecutor(chain, { mode: "dry-run", signer: wallet }).execute(priceData, analysis);
+
+    assert.strictEqual(result.status, "simulated");
+    assert.strictEqual(result.inventory, null);
+    assert.strictEqual(checks, 0);
+    assert.strictEqual(chain.batches, 0);
+  });
+
+  it("should refuse trades that exceed the available inventory", async () => {
+    const chain = createWalletChain();
+    const wallet = new WalletManager(chain, chain.signer);
+    await wallet.refresh();
+    const authRequests = [];
+    const executor = new TradeExecutor(chain, {
+      mode: "live",
+      signer: wallet,
+      // A leftover dry-run address must not replace the wallet in live mode
+      from: "0x00000000000000000000000000000000000000bb",
+      authCallback: async (request) => {
+        authRequests.push(request);
+        return { authorized: true };
+      }
+    });
+    // Buy 1 WETH (2000 USDC) with only 1000 USDC held
+    const priceData = createPriceData();
+    const analysis = createAnalysis();
+
+    const result = await executor.execute(priceData, analysis);
+
+    assert.strictEqual(result.status, "rejected");
+    assert.match(result.error, /Insufficient USDC: needs 2000, 1000\.0 available/);
+    assert.strictEqual(result.plan.buy.tx.from, ADDRESS);
+    assert.strictEqual(result.plan.from, ADDRESS);
+    assert.strictEqual(chain.sent.length, 0);
+    assert.strictEqual(authRequests.length, 0);
+    assert.strictEqual(wallet.reservations.size, 0);
+  });
+});